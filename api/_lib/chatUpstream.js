@@ -0,0 +1,102 @@
+/**
+ * Chat completion requests to the provider selected with LLM_PROVIDER, for
+ * the chat route (api/chat.js) and for work the server does itself, such as
+ * scoring exam attempts (server/exams.js).
+ */
+
+const { HttpError } = require('./http');
+const { getChatUpstream } = require('./config');
+
+// Time allowed for the provider to start answering
+const UPSTREAM_TIMEOUT_MS = 60000;
+
+// The task definitions are shared with the browser as ES modules
+const loadChatTasks = () => import('../../shared/chatTasks.mjs');
+
+/**
+ * Builds the provider request body of a chat task
+ * @param {string} taskId - Key of CHAT_TASKS
+ * @param {Object} params - Parameters for buildChatTask: { scenario, language, subtitleLanguage, rubric }
+ * @param {Array<Object>} messages - Checked user and assistant messages
+ * @param {Object} options - { extraBody: provider fields such as the model, stream: whether to stream }
+ * @returns {Promise<Object>} - Request body with the server's system message first
+ */
+const buildTaskRequest = async (taskId, params, messages, { extraBody = {}, stream = false } = {}) => {
+  const { buildChatTask } = await loadChatTasks();
+  const settings = buildChatTask(taskId, params);
+
+  const upstreamBody = {
+    ...extraBody,
+    messages: [{ role: 'system', content: settings.system }, ...messages],
+    temperature: settings.temperature,
+    max_tokens: settings.maxTokens
+  };
+
+  if (settings.topP !== undefined) {
+    upstreamBody.top_p = settings.topP;
+  }
+
+  if (settings.responseFormat) {
+    upstreamBody.response_format = settings.responseFormat;
+  }
+
+  if (stream) {
+    upstreamBody.stream = true;
+  }
+
+  return upstreamBody;
+};
+
+/**
+ * Sends a request body to the provider
+ * @param {Object} upstream - Upstream details from getChatUpstream
+ * @param {Object} upstreamBody - Request body
+ * @param {AbortController} controller - Aborts the request, e.g. when the browser goes away
+ * @returns {Promise<Response>} - The provider's successful response
+ */
+const fetchUpstream = async (upstream, upstreamBody, controller = new AbortController()) => {
+  const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(upstream.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...upstream.headers
+      },
+      body: JSON.stringify(upstreamBody),
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    console.error(`Chat provider returned ${response.status}:`, await response.text());
+    throw new HttpError(502, `Chat provider returned ${response.status}`);
+  }
+
+  return response;
+};
+
+/**
+ * Runs a chat task on the server, without streaming
+ * @param {string} taskId - Key of CHAT_TASKS
+ * @param {Object} params - Parameters for buildChatTask
+ * @param {Array<Object>} messages - User and assistant messages
+ * @returns {Promise<string>} - The reply text
+ */
+const completeChatTask = async (taskId, params, messages) => {
+  const upstream = getChatUpstream();
+  const upstreamBody = await buildTaskRequest(taskId, params, messages, { extraBody: upstream.extraBody });
+  const data = await (await fetchUpstream(upstream, upstreamBody)).json();
+  return data.choices?.[0]?.message?.content || '';
+};
+
+module.exports = {
+  loadChatTasks,
+  buildTaskRequest,
+  fetchUpstream,
+  completeChatTask
+};
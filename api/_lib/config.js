@@ -0,0 +1,111 @@
+/**
+ * Upstream service configuration. Credentials are read from server-side
+ * environment variables only; none of them use the VITE_ prefix, so Vite
+ * never bundles them into the browser code.
+ */
+
+const { HttpError } = require('./http');
+
+// Remove a trailing slash so paths can be appended safely
+const trimBaseUrl = (url) => url.replace(/\/+$/, '');
+
+// Fails the request with a clear message when a variable is missing
+const requireEnv = (...names) => {
+  const missing = names.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    console.error(`Missing server environment variables: ${missing.join(', ')}`);
+    throw new HttpError(500, 'Service is not configured on the server');
+  }
+};
+
+/**
+ * Chat completion upstreams, selected with LLM_PROVIDER
+ */
+const chatProviders = {
+  azure: () => {
+    requireEnv('AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT_ID');
+    const endpoint = trimBaseUrl(process.env.AZURE_OPENAI_ENDPOINT);
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2025-01-01-preview';
+
+    return {
+      url: `${endpoint}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT_ID}/chat/completions?api-version=${apiVersion}`,
+      headers: { 'api-key': process.env.AZURE_OPENAI_API_KEY },
+      extraBody: {}
+    };
+  },
+
+  openai: () => {
+    requireEnv('OPENAI_API_KEY');
+
+    return {
+      url: `${trimBaseUrl(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1')}/chat/completions`,
+      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      extraBody: { model: process.env.OPENAI_MODEL || 'gpt-4o' }
+    };
+  },
+
+  // Any OpenAI-compatible server such as llama.cpp, vLLM or Ollama
+  local: () => ({
+    url: `${trimBaseUrl(process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1')}/chat/completions`,
+    // Most local servers ignore authentication, send a key only when one is set
+    headers: process.env.LOCAL_LLM_API_KEY ? { Authorization: `Bearer ${process.env.LOCAL_LLM_API_KEY}` } : {},
+    extraBody: { model: process.env.LOCAL_LLM_MODEL || 'llama3' }
+  })
+};
+
+/**
+ * Returns the chat completion upstream selected with LLM_PROVIDER (azure by default)
+ * @returns {{url: string, headers: Object, extraBody: Object}} - Upstream request details
+ */
+const getChatUpstream = () => {
+  const id = (process.env.LLM_PROVIDER || 'azure').toLowerCase();
+  const provider = chatProviders[id];
+
+  if (!provider) {
+    console.error(`Unknown LLM_PROVIDER "${id}"`);
+    throw new HttpError(500, 'Service is not configured on the server');
+  }
+
+  return provider();
+};
+
+/**
+ * Returns the Azure Whisper transcription upstream. The AZURE_WHISPER_*
+ * variables fall back to the AZURE_OPENAI_* ones.
+ * @returns {{url: string, headers: Object}} - Upstream request details
+ */
+const getWhisperUpstream = () => {
+  const apiKey = process.env.AZURE_WHISPER_API_KEY || process.env.AZURE_OPENAI_API_KEY;
+  const endpoint = process.env.AZURE_WHISPER_ENDPOINT || process.env.AZURE_OPENAI_ENDPOINT;
+
+  if (!apiKey || !endpoint) {
+    requireEnv('AZURE_WHISPER_API_KEY', 'AZURE_WHISPER_ENDPOINT');
+  }
+
+  const apiVersion = process.env.AZURE_WHISPER_API_VERSION || '2024-06-01';
+  const deploymentId = process.env.AZURE_WHISPER_DEPLOYMENT_ID || 'whisper';
+
+  return {
+    url: `${trimBaseUrl(endpoint)}/openai/deployments/${deploymentId}/audio/transcriptions?api-version=${apiVersion}`,
+    headers: { 'api-key': apiKey }
+  };
+};
+
+/**
+ * Returns the Azure Speech credentials
+ * @returns {{key: string, region: string}} - Speech key and region
+ */
+const getSpeechCredentials = () => {
+  requireEnv('AZURE_SPEECH_KEY', 'AZURE_SPEECH_REGION');
+
+  return {
+    key: process.env.AZURE_SPEECH_KEY,
+    region: process.env.AZURE_SPEECH_REGION
+  };
+};
+
+module.exports = {
+  getChatUpstream,
+  getWhisperUpstream,
+  getSpeechCredentials
+};
@@ -0,0 +1,102 @@
+/**
+ * Scenarios and rubrics as the API functions see them. They are read from
+ * the same JSON files the app bundles (src/scenarios, src/rubrics), so the
+ * server builds prompts from its own copy rather than from the browser's.
+ * The local server plugs in the rubric versions saved from the rubric editor
+ * (server/rubrics.js); as Vercel functions only the bundled files are used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCENARIO_DIR = path.join(__dirname, '..', '..', 'src', 'scenarios');
+const RUBRIC_DIR = path.join(__dirname, '..', '..', 'src', 'rubrics');
+
+// Parses every JSON file of a folder
+const readJsonFiles = (dir) => fs.readdirSync(dir)
+  .filter(file => file.endsWith('.json'))
+  .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+
+let scenarios = null;
+let bundledRubrics = null;
+
+/**
+ * Looks up a bundled scenario
+ * @param {string} id - Scenario id
+ * @returns {Promise<Object|null>} - Scenario definition, null if there is no valid one with this id
+ */
+const getScenario = async (id) => {
+  if (!scenarios) {
+    const { validateScenario } = await import('../../shared/scenarios.mjs');
+    scenarios = new Map();
+    readJsonFiles(SCENARIO_DIR).forEach(scenario => {
+      if (validateScenario(scenario).length === 0) {
+        scenarios.set(scenario.id, scenario);
+      }
+    });
+  }
+  return scenarios.get(id) || null;
+};
+
+/**
+ * Lists the rubric files bundled with the app
+ * @returns {Array<Object>} - Rubric definitions with their version
+ */
+const getBundledRubrics = () => {
+  if (!bundledRubrics) {
+    bundledRubrics = readJsonFiles(RUBRIC_DIR)
+      .map(rubric => ({ ...rubric, version: rubric.version || 1, bundled: true }));
+  }
+  return bundledRubrics;
+};
+
+// Finds a rubric, by default among the bundled files only
+let lookUpRubric = (id, version) => {
+  const versions = getBundledRubrics()
+    .filter(rubric => rubric.id === id)
+    .sort((a, b) => b.version - a.version);
+  return (version === undefined ? versions[0] : versions.find(rubric => rubric.version === version)) || null;
+};
+
+/**
+ * Sets how rubrics are looked up, e.g. to include saved versions
+ * @param {Function} lookUp - (id, version) => rubric or null
+ */
+const setRubricLookup = (lookUp) => {
+  lookUpRubric = lookUp;
+};
+
+/**
+ * Looks up a rubric
+ * @param {string} id - Rubric id
+ * @param {number} version - Optional version number, the latest by default
+ * @returns {Object|null} - Rubric definition, null if not found
+ */
+const getRubric = (id, version) => lookUpRubric(id, version);
+
+/**
+ * Looks up the rubric a scenario is assessed against by default: its
+ * defaultRubric, or else the first bundled rubric for it, scenario-specific
+ * ones before generic ones (as getRubricsForScenario in src/rubrics)
+ * @param {Object} scenario - Scenario definition
+ * @returns {Object|null} - Latest version of the rubric, null if none applies
+ */
+const getScenarioRubric = (scenario) => {
+  if (scenario.defaultRubric) {
+    const rubric = getRubric(scenario.defaultRubric);
+    if (rubric) return rubric;
+  }
+
+  const candidates = getBundledRubrics()
+    .filter(rubric => !rubric.scenarioIds || rubric.scenarioIds.length === 0 || rubric.scenarioIds.includes(scenario.id))
+    .sort((a, b) => (b.scenarioIds?.length || 0) - (a.scenarioIds?.length || 0));
+  return candidates.length > 0 ? getRubric(candidates[0].id) : null;
+};
+
+module.exports = {
+  getScenario,
+  getBundledRubrics,
+  setRubricLookup,
+  getRubric,
+  getScenarioRubric
+};
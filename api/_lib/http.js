@@ -0,0 +1,161 @@
+/**
+ * Request helpers shared by the API functions. They work both as Vercel
+ * serverless functions and when mounted by server/index.js.
+ */
+
+const { checkRateLimit } = require('./rateLimit');
+
+// With AUTH_REQUIRED=true, routes created with signInRequired serve signed-in users only
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+
+// Finds the signed-in user of a request. The API functions keep no accounts
+// themselves; the local server plugs in its accounts lookup (server/auth).
+let lookUpUser = () => null;
+
+/**
+ * Sets how handlers find the signed-in user of a request
+ * @param {Function} lookUp - (req) => user or null
+ */
+const setUserLookup = (lookUp) => {
+  lookUpUser = lookUp;
+};
+
+/**
+ * Finds the signed-in user of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} - User, null when signed out or without accounts
+ */
+const getSignedInUser = (req) => {
+  try {
+    return lookUpUser(req);
+  } catch (error) {
+    console.error('Could not look up the signed-in user:', error);
+    return null;
+  }
+};
+
+// Error with an HTTP status that is safe to show to the browser
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+const sendJson = (res, status, data) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Reads the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Buffer>} - Body bytes
+ */
+const readRawBody = async (req, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new HttpError(413, `Request body larger than ${Math.round(maxBytes / 1024)} KB`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Reads a JSON request body. Vercel parses JSON bodies itself, the local
+ * server does not.
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Object>} - Parsed body
+ */
+const readJsonBody = async (req, maxBytes = 256 * 1024) => {
+  let body = 'body' in req ? req.body : await readRawBody(req, maxBytes);
+
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      throw new HttpError(400, 'Request body must be JSON');
+    }
+  }
+
+  if (!body || typeof body !== 'object') {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+
+  return body;
+};
+
+/**
+ * Wraps an API handler with method checking, per-user rate limiting and error handling
+ * @param {Object} options - Handler options
+ * @param {string} options.bucket - Rate limit bucket, see rateLimit.js
+ * @param {Function} options.handle - async (req, res) => void
+ * @param {Array<string>} options.methods - Accepted HTTP methods, POST only by default
+ * @param {boolean} options.signInRequired - Refuse callers who are not signed in when AUTH_REQUIRED=true
+ * @returns {Function} - Request handler
+ */
+const createHandler = ({ bucket, handle, methods = ['POST'], signInRequired = false }) => async (req, res) => {
+  if (!methods.includes(req.method)) {
+    res.setHeader('Allow', methods.join(', '));
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  const limit = checkRateLimit(req, bucket, getSignedInUser(req)?.id);
+  res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    sendJson(res, 429, { error: 'Too many requests', retryAfter: limit.retryAfter });
+    return;
+  }
+
+  try {
+    if (signInRequired && AUTH_REQUIRED && !getSignedInUser(req)) {
+      throw new HttpError(401, 'Sign-in required');
+    }
+    await handle(req, res);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      console.warn(`${req.url}: ${error.message}`);
+    } else {
+      console.error(`${req.url} failed:`, error);
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    const status = error instanceof HttpError ? error.status : 500;
+    sendJson(res, status, { error: error instanceof HttpError ? error.message : 'Internal server error' });
+  }
+};
+
+module.exports = {
+  HttpError,
+  setUserLookup,
+  getSignedInUser,
+  sendJson,
+  readRawBody,
+  readJsonBody,
+  createHandler
+};
@@ -0,0 +1,107 @@
+/**
+ * In-memory sliding-window rate limiter.
+ *
+ * Requests are counted per user and per bucket. Signed-in users are counted
+ * by account, everyone else by IP address. Nothing the browser can choose
+ * freely, such as a header or a random id, decides the key, so a client cannot
+ * start a fresh count whenever it likes. On serverless hosting each instance
+ * keeps its own counters, so the limits are approximate there.
+ */
+
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60 * 1000);
+
+// Requests allowed per user per window for each bucket
+const LIMITS = {
+  chat: Number(process.env.RATE_LIMIT_CHAT || 30),
+  transcribe: Number(process.env.RATE_LIMIT_TRANSCRIBE || 30),
+  tts: Number(process.env.RATE_LIMIT_TTS || 60),
+  speechToken: Number(process.env.RATE_LIMIT_SPEECH_TOKEN || 10),
+  dashboard: Number(process.env.RATE_LIMIT_DASHBOARD || 60),
+  // Sign-in attempts, kept low against password guessing
+  auth: Number(process.env.RATE_LIMIT_AUTH || 10),
+  accounts: Number(process.env.RATE_LIMIT_ACCOUNTS || 60)
+};
+
+// X-Forwarded-For is only believed behind a proxy that sets it: Vercel
+// overwrites it with the client's address, TRUST_PROXY=true says a reverse
+// proxy in front of the local server appends it
+const TRUST_FORWARDED_FOR = Boolean(process.env.VERCEL) || process.env.TRUST_PROXY === 'true';
+
+// Stop tracking users that have been quiet for a while once the map grows large
+const MAX_TRACKED_KEYS = 10000;
+
+const requestLog = new Map();
+
+/**
+ * Returns the client's IP address
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} - IP address, 'unknown' if there is none
+ */
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (TRUST_FORWARDED_FOR && typeof forwarded === 'string') {
+    // The address the trusted proxy added comes last; earlier ones are the client's say-so
+    const ip = forwarded.split(',').pop().trim();
+    if (ip) return ip;
+  }
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Works out who is making the request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} userId - Account id of the signed-in user, if any
+ * @returns {string} - Rate limit key
+ */
+const getUserKey = (req, userId = null) => (userId ? `user:${userId}` : `ip:${getClientIp(req)}`);
+
+// Drops timestamps that have left the window, and whole keys with none left
+const sweep = (now) => {
+  for (const [key, timestamps] of requestLog.entries()) {
+    if (timestamps[timestamps.length - 1] <= now - WINDOW_MS) {
+      requestLog.delete(key);
+    }
+  }
+};
+
+/**
+ * Records a request and checks it against the bucket's limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} bucket - Bucket name, one of the LIMITS keys
+ * @param {string} userId - Account id of the signed-in user, if any
+ * @returns {{allowed: boolean, remaining: number, retryAfter: number}} - Result, retryAfter in seconds
+ */
+const checkRateLimit = (req, bucket, userId = null) => {
+  const limit = LIMITS[bucket];
+  if (!limit) {
+    return { allowed: true, remaining: 0, retryAfter: 0 };
+  }
+
+  const now = Date.now();
+  const key = `${bucket}|${getUserKey(req, userId)}`;
+  const timestamps = (requestLog.get(key) || []).filter(time => time > now - WINDOW_MS);
+
+  if (timestamps.length >= limit) {
+    requestLog.set(key, timestamps);
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((timestamps[0] + WINDOW_MS - now) / 1000))
+    };
+  }
+
+  timestamps.push(now);
+  requestLog.set(key, timestamps);
+
+  if (requestLog.size > MAX_TRACKED_KEYS) {
+    sweep(now);
+  }
+
+  return { allowed: true, remaining: limit - timestamps.length, retryAfter: 0 };
+};
+
+module.exports = {
+  getClientIp,
+  getUserKey,
+  checkRateLimit
+};
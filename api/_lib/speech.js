@@ -0,0 +1,76 @@
+/**
+ * Azure Speech helpers shared by the TTS functions. The SSML document is
+ * built here from the text and voice the browser sends, so callers cannot
+ * pass their own markup to the Speech service.
+ */
+
+const { HttpError } = require('./http');
+
+// Longest text accepted for one synthesis
+const MAX_TEXT_LENGTH = 3000;
+
+// Azure neural voice names such as zh-HK-HiuMaanNeural; the locale comes first
+const VOICE_PATTERN = /^([a-z]{2,3}-[A-Z]{2,4})-[A-Za-z]+Neural$/;
+
+/**
+ * Escapes SSML-sensitive characters
+ * @param {string} text - Plain text
+ * @returns {string} - Text safe to embed in SSML
+ */
+const escapeSsml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Checks the text and voice of a synthesis request
+ * @param {Object} body - Parsed request body { text, voice }
+ * @returns {{text: string, voice: string, locale: string}} - Text and voice to synthesise
+ */
+const readSpeechRequest = (body) => {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text) {
+    throw new HttpError(400, 'Request must include the "text" to speak');
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new HttpError(413, `Text longer than ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  const match = typeof body.voice === 'string' ? VOICE_PATTERN.exec(body.voice) : null;
+  if (!match) {
+    throw new HttpError(400, '"voice" must be an Azure neural voice name');
+  }
+
+  return { text, voice: body.voice, locale: match[1] };
+};
+
+/**
+ * Builds the SSML document for plain speech
+ * @param {Object} request - { text, voice, locale } from readSpeechRequest
+ * @returns {string} - SSML
+ */
+const buildSpeechSsml = ({ text, voice, locale }) =>
+  `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${locale}"><voice name="${voice}">${escapeSsml(text)}</voice></speak>`;
+
+/**
+ * Builds the SSML document for speech with viseme events. The speaking rate
+ * is set here rather than by speeding up playback, so the segments can be
+ * played through Web Audio at their natural rate.
+ * @param {Object} request - { text, voice, locale } from readSpeechRequest
+ * @param {boolean} blendShapes - Ask for 3D blend-shape frames instead of 2D viseme ids
+ * @returns {string} - SSML
+ */
+const buildVisemeSsml = ({ text, voice, locale }, blendShapes) => {
+  const visemeType = blendShapes ? 'FacialExpression' : 'redlips_front';
+  return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" xml:lang="${locale}">`
+    + `<voice name="${voice}"><mstts:viseme type="${visemeType}"/>`
+    + `<prosody pitch="-2%" rate="+4%">${escapeSsml(text)}</prosody></voice></speak>`;
+};
+
+module.exports = {
+  readSpeechRequest,
+  buildSpeechSsml,
+  buildVisemeSsml
+};
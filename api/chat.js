@@ -0,0 +1,130 @@
+/**
+ * POST /api/chat
+ *
+ * Runs one of the app's chat tasks (shared/chatTasks.mjs) with the provider
+ * configured with LLM_PROVIDER. The server builds the task's system prompt,
+ * sampling settings and output format from its own scenario and rubric files;
+ * the browser only sends the conversation.
+ * Body: { task, scenarioId, language, messages, stream, subtitleLanguage,
+ * rubricId, rubricVersion }, messages with the roles user and assistant only.
+ * Returns { content } or, when stream is true for a task that allows it, the
+ * provider's server-sent event stream unchanged.
+ */
+
+const { createHandler, readJsonBody, sendJson, HttpError } = require('./_lib/http');
+const { getChatUpstream } = require('./_lib/config');
+const { getScenario, getRubric } = require('./_lib/content');
+const { loadChatTasks, buildTaskRequest, fetchUpstream } = require('./_lib/chatUpstream');
+
+// The system message is the server's; the browser sends the conversation only
+const ALLOWED_ROLES = ['user', 'assistant'];
+const MAX_TOTAL_CHARACTERS = 60000;
+
+/**
+ * Looks up what a task needs: the scenario, patient language and, for some
+ * tasks, the subtitle language or rubric
+ * @param {Object} task - Task definition from CHAT_TASKS
+ * @param {Object} body - Request body
+ * @param {Object} subtitleLanguages - SUBTITLE_LANGUAGES of the chat tasks
+ * @returns {Promise<Object>} - Parameters for buildChatTask
+ */
+const readTaskParams = async (task, body, subtitleLanguages) => {
+  const { PATIENT_LANGUAGES } = await import('../shared/patientLanguages.mjs');
+
+  const scenario = typeof body.scenarioId === 'string' ? await getScenario(body.scenarioId) : null;
+  if (!scenario) {
+    throw new HttpError(400, '"scenarioId" must name a scenario');
+  }
+
+  const params = {
+    scenario,
+    language: PATIENT_LANGUAGES[body.language] ? body.language : scenario.language
+  };
+
+  if (task.params.includes('subtitleLanguage')) {
+    if (!Object.prototype.hasOwnProperty.call(subtitleLanguages, body.subtitleLanguage)) {
+      throw new HttpError(400, `"subtitleLanguage" must be one of ${Object.keys(subtitleLanguages).join(', ')}`);
+    }
+    params.subtitleLanguage = body.subtitleLanguage;
+  }
+
+  if (task.params.includes('rubric')) {
+    const version = body.rubricVersion === undefined ? undefined : Number(body.rubricVersion);
+    const rubric = typeof body.rubricId === 'string' ? getRubric(body.rubricId, version) : null;
+    if (!rubric) {
+      throw new HttpError(400, '"rubricId" must name a rubric the server holds');
+    }
+    params.rubric = rubric;
+  }
+
+  return params;
+};
+
+// Checks the conversation against the task's limits
+const readMessages = (messages, task) => {
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > task.maxMessages) {
+    throw new HttpError(400, `"messages" must be a list of 1 to ${task.maxMessages} messages`);
+  }
+
+  let totalCharacters = 0;
+  const cleanMessages = messages.map(message => {
+    if (!message || !ALLOWED_ROLES.includes(message.role) || typeof message.content !== 'string') {
+      throw new HttpError(400, `Each message needs the role ${ALLOWED_ROLES.join(' or ')} and text content`);
+    }
+    totalCharacters += message.content.length;
+    return { role: message.role, content: message.content };
+  });
+
+  if (totalCharacters > MAX_TOTAL_CHARACTERS) {
+    throw new HttpError(413, 'Conversation is too long');
+  }
+
+  return cleanMessages;
+};
+
+// Builds the provider request for a task
+const buildUpstreamBody = async (body, extraBody) => {
+  const { CHAT_TASKS, SUBTITLE_LANGUAGES } = await loadChatTasks();
+  const task = Object.prototype.hasOwnProperty.call(CHAT_TASKS, body.task) ? CHAT_TASKS[body.task] : null;
+  if (!task) {
+    throw new HttpError(400, `"task" must be one of ${Object.keys(CHAT_TASKS).join(', ')}`);
+  }
+
+  const messages = readMessages(body.messages, task);
+  const params = await readTaskParams(task, body, SUBTITLE_LANGUAGES);
+  return buildTaskRequest(body.task, params, messages, { extraBody, stream: Boolean(body.stream && task.stream) });
+};
+
+module.exports = createHandler({
+  bucket: 'chat',
+  signInRequired: true,
+  handle: async (req, res) => {
+    const body = await readJsonBody(req);
+    const upstream = getChatUpstream();
+    const upstreamBody = await buildUpstreamBody(body, upstream.extraBody);
+
+    // Stop the upstream request if the browser goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const response = await fetchUpstream(upstream, upstreamBody, controller);
+
+    if (!upstreamBody.stream) {
+      const data = await response.json();
+      sendJson(res, 200, { content: data.choices?.[0]?.message?.content || '' });
+      return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+
+    for await (const chunk of response.body) {
+      res.write(chunk);
+    }
+    res.end();
+  }
+});
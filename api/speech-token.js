@@ -0,0 +1,42 @@
+/**
+ * POST /api/speech-token
+ *
+ * Issues a short-lived Azure Speech authorization token so the browser can
+ * run streaming recognition with the Speech SDK without seeing the key.
+ * Returns { token, region, expiresIn } with expiresIn in seconds.
+ */
+
+const { createHandler, sendJson, HttpError } = require('./_lib/http');
+const { getSpeechCredentials } = require('./_lib/config');
+
+// Azure tokens are valid for 10 minutes; tell the browser to renew a little earlier
+const TOKEN_LIFETIME_SECONDS = 9 * 60;
+
+module.exports = createHandler({
+  bucket: 'speechToken',
+  signInRequired: true,
+  handle: async (req, res) => {
+    const { key, region } = getSpeechCredentials();
+
+    const response = await fetch(`https://${region}.api.cognitive.microsoft.com/sts/v1.0/issueToken`, {
+      method: 'POST',
+      headers: {
+        'Ocp-Apim-Subscription-Key': key,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      console.error(`Azure Speech token request returned ${response.status}:`, await response.text());
+      throw new HttpError(502, `Speech service returned ${response.status}`);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    sendJson(res, 200, {
+      token: await response.text(),
+      region,
+      expiresIn: TOKEN_LIFETIME_SECONDS
+    });
+  }
+});
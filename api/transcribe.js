@@ -0,0 +1,44 @@
+/**
+ * POST /api/transcribe
+ *
+ * Forwards a multipart/form-data Whisper request (file, language, prompt)
+ * to Azure OpenAI Whisper and returns { text }.
+ */
+
+const { createHandler, readRawBody, sendJson, HttpError } = require('./_lib/http');
+const { getWhisperUpstream } = require('./_lib/config');
+
+// Whisper accepts files up to 25 MB
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+module.exports = createHandler({
+  bucket: 'transcribe',
+  signInRequired: true,
+  handle: async (req, res) => {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+      throw new HttpError(400, 'Audio must be sent as multipart/form-data');
+    }
+
+    const upstream = getWhisperUpstream();
+    const audio = await readRawBody(req, MAX_AUDIO_BYTES);
+
+    const response = await fetch(upstream.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        ...upstream.headers
+      },
+      body: audio,
+      signal: AbortSignal.timeout(30000)
+    });
+
+    if (!response.ok) {
+      console.error(`Whisper returned ${response.status}:`, await response.text());
+      throw new HttpError(502, `Transcription service returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    sendJson(res, 200, { text: data.text || '' });
+  }
+});
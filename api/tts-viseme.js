@@ -0,0 +1,110 @@
+/**
+ * POST /api/tts-viseme
+ *
+ * Synthesises text with the Azure Speech SDK and collects the viseme and
+ * word boundary events for the facial animation and barge-in.
+ * Body: { text, voice, blendShapes }, voice an Azure neural voice name.
+ * Returns { audio (base64 MP3), visemes: [{ visemeId, audioOffset }],
+ * words: [{ text, audioOffset }] } with audioOffset in milliseconds.
+ *
+ * With blendShapes: true, the response also has blendShapes: { frameRate: 60,
+ * frames: [[55 weights], ...] } for the 3D avatar, in the ARKit-style order
+ * documented by Azure.
+ */
+
+const SpeechSDK = require('microsoft-cognitiveservices-speech-sdk');
+const { createHandler, readJsonBody, sendJson, HttpError } = require('./_lib/http');
+const { getSpeechCredentials } = require('./_lib/config');
+const { readSpeechRequest, buildVisemeSsml } = require('./_lib/speech');
+
+// Azure sends facial expression frames at 60 frames per second
+const BLEND_SHAPE_FRAME_RATE = 60;
+
+// Runs the synthesis and resolves with the audio, viseme and word boundary events
+const synthesise = (ssml, { key, region }) => new Promise((resolve, reject) => {
+  const speechConfig = SpeechSDK.SpeechConfig.fromSubscription(key, region);
+  speechConfig.speechSynthesisOutputFormat = SpeechSDK.SpeechSynthesisOutputFormat.Audio16Khz128KBitRateMonoMp3;
+
+  // Null audio config keeps the audio in memory
+  const synthesizer = new SpeechSDK.SpeechSynthesizer(speechConfig, null);
+  const visemes = [];
+  const words = [];
+  const blendShapeFrames = [];
+
+  synthesizer.visemeReceived = (s, e) => {
+    // FacialExpression requests carry chunks of blend-shape frames in the animation field
+    if (e.animation) {
+      try {
+        const { FrameIndex, BlendShapes } = JSON.parse(e.animation);
+        BlendShapes.forEach((frame, index) => {
+          blendShapeFrames[FrameIndex + index] = frame.map(value => Math.round(value * 1000) / 1000);
+        });
+      } catch (error) {
+        console.warn('Could not parse blend-shape animation:', error.message);
+      }
+    }
+
+    // The audioOffset is in 100-nanosecond ticks, convert to milliseconds
+    visemes.push({
+      visemeId: e.visemeId,
+      audioOffset: Math.round(e.audioOffset / 10000)
+    });
+  };
+
+  // Word timings tell the client how much of the text was spoken when the nurse interrupts
+  synthesizer.wordBoundary = (s, e) => {
+    words.push({
+      text: e.text,
+      audioOffset: Math.round(e.audioOffset / 10000)
+    });
+  };
+
+  synthesizer.speakSsmlAsync(
+    ssml,
+    result => {
+      synthesizer.close();
+
+      if (result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
+        resolve({ audioData: result.audioData, visemes, words, blendShapeFrames });
+      } else {
+        console.error('Speech synthesis failed:', result.errorDetails);
+        reject(new HttpError(502, 'Speech synthesis failed'));
+      }
+    },
+    error => {
+      synthesizer.close();
+      reject(error);
+    }
+  );
+});
+
+module.exports = createHandler({
+  bucket: 'tts',
+  signInRequired: true,
+  handle: async (req, res) => {
+    const request = await readJsonBody(req);
+    const ssml = buildVisemeSsml(readSpeechRequest(request), request.blendShapes === true);
+    const { audioData, visemes, words, blendShapeFrames } = await synthesise(ssml, getSpeechCredentials());
+
+    // Events can arrive out of order
+    visemes.sort((a, b) => a.audioOffset - b.audioOffset);
+    words.sort((a, b) => a.audioOffset - b.audioOffset);
+
+    const body = {
+      audio: Buffer.from(audioData).toString('base64'),
+      visemes,
+      words
+    };
+
+    if (blendShapeFrames.length > 0) {
+      // Chunks can arrive out of order; fill any gap with the frame before it
+      const frames = [];
+      for (let i = 0; i < blendShapeFrames.length; i++) {
+        frames.push(blendShapeFrames[i] || frames[i - 1] || []);
+      }
+      body.blendShapes = { frameRate: BLEND_SHAPE_FRAME_RATE, frames };
+    }
+
+    sendJson(res, 200, body);
+  }
+});
@@ -0,0 +1,45 @@
+/**
+ * POST /api/tts
+ *
+ * Synthesises text with the Azure Speech REST API.
+ * Body: { text, voice }, voice an Azure neural voice name. Returns the MP3 audio.
+ */
+
+const { createHandler, readJsonBody, HttpError } = require('./_lib/http');
+const { getSpeechCredentials } = require('./_lib/config');
+const { readSpeechRequest, buildSpeechSsml } = require('./_lib/speech');
+
+module.exports = createHandler({
+  bucket: 'tts',
+  signInRequired: true,
+  handle: async (req, res) => {
+    const ssml = buildSpeechSsml(readSpeechRequest(await readJsonBody(req)));
+    const { key, region } = getSpeechCredentials();
+
+    const response = await fetch(`https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`, {
+      method: 'POST',
+      headers: {
+        'Ocp-Apim-Subscription-Key': key,
+        'Content-Type': 'application/ssml+xml',
+        'X-Microsoft-OutputFormat': 'audio-16khz-128kbitrate-mono-mp3',
+        'User-Agent': 'patient-simulation-hk'
+      },
+      body: ssml,
+      signal: AbortSignal.timeout(120000)
+    });
+
+    if (!response.ok) {
+      console.error(`Azure Speech returned ${response.status}:`, await response.text());
+      throw new HttpError(502, `Speech service returned ${response.status}`);
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Cache-Control', 'no-store');
+
+    for await (const chunk of response.body) {
+      res.write(chunk);
+    }
+    res.end();
+  }
+});
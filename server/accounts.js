@@ -0,0 +1,569 @@
+/**
+ * Accounts API, local server only (accounts live in the SQLite file, see
+ * accountsDb.js).
+ *
+ * POST  /api/auth/login          Signs in with username and password
+ * POST  /api/auth/register       Activates or creates a student account with a class join code
+ *                                (and the student's activation code for imported accounts)
+ * POST  /api/auth/logout         Ends the sign-in session
+ * GET   /api/auth/me             The signed-in user and their classes
+ * GET   /api/auth/providers      Sign-in options for the login page
+ * GET   /api/auth/sso/start      Sends the browser to an SSO adapter, ?provider=
+ * GET|POST /api/auth/sso/callback  Where the identity provider sends it back, ?provider=
+ * POST  /api/classes/join        A signed-in student joins a class by join code
+ * GET|POST /api/classes          Tutors and admins list and create classes
+ * POST  /api/classes/join-code   Replaces a class's join code
+ * GET   /api/classes/members     Members of a class, ?classId=
+ * POST  /api/classes/import      Bulk-imports student IDs into a class from CSV
+ * POST  /api/classes/activation-code  A new activation code for a student of a class
+ * GET|POST|PATCH /api/users      Admins list, create and change accounts
+ *
+ * Signed-in requests carry the bearer token from login in the Authorization header.
+ */
+
+const crypto = require('crypto');
+const { createHandler, sendJson, readJsonBody, readRawBody, HttpError } = require('../api/_lib/http');
+const {
+  ROLES,
+  getUser,
+  findUserByUsername,
+  findUserByExternalId,
+  createUser,
+  updateUser,
+  linkExternalIdentity,
+  listUsers,
+  getClass,
+  findClassByJoinCode,
+  createClass,
+  regenerateJoinCode,
+  listClasses,
+  enrol,
+  listClassMembers,
+  getUserClasses,
+  deleteUserAuthSessions,
+  issueActivationCode,
+  redeemActivationCode
+} = require('./accountsDb');
+const { openDatabase } = require('./database');
+const {
+  LOCAL_LOGIN_ENABLED,
+  localProvider,
+  listProviders,
+  getSsoAdapter,
+  issueToken,
+  requireUser,
+  endRequestSession,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('./auth');
+
+// Students can create an account with just a join code; with false, only imported student IDs can be activated
+const OPEN_REGISTRATION = process.env.AUTH_OPEN_REGISTRATION !== 'false';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MAX_IMPORT_ROWS = 2000;
+
+// Pending SSO logins by state, so callbacks can only complete a login this server started
+const SSO_STATE_TTL_MS = 10 * 60 * 1000;
+const ssoStates = new Map();
+
+/**
+ * Reads a username field
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @returns {string} - Trimmed username
+ */
+const readUsername = (value, name = 'username') => {
+  const username = typeof value === 'string' ? value.trim() : '';
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new HttpError(400, `${name} must be 1 to 64 letters, digits or . _ @ -`);
+  }
+  return username;
+};
+
+/**
+ * Reads an optional display name
+ * @param {*} value - Field value
+ * @returns {string|null|undefined} - Trimmed name, null when empty, undefined when not given
+ */
+const readDisplayName = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > 100) {
+    throw new HttpError(400, 'displayName must be text of at most 100 characters');
+  }
+  return value.trim() || null;
+};
+
+const readRole = (value) => {
+  if (!ROLES.includes(value)) {
+    throw new HttpError(400, `role must be one of ${ROLES.join(', ')}`);
+  }
+  return value;
+};
+
+// The signed-in user as the browser sees it
+const toProfile = (user) => ({
+  id: user.id,
+  username: user.username,
+  displayName: user.displayName,
+  role: user.role,
+  provider: user.provider,
+  classes: getUserClasses(user.id)
+});
+
+// Signs the user in and answers with the token and profile
+const sendSignedIn = (res, user) => {
+  sendJson(res, 200, { ...issueToken(user), user: toProfile(user) });
+};
+
+const login = async (req, res) => {
+  if (!LOCAL_LOGIN_ENABLED) {
+    throw new HttpError(403, 'Password sign-in is turned off, use single sign-on');
+  }
+
+  const body = await readJsonBody(req);
+  const username = typeof body.username === 'string' ? body.username : '';
+  checkLoginThrottle(req, username);
+
+  const user = await localProvider.authenticate(body);
+  if (!user) {
+    recordLoginFailure(req, username);
+    throw new HttpError(401, 'Wrong username or password, or the account has not been activated');
+  }
+
+  clearLoginFailures(user.username);
+  console.log(`Accounts: ${user.username} signed in`);
+  sendSignedIn(res, user);
+};
+
+// A pending imported account is a local one without a password, in the class
+const isPendingImport = (user, classId) => user.provider === 'local' && !user.hasPassword
+  && getUserClasses(user.id).some(candidate => candidate.id === classId && candidate.role === 'student');
+
+// Activates an imported student account with its activation code, or creates
+// one, and enrols it in the join code's class
+const register = async (req, res) => {
+  if (!LOCAL_LOGIN_ENABLED) {
+    throw new HttpError(403, 'Password sign-in is turned off, use single sign-on');
+  }
+
+  const body = await readJsonBody(req);
+  const username = readUsername(body.username, 'Student ID');
+  const displayName = readDisplayName(body.displayName);
+  const password = localProvider.checkPasswordRules(body.password);
+  checkLoginThrottle(req, username);
+
+  const joinClass = typeof body.joinCode === 'string' ? findClassByJoinCode(body.joinCode) : null;
+  if (!joinClass) {
+    recordLoginFailure(req, username);
+    throw new HttpError(400, 'Unknown join code');
+  }
+
+  const existing = findUserByUsername(username);
+  let user;
+  if (existing) {
+    if (!isPendingImport(existing, joinClass.id)) {
+      throw new HttpError(409, 'This student ID already has an account, please sign in');
+    }
+    // The join code is shared by the class, so the student proves who they are with their own code
+    const activationCode = typeof body.activationCode === 'string' ? body.activationCode : '';
+    if (!activationCode || !redeemActivationCode(existing.id, activationCode)) {
+      recordLoginFailure(req, username);
+      throw new HttpError(400, 'Wrong or used activation code, please ask your tutor for a new one');
+    }
+    user = updateUser(existing.id, {
+      passwordHash: await localProvider.hashPassword(password),
+      ...(displayName ? { displayName } : {})
+    });
+    console.log(`Accounts: ${existing.username} activated their imported account`);
+  } else {
+    if (!OPEN_REGISTRATION) {
+      throw new HttpError(403, 'Ask your tutor to add your student ID to the class first');
+    }
+    user = createUser({ username, displayName, role: 'student', passwordHash: await localProvider.hashPassword(password) });
+    enrol(joinClass.id, user.id);
+    console.log(`Accounts: ${username} registered in ${joinClass.name}`);
+  }
+
+  clearLoginFailures(username);
+  sendSignedIn(res, user);
+};
+
+const logout = async (req, res) => {
+  endRequestSession(req);
+  sendJson(res, 200, { ok: true });
+};
+
+const sendMe = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, { user: toProfile(requireUser(req)) });
+};
+
+const sendProviders = (req, res) => {
+  sendJson(res, 200, { providers: listProviders(), openRegistration: OPEN_REGISTRATION && LOCAL_LOGIN_ENABLED });
+};
+
+// Origin the browser reaches this server on, for the SSO redirect URI
+const getPublicUrl = (req) => (process.env.AUTH_PUBLIC_URL
+  || `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`).replace(/\/+$/, '');
+
+const getRedirectUri = (req, adapter) => `${getPublicUrl(req)}/api/auth/sso/callback?provider=${encodeURIComponent(adapter.id)}`;
+
+const readProviderParam = (req) => new URL(req.url, 'http://localhost').searchParams.get('provider') || '';
+
+const redirect = (res, location) => {
+  res.statusCode = 302;
+  res.setHeader('Location', location);
+  res.setHeader('Cache-Control', 'no-store');
+  res.end();
+};
+
+const startSso = async (req, res) => {
+  const adapter = getSsoAdapter(readProviderParam(req));
+
+  const now = Date.now();
+  for (const [state, pending] of ssoStates.entries()) {
+    if (pending.expiresAt <= now) ssoStates.delete(state);
+  }
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  ssoStates.set(state, { provider: adapter.id, expiresAt: now + SSO_STATE_TTL_MS });
+  redirect(res, await adapter.getLoginUrl({ state, redirectUri: getRedirectUri(req, adapter) }));
+};
+
+/**
+ * Finds or creates the account of an SSO identity. An account with the same
+ * username that is not linked to another provider, e.g. an imported student
+ * ID, is linked to the identity.
+ * @param {Object} adapter - SSO adapter
+ * @param {Object} identity - SsoIdentity from the adapter
+ * @returns {Object} - The user
+ */
+const resolveSsoUser = (adapter, identity) => {
+  const linked = findUserByExternalId(adapter.id, identity.externalId);
+  if (linked) return linked;
+
+  const username = readUsername(identity.username);
+  const existing = findUserByUsername(username);
+  if (existing) {
+    if (existing.provider !== 'local') {
+      throw new HttpError(409, `${username} is linked to another sign-in provider`);
+    }
+    console.log(`Accounts: linked ${username} to ${adapter.id}`);
+    return linkExternalIdentity(existing.id, adapter.id, identity.externalId);
+  }
+
+  console.log(`Accounts: created ${username} from ${adapter.id}`);
+  return createUser({
+    username,
+    displayName: readDisplayName(identity.displayName) || null,
+    role: readRole(identity.role || 'student'),
+    provider: adapter.id,
+    externalId: identity.externalId
+  });
+};
+
+// Completes an SSO login and hands the token to the app's login page in the URL fragment,
+// which is not sent to servers or kept in their logs
+const finishSso = async (req, res) => {
+  const appUrl = (process.env.APP_URL || getPublicUrl(req)).replace(/\/+$/, '');
+
+  try {
+    const adapter = getSsoAdapter(readProviderParam(req));
+    const identity = await adapter.handleCallback(req, {
+      redirectUri: getRedirectUri(req, adapter),
+      readBody: async () => (await readRawBody(req, 256 * 1024)).toString('utf8')
+    });
+
+    const pending = ssoStates.get(identity?.state);
+    ssoStates.delete(identity?.state);
+    if (!pending || pending.provider !== adapter.id || pending.expiresAt <= Date.now()) {
+      throw new HttpError(400, 'The sign-in took too long or did not start here, please try again');
+    }
+    if (typeof identity.externalId !== 'string' || !identity.externalId) {
+      throw new Error(`SSO adapter ${adapter.id} returned no externalId`);
+    }
+
+    const user = resolveSsoUser(adapter, identity);
+    const { token, expiresAt } = issueToken(user);
+    console.log(`Accounts: ${user.username} signed in with ${adapter.id}`);
+    redirect(res, `${appUrl}/login#${new URLSearchParams({ token, expiresAt })}`);
+  } catch (error) {
+    console.warn('SSO sign-in failed:', error.message);
+    const message = error instanceof HttpError ? error.message : 'Single sign-on failed';
+    redirect(res, `${appUrl}/login#${new URLSearchParams({ error: message })}`);
+  }
+};
+
+// Join codes only enrol students; tutors teach the classes they create
+const joinClassByCode = async (req, res) => {
+  const user = requireUser(req, ['student']);
+  const body = await readJsonBody(req);
+  const joinClass = typeof body.joinCode === 'string' ? findClassByJoinCode(body.joinCode) : null;
+  if (!joinClass) {
+    throw new HttpError(400, 'Unknown join code');
+  }
+
+  if (enrol(joinClass.id, user.id)) {
+    console.log(`Accounts: ${user.username} joined ${joinClass.name}`);
+  }
+  sendJson(res, 200, { user: toProfile(user) });
+};
+
+/**
+ * Looks up a class the user may manage: any class for admins, the classes
+ * they teach for tutors
+ * @param {Object} user - Signed-in tutor or admin
+ * @param {*} classId - Class id from the request
+ * @returns {Object} - The class
+ */
+const requireManagedClass = (user, classId) => {
+  const managed = typeof classId === 'string' ? getClass(classId) : null;
+  const teaches = managed && getUserClasses(user.id).some(entry => entry.id === managed.id && entry.role === 'tutor');
+  if (!managed || (user.role !== 'admin' && !teaches)) {
+    throw new HttpError(404, 'Unknown class');
+  }
+  return managed;
+};
+
+const handleClasses = async (req, res) => {
+  const user = requireUser(req, ['tutor', 'admin']);
+
+  if (req.method === 'GET') {
+    res.setHeader('Cache-Control', 'no-store');
+    sendJson(res, 200, { classes: listClasses(user.role === 'admin' ? null : user.id) });
+    return;
+  }
+
+  const body = await readJsonBody(req);
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 64) {
+    throw new HttpError(400, 'name must be text of at most 64 characters');
+  }
+  if (listClasses().some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+    throw new HttpError(409, `There is already a class called ${name}`);
+  }
+
+  const created = createClass({ name, createdBy: user.id });
+  console.log(`Accounts: ${user.username} created class ${name}`);
+  sendJson(res, 200, { class: created });
+};
+
+const replaceJoinCode = async (req, res) => {
+  const user = requireUser(req, ['tutor', 'admin']);
+  const body = await readJsonBody(req);
+  const managed = requireManagedClass(user, body.classId);
+  sendJson(res, 200, { class: regenerateJoinCode(managed.id) });
+};
+
+const sendMembers = (req, res) => {
+  const user = requireUser(req, ['tutor', 'admin']);
+  const managed = requireManagedClass(user, new URL(req.url, 'http://localhost').searchParams.get('classId'));
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, { class: managed, members: listClassMembers(managed.id) });
+};
+
+/**
+ * Splits CSV text into rows of trimmed cells, with quoted cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, blank lines left out
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+/**
+ * Reads student IDs and names from CSV. A header row naming the columns
+ * (student_id / id / username, and name / student_name) is optional; without
+ * one the first column is the ID and the second the name.
+ * @param {string} text - CSV text, e.g. exported from the student records system
+ * @returns {Array<{line: number, studentId: string, name: string}>} - Rows
+ */
+const readStudentCsv = (text) => {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const header = (rows[0] || []).map(cell => cell.toLowerCase().replace(/[\s_-]/g, ''));
+  const idColumn = header.findIndex(cell => ['studentid', 'id', 'username', 'sid'].includes(cell));
+  const hasHeader = idColumn !== -1;
+  const nameColumn = hasHeader
+    ? header.findIndex(cell => ['name', 'studentname', 'displayname', 'fullname'].includes(cell))
+    : 1;
+
+  return rows.slice(hasHeader ? 1 : 0).map((cells, index) => ({
+    line: index + (hasHeader ? 2 : 1),
+    studentId: cells[hasHeader ? idColumn : 0] || '',
+    name: nameColumn === -1 ? '' : cells[nameColumn] || ''
+  }));
+};
+
+// Creates accounts for new student IDs and enrols them all. New accounts, and
+// earlier imports still waiting without a code, get an activation code that
+// is returned once for the tutor to hand out.
+const importStudents = async (req, res) => {
+  const user = requireUser(req, ['tutor', 'admin']);
+  const body = await readJsonBody(req, 1024 * 1024);
+  const managed = requireManagedClass(user, body.classId);
+  if (typeof body.csv !== 'string' || !body.csv.trim()) {
+    throw new HttpError(400, 'csv must be the text of a CSV file');
+  }
+
+  const rows = readStudentCsv(body.csv);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(400, `At most ${MAX_IMPORT_ROWS} students can be imported at once`);
+  }
+
+  const result = { created: 0, enrolled: 0, alreadyEnrolled: 0, skipped: [], activationCodes: [] };
+  const db = openDatabase();
+  db.transaction(() => {
+    rows.forEach(({ line, studentId, name }) => {
+      if (!USERNAME_PATTERN.test(studentId)) {
+        result.skipped.push({ line, studentId, reason: 'Not a valid student ID' });
+        return;
+      }
+
+      let student = findUserByUsername(studentId);
+      if (student && student.role !== 'student') {
+        result.skipped.push({ line, studentId, reason: `Username of a ${student.role} account` });
+        return;
+      }
+      if (!student) {
+        student = createUser({ username: studentId, displayName: name.slice(0, 100) || null, role: 'student' });
+        result.created++;
+      } else if (!student.displayName && name) {
+        updateUser(student.id, { displayName: name.slice(0, 100) });
+      }
+
+      if (enrol(managed.id, student.id)) {
+        result.enrolled++;
+      } else {
+        result.alreadyEnrolled++;
+      }
+
+      if (isPendingImport(student, managed.id) && !student.hasActivationCode) {
+        result.activationCodes.push({ studentId: student.username, name: student.displayName || name, code: issueActivationCode(student.id) });
+      }
+    });
+  })();
+
+  console.log(`Accounts: ${user.username} imported ${rows.length} rows into ${managed.name} (${result.created} new accounts)`);
+  sendJson(res, 200, result);
+};
+
+// Replaces the activation code of a student who has not activated their account, e.g. after losing it
+const replaceActivationCode = async (req, res) => {
+  const user = requireUser(req, ['tutor', 'admin']);
+  const body = await readJsonBody(req);
+  const managed = requireManagedClass(user, body.classId);
+  const student = typeof body.userId === 'string' ? getUser(body.userId) : null;
+  if (!student || !isPendingImport(student, managed.id)) {
+    throw new HttpError(404, 'No student waiting for activation in this class');
+  }
+
+  console.log(`Accounts: ${user.username} issued a new activation code for ${student.username}`);
+  sendJson(res, 200, { studentId: student.username, code: issueActivationCode(student.id) });
+};
+
+const handleUsers = async (req, res) => {
+  const admin = requireUser(req, ['admin']);
+
+  if (req.method === 'GET') {
+    const role = new URL(req.url, 'http://localhost').searchParams.get('role') || '';
+    res.setHeader('Cache-Control', 'no-store');
+    sendJson(res, 200, { users: listUsers(role && readRole(role)) });
+    return;
+  }
+
+  const body = await readJsonBody(req);
+
+  if (req.method === 'POST') {
+    const username = readUsername(body.username);
+    if (findUserByUsername(username)) {
+      throw new HttpError(409, `${username} already has an account`);
+    }
+    const passwordHash = body.password ? await localProvider.hashPassword(localProvider.checkPasswordRules(body.password)) : null;
+    const created = createUser({ username, displayName: readDisplayName(body.displayName) || null, role: readRole(body.role), passwordHash });
+    console.log(`Accounts: ${admin.username} created ${created.role} ${username}`);
+    sendJson(res, 200, { user: created });
+    return;
+  }
+
+  // PATCH: change role or name, set a new password, or clear it so the
+  // student activates the account again with a join code and the new
+  // activation code in the response
+  const target = typeof body.id === 'string' ? getUser(body.id) : null;
+  if (!target) {
+    throw new HttpError(404, 'Unknown user');
+  }
+  if (target.id === admin.id && body.role !== undefined && body.role !== 'admin') {
+    throw new HttpError(400, 'You cannot remove your own admin role');
+  }
+
+  let passwordHash;
+  if (body.password) {
+    passwordHash = await localProvider.hashPassword(localProvider.checkPasswordRules(body.password));
+  } else if (body.resetPassword === true) {
+    passwordHash = null;
+  }
+
+  const updated = updateUser(target.id, {
+    displayName: readDisplayName(body.displayName),
+    role: body.role === undefined ? undefined : readRole(body.role),
+    passwordHash
+  });
+  if (passwordHash !== undefined) deleteUserAuthSessions(target.id);
+  const activationCode = passwordHash === null && updated.provider === 'local' ? issueActivationCode(target.id) : undefined;
+  console.log(`Accounts: ${admin.username} updated ${target.username}`);
+  sendJson(res, 200, { user: updated, activationCode });
+};
+
+module.exports = {
+  '/api/auth/login': createHandler({ bucket: 'auth', handle: login }),
+  '/api/auth/register': createHandler({ bucket: 'auth', handle: register }),
+  '/api/auth/logout': createHandler({ bucket: 'accounts', handle: logout }),
+  '/api/auth/me': createHandler({ bucket: 'accounts', methods: ['GET'], handle: sendMe }),
+  '/api/auth/providers': createHandler({ bucket: 'accounts', methods: ['GET'], handle: sendProviders }),
+  '/api/auth/sso/start': createHandler({ bucket: 'auth', methods: ['GET'], handle: startSso }),
+  '/api/auth/sso/callback': createHandler({ bucket: 'auth', methods: ['GET', 'POST'], handle: finishSso }),
+  '/api/classes': createHandler({ bucket: 'accounts', methods: ['GET', 'POST'], handle: handleClasses }),
+  '/api/classes/join': createHandler({ bucket: 'auth', handle: joinClassByCode }),
+  '/api/classes/join-code': createHandler({ bucket: 'accounts', handle: replaceJoinCode }),
+  '/api/classes/members': createHandler({ bucket: 'accounts', methods: ['GET'], handle: sendMembers }),
+  '/api/classes/import': createHandler({ bucket: 'accounts', handle: importStudents }),
+  '/api/classes/activation-code': createHandler({ bucket: 'accounts', handle: replaceActivationCode }),
+  '/api/users': createHandler({ bucket: 'accounts', methods: ['GET', 'POST', 'PATCH'], handle: handleUsers })
+};
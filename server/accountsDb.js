@@ -0,0 +1,381 @@
+/**
+ * Account storage
+ *
+ * Users, classes, class enrolments and sign-in sessions, in the local server
+ * database. A user is a student, tutor or admin. Students are identified by
+ * their student ID as username; imported students have no password until they
+ * activate the account with their class's join code and the one-time
+ * activation code their tutor hands out. Users signed in through
+ * an SSO adapter are linked by the adapter id and the identity provider's
+ * subject (provider, external_id).
+ *
+ * Sign-in sessions store only a SHA-256 hash of the bearer token, and
+ * accounts only a hash of their activation code.
+ */
+
+const crypto = require('crypto');
+const { defineSchema, openDatabase } = require('./database');
+
+const ROLES = ['student', 'tutor', 'admin'];
+
+// Join codes avoid letters and digits that are easy to mix up when read aloud or off a slide
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+const ACTIVATION_CODE_LENGTH = 10;
+
+defineSchema(`
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    display_name TEXT,
+    role TEXT NOT NULL,
+    password_hash TEXT,
+    provider TEXT NOT NULL DEFAULT 'local',
+    external_id TEXT,
+    created_at TEXT NOT NULL,
+    last_login_at TEXT,
+    activation_code_hash TEXT,
+    UNIQUE (provider, external_id)
+  );
+  CREATE TABLE IF NOT EXISTS classes (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    join_code TEXT NOT NULL UNIQUE,
+    created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS enrolments (
+    class_id TEXT NOT NULL REFERENCES classes (id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    enrolled_at TEXT NOT NULL,
+    PRIMARY KEY (class_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS enrolments_user ON enrolments (user_id);
+  CREATE TABLE IF NOT EXISTS auth_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS auth_sessions_expiry ON auth_sessions (expires_at);
+`);
+
+// Columns of a user as returned to callers, from the users table under the given alias
+const userColumns = (alias = 'users') => `${alias}.id, ${alias}.username, ${alias}.display_name AS displayName,
+  ${alias}.role, ${alias}.provider, ${alias}.created_at AS createdAt, ${alias}.last_login_at AS lastLoginAt,
+  ${alias}.password_hash IS NOT NULL AS hasPassword, ${alias}.activation_code_hash IS NOT NULL AS hasActivationCode`;
+
+// SQLite returns booleans as 0 or 1
+const toUser = (row) => (row
+  ? { ...row, hasPassword: Boolean(row.hasPassword), hasActivationCode: Boolean(row.hasActivationCode) }
+  : null);
+
+/**
+ * Hashes a sign-in token for storage and lookup
+ * @param {string} token - Bearer token
+ * @returns {string} - Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Looks up a user by id
+ * @param {string} id - User id
+ * @returns {Object|null} - User without the password hash
+ */
+const getUser = (id) => toUser(openDatabase().prepare(`SELECT ${userColumns()} FROM users WHERE id = ?`).get(id));
+
+/**
+ * Looks up a user by username, ignoring case
+ * @param {string} username - Username or student ID
+ * @returns {Object|null} - User with passwordHash, for signing in
+ */
+const findUserByUsername = (username) => {
+  const row = openDatabase().prepare(`SELECT ${userColumns()}, password_hash AS passwordHash FROM users WHERE username = ?`)
+    .get(username);
+  return toUser(row);
+};
+
+/**
+ * Looks up a user signed in through an SSO adapter
+ * @param {string} provider - Adapter id
+ * @param {string} externalId - Subject at the identity provider
+ * @returns {Object|null} - User
+ */
+const findUserByExternalId = (provider, externalId) => toUser(openDatabase()
+  .prepare(`SELECT ${userColumns()} FROM users WHERE provider = ? AND external_id = ?`)
+  .get(provider, externalId));
+
+/**
+ * Creates a user
+ * @param {Object} user - { username, displayName, role, passwordHash, provider, externalId }
+ * @returns {Object} - The new user
+ */
+const createUser = ({ username, displayName = null, role, passwordHash = null, provider = 'local', externalId = null }) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role ${role}`);
+  }
+
+  const id = crypto.randomUUID();
+  openDatabase().prepare(`
+    INSERT INTO users (id, username, display_name, role, password_hash, provider, external_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, username, displayName, role, passwordHash, provider, externalId, new Date().toISOString());
+  return getUser(id);
+};
+
+/**
+ * Changes a user's name, role or password; fields left undefined are kept
+ * @param {string} id - User id
+ * @param {Object} changes - { displayName, role, passwordHash }
+ * @returns {Object|null} - The updated user
+ */
+const updateUser = (id, { displayName, role, passwordHash }) => {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new Error(`Unknown role ${role}`);
+  }
+
+  const columns = { display_name: displayName, role, password_hash: passwordHash };
+  const assignments = Object.keys(columns).filter(column => columns[column] !== undefined);
+  if (assignments.length > 0) {
+    openDatabase()
+      .prepare(`UPDATE users SET ${assignments.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`)
+      .run({ ...Object.fromEntries(assignments.map(column => [column, columns[column]])), id });
+  }
+  return getUser(id);
+};
+
+/**
+ * Links an account to an SSO identity, so later sign-ins find it by subject
+ * @param {string} id - User id
+ * @param {string} provider - Adapter id
+ * @param {string} externalId - Subject at the identity provider
+ * @returns {Object|null} - The linked user
+ */
+const linkExternalIdentity = (id, provider, externalId) => {
+  openDatabase().prepare('UPDATE users SET provider = ?, external_id = ? WHERE id = ?').run(provider, externalId, id);
+  return getUser(id);
+};
+
+/**
+ * Notes when a user last signed in
+ * @param {string} id - User id
+ */
+const recordLogin = (id) => {
+  openDatabase().prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+};
+
+/**
+ * Lists users, by role and username
+ * @param {string} role - Only users with this role, or empty for all
+ * @returns {Array<Object>} - Users
+ */
+const listUsers = (role = '') => openDatabase()
+  .prepare(`SELECT ${userColumns()} FROM users ${role ? 'WHERE role = @role' : ''} ORDER BY role, username`)
+  .all(role ? { role } : {})
+  .map(toUser);
+
+/**
+ * Counts the users with a role
+ * @param {string} role - Role
+ * @returns {number} - Number of users
+ */
+const countUsers = (role) => openDatabase().prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?').get(role).count;
+
+// Random code from JOIN_CODE_ALPHABET
+const generateCode = (length = JOIN_CODE_LENGTH) => Array.from(crypto.randomBytes(length))
+  .map(byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length])
+  .join('');
+
+// Codes are typed in by hand, so case, spaces and dashes do not count
+const normaliseCode = (code) => code.replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Gives an account that has not been activated a new one-time activation
+ * code, replacing any earlier one
+ * @param {string} id - User id
+ * @returns {string} - The code, for the tutor to hand to the student; only its hash is kept
+ */
+const issueActivationCode = (id) => {
+  const code = generateCode(ACTIVATION_CODE_LENGTH);
+  openDatabase().prepare('UPDATE users SET activation_code_hash = ? WHERE id = ?').run(hashToken(code), id);
+  return code;
+};
+
+/**
+ * Uses up an account's activation code, if it matches
+ * @param {string} id - User id
+ * @param {string} code - Code the student entered
+ * @returns {boolean} - true if the code matched; it cannot be used again
+ */
+const redeemActivationCode = (id, code) => openDatabase()
+  .prepare('UPDATE users SET activation_code_hash = NULL WHERE id = ? AND activation_code_hash = ?')
+  .run(id, hashToken(normaliseCode(code))).changes > 0;
+
+// Columns of a class, from the classes table under the given alias
+const classColumns = (alias = 'classes') => `${alias}.id, ${alias}.name, ${alias}.join_code AS joinCode,
+  ${alias}.created_by AS createdBy, ${alias}.created_at AS createdAt`;
+
+/**
+ * Looks up a class by id
+ * @param {string} id - Class id
+ * @returns {Object|null} - Class
+ */
+const getClass = (id) => openDatabase().prepare(`SELECT ${classColumns()} FROM classes WHERE id = ?`).get(id) || null;
+
+/**
+ * Looks up a class by join code, ignoring case and spaces
+ * @param {string} joinCode - Code given out by the tutor
+ * @returns {Object|null} - Class
+ */
+const findClassByJoinCode = (joinCode) => openDatabase()
+  .prepare(`SELECT ${classColumns()} FROM classes WHERE join_code = ?`)
+  .get(normaliseCode(joinCode)) || null;
+
+/**
+ * Creates a class with a fresh join code and enrols its creator as tutor
+ * @param {Object} details - { name, createdBy } with the creating user's id
+ * @returns {Object} - The new class
+ */
+const createClass = ({ name, createdBy }) => {
+  const db = openDatabase();
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    db.prepare('INSERT INTO classes (id, name, join_code, created_by, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(id, name, generateCode(), createdBy, now);
+    db.prepare('INSERT INTO enrolments (class_id, user_id, role, enrolled_at) VALUES (?, ?, ?, ?)')
+      .run(id, createdBy, 'tutor', now);
+  })();
+
+  return getClass(id);
+};
+
+/**
+ * Replaces a class's join code, e.g. after it was shared too widely
+ * @param {string} id - Class id
+ * @returns {Object|null} - The class with its new code
+ */
+const regenerateJoinCode = (id) => {
+  openDatabase().prepare('UPDATE classes SET join_code = ? WHERE id = ?').run(generateCode(), id);
+  return getClass(id);
+};
+
+/**
+ * Lists classes with their member counts
+ * @param {string|null} userId - Only the classes this user teaches, null for all
+ * @returns {Array<Object>} - Classes by name
+ */
+const listClasses = (userId = null) => openDatabase().prepare(`
+  SELECT ${classColumns('c')},
+    (SELECT COUNT(*) FROM enrolments e WHERE e.class_id = c.id AND e.role = 'student') AS studentCount
+  FROM classes c
+  ${userId ? `WHERE c.id IN (SELECT class_id FROM enrolments WHERE user_id = @userId AND role = 'tutor')` : ''}
+  ORDER BY c.name
+`).all(userId ? { userId } : {});
+
+/**
+ * Enrols a user in a class; enrolling again keeps the first enrolment
+ * @param {string} classId - Class id
+ * @param {string} userId - User id
+ * @param {string} role - 'student' or 'tutor' in this class
+ * @returns {boolean} - true if newly enrolled
+ */
+const enrol = (classId, userId, role = 'student') => openDatabase().prepare(`
+  INSERT INTO enrolments (class_id, user_id, role, enrolled_at) VALUES (?, ?, ?, ?)
+  ON CONFLICT (class_id, user_id) DO NOTHING
+`).run(classId, userId, role, new Date().toISOString()).changes > 0;
+
+/**
+ * Lists the members of a class
+ * @param {string} classId - Class id
+ * @returns {Array<Object>} - Users with their role in the class, enrolment time and activation state
+ */
+const listClassMembers = (classId) => openDatabase().prepare(`
+  SELECT u.id, u.username, u.display_name AS displayName, u.role, e.role AS classRole, e.enrolled_at AS enrolledAt,
+    u.password_hash IS NOT NULL OR u.provider != 'local' AS activated,
+    u.activation_code_hash IS NOT NULL AS hasActivationCode, u.last_login_at AS lastLoginAt
+  FROM enrolments e JOIN users u ON u.id = e.user_id
+  WHERE e.class_id = ?
+  ORDER BY e.role DESC, u.username
+`).all(classId).map(row => ({ ...row, activated: Boolean(row.activated), hasActivationCode: Boolean(row.hasActivationCode) }));
+
+/**
+ * Lists the classes a user belongs to
+ * @param {string} userId - User id
+ * @returns {Array<Object>} - { id, name, role } by class name
+ */
+const getUserClasses = (userId) => openDatabase().prepare(`
+  SELECT c.id, c.name, e.role FROM enrolments e JOIN classes c ON c.id = e.class_id
+  WHERE e.user_id = ? ORDER BY c.name
+`).all(userId);
+
+/**
+ * Stores a sign-in session
+ * @param {string} userId - User id
+ * @param {string} token - Bearer token given to the browser
+ * @param {Date} expiresAt - When the session ends
+ */
+const createAuthSession = (userId, token, expiresAt) => {
+  const db = openDatabase();
+  const now = new Date().toISOString();
+  // Expired sessions are cleared whenever someone signs in
+  db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?').run(now);
+  db.prepare('INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now, expiresAt.toISOString());
+};
+
+/**
+ * Finds the user of an unexpired sign-in session
+ * @param {string} token - Bearer token
+ * @returns {Object|null} - User
+ */
+const findUserByToken = (token) => toUser(openDatabase().prepare(`
+  SELECT ${userColumns('u')}
+  FROM auth_sessions s JOIN users u ON u.id = s.user_id
+  WHERE s.token_hash = ? AND s.expires_at > ?
+`).get(hashToken(token), new Date().toISOString()));
+
+/**
+ * Ends a sign-in session
+ * @param {string} token - Bearer token
+ */
+const deleteAuthSession = (token) => {
+  openDatabase().prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(hashToken(token));
+};
+
+/**
+ * Ends all sign-in sessions of a user, e.g. after a password reset
+ * @param {string} userId - User id
+ */
+const deleteUserAuthSessions = (userId) => {
+  openDatabase().prepare('DELETE FROM auth_sessions WHERE user_id = ?').run(userId);
+};
+
+module.exports = {
+  ROLES,
+  getUser,
+  findUserByUsername,
+  findUserByExternalId,
+  createUser,
+  updateUser,
+  linkExternalIdentity,
+  recordLogin,
+  issueActivationCode,
+  redeemActivationCode,
+  listUsers,
+  countUsers,
+  getClass,
+  findClassByJoinCode,
+  createClass,
+  regenerateJoinCode,
+  listClasses,
+  enrol,
+  listClassMembers,
+  getUserClasses,
+  createAuthSession,
+  findUserByToken,
+  deleteAuthSession,
+  deleteUserAuthSessions
+};
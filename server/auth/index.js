@@ -0,0 +1,185 @@
+/**
+ * Authentication
+ *
+ * Sign-in providers and the helpers the API routes use to find out who is
+ * calling. Local password sign-in works out of the box (localProvider.js);
+ * SSO adapters are added with AUTH_SSO_ADAPTERS (ssoAdapters.js), and
+ * AUTH_LOCAL_LOGIN=false hides the password form once SSO is in place.
+ *
+ * Failed password sign-ins and activations are throttled per username and
+ * per IP address (loginThrottle.js).
+ *
+ * A successful sign-in issues a random bearer token that the browser sends in
+ * the Authorization header. With AUTH_REQUIRED=true, dashboard uploads need a
+ * signed-in student and the dashboard a tutor or admin.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('../../api/_lib/http');
+const localProvider = require('./localProvider');
+const { loadSsoAdapters } = require('./ssoAdapters');
+const { checkLoginThrottle, recordLoginFailure, clearLoginFailures } = require('./loginThrottle');
+const {
+  ROLES,
+  createUser,
+  countUsers,
+  findUserByUsername,
+  createAuthSession,
+  findUserByToken,
+  deleteAuthSession,
+  recordLogin
+} = require('../accountsDb');
+
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+const LOCAL_LOGIN_ENABLED = process.env.AUTH_LOCAL_LOGIN !== 'false';
+const SESSION_HOURS = Number(process.env.AUTH_SESSION_HOURS || 12);
+const STAFF_ROLES = ['tutor', 'admin'];
+
+const ssoAdapters = loadSsoAdapters();
+
+/**
+ * Lists the sign-in options for the login page
+ * @returns {Array<Object>} - { id, type, label }, type 'password' or 'redirect'
+ */
+const listProviders = () => [
+  ...(LOCAL_LOGIN_ENABLED ? [{ id: localProvider.id, type: localProvider.type, label: localProvider.label }] : []),
+  ...ssoAdapters.map(adapter => ({ id: adapter.id, type: 'redirect', label: adapter.label }))
+];
+
+/**
+ * Looks up an SSO adapter
+ * @param {string} id - Adapter id
+ * @returns {Object} - The adapter
+ */
+const getSsoAdapter = (id) => {
+  const adapter = ssoAdapters.find(candidate => candidate.id === id);
+  if (!adapter) {
+    throw new HttpError(404, `Unknown sign-in provider ${id}`);
+  }
+  return adapter;
+};
+
+/**
+ * Starts a sign-in session for a user
+ * @param {Object} user - Signed-in user
+ * @returns {{token: string, expiresAt: string}} - Bearer token for the browser
+ */
+const issueToken = (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000);
+  createAuthSession(user.id, token, expiresAt);
+  recordLogin(user.id);
+  return { token, expiresAt: expiresAt.toISOString() };
+};
+
+// Bearer token of a request, or null
+const readToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Finds the signed-in user of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} - User, null if there is no valid token
+ */
+const getRequestUser = (req) => {
+  const token = readToken(req);
+  return token ? findUserByToken(token) : null;
+};
+
+/**
+ * Requires a signed-in user, optionally with one of the given roles
+ * @param {http.IncomingMessage} req - Request
+ * @param {Array<string>} roles - Accepted roles
+ * @returns {Object} - The user
+ */
+const requireUser = (req, roles = ROLES) => {
+  const user = getRequestUser(req);
+  if (!user) {
+    throw new HttpError(401, 'Sign-in required');
+  }
+  if (!roles.includes(user.role)) {
+    throw new HttpError(403, `This needs a ${roles.join(' or ')} account`);
+  }
+  return user;
+};
+
+/**
+ * Checks the X-Instructor-Key header against INSTRUCTOR_KEY, without leaking
+ * the key's length or content through timing
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} - true if the server has a key and the header matches it
+ */
+const hasInstructorKey = (req) => {
+  const expected = process.env.INSTRUCTOR_KEY;
+  const given = req.headers['x-instructor-key'];
+  if (!expected || typeof given !== 'string') return false;
+
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+/**
+ * Requires a tutor or admin: one signed in, or a caller with the instructor
+ * key. A server with neither accounts nor INSTRUCTOR_KEY lets no one in.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} - The tutor or admin, null when let in by the key
+ */
+const requireInstructor = (req) => {
+  const user = getRequestUser(req);
+  if (user && STAFF_ROLES.includes(user.role)) return user;
+  if (hasInstructorKey(req)) return null;
+
+  if (user) {
+    throw new HttpError(403, 'This needs a tutor or admin account');
+  }
+  throw new HttpError(401, process.env.INSTRUCTOR_KEY ? 'Instructor key required' : 'Sign in with a tutor account');
+};
+
+/**
+ * Ends the sign-in session of a request
+ * @param {http.IncomingMessage} req - Request
+ */
+const endRequestSession = (req) => {
+  const token = readToken(req);
+  if (token) deleteAuthSession(token);
+};
+
+/**
+ * Creates the first admin from ADMIN_USERNAME and ADMIN_PASSWORD, if the
+ * server has no admin yet. Later admins are added in the app.
+ * @returns {Promise<void>}
+ */
+const bootstrapAdmin = async () => {
+  const username = (process.env.ADMIN_USERNAME || '').trim();
+  const password = process.env.ADMIN_PASSWORD || '';
+  if (!username || !password || countUsers('admin') > 0) return;
+
+  if (findUserByUsername(username)) {
+    console.warn(`ADMIN_USERNAME ${username} is already taken by a non-admin account; no admin created`);
+    return;
+  }
+
+  localProvider.checkPasswordRules(password);
+  createUser({ username, displayName: username, role: 'admin', passwordHash: await localProvider.hashPassword(password) });
+  console.log(`Created admin account ${username}`);
+};
+
+module.exports = {
+  AUTH_REQUIRED,
+  LOCAL_LOGIN_ENABLED,
+  localProvider,
+  listProviders,
+  getSsoAdapter,
+  issueToken,
+  getRequestUser,
+  requireUser,
+  hasInstructorKey,
+  requireInstructor,
+  endRequestSession,
+  bootstrapAdmin,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,96 @@
+/**
+ * Local password sign-in
+ *
+ * Passwords are hashed with scrypt from Node's crypto module and stored as
+ * "scrypt$N$r$p$salt$hash" (salt and hash base64), so the cost can be raised
+ * later without breaking existing hashes.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HttpError } = require('../../api/_lib/http');
+const { findUserByUsername } = require('../accountsDb');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+/**
+ * Hashes a password for storage
+ * @param {string} password - Password
+ * @returns {Promise<string>} - Encoded hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_COST;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Checks a password against a stored hash
+ * @param {string} password - Password entered
+ * @param {string} stored - Encoded hash from hashPassword()
+ * @returns {Promise<boolean>} - Whether it matches
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !expected) return false;
+
+  const expectedBytes = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBytes.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(hash, expectedBytes);
+};
+
+/**
+ * Rejects passwords that are too short or too long
+ * @param {*} password - Password from a request
+ * @returns {string} - The password
+ */
+const checkPasswordRules = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+};
+
+// Hash checked when the username is unknown, so both cases take about as long
+const dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Signs in with a username and password
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object|null>} - The user, or null if the details are wrong
+ *   or the account has not been activated
+ */
+const authenticate = async ({ username, password }) => {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+
+  const user = findUserByUsername(username.trim());
+  if (!user || !user.passwordHash) {
+    await verifyPassword(password, await dummyHashPromise);
+    return null;
+  }
+
+  if (!await verifyPassword(password, user.passwordHash)) return null;
+
+  const { passwordHash, ...withoutHash } = user;
+  return withoutHash;
+};
+
+module.exports = {
+  id: 'local',
+  type: 'password',
+  label: { zh: '學號及密碼', en: 'Username and password' },
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  checkPasswordRules,
+  authenticate
+};
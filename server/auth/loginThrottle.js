@@ -0,0 +1,78 @@
+/**
+ * Failed sign-in throttle
+ *
+ * Password sign-ins and account activations that fail are counted per
+ * username and per client IP address in the server database, on top of the
+ * request rate limit. Once either count reaches its limit within the lockout
+ * window, further attempts are refused until old failures drop out of it.
+ * Neither key is something the browser can change, and the counts survive a
+ * server restart. A successful sign-in clears the username's failures.
+ */
+
+const { HttpError } = require('../../api/_lib/http');
+const { getClientIp } = require('../../api/_lib/rateLimit');
+const { defineSchema, openDatabase } = require('../database');
+
+const LOCKOUT_MS = Number(process.env.AUTH_LOCKOUT_MINUTES || 15) * 60 * 1000;
+const MAX_FAILURES_PER_USER = Number(process.env.AUTH_MAX_FAILURES_PER_USER || 5);
+const MAX_FAILURES_PER_IP = Number(process.env.AUTH_MAX_FAILURES_PER_IP || 30);
+
+defineSchema(`
+  CREATE TABLE IF NOT EXISTS login_failures (
+    key TEXT NOT NULL,
+    failed_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS login_failures_key ON login_failures (key, failed_at);
+`);
+
+// Usernames are matched without case, as in the users table
+const userKey = (username) => `user:${String(username).trim().toLowerCase()}`;
+const ipKey = (req) => `ip:${getClientIp(req)}`;
+
+/**
+ * Refuses the attempt if the username or the client has failed too often
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} username - Username or student ID being signed in to
+ */
+const checkLoginThrottle = (req, username) => {
+  const db = openDatabase();
+  const since = Date.now() - LOCKOUT_MS;
+  db.prepare('DELETE FROM login_failures WHERE failed_at <= ?').run(since);
+
+  const count = db.prepare('SELECT COUNT(*) AS failures, MIN(failed_at) AS first FROM login_failures WHERE key = ?');
+  const limits = [[userKey(username), MAX_FAILURES_PER_USER], [ipKey(req), MAX_FAILURES_PER_IP]];
+  for (const [key, limit] of limits) {
+    const { failures, first } = count.get(key);
+    if (failures >= limit) {
+      const minutes = Math.max(1, Math.ceil((first + LOCKOUT_MS - Date.now()) / 60000));
+      console.warn(`Accounts: sign-in attempts for ${key} paused after ${failures} failures`);
+      throw new HttpError(429, `Too many failed attempts, please try again in ${minutes} minutes`);
+    }
+  }
+};
+
+/**
+ * Counts a failed sign-in or activation against the username and the client
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} username - Username or student ID that was tried
+ */
+const recordLoginFailure = (req, username) => {
+  const insert = openDatabase().prepare('INSERT INTO login_failures (key, failed_at) VALUES (?, ?)');
+  const now = Date.now();
+  insert.run(userKey(username), now);
+  insert.run(ipKey(req), now);
+};
+
+/**
+ * Forgets the failed attempts on a username after a successful sign-in
+ * @param {string} username - Username or student ID
+ */
+const clearLoginFailures = (username) => {
+  openDatabase().prepare('DELETE FROM login_failures WHERE key = ?').run(userKey(username));
+};
+
+module.exports = {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,83 @@
+/**
+ * SSO adapters
+ *
+ * Single sign-on (e.g. the university's OIDC or SAML identity provider) plugs
+ * in through adapter modules listed in AUTH_SSO_ADAPTERS, comma-separated
+ * paths relative to the repository root. Each module exports an object with
+ * the SsoAdapter shape below; server/auth/README.md walks through writing one.
+ * The adapter does the protocol work, the server keeps the accounts: users
+ * signing in for the first time get a student account linked to the adapter.
+ */
+
+const path = require('path');
+
+/**
+ * @typedef {Object} SsoIdentity
+ * @property {string} state - The state value sent with the login request, as echoed
+ *   back by the identity provider (OIDC `state`, SAML `RelayState`)
+ * @property {string} externalId - Stable subject of the user at the identity provider
+ * @property {string} username - Username for the account, the student ID for students
+ * @property {string} [displayName] - Name to show
+ * @property {string} [role] - 'student', 'tutor' or 'admin' for new accounts, e.g. from
+ *   the provider's groups; 'student' when left out. Roles of existing accounts are
+ *   managed in the app and not changed at sign-in.
+ */
+
+/**
+ * @typedef {Object} SsoAdapter
+ * @property {string} id - Short id used in URLs and stored with linked accounts, e.g. 'campus-oidc'
+ * @property {{zh: string, en: string}} label - Text of the sign-in button
+ * @property {string} protocol - 'oidc' or 'saml', shown to admins only
+ * @property {Function} getLoginUrl - async ({ state, redirectUri }) => string; the identity
+ *   provider's login URL the browser is sent to. It must carry `state` and send the user
+ *   back to `redirectUri` (GET or POST).
+ * @property {Function} handleCallback - async (req, { redirectUri, readBody }) => SsoIdentity;
+ *   validates the provider's response to `redirectUri` (code exchange and ID token check for
+ *   OIDC, signed assertion for SAML) and throws if it is not valid. `readBody()` resolves to
+ *   the raw POST body as text.
+ */
+
+const ADAPTER_ID_PATTERN = /^[a-z0-9-]{2,32}$/;
+
+/**
+ * Checks that a module looks like an SsoAdapter
+ * @param {Object} adapter - Module export
+ * @param {string} source - Module path for error messages
+ * @returns {SsoAdapter} - The adapter
+ */
+const validateAdapter = (adapter, source) => {
+  const problems = [];
+  if (!adapter || typeof adapter !== 'object') problems.push('does not export an object');
+  else {
+    if (!ADAPTER_ID_PATTERN.test(adapter.id || '') || adapter.id === 'local') {
+      problems.push('id must be 2-32 lowercase letters, digits or dashes, and not "local"');
+    }
+    if (!adapter.label?.zh || !adapter.label?.en) problems.push('label needs zh and en text');
+    if (typeof adapter.getLoginUrl !== 'function') problems.push('getLoginUrl is not a function');
+    if (typeof adapter.handleCallback !== 'function') problems.push('handleCallback is not a function');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`SSO adapter ${source}: ${problems.join('; ')}`);
+  }
+  return adapter;
+};
+
+/**
+ * Loads the adapters listed in AUTH_SSO_ADAPTERS
+ * @returns {Array<SsoAdapter>} - Adapters, in the order listed
+ */
+const loadSsoAdapters = () => (process.env.AUTH_SSO_ADAPTERS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const adapter = validateAdapter(require(path.resolve(__dirname, '..', '..', entry)), entry);
+    console.log(`SSO adapter: ${adapter.id} (${adapter.protocol || 'unknown protocol'})`);
+    return adapter;
+  });
+
+module.exports = {
+  validateAdapter,
+  loadSsoAdapters
+};
@@ -0,0 +1,266 @@
+/**
+ * Instructor dashboard API, local server only (it needs the SQLite file in
+ * dashboardDb.js, so it is not deployed as serverless functions).
+ *
+ * POST /api/dashboard/sessions   A student's browser uploads a completed practice session
+ * GET  /api/dashboard            Per-student summaries, sessions and filter options
+ * GET  /api/dashboard/export     The same as CSV, ?view=students or ?view=sessions
+ *
+ * The GET routes take ?mode= (practice or exam), ?class=, ?student= and
+ * ?scenario= filters. Signed-in admins see every class and tutors the classes
+ * they teach (accounts.js); anyone else needs INSTRUCTOR_KEY in the
+ * X-Instructor-Key header. With neither set up the dashboard stays closed.
+ *
+ * Uploads from a signed-in student are stored under their account's student
+ * ID, name and class rather than the details in the upload. Uploads without
+ * a sign-in, which name their own class and student, are refused unless
+ * DASHBOARD_ANONYMOUS_UPLOADS=true. An upload cannot move a stored session to
+ * another class or student. Exam attempts are not uploaded: the server
+ * records and scores them itself (exams.js).
+ */
+
+const { createHandler, sendJson, readJsonBody, HttpError } = require('../api/_lib/http');
+const { saveSession, listSessions, getStudentSummaries, getFilterOptions } = require('./dashboardDb');
+const { getUserClasses } = require('./accountsDb');
+const { AUTH_REQUIRED, getRequestUser, requireInstructor } = require('./auth');
+
+// Whether uploads may name their own class and student without a sign-in
+const ANONYMOUS_UPLOADS = process.env.DASHBOARD_ANONYMOUS_UPLOADS === 'true' && !AUTH_REQUIRED;
+
+const SESSION_TYPES = ['simulator', 'chatbot'];
+const SESSION_MODES = ['practice', 'exam'];
+
+/**
+ * Checks that the caller may view the dashboard
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Array<string>|null} - Classes the caller may see, null for all
+ */
+const requireDashboardAccess = (req) => {
+  const user = requireInstructor(req);
+  if (user?.role === 'tutor') {
+    return getUserClasses(user.id).filter(entry => entry.role === 'tutor').map(entry => entry.name);
+  }
+  return null;
+};
+
+// Dashboard filters from the query string
+const readFilters = (req) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const mode = query.get('mode') || '';
+  if (mode && !SESSION_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of ${SESSION_MODES.join(', ')}`);
+  }
+  return {
+    mode,
+    className: query.get('class') || '',
+    studentId: query.get('student') || '',
+    scenarioId: query.get('scenario') || ''
+  };
+};
+
+/**
+ * Reads an optional or required text field of an upload
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @param {Object} options - { required, max }
+ * @returns {string|null} - Trimmed text, null when empty
+ */
+const readText = (value, name, { required = false, max = 200 } = {}) => {
+  if (typeof value === 'string' && value.trim() && value.length <= max) {
+    return value.trim();
+  }
+  if (!required && (value === undefined || value === null || value === '')) {
+    return null;
+  }
+  throw new HttpError(400, `${name} must be text of at most ${max} characters`);
+};
+
+/**
+ * Reads a date field of an upload
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @param {boolean} required - Whether the field must be present
+ * @returns {string|null} - ISO time
+ */
+const readTime = (value, name, required = false) => {
+  if (!required && (value === undefined || value === null)) return null;
+
+  const time = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(time.getTime())) {
+    throw new HttpError(400, `${name} must be an ISO date`);
+  }
+  return time.toISOString();
+};
+
+/**
+ * Reads a count or duration field of an upload
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @returns {number} - Whole number, at least 0
+ */
+const readCount = (value, name) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new HttpError(400, `${name} must be a number of at least 0`);
+  }
+  return Math.round(value);
+};
+
+// The assessment report from assessmentService, only its scores are checked
+const readAssessment = (report) => {
+  if (report === undefined || report === null) return null;
+
+  const scores = ['totalScore', 'maxTotal', 'percentage'];
+  if (typeof report !== 'object' || scores.some(key => typeof report[key] !== 'number')) {
+    throw new HttpError(400, 'assessment must be an assessment report with totalScore, maxTotal and percentage');
+  }
+  return report;
+};
+
+/**
+ * Works out whose session an upload or exam attempt is. A signed-in
+ * student's account decides the student ID and name; the class is the one
+ * named in the upload if they belong to it, or else their first class.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} body - Upload
+ * @returns {Object} - { userId, className, studentId, studentName }, userId null without a sign-in
+ */
+const readStudent = (req, body) => {
+  const user = getRequestUser(req);
+  if (!user) {
+    if (!ANONYMOUS_UPLOADS) {
+      throw new HttpError(401, 'Sign-in required');
+    }
+    return {
+      userId: null,
+      className: readText(body.className, 'className', { required: true, max: 64 }),
+      studentId: readText(body.studentId, 'studentId', { required: true, max: 64 }),
+      studentName: readText(body.studentName, 'studentName', { max: 100 })
+    };
+  }
+
+  const classes = getUserClasses(user.id).filter(entry => entry.role === 'student');
+  const studentClass = classes.find(entry => entry.name === body.className) || classes[0];
+  if (!studentClass) {
+    throw new HttpError(400, 'Join a class before uploading sessions');
+  }
+  return { userId: user.id, className: studentClass.name, studentId: user.username, studentName: user.displayName };
+};
+
+const uploadSession = async (req, res) => {
+  const body = await readJsonBody(req);
+
+  if (!SESSION_TYPES.includes(body.type)) {
+    throw new HttpError(400, `type must be one of ${SESSION_TYPES.join(', ')}`);
+  }
+  // Uploads from before exam mode have no mode and are practice
+  const mode = body.mode === undefined ? 'practice' : body.mode;
+  if (mode === 'exam') {
+    throw new HttpError(400, 'Exam attempts are submitted through /api/exams/submit');
+  }
+  if (mode !== 'practice') {
+    throw new HttpError(400, 'mode must be practice');
+  }
+
+  const session = {
+    id: readText(body.id, 'id', { required: true, max: 64 }),
+    ...readStudent(req, body),
+    type: body.type,
+    mode,
+    scenarioId: readText(body.scenarioId, 'scenarioId', { required: true, max: 64 }),
+    scenarioTitle: readText(body.scenarioTitle, 'scenarioTitle'),
+    language: readText(body.language, 'language', { max: 8 }),
+    startedAt: readTime(body.startedAt, 'startedAt', true),
+    endedAt: readTime(body.endedAt, 'endedAt'),
+    durationMs: readCount(body.durationMs, 'durationMs'),
+    turnCount: readCount(body.turnCount, 'turnCount'),
+    assessment: readAssessment(body.assessment)
+  };
+
+  if (!saveSession(session)) {
+    throw new HttpError(409, 'This session id belongs to another student or to an exam attempt');
+  }
+  console.log(`Dashboard: stored ${session.mode} ${session.type} session ${session.id} of ${session.className}/${session.studentId}`);
+  sendJson(res, 200, { ok: true });
+};
+
+const sendDashboard = (req, res) => {
+  const classNames = requireDashboardAccess(req);
+  const filters = readFilters(req);
+
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, {
+    students: getStudentSummaries(filters, classNames),
+    sessions: listSessions(filters, classNames),
+    options: getFilterOptions(classNames)
+  });
+};
+
+/**
+ * Formats a value as a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Quoted where needed
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from running text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rounds to one decimal, for averages and minutes
+const round1 = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+const toMinutes = (ms) => round1(ms / 60000);
+
+const CSV_VIEWS = {
+  students: {
+    header: ['Class', 'Student ID', 'Student name', 'Sessions', 'Assessed sessions', 'Average turns',
+      'Average duration (min)', 'Total practice (min)', 'Average score (%)', 'Best score (%)', 'Last session'],
+    rows: (filters, classNames) => getStudentSummaries(filters, classNames).map(row => [
+      row.className, row.studentId, row.studentName, row.sessionCount, row.assessedCount, round1(row.averageTurns),
+      toMinutes(row.averageDurationMs), toMinutes(row.totalDurationMs), round1(row.averagePercentage),
+      row.bestPercentage, row.lastSessionAt
+    ])
+  },
+  sessions: {
+    header: ['Class', 'Student ID', 'Student name', 'Started', 'Scenario ID', 'Scenario', 'Type', 'Mode', 'Language',
+      'Duration (min)', 'Turns', 'Rubric', 'Score', 'Max score', 'Score (%)'],
+    rows: (filters, classNames) => listSessions(filters, classNames).map(row => [
+      row.className, row.studentId, row.studentName, row.startedAt, row.scenarioId, row.scenarioTitle, row.type,
+      row.mode, row.language, toMinutes(row.durationMs), row.turnCount, row.rubricId, row.totalScore, row.maxScore, row.percentage
+    ])
+  }
+};
+
+const exportCsv = (req, res) => {
+  const classNames = requireDashboardAccess(req);
+
+  const viewName = new URL(req.url, 'http://localhost').searchParams.get('view') || 'students';
+  const view = CSV_VIEWS[viewName];
+  if (!view) {
+    throw new HttpError(400, `view must be one of ${Object.keys(CSV_VIEWS).join(', ')}`);
+  }
+
+  const filters = readFilters(req);
+  const lines = [view.header, ...view.rows(filters, classNames)].map(cells => cells.map(toCsvCell).join(','));
+  const date = new Date().toISOString().slice(0, 10);
+  const prefix = filters.mode === 'exam' ? 'exam' : 'cohort';
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${prefix}_${viewName}_${date}.csv"`);
+  res.setHeader('Cache-Control', 'no-store');
+  // The byte order mark makes Excel read the Chinese names as UTF-8
+  res.end(`\uFEFF${lines.join('\r\n')}\r\n`);
+};
+
+module.exports = {
+  readStudent,
+  routes: {
+    '/api/dashboard': createHandler({ bucket: 'dashboard', methods: ['GET'], handle: sendDashboard }),
+    '/api/dashboard/sessions': createHandler({ bucket: 'dashboard', handle: uploadSession }),
+    '/api/dashboard/export': createHandler({ bucket: 'dashboard', methods: ['GET'], handle: exportCsv })
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Dashboard upload checks, run with npm test (node --test) against a
+ * temporary database file
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-test-'));
+process.env.DASHBOARD_DB_PATH = path.join(dataDir, 'dashboard.sqlite');
+process.env.DASHBOARD_ANONYMOUS_UPLOADS = 'true';
+delete process.env.AUTH_REQUIRED;
+
+const { routes } = require('./dashboard');
+const { saveSession, listSessions } = require('./dashboardDb');
+
+const server = http.createServer(routes['/api/dashboard/sessions']);
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const upload = async (body) => {
+  await new Promise(resolve => (server.listening ? resolve() : server.listen(0, '127.0.0.1', resolve)));
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.status;
+};
+
+test('a practice upload cannot overwrite the score of an exam attempt', async () => {
+  // Stored as exams.js stores a scored attempt, under the attempt id the browser knows
+  saveSession({
+    id: 'attempt-1',
+    className: 'C1',
+    studentId: 's1',
+    studentName: null,
+    type: 'simulator',
+    mode: 'exam',
+    scenarioId: 'colonoscopy',
+    scenarioTitle: 'Colonoscopy',
+    language: 'yue',
+    startedAt: '2026-01-01T09:00:00.000Z',
+    endedAt: '2026-01-01T09:08:00.000Z',
+    durationMs: 480000,
+    turnCount: 6,
+    assessment: { rubricId: 'polyu-osce', rubricVersion: 1, criteria: [], totalScore: 6, maxTotal: 24, percentage: 25 }
+  });
+
+  const forged = {
+    id: 'attempt-1',
+    className: 'C1',
+    studentId: 's1',
+    type: 'simulator',
+    scenarioId: 'colonoscopy',
+    startedAt: '2026-01-01T09:00:00.000Z',
+    endedAt: '2026-01-01T09:08:00.000Z',
+    durationMs: 1000,
+    turnCount: 40,
+    assessment: { rubricId: 'polyu-osce', rubricVersion: 1, criteria: [], totalScore: 24, maxTotal: 24, percentage: 100 }
+  };
+  assert.strictEqual(await upload(forged), 409);
+  assert.strictEqual(await upload({ ...forged, mode: 'practice' }), 409);
+
+  const [session] = listSessions({ mode: 'exam' });
+  assert.strictEqual(session.id, 'attempt-1');
+  assert.strictEqual(session.totalScore, 6);
+  assert.strictEqual(session.percentage, 25);
+  assert.strictEqual(session.turnCount, 6);
+  assert.strictEqual(session.durationMs, 480000);
+  assert.deepStrictEqual(listSessions({ mode: 'practice' }), []);
+});
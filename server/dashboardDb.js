@@ -0,0 +1,204 @@
+/**
+ * Instructor dashboard storage
+ *
+ * Completed practice sessions uploaded by the students' browsers are kept in a
+ * SQLite file on the local server, one row per session. Only the summary is
+ * stored (who, which scenario, turns, duration and the assessment report), no
+ * transcripts or recordings. A session is uploaded again when its assessment
+ * is ready, so rows are upserted by the browser's session id, but only for
+ * the class and student they were first stored under, and never across modes.
+ * Exam attempts are stored with mode 'exam' by the server (exams.js) and
+ * filtered apart from practice.
+ */
+
+const { defineSchema, defineColumn, openDatabase } = require('./database');
+
+defineSchema(`
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    class_name TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    student_name TEXT,
+    type TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'practice',
+    scenario_id TEXT NOT NULL,
+    scenario_title TEXT,
+    language TEXT,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    duration_ms INTEGER NOT NULL DEFAULT 0,
+    turn_count INTEGER NOT NULL DEFAULT 0,
+    rubric_id TEXT,
+    total_score REAL,
+    max_score REAL,
+    percentage REAL,
+    assessment TEXT,
+    uploaded_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_student ON sessions (class_name, student_id);
+  CREATE INDEX IF NOT EXISTS sessions_scenario ON sessions (scenario_id);
+`);
+defineColumn('sessions', 'mode', "TEXT NOT NULL DEFAULT 'practice'");
+
+/**
+ * Builds the WHERE clause for the dashboard filters
+ * @param {Object} filters - { mode, className, studentId, scenarioId }, empty values are ignored
+ * @param {Array<string>|null} classNames - Classes the viewer may see, null for all
+ * @returns {{where: string, params: Object}} - SQL and its named parameters
+ */
+const buildFilter = ({ mode, className, studentId, scenarioId } = {}, classNames = null) => {
+  const conditions = [];
+  const params = {};
+
+  if (classNames) {
+    // A tutor sees the classes they teach; json_each lets the list be one parameter
+    conditions.push('class_name IN (SELECT value FROM json_each(@classNames))');
+    params.classNames = JSON.stringify(classNames);
+  }
+  if (mode) {
+    conditions.push('mode = @mode');
+    params.mode = mode;
+  }
+  if (className) {
+    conditions.push('class_name = @className');
+    params.className = className;
+  }
+  if (studentId) {
+    conditions.push('student_id = @studentId');
+    params.studentId = studentId;
+  }
+  if (scenarioId) {
+    conditions.push('scenario_id = @scenarioId');
+    params.scenarioId = scenarioId;
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+/**
+ * Saves an uploaded session, replacing an earlier upload of the same session.
+ * An upload without an assessment keeps the one already stored. A session id
+ * already stored for another class or student, or for an exam attempt when
+ * practice is uploaded, is left alone.
+ * @param {Object} session - Validated session summary, see dashboard.js
+ * @returns {boolean} - false if the id belongs to another student's session or to the other mode
+ */
+const saveSession = (session) => {
+  const report = session.assessment;
+
+  const result = openDatabase().prepare(`
+    INSERT INTO sessions (id, class_name, student_id, student_name, type, mode, scenario_id, scenario_title, language,
+      started_at, ended_at, duration_ms, turn_count, rubric_id, total_score, max_score, percentage, assessment, uploaded_at)
+    VALUES (@id, @className, @studentId, @studentName, @type, @mode, @scenarioId, @scenarioTitle, @language,
+      @startedAt, @endedAt, @durationMs, @turnCount, @rubricId, @totalScore, @maxScore, @percentage, @assessment, @uploadedAt)
+    ON CONFLICT (id) DO UPDATE SET
+      student_name = excluded.student_name,
+      scenario_title = excluded.scenario_title,
+      language = excluded.language,
+      ended_at = excluded.ended_at,
+      duration_ms = excluded.duration_ms,
+      turn_count = excluded.turn_count,
+      rubric_id = COALESCE(excluded.rubric_id, rubric_id),
+      total_score = COALESCE(excluded.total_score, total_score),
+      max_score = COALESCE(excluded.max_score, max_score),
+      percentage = COALESCE(excluded.percentage, percentage),
+      assessment = COALESCE(excluded.assessment, assessment),
+      uploaded_at = excluded.uploaded_at
+    WHERE sessions.class_name = excluded.class_name AND sessions.student_id = excluded.student_id
+      AND sessions.mode = excluded.mode
+  `).run({
+    id: session.id,
+    className: session.className,
+    studentId: session.studentId,
+    studentName: session.studentName,
+    type: session.type,
+    mode: session.mode,
+    scenarioId: session.scenarioId,
+    scenarioTitle: session.scenarioTitle,
+    language: session.language,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    durationMs: session.durationMs,
+    turnCount: session.turnCount,
+    rubricId: report ? report.rubricId || null : null,
+    totalScore: report ? report.totalScore : null,
+    maxScore: report ? report.maxTotal : null,
+    percentage: report ? report.percentage : null,
+    assessment: report ? JSON.stringify(report) : null,
+    uploadedAt: new Date().toISOString()
+  });
+
+  return result.changes > 0;
+};
+
+/**
+ * Lists uploaded sessions, newest first
+ * @param {Object} filters - { mode, className, studentId, scenarioId }
+ * @param {Array<string>|null} classNames - Classes the viewer may see, null for all
+ * @returns {Array<Object>} - Session rows without the assessment report
+ */
+const listSessions = (filters, classNames = null) => {
+  const { where, params } = buildFilter(filters, classNames);
+  return openDatabase().prepare(`
+    SELECT id, class_name AS className, student_id AS studentId, student_name AS studentName, type, mode,
+      scenario_id AS scenarioId, scenario_title AS scenarioTitle, language, started_at AS startedAt,
+      ended_at AS endedAt, duration_ms AS durationMs, turn_count AS turnCount, rubric_id AS rubricId,
+      total_score AS totalScore, max_score AS maxScore, percentage
+    FROM sessions ${where}
+    ORDER BY started_at DESC
+  `).all(params);
+};
+
+/**
+ * Sums up the sessions of each student. Averages of scores only count
+ * assessed sessions.
+ * @param {Object} filters - { mode, className, studentId, scenarioId }
+ * @param {Array<string>|null} classNames - Classes the viewer may see, null for all
+ * @returns {Array<Object>} - One row per student, by class and student id
+ */
+const getStudentSummaries = (filters, classNames = null) => {
+  const { where, params } = buildFilter(filters, classNames);
+  return openDatabase().prepare(`
+    SELECT class_name AS className, student_id AS studentId, MAX(student_name) AS studentName,
+      COUNT(*) AS sessionCount,
+      COUNT(percentage) AS assessedCount,
+      AVG(turn_count) AS averageTurns,
+      AVG(duration_ms) AS averageDurationMs,
+      SUM(duration_ms) AS totalDurationMs,
+      AVG(percentage) AS averagePercentage,
+      MAX(percentage) AS bestPercentage,
+      MAX(started_at) AS lastSessionAt
+    FROM sessions ${where}
+    GROUP BY class_name, student_id
+    ORDER BY class_name, student_id
+  `).all(params);
+};
+
+/**
+ * Lists the values the dashboard can filter by
+ * @param {Array<string>|null} classNames - Classes the viewer may see, null for all
+ * @returns {{classes: Array<string>, students: Array<Object>, scenarios: Array<Object>}} - Filter options
+ */
+const getFilterOptions = (classNames = null) => {
+  const db = openDatabase();
+  const { where, params } = buildFilter({}, classNames);
+  return {
+    classes: db.prepare(`SELECT DISTINCT class_name AS className FROM sessions ${where} ORDER BY class_name`).all(params)
+      .map(row => row.className),
+    students: db.prepare(`
+      SELECT class_name AS className, student_id AS studentId, MAX(student_name) AS studentName
+      FROM sessions ${where} GROUP BY class_name, student_id ORDER BY class_name, student_id
+    `).all(params),
+    scenarios: db.prepare(`
+      SELECT scenario_id AS scenarioId, MAX(scenario_title) AS scenarioTitle
+      FROM sessions ${where} GROUP BY scenario_id ORDER BY scenario_id
+    `).all(params)
+  };
+};
+
+module.exports = {
+  saveSession,
+  listSessions,
+  getStudentSummaries,
+  getFilterOptions
+};
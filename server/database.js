@@ -0,0 +1,70 @@
+/**
+ * Local server database
+ *
+ * One SQLite file (better-sqlite3) holds the instructor dashboard's uploaded
+ * sessions and the user accounts. Each module registers the tables it needs
+ * with defineSchema(); they are created when the file is first opened.
+ * Columns added later are registered with defineColumn(), so database files
+ * from older versions gain them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.DASHBOARD_DB_PATH || path.join(__dirname, 'data', 'dashboard.sqlite');
+
+const schemas = [];
+const columns = [];
+let database = null;
+
+// Adds a column to an existing table unless it is already there
+const addColumn = (db, { table, column, definition }) => {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!existing.some(info => info.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Server database: added ${table}.${column}`);
+  }
+};
+
+/**
+ * Registers the tables and indexes of a module. Statements must be safe to
+ * run again (CREATE ... IF NOT EXISTS).
+ * @param {string} sql - Schema statements
+ */
+const defineSchema = (sql) => {
+  schemas.push(sql);
+  if (database) database.exec(sql);
+};
+
+/**
+ * Registers a column added to a table after its first release. The table's
+ * CREATE statement should include it too, for new database files.
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints, e.g. "TEXT NOT NULL DEFAULT 'x'"
+ */
+const defineColumn = (table, column, definition) => {
+  columns.push({ table, column, definition });
+  if (database) addColumn(database, { table, column, definition });
+};
+
+// Opens the database file once, creating it and its folder on first use
+const openDatabase = () => {
+  if (!database) {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    database = new Database(DB_PATH);
+    database.pragma('journal_mode = WAL');
+    database.pragma('foreign_keys = ON');
+    schemas.forEach(sql => database.exec(sql));
+    columns.forEach(entry => addColumn(database, entry));
+    console.log(`Server database: ${DB_PATH}`);
+  }
+  return database;
+};
+
+module.exports = {
+  defineSchema,
+  defineColumn,
+  openDatabase
+};
@@ -0,0 +1,240 @@
+/**
+ * Exam attempt API, local server only (attempts live in the SQLite file, see
+ * examsDb.js).
+ *
+ * GET  /api/exams/attempt?scenarioId=  The caller's attempt at a scenario, if any, and the time allowed
+ * POST /api/exams/start     Starts the caller's attempt at { scenarioId }, or resumes it
+ * POST /api/exams/submit    Hands in { attemptId, endedBy, language, turns } and scores it
+ * POST /api/exams/assess    Scores a submitted attempt whose scoring failed
+ *
+ * An exam can be sat once per student and scenario. The server sets the
+ * deadline and the rubric version when the attempt starts, accepts one
+ * submission, and scores the transcript itself against the rubric it holds,
+ * so neither the time allowed nor the score comes from the browser. Scored
+ * attempts are stored as exam sessions on the instructor dashboard.
+ *
+ * Callers are identified like dashboard uploads (dashboard.js): a signed-in
+ * student by account, otherwise by the className and studentId in the request
+ * when DASHBOARD_ANONYMOUS_UPLOADS=true.
+ */
+
+const { createHandler, sendJson, readJsonBody, HttpError } = require('../api/_lib/http');
+const { getScenario, getRubric, getScenarioRubric } = require('../api/_lib/content');
+const { completeChatTask } = require('../api/_lib/chatUpstream');
+const { getAttempt, findAttempt, startAttempt, submitAttempt, saveAttemptAssessment } = require('./examsDb');
+const { saveSession } = require('./dashboardDb');
+const { readStudent } = require('./dashboard');
+
+const EXAM_DEFAULT_MINUTES = Number(process.env.EXAM_MINUTES) || 8;
+
+// Time after the deadline in which a submission still counts as handed in on
+// time, for the last answer to be transcribed and uploaded
+const SUBMIT_GRACE_MS = 2 * 60 * 1000;
+
+const MAX_TURNS = 200;
+const MAX_TURN_CHARACTERS = 4000;
+const MAX_TOTAL_CHARACTERS = 60000;
+const TRANSCRIPT_ROLES = ['nurse', 'patient'];
+const ENDED_BY = ['submitted', 'timeout'];
+
+// Time allowed for an exam of the scenario
+const getExamDurationMs = (scenario) => (scenario.exam?.durationMinutes || EXAM_DEFAULT_MINUTES) * 60000;
+
+// The attempt as the browser sees it, without the transcript it sent
+const toClientAttempt = (attempt) => ({
+  id: attempt.id,
+  scenarioId: attempt.scenarioId,
+  rubricId: attempt.rubricId,
+  rubricVersion: attempt.rubricVersion,
+  startedAt: attempt.startedAt,
+  deadline: attempt.deadline,
+  submittedAt: attempt.submittedAt,
+  endedBy: attempt.endedBy,
+  assessment: attempt.assessment
+});
+
+// Whether an attempt belongs to the caller worked out by readStudent
+const isOwnAttempt = (attempt, student) => (student.userId
+  ? attempt.userId === student.userId
+  : !attempt.userId && attempt.className === student.className && attempt.studentId === student.studentId);
+
+/**
+ * Looks up one of the caller's attempts
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} body - Request body with attemptId, and the student details without a sign-in
+ * @returns {Object} - The attempt
+ */
+const requireOwnAttempt = (req, body) => {
+  const student = readStudent(req, body);
+  const attempt = typeof body.attemptId === 'string' ? getAttempt(body.attemptId) : null;
+  if (!attempt || !isOwnAttempt(attempt, student)) {
+    throw new HttpError(404, 'Unknown exam attempt');
+  }
+  return attempt;
+};
+
+// Reads the conversation handed in, keeping only what the assessment uses
+const readTranscript = (turns) => {
+  if (!Array.isArray(turns) || turns.length > MAX_TURNS) {
+    throw new HttpError(400, `turns must be a list of at most ${MAX_TURNS} turns`);
+  }
+
+  let totalCharacters = 0;
+  const transcript = turns.map(turn => {
+    if (!turn || !TRANSCRIPT_ROLES.includes(turn.role) || typeof turn.text !== 'string' || turn.text.length > MAX_TURN_CHARACTERS) {
+      throw new HttpError(400, `Each turn needs the role ${TRANSCRIPT_ROLES.join(' or ')} and text of at most ${MAX_TURN_CHARACTERS} characters`);
+    }
+    totalCharacters += turn.text.length;
+    return turn.interrupted ? { role: turn.role, text: turn.text, interrupted: true } : { role: turn.role, text: turn.text };
+  });
+
+  if (totalCharacters > MAX_TOTAL_CHARACTERS) {
+    throw new HttpError(413, 'Transcript is too long');
+  }
+  return transcript;
+};
+
+/**
+ * Stores an attempt on the instructor dashboard as an exam session
+ * @param {Object} attempt - Submitted attempt
+ * @param {Object} scenario - Its scenario
+ */
+const recordOnDashboard = (attempt, scenario) => {
+  const started = new Date(attempt.startedAt);
+  const allowedMs = new Date(attempt.deadline) - started;
+  saveSession({
+    id: attempt.id,
+    className: attempt.className,
+    studentId: attempt.studentId,
+    studentName: attempt.studentName,
+    type: 'simulator',
+    mode: 'exam',
+    scenarioId: attempt.scenarioId,
+    scenarioTitle: scenario?.title.en || null,
+    language: attempt.language,
+    startedAt: attempt.startedAt,
+    endedAt: attempt.submittedAt,
+    durationMs: Math.min(allowedMs, Math.max(0, new Date(attempt.submittedAt) - started)),
+    turnCount: attempt.transcript.filter(turn => turn.role === 'nurse').length,
+    assessment: attempt.assessment
+  });
+};
+
+/**
+ * Scores a submitted attempt against the rubric version fixed when it
+ * started, and stores the report
+ * @param {Object} attempt - Submitted attempt
+ * @returns {Promise<Object>} - The attempt with its assessment
+ */
+const assessAttempt = async (attempt) => {
+  const scenario = await getScenario(attempt.scenarioId);
+  const rubric = getRubric(attempt.rubricId, attempt.rubricVersion);
+  if (!scenario || !rubric) {
+    throw new HttpError(500, 'The scenario or rubric of this exam is no longer on the server');
+  }
+
+  const { formatTranscript, normaliseAssessment } = await import('../shared/assessment.mjs');
+  const language = attempt.language || scenario.language;
+
+  // An attempt in which the nurse said nothing scores the lowest band throughout
+  let result = { criteria: [] };
+  if (attempt.transcript.some(turn => turn.role === 'nurse')) {
+    const content = await completeChatTask('assessment', { scenario, language, rubric }, [
+      { role: 'user', content: `# Transcript\n\n${formatTranscript(attempt.transcript, scenario)}` }
+    ]);
+    result = JSON.parse(content);
+  }
+
+  const assessed = { ...attempt, assessment: normaliseAssessment(result, rubric, attempt.transcript) };
+  saveAttemptAssessment(attempt.id, assessed.assessment);
+  recordOnDashboard(assessed, scenario);
+  console.log(`Exams: scored ${attempt.className}/${attempt.studentId} on ${attempt.scenarioId}: ${assessed.assessment.percentage}%`);
+  return assessed;
+};
+
+const sendAttempt = async (req, res) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const student = readStudent(req, { className: query.get('className'), studentId: query.get('studentId') });
+  const scenario = await getScenario(query.get('scenarioId') || '');
+  if (!scenario) {
+    throw new HttpError(400, 'scenarioId must name a scenario');
+  }
+  const attempt = findAttempt(student, scenario.id);
+
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, { attempt: attempt ? toClientAttempt(attempt) : null, durationMs: getExamDurationMs(scenario) });
+};
+
+const startExam = async (req, res) => {
+  const body = await readJsonBody(req);
+  const scenario = typeof body.scenarioId === 'string' ? await getScenario(body.scenarioId) : null;
+  if (!scenario) {
+    throw new HttpError(400, 'scenarioId must name a scenario');
+  }
+  const rubric = getScenarioRubric(scenario);
+  if (!rubric) {
+    throw new HttpError(500, `No rubric for scenario ${scenario.id}`);
+  }
+
+  const student = readStudent(req, body);
+  const attempt = startAttempt({
+    ...student,
+    scenarioId: scenario.id,
+    rubricId: rubric.id,
+    rubricVersion: rubric.version,
+    durationMs: getExamDurationMs(scenario)
+  });
+  if (attempt.submittedAt) {
+    throw new HttpError(409, 'You have already sat this exam');
+  }
+
+  console.log(`Exams: ${student.className}/${student.studentId} is sitting ${scenario.id} until ${attempt.deadline}`);
+  sendJson(res, 200, { attempt: toClientAttempt(attempt) });
+};
+
+const submitExam = async (req, res) => {
+  const body = await readJsonBody(req, 1024 * 1024);
+  const attempt = requireOwnAttempt(req, body);
+  const transcript = readTranscript(body.turns);
+
+  const { PATIENT_LANGUAGES } = await import('../shared/patientLanguages.mjs');
+  const language = Object.prototype.hasOwnProperty.call(PATIENT_LANGUAGES, body.language) ? body.language : null;
+
+  // Past the deadline and its grace period the attempt counts as timed out, whatever the browser says
+  const late = Date.now() > new Date(attempt.deadline).getTime() + SUBMIT_GRACE_MS;
+  const endedBy = late ? 'timeout' : ENDED_BY.includes(body.endedBy) ? body.endedBy : 'submitted';
+
+  if (!submitAttempt(attempt.id, { endedBy, language, transcript })) {
+    throw new HttpError(409, 'This exam has already been submitted');
+  }
+
+  const submitted = getAttempt(attempt.id);
+  recordOnDashboard(submitted, await getScenario(submitted.scenarioId));
+  console.log(`Exams: ${submitted.className}/${submitted.studentId} handed in ${submitted.scenarioId} (${endedBy})`);
+
+  // The submission stands if scoring fails; the browser can ask for it again with /api/exams/assess
+  try {
+    sendJson(res, 200, { attempt: toClientAttempt(await assessAttempt(submitted)) });
+  } catch (error) {
+    console.error(`Exams: could not score attempt ${submitted.id}:`, error);
+    sendJson(res, 200, { attempt: toClientAttempt(submitted), assessmentError: error instanceof HttpError ? error.message : 'Scoring failed' });
+  }
+};
+
+const reassessExam = async (req, res) => {
+  const body = await readJsonBody(req);
+  const attempt = requireOwnAttempt(req, body);
+  if (!attempt.submittedAt) {
+    throw new HttpError(409, 'This exam has not been submitted yet');
+  }
+
+  // A score once given stands
+  sendJson(res, 200, { attempt: toClientAttempt(attempt.assessment ? attempt : await assessAttempt(attempt)) });
+};
+
+module.exports = {
+  '/api/exams/attempt': createHandler({ bucket: 'dashboard', methods: ['GET'], handle: sendAttempt }),
+  '/api/exams/start': createHandler({ bucket: 'dashboard', handle: startExam }),
+  '/api/exams/submit': createHandler({ bucket: 'dashboard', handle: submitExam }),
+  '/api/exams/assess': createHandler({ bucket: 'dashboard', handle: reassessExam })
+};
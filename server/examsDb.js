@@ -0,0 +1,128 @@
+/**
+ * Exam attempt storage
+ *
+ * One row per student and scenario: an exam can be sat once. The server sets
+ * the deadline and the rubric version when the attempt starts, keeps the
+ * transcript handed in, and stores the assessment it scored itself. A signed-in
+ * student's attempts are theirs by account (user_id); without accounts they
+ * are matched by class and student ID.
+ */
+
+const crypto = require('crypto');
+const { defineSchema, openDatabase } = require('./database');
+
+defineSchema(`
+  CREATE TABLE IF NOT EXISTS exam_attempts (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    class_name TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    student_name TEXT,
+    scenario_id TEXT NOT NULL,
+    rubric_id TEXT NOT NULL,
+    rubric_version INTEGER NOT NULL,
+    started_at TEXT NOT NULL,
+    deadline TEXT NOT NULL,
+    submitted_at TEXT,
+    ended_by TEXT,
+    language TEXT,
+    transcript TEXT,
+    assessment TEXT
+  );
+  CREATE INDEX IF NOT EXISTS exam_attempts_student ON exam_attempts (student_id, scenario_id);
+`);
+
+// A stored row as the attempt the routes work with
+const toAttempt = (row) => (row ? {
+  id: row.id,
+  userId: row.user_id,
+  className: row.class_name,
+  studentId: row.student_id,
+  studentName: row.student_name,
+  scenarioId: row.scenario_id,
+  rubricId: row.rubric_id,
+  rubricVersion: row.rubric_version,
+  startedAt: row.started_at,
+  deadline: row.deadline,
+  submittedAt: row.submitted_at,
+  endedBy: row.ended_by,
+  language: row.language,
+  transcript: row.transcript ? JSON.parse(row.transcript) : null,
+  assessment: row.assessment ? JSON.parse(row.assessment) : null
+} : null);
+
+/**
+ * Looks up an attempt by id
+ * @param {string} id - Attempt id
+ * @returns {Object|null} - Attempt
+ */
+const getAttempt = (id) => toAttempt(openDatabase().prepare('SELECT * FROM exam_attempts WHERE id = ?').get(id));
+
+/**
+ * Looks up a student's attempt at a scenario: by account for a signed-in
+ * student, whatever class it was sat in, otherwise by class and student ID
+ * @param {Object} owner - { userId, className, studentId }
+ * @param {string} scenarioId - Scenario id
+ * @returns {Object|null} - Attempt
+ */
+const findAttempt = ({ userId = null, className, studentId }, scenarioId) => {
+  const db = openDatabase();
+  const row = userId
+    ? db.prepare('SELECT * FROM exam_attempts WHERE user_id = ? AND scenario_id = ?').get(userId, scenarioId)
+    : db.prepare('SELECT * FROM exam_attempts WHERE user_id IS NULL AND class_name = ? AND student_id = ? AND scenario_id = ?')
+      .get(className, studentId, scenarioId);
+  return toAttempt(row);
+};
+
+/**
+ * Starts a student's attempt at a scenario, or returns the one they already have
+ * @param {Object} attempt - { userId, className, studentId, studentName, scenarioId, rubricId, rubricVersion, durationMs }
+ * @returns {Object} - The new or existing attempt
+ */
+const startAttempt = (attempt) => {
+  const db = openDatabase();
+
+  // Lookup and insert in one transaction, so an attempt cannot be started twice
+  return db.transaction(() => {
+    const existing = findAttempt(attempt, attempt.scenarioId);
+    if (existing) return existing;
+
+    const id = crypto.randomUUID();
+    const now = new Date();
+    db.prepare(`
+      INSERT INTO exam_attempts (id, user_id, class_name, student_id, student_name, scenario_id, rubric_id, rubric_version,
+        started_at, deadline)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, attempt.userId || null, attempt.className, attempt.studentId, attempt.studentName || null, attempt.scenarioId,
+      attempt.rubricId, attempt.rubricVersion, now.toISOString(), new Date(now.getTime() + attempt.durationMs).toISOString());
+    return getAttempt(id);
+  })();
+};
+
+/**
+ * Hands an attempt in. Only the first submission counts.
+ * @param {string} id - Attempt id
+ * @param {Object} submission - { endedBy, language, transcript }
+ * @returns {boolean} - false if the attempt was already submitted
+ */
+const submitAttempt = (id, { endedBy, language, transcript }) => openDatabase().prepare(`
+  UPDATE exam_attempts SET submitted_at = ?, ended_by = ?, language = ?, transcript = ?
+  WHERE id = ? AND submitted_at IS NULL
+`).run(new Date().toISOString(), endedBy, language, JSON.stringify(transcript), id).changes > 0;
+
+/**
+ * Stores the server's assessment of a submitted attempt
+ * @param {string} id - Attempt id
+ * @param {Object} report - Assessment report
+ */
+const saveAttemptAssessment = (id, report) => {
+  openDatabase().prepare('UPDATE exam_attempts SET assessment = ? WHERE id = ?').run(JSON.stringify(report), id);
+};
+
+module.exports = {
+  getAttempt,
+  findAttempt,
+  startAttempt,
+  submitAttempt,
+  saveAttemptAssessment
+};
@@ -0,0 +1,115 @@
+/**
+ * Local API server
+ *
+ * Mounts the serverless functions from ../api on a plain Node HTTP server so
+ * the proxy can run without Vercel: during development next to `npm run dev`
+ * (Vite forwards /api here), or on a campus machine where it also serves the
+ * built app from ../dist.
+ *
+ * The instructor dashboard (dashboard.js), exam attempt (exams.js), accounts
+ * (accounts.js) and saved rubric (rubrics.js) APIs live here only, since they
+ * keep their data in a local SQLite file.
+ *
+ * Run with: npm run server
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { setUserLookup } = require('../api/_lib/http');
+const { setRubricLookup } = require('../api/_lib/content');
+const { bootstrapAdmin, getRequestUser } = require('./auth');
+const { getServerRubric } = require('./rubrics');
+
+const PORT = Number(process.env.API_PORT || 3001);
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+// Rate limits count signed-in users by account, and assessments use the rubrics saved from the editor
+setUserLookup(getRequestUser);
+setRubricLookup(getServerRubric);
+
+const routes = {
+  '/api/chat': require('../api/chat'),
+  '/api/transcribe': require('../api/transcribe'),
+  '/api/tts': require('../api/tts'),
+  '/api/tts-viseme': require('../api/tts-viseme'),
+  '/api/speech-token': require('../api/speech-token'),
+  ...require('./dashboard').routes,
+  ...require('./exams'),
+  ...require('./accounts'),
+  ...require('./rubrics').routes
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.glb': 'model/gltf-binary',
+  '.wasm': 'application/wasm'
+};
+
+// Serves a file from the built app, falling back to index.html for client-side routes
+const serveStatic = (req, res) => {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    res.statusCode = 400;
+    res.end('Bad request');
+    return;
+  }
+  let filePath = path.join(DIST_DIR, urlPath);
+
+  // Refuse paths that escape the dist folder, including into siblings such as dist-old
+  const relativePath = path.relative(DIST_DIR, filePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    res.statusCode = 403;
+    res.end('Forbidden');
+    return;
+  }
+
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(DIST_DIR, 'index.html');
+  }
+
+  if (!fs.existsSync(filePath)) {
+    res.statusCode = 404;
+    res.end('Not found. Run "npm run build" to serve the app from this server.');
+    return;
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+  fs.createReadStream(filePath).pipe(res);
+};
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const handler = routes[pathname];
+
+  if (handler) {
+    handler(req, res);
+    return;
+  }
+
+  if (pathname.startsWith('/api/')) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`API server listening on http://localhost:${PORT}`);
+  console.log(`LLM provider: ${process.env.LLM_PROVIDER || 'azure'}`);
+  bootstrapAdmin().catch(error => console.error('Could not create the admin account:', error.message));
+});
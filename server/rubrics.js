@@ -0,0 +1,89 @@
+/**
+ * Rubric API, local server only (saved versions live in the SQLite file, see
+ * rubricsDb.js).
+ *
+ * GET    /api/rubrics        Every rubric version saved from the rubric editor
+ * POST   /api/rubrics        Saves { rubric } as the rubric's next version
+ * DELETE /api/rubrics?id=    Deletes the saved versions of a rubric
+ *
+ * Anyone may read the rubrics, since students are assessed against them.
+ * Saving and deleting need a signed-in tutor or admin, or the instructor key
+ * (INSTRUCTOR_KEY) in the X-Instructor-Key header. The bundled files in
+ * src/rubrics are not stored here; the browser has them already.
+ */
+
+const { createHandler, sendJson, readJsonBody, HttpError } = require('../api/_lib/http');
+const { getBundledRubrics } = require('../api/_lib/content');
+const { listRubricVersions, getRubricVersion, saveRubricVersion, deleteRubricVersions } = require('./rubricsDb');
+const { requireInstructor } = require('./auth');
+
+// The rubric checks are shared with the browser as an ES module
+const loadRubricRules = () => import('../shared/rubrics.mjs');
+
+/**
+ * Looks up a rubric as the server holds it, saved or bundled. The API
+ * functions use it to build assessment prompts (api/_lib/content.js).
+ * @param {string} id - Rubric id
+ * @param {number} version - Optional version number, the latest by default
+ * @returns {Object|null} - Rubric definition or null if not found
+ */
+const getServerRubric = (id, version) => {
+  const bundled = getBundledRubrics().filter(rubric => rubric.id === id);
+
+  if (version !== undefined) {
+    return bundled.find(rubric => rubric.version === version) || getRubricVersion(id, version);
+  }
+
+  const saved = getRubricVersion(id);
+  const latestBundled = bundled.sort((a, b) => b.version - a.version)[0] || null;
+  return saved && (!latestBundled || saved.version > latestBundled.version) ? saved : latestBundled;
+};
+
+const sendRubrics = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, { rubrics: listRubricVersions() });
+};
+
+const saveRubric = async (req, res) => {
+  const user = requireInstructor(req);
+  const body = await readJsonBody(req);
+  const { validateRubric } = await loadRubricRules();
+
+  // The server numbers the versions; anything the browser adds about them is dropped
+  const { bundled, version, savedAt, ...rubric } = body.rubric || {};
+  const problems = validateRubric(rubric);
+  if (problems.length > 0) {
+    throw new HttpError(400, problems.join('; '));
+  }
+
+  const minVersion = Math.max(0, ...getBundledRubrics().filter(entry => entry.id === rubric.id).map(entry => entry.version));
+  const saved = saveRubricVersion(rubric, { minVersion, savedBy: user?.id || null });
+
+  console.log(`Rubrics: saved ${saved.id} version ${saved.version}${user ? ` by ${user.username}` : ''}`);
+  sendJson(res, 200, { rubric: saved });
+};
+
+const deleteRubric = (req, res) => {
+  const user = requireInstructor(req);
+  const id = new URL(req.url, 'http://localhost').searchParams.get('id');
+  if (!id) {
+    throw new HttpError(400, 'id is required');
+  }
+
+  const deleted = deleteRubricVersions(id);
+  console.log(`Rubrics: deleted ${deleted} saved versions of ${id}${user ? ` by ${user.username}` : ''}`);
+  sendJson(res, 200, { deleted });
+};
+
+const handleRubrics = async (req, res) => {
+  if (req.method === 'GET') return sendRubrics(req, res);
+  if (req.method === 'DELETE') return deleteRubric(req, res);
+  return saveRubric(req, res);
+};
+
+module.exports = {
+  getServerRubric,
+  routes: {
+    '/api/rubrics': createHandler({ bucket: 'dashboard', methods: ['GET', 'POST', 'DELETE'], handle: handleRubrics })
+  }
+};
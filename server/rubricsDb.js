@@ -0,0 +1,85 @@
+/**
+ * Rubric storage
+ *
+ * Rubric versions saved from the rubric editor, in the local server
+ * database, one row per version. The definition is kept as the JSON the
+ * editor sent; versions are numbered on from the highest existing one,
+ * bundled files included.
+ */
+
+const { defineSchema, openDatabase } = require('./database');
+
+defineSchema(`
+  CREATE TABLE IF NOT EXISTS rubric_versions (
+    id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    definition TEXT NOT NULL,
+    saved_by TEXT,
+    saved_at TEXT NOT NULL,
+    PRIMARY KEY (id, version)
+  );
+`);
+
+// A stored row as the rubric definition the browser uses
+const toRubric = (row) => ({ ...JSON.parse(row.definition), id: row.id, version: row.version, savedAt: row.saved_at });
+
+/**
+ * Lists every saved version of every rubric
+ * @returns {Array<Object>} - Rubric definitions with version and savedAt
+ */
+const listRubricVersions = () => openDatabase()
+  .prepare('SELECT id, version, definition, saved_at FROM rubric_versions ORDER BY id, version')
+  .all()
+  .map(toRubric);
+
+/**
+ * Looks up a saved rubric version
+ * @param {string} id - Rubric id
+ * @param {number} version - Optional version number, the latest saved one by default
+ * @returns {Object|null} - Rubric definition or null if none is saved
+ */
+const getRubricVersion = (id, version) => {
+  const db = openDatabase();
+  const row = version === undefined
+    ? db.prepare('SELECT id, version, definition, saved_at FROM rubric_versions WHERE id = ? ORDER BY version DESC LIMIT 1').get(id)
+    : db.prepare('SELECT id, version, definition, saved_at FROM rubric_versions WHERE id = ? AND version = ?').get(id, version);
+  return row ? toRubric(row) : null;
+};
+
+/**
+ * Saves a rubric as its next version
+ * @param {Object} rubric - Validated rubric definition, without version
+ * @param {Object} options - { minVersion: highest version outside the database, savedBy: user id or null }
+ * @returns {Object} - The saved rubric with its version and savedAt
+ */
+const saveRubricVersion = (rubric, { minVersion = 0, savedBy = null } = {}) => {
+  const db = openDatabase();
+  const savedAt = new Date().toISOString();
+
+  // Numbering and insert in one transaction, so two saves cannot take the same version
+  const version = db.transaction(() => {
+    const { latest } = db.prepare('SELECT MAX(version) AS latest FROM rubric_versions WHERE id = ?').get(rubric.id);
+    const next = Math.max(latest || 0, minVersion) + 1;
+    db.prepare(`
+      INSERT INTO rubric_versions (id, version, definition, saved_by, saved_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(rubric.id, next, JSON.stringify(rubric), savedBy, savedAt);
+    return next;
+  })();
+
+  return { ...rubric, version, savedAt };
+};
+
+/**
+ * Deletes every saved version of a rubric
+ * @param {string} id - Rubric id
+ * @returns {number} - Number of versions deleted
+ */
+const deleteRubricVersions = (id) => openDatabase().prepare('DELETE FROM rubric_versions WHERE id = ?').run(id).changes;
+
+module.exports = {
+  listRubricVersions,
+  getRubricVersion,
+  saveRubricVersion,
+  deleteRubricVersions
+};
@@ -0,0 +1,194 @@
+/**
+ * Communication assessment
+ *
+ * The assessment model's instructions and output schema, and the checks that
+ * turn its answer into a report. Shared by the app and the API server, which
+ * builds the assessment prompt from the rubric it holds and scores exam
+ * attempts itself.
+ */
+
+import { getCriterionBands, getCriterionMaxScore } from './rubrics.mjs';
+import { getPatientLanguage } from './patientLanguages.mjs';
+
+/**
+ * Builds the JSON schema the assessment model must follow
+ * @param {Object} rubric - Rubric definition
+ * @returns {Object} - JSON schema for the structured output
+ */
+export const buildAssessmentSchema = (rubric) => {
+  const bilingualText = {
+    type: 'object',
+    properties: {
+      zh: { type: 'string' },
+      en: { type: 'string' }
+    },
+    required: ['zh', 'en'],
+    additionalProperties: false
+  };
+
+  const bilingualList = {
+    type: 'object',
+    properties: {
+      zh: { type: 'array', items: { type: 'string' } },
+      en: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['zh', 'en'],
+    additionalProperties: false
+  };
+
+  return {
+    type: 'object',
+    properties: {
+      summary: bilingualText,
+      criteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', enum: rubric.criteria.map(criterion => criterion.id) },
+            score: { type: 'integer' },
+            evidence: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  turn: { type: 'integer' },
+                  quote: { type: 'string' }
+                },
+                required: ['turn', 'quote'],
+                additionalProperties: false
+              }
+            },
+            feedback: bilingualText,
+            tips: bilingualList
+          },
+          required: ['id', 'score', 'evidence', 'feedback', 'tips'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['summary', 'criteria'],
+    additionalProperties: false
+  };
+};
+
+/**
+ * Builds the instructions for the assessment model
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} scenario - Scenario definition
+ * @param {string} languageId - Patient language of the session
+ * @returns {string} - System prompt
+ */
+export const buildAssessmentPrompt = (rubric, scenario, languageId) => {
+  const criteriaText = rubric.criteria
+    .map(criterion => {
+      const bands = getCriterionBands(rubric, criterion)
+        .map(band => `${band.score} = ${band.label.en}${band.descriptor?.en ? ` (${band.descriptor.en})` : ''}`)
+        .join('; ');
+      const examples = [...(criterion.examples?.zh || []), ...(criterion.examples?.en || [])]
+        .map(example => `"${example}"`)
+        .join(', ');
+
+      let text = `- **${criterion.id}** (${criterion.label.en}, weight ${criterion.weight}): ${criterion.description || ''}\n  Score bands: ${bands}`;
+      if (examples) {
+        text += `\n  Example behaviours: ${examples}`;
+      }
+      return text;
+    })
+    .join('\n');
+
+  return `# Assessor Role
+
+You are an experienced clinical nursing educator assessing a nursing student's communication with a simulated patient (${scenario.patient.name.en}, scenario: ${scenario.title.en}). The conversation was held in ${getPatientLanguage(languageId).promptName}.
+
+## Rubric: ${rubric.name.en}
+
+Score each criterion using only the scores listed in its bands:
+
+${criteriaText}
+
+## Instructions
+
+- Assess only the nurse's turns. The patient's turns are context.
+- Every criterion must appear exactly once in your answer.
+- For each criterion quote the nurse's words that support the score, with the turn number shown in the transcript. Use an empty evidence list if the behaviour never happened.
+- Give short, specific feedback and one to three improvement tips for each criterion.
+- Write every text field in both Traditional Chinese (zh, Hong Kong usage) and English (en).`;
+};
+
+/**
+ * Formats the conversation as a numbered transcript
+ * @param {Array} conversations - Conversation entries with role, text and timestamp
+ * @param {Object} scenario - Scenario definition
+ * @returns {string} - Transcript text
+ */
+export const formatTranscript = (conversations, scenario) => conversations
+  .map((entry, index) => {
+    const speaker = entry.role === 'nurse' ? 'Nurse' : `Patient (${scenario.patient.name.en})`;
+    const note = entry.interrupted ? ' [interrupted by the nurse]' : '';
+    return `[Turn ${index + 1}] ${speaker}: ${entry.text}${note}`;
+  })
+  .join('\n');
+
+/**
+ * Checks the model output against the rubric and the transcript, and adds totals
+ * @param {Object} result - Parsed model output
+ * @param {Object} rubric - Rubric definition
+ * @param {Array} conversations - Conversation entries
+ * @returns {Object} - Assessment report
+ */
+export const normaliseAssessment = (result, rubric, conversations) => {
+  const criteria = rubric.criteria.map(criterion => {
+    const assessed = (result.criteria || []).find(item => item.id === criterion.id);
+
+    if (!assessed) {
+      console.warn(`Assessment missing criterion "${criterion.id}"`);
+    }
+
+    // Snap the score to the closest band the rubric allows
+    const bands = getCriterionBands(rubric, criterion);
+    const rawScore = assessed?.score || 0;
+    const band = bands.reduce((closest, candidate) =>
+      Math.abs(candidate.score - rawScore) < Math.abs(closest.score - rawScore) ? candidate : closest
+    , bands[0]);
+
+    // Keep only evidence that points at one of the nurse's turns
+    const evidence = (assessed?.evidence || []).filter(item => {
+      const entry = conversations[item.turn - 1];
+      return entry && entry.role === 'nurse';
+    });
+
+    return {
+      id: criterion.id,
+      label: criterion.label,
+      weight: criterion.weight,
+      score: band.score,
+      maxScore: getCriterionMaxScore(rubric, criterion),
+      band: band.label,
+      evidence,
+      feedback: assessed?.feedback || { zh: '', en: '' },
+      tips: assessed?.tips || { zh: [], en: [] }
+    };
+  });
+
+  const totalScore = criteria.reduce((sum, criterion) => sum + criterion.score, 0);
+  const maxTotal = criteria.reduce((sum, criterion) => sum + criterion.maxScore, 0);
+
+  // The percentage takes the criterion weightings into account
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const weightedScore = criteria.reduce((sum, criterion) =>
+    sum + (criterion.maxScore > 0 ? (criterion.score / criterion.maxScore) * criterion.weight : 0)
+  , 0);
+
+  return {
+    rubricId: rubric.id,
+    rubricVersion: rubric.version,
+    rubricName: rubric.name,
+    summary: result.summary || { zh: '', en: '' },
+    criteria,
+    totalScore,
+    maxTotal,
+    percentage: totalWeight > 0 ? Math.round((weightedScore / totalWeight) * 100) : 0,
+    assessedAt: new Date().toISOString()
+  };
+};
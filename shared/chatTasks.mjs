@@ -0,0 +1,144 @@
+/**
+ * Chat tasks
+ *
+ * Every chat completion the app asks for is one of these tasks. The API
+ * server (api/chat.js) builds a task's system prompt, sampling settings and
+ * output format from the scenario, patient language and rubric it holds, so
+ * the browser only sends the conversation and cannot use the proxy as a
+ * general-purpose model. The mock provider reads the output formats from here
+ * as well.
+ */
+
+import { buildSystemPrompt } from './scenarios.mjs';
+import { getPatientLanguage } from './patientLanguages.mjs';
+import { EMOTION_TAG_INSTRUCTIONS } from './emotionTags.mjs';
+import { buildAssessmentPrompt, buildAssessmentSchema } from './assessment.mjs';
+
+// Languages the patient's speech can be subtitled in. patientLanguage is the
+// patient language that needs no subtitles in this language.
+export const SUBTITLE_LANGUAGES = {
+  en: {
+    label: { zh: '英文', en: 'English' },
+    prompt: 'English',
+    patientLanguage: 'en'
+  },
+  'zh-CN': {
+    label: { zh: '普通話', en: 'Putonghua' },
+    prompt: 'standard written Mandarin Chinese (Putonghua) in Simplified characters, replacing Cantonese words and grammar',
+    patientLanguage: 'cmn'
+  }
+};
+
+// Most coaching tips given for one nurse turn
+export const MAX_HINTS_PER_TURN = 2;
+
+const translationSchema = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string' }
+  },
+  required: ['translation'],
+  additionalProperties: false
+};
+
+const hintsSchema = {
+  type: 'object',
+  properties: {
+    hints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['jargon', 'empathy', 'clarity', 'other'] },
+          zh: { type: 'string' },
+          en: { type: 'string' }
+        },
+        required: ['type', 'zh', 'en'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['hints'],
+  additionalProperties: false
+};
+
+// OpenAI structured output format for a JSON schema
+const jsonSchemaFormat = (name, schema) => ({
+  type: 'json_schema',
+  json_schema: { name, strict: true, schema }
+});
+
+/**
+ * The tasks by id. maxMessages caps the user and assistant messages the
+ * browser may send, stream says whether the reply may be streamed, and
+ * params lists the parameters the task needs besides the scenario and
+ * patient language.
+ */
+export const CHAT_TASKS = {
+  // The simulated patient in the voice simulator, with an emotion tag on every reply
+  patient: {
+    settings: { temperature: 0.7, maxTokens: 400, topP: 0.95 },
+    stream: true,
+    maxMessages: 12,
+    params: [],
+    buildPrompt: ({ scenario, language }) => `${buildSystemPrompt(scenario, language)}\n\n${EMOTION_TAG_INSTRUCTIONS}`
+  },
+
+  // The same patient in the text chatbot, always in the scenario's own language
+  chatbot: {
+    settings: { temperature: 0.7, maxTokens: 800 },
+    stream: true,
+    maxMessages: 12,
+    params: [],
+    buildPrompt: ({ scenario }) => buildSystemPrompt(scenario)
+  },
+
+  // A subtitle for one sentence of the patient's speech
+  translation: {
+    settings: { temperature: 0.2, maxTokens: 300 },
+    stream: false,
+    maxMessages: 1,
+    params: ['subtitleLanguage'],
+    buildPrompt: ({ scenario, language, subtitleLanguage }) => `Translate what a Hong Kong patient (${scenario.patient.name.en}, scenario: ${scenario.title.en}) says to a nurse from colloquial ${getPatientLanguage(language).promptName} into ${SUBTITLE_LANGUAGES[subtitleLanguage].prompt}. Keep the tone, hesitations and medical terms. The text is shown as a subtitle, so translate only the given text without notes.`,
+    responseFormat: () => jsonSchemaFormat('subtitle_translation', translationSchema)
+  },
+
+  // Tips on the nurse's latest turn
+  coaching: {
+    settings: { temperature: 0.2, maxTokens: 300 },
+    stream: false,
+    maxMessages: 1,
+    params: [],
+    buildPrompt: ({ scenario, language }) => `You coach a nursing student talking with a simulated Hong Kong patient (${scenario.patient.name.en}, scenario: ${scenario.title.en}) in colloquial ${getPatientLanguage(language).promptName}. Look only at the nurse's latest turn. Give at most ${MAX_HINTS_PER_TURN} short tips, and only for clear problems: medical jargon a lay patient may not understand (suggest a lay wording), fear, pain or embarrassment the patient expressed that the nurse did not acknowledge, or too much information at once. Write each tip in Traditional Chinese (zh) and English (en), one sentence each. Return an empty list when the turn is fine.`,
+    responseFormat: () => jsonSchemaFormat('coaching_hints', hintsSchema)
+  },
+
+  // Scores of a finished conversation against a rubric
+  assessment: {
+    settings: { temperature: 0.2, maxTokens: 2500 },
+    stream: false,
+    maxMessages: 1,
+    params: ['rubric'],
+    buildPrompt: ({ scenario, language, rubric }) => buildAssessmentPrompt(rubric, scenario, language),
+    responseFormat: ({ rubric }) => jsonSchemaFormat('communication_assessment', buildAssessmentSchema(rubric))
+  }
+};
+
+/**
+ * Builds the model request settings of a task
+ * @param {string} taskId - Key of CHAT_TASKS
+ * @param {Object} params - { scenario, language, subtitleLanguage, rubric }, as the task needs
+ * @returns {{system: string, temperature: number, maxTokens: number, topP: number, responseFormat: Object|null}} - Request settings
+ */
+export const buildChatTask = (taskId, params) => {
+  const task = CHAT_TASKS[taskId];
+  if (!task) {
+    throw new Error(`Unknown chat task "${taskId}"`);
+  }
+
+  return {
+    ...task.settings,
+    system: task.buildPrompt(params),
+    responseFormat: task.responseFormat ? task.responseFormat(params) : null
+  };
+};
@@ -0,0 +1,65 @@
+/**
+ * Emotion tags on patient replies.
+ *
+ * The model starts every patient reply with a tag such as `[anxious]`. The
+ * tag is stripped before the text is shown or spoken, and drives the facial
+ * expression of the avatar for that turn.
+ */
+
+// Emotions the patient can show, with display labels
+export const EMOTIONS = {
+  neutral: { zh: '平靜', en: 'Neutral' },
+  anxious: { zh: '焦慮', en: 'Anxious' },
+  embarrassed: { zh: '尷尬', en: 'Embarrassed' },
+  relieved: { zh: '放心', en: 'Relieved' },
+  confused: { zh: '困惑', en: 'Confused' },
+  pain: { zh: '痛楚', en: 'In pain' }
+};
+
+export const DEFAULT_EMOTION = 'neutral';
+
+// A tag at the very start of the reply, e.g. "[anxious] 姑娘……"
+const TAG_PATTERN = /^\s*\[([a-z]+)\]\s*/i;
+
+// Longest opening that could still turn into a tag while streaming
+const MAX_PENDING_TAG_LENGTH = 16;
+
+/**
+ * Instructions appended to the patient system prompt
+ */
+export const EMOTION_TAG_INSTRUCTIONS = `## Emotion Tag
+
+Start every reply with exactly one tag for the emotion you are showing in that reply, then the reply itself, for example: [anxious] 姑娘，我有啲驚……
+Use one of: ${Object.keys(EMOTIONS).map(emotion => `[${emotion}]`).join(', ')}. The tag is never spoken and must not appear anywhere else in the reply.`;
+
+/**
+ * Formats the tag for an emotion, used to replay earlier patient turns to the model
+ * @param {string} emotion - Emotion id
+ * @returns {string} - Tag followed by a space, or an empty string for unknown emotions
+ */
+export const formatEmotionTag = (emotion) => (EMOTIONS[emotion] ? `[${emotion}] ` : '');
+
+/**
+ * Splits the emotion tag off a reply, which may still be streaming
+ * @param {string} text - Reply text as received so far
+ * @returns {{text: string, emotion: string|null, pending: boolean}} - Reply without the tag,
+ *   the emotion (null if the reply has no known tag) and whether a tag may still be arriving
+ */
+export const parseEmotionTag = (text = '') => {
+  const match = text.match(TAG_PATTERN);
+
+  if (match) {
+    const emotion = match[1].toLowerCase();
+    return {
+      text: text.slice(match[0].length),
+      emotion: EMOTIONS[emotion] ? emotion : null,
+      pending: false
+    };
+  }
+
+  // "[anxi" could still become a tag once more tokens arrive
+  const trimmed = text.trimStart();
+  const pending = trimmed.startsWith('[') && !trimmed.includes(']') && trimmed.length <= MAX_PENDING_TAG_LENGTH;
+
+  return { text: pending ? '' : text, emotion: null, pending };
+};
@@ -0,0 +1,74 @@
+/**
+ * Languages the simulated patient can speak
+ *
+ * A session's patient language switches everything that depends on it: the
+ * persona's language instruction, Whisper's language and prompt, the streaming
+ * recognition locale, the TTS voice and SSML xml:lang, and the UI hints.
+ * Scenario files are written for their own `language` (Cantonese for the
+ * bundled cases) and are adapted when another language is chosen.
+ *
+ * The app reads this table through src/services/patientLanguages.js, which
+ * applies the VITE_AZURE_SPEECH_VOICE_NAME override; the API server builds
+ * the prompts from it.
+ */
+
+export const DEFAULT_PATIENT_LANGUAGE = 'yue';
+
+export const PATIENT_LANGUAGES = {
+  yue: {
+    label: { zh: '廣東話', en: 'Cantonese' },
+    // How the language is named in the scenario prompts
+    promptName: 'Hong Kong-style Cantonese',
+    instruction: '**Always respond in Hong Kong-style Cantonese, using natural conversational expressions and tone. Avoid formal or overly technical language.**',
+    locale: 'zh-HK',
+    voices: {
+      male: 'zh-HK-WanLungNeural',
+      female: 'zh-HK-HiuMaanNeural'
+    },
+    // Whisper has no separate code for Cantonese
+    whisperLanguage: 'zh',
+    whisperPrompt: 'IMPORTANT: This is a Cantonese (NOT Mandarin) transcription for a Hong Kong based nurse discussing medical procedures. The speaker is using Cantonese. Transcribe in Hong Kong style Cantonese using Traditional Chinese characters. Always use Cantonese pronunciation characters and Hong Kong written style (e.g., 係 not 是, 唔係 not 不是, 嚟 not 來, 喺 not 在, 俾 not 給). Include Hong Kong specific Cantonese particles like 嘅, 啦, 喎, 咩, 囉, 喇, 咗, 嗰, 嘢, 哋, 嗱. Common medical terms in this context include: 大腸內窺鏡 (colonoscopy), 腸胃科 (gastroenterology), 瀉藥 (laxative), 腸道準備 (bowel preparation), 麻醉 (anesthesia), 檢查 (examination), 風險 (risks), 副作用 (side effects), etc. Always output Cantonese, never Mandarin.',
+    speakHint: { zh: '請用廣東話與病人對話', en: 'Speak Cantonese with the patient' }
+  },
+  cmn: {
+    label: { zh: '普通話', en: 'Putonghua' },
+    promptName: 'Putonghua (Standard Mandarin)',
+    instruction: '**You are a patient from mainland China who speaks only Putonghua (Standard Mandarin). Always respond in natural, conversational Putonghua written in Simplified Chinese characters. Do not use Cantonese words or grammar. Avoid formal or overly technical language.**',
+    locale: 'zh-CN',
+    voices: {
+      male: 'zh-CN-YunjianNeural',
+      female: 'zh-CN-XiaoxiaoNeural'
+    },
+    whisperLanguage: 'zh',
+    whisperPrompt: 'This is a Putonghua (Standard Mandarin) conversation between a Hong Kong nurse and a patient about medical procedures. Transcribe in Simplified Chinese characters. Common medical terms include: 结肠镜 (colonoscopy), 胃镜 (gastroscopy), 泻药 (laxative), 肠道准备 (bowel preparation), 麻醉 (anesthesia), 检查 (examination), 风险 (risks), 副作用 (side effects).',
+    speakHint: { zh: '請用普通話與病人對話', en: 'Speak Putonghua with the patient' }
+  },
+  en: {
+    label: { zh: '英語', en: 'English' },
+    promptName: 'English',
+    instruction: '**You do not speak Chinese. Always respond in natural, conversational English. Avoid formal or overly technical language.**',
+    locale: 'en-HK',
+    voices: {
+      male: 'en-HK-SamNeural',
+      female: 'en-HK-YanNeural'
+    },
+    whisperLanguage: 'en',
+    whisperPrompt: 'This is an English conversation between a Hong Kong nurse and a patient about medical procedures such as colonoscopy, gastroscopy, bowel preparation, laxatives, sedation, wound care and diabetes.',
+    speakHint: { zh: '請用英語與病人對話', en: 'Speak English with the patient' }
+  }
+};
+
+/**
+ * Looks up a patient language, falling back to Cantonese
+ * @param {string} id - Language code (yue, cmn or en)
+ * @returns {Object} - Language definition
+ */
+export const getPatientLanguage = (id) => {
+  if (id && PATIENT_LANGUAGES[id]) {
+    return PATIENT_LANGUAGES[id];
+  }
+  if (id) {
+    console.warn(`Unknown patient language "${id}", using ${DEFAULT_PATIENT_LANGUAGE}`);
+  }
+  return PATIENT_LANGUAGES[DEFAULT_PATIENT_LANGUAGE];
+};
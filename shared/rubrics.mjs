@@ -0,0 +1,81 @@
+/**
+ * Rubric definitions
+ *
+ * Checks and score bands of the rubric format (src/rubrics/README.md), shared
+ * by the browser's rubric store and the local server, which keeps the
+ * versions saved from the rubric editor (server/rubrics.js).
+ */
+
+/**
+ * Checks a rubric definition for missing or inconsistent fields
+ * @param {Object} rubric - Rubric definition
+ * @returns {Array<string>} - List of problems, empty when the rubric is valid
+ */
+export const validateRubric = (rubric) => {
+  const problems = [];
+
+  if (!rubric || typeof rubric !== 'object') {
+    return ['Rubric must be an object'];
+  }
+
+  if (!rubric.id || !/^[a-z0-9-]+$/.test(rubric.id)) {
+    problems.push('Rubric id must use lowercase letters, digits and dashes');
+  }
+
+  if (!rubric.name?.zh || !rubric.name?.en) {
+    problems.push('Rubric needs a Chinese and English name');
+  }
+
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    problems.push('Rubric needs at least one criterion');
+    return problems;
+  }
+
+  const ids = new Set();
+  rubric.criteria.forEach((criterion, index) => {
+    const position = `Criterion ${index + 1}`;
+
+    if (!criterion.id) {
+      problems.push(`${position} needs an id`);
+    } else if (ids.has(criterion.id)) {
+      problems.push(`${position} repeats id "${criterion.id}"`);
+    }
+    ids.add(criterion.id);
+
+    if (!criterion.label?.zh || !criterion.label?.en) {
+      problems.push(`${position} needs a Chinese and English label`);
+    }
+
+    if (!(criterion.weight > 0)) {
+      problems.push(`${position} needs a weight above 0`);
+    }
+
+    if (getCriterionBands(rubric, criterion).length < 2) {
+      problems.push(`${position} needs at least two score bands`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Returns the score bands for a criterion, falling back to the rubric-wide bands
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} criterion - Criterion definition
+ * @returns {Array<Object>} - Bands sorted by score
+ */
+export const getCriterionBands = (rubric, criterion) => {
+  const bands = criterion.bands?.length > 0 ? criterion.bands : (rubric.bands || []);
+  return [...bands].sort((a, b) => a.score - b.score);
+};
+
+/**
+ * Returns the highest score available for a criterion
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} criterion - Criterion definition
+ * @returns {number} - Maximum score
+ */
+export const getCriterionMaxScore = (rubric, criterion) => {
+  const bands = getCriterionBands(rubric, criterion);
+  return bands.length > 0 ? bands[bands.length - 1].score : 0;
+};
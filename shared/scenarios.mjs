@@ -0,0 +1,83 @@
+/**
+ * Scenario definitions
+ *
+ * Checks of the scenario format (src/scenarios/README.md) and the LLM system
+ * prompt built from a scenario, shared by the app's scenario loader and the
+ * API server, which builds the prompts itself so the browser cannot swap them.
+ */
+
+import { getPatientLanguage } from './patientLanguages.mjs';
+
+// Fields every scenario file must provide
+const REQUIRED_FIELDS = ['id', 'title', 'patient', 'persona', 'background', 'emotionalState', 'behaviourRules', 'briefing'];
+
+/**
+ * Checks a scenario definition for missing required fields
+ * @param {Object} scenario - Parsed scenario definition
+ * @returns {Array<string>} - List of problems, empty when the scenario is valid
+ */
+export const validateScenario = (scenario) => {
+  const problems = [];
+
+  if (!scenario || typeof scenario !== 'object') {
+    return ['Scenario must be an object'];
+  }
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (scenario[field] === undefined || scenario[field] === null) {
+      problems.push(`Missing required field "${field}"`);
+    }
+  });
+
+  if (scenario.persona && !scenario.persona.role) {
+    problems.push('Missing "persona.role"');
+  }
+
+  if (scenario.patient && !(scenario.patient.name && scenario.patient.name.zh)) {
+    problems.push('Missing "patient.name.zh"');
+  }
+
+  return problems;
+};
+
+// Format a list of strings as a markdown bullet list
+const bulletList = (items = []) => items.map(item => `- ${item}`).join('\n');
+
+/**
+ * Builds the LLM system prompt for a scenario
+ * @param {Object} scenario - Scenario definition
+ * @param {string} languageId - Patient language of the session, defaults to the scenario's own
+ * @returns {string} - The system prompt in markdown
+ */
+export const buildSystemPrompt = (scenario, languageId = scenario.language) => {
+  const sections = [];
+
+  // Scenarios are written for their own language. For another language the
+  // language instruction is replaced and the language named in the rules is swapped.
+  const scenarioLanguage = getPatientLanguage(scenario.language);
+  const language = getPatientLanguage(languageId);
+  const switched = language !== scenarioLanguage;
+  const localise = (text) => switched ? text.split(scenarioLanguage.promptName).join(language.promptName) : text;
+  const localiseList = (items = []) => items.map(localise);
+
+  const roleSection = ['# System Role', scenario.persona.role];
+  if (switched) {
+    roleSection.push(language.instruction);
+  } else if (scenario.persona.languageInstruction) {
+    roleSection.push(scenario.persona.languageInstruction);
+  }
+  sections.push(roleSection.join('\n\n'));
+
+  sections.push(`## Patient Background\n\n${bulletList(scenario.background)}`);
+
+  const emotions = scenario.emotionalState.map(({ label, description }) => `**${label}**: ${description}`);
+  sections.push(`## Emotional State\n\n${bulletList(emotions)}`);
+
+  sections.push(`## Interaction Behavior\n\n${bulletList(localiseList(scenario.behaviourRules))}`);
+
+  if (scenario.communicationStyle && scenario.communicationStyle.length > 0) {
+    sections.push(`## Tone and Communication Style\n\n${bulletList(localiseList(scenario.communicationStyle))}`);
+  }
+
+  return sections.join('\n\n---\n\n');
+};
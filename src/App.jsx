@@ -1,20 +1,135 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useParams, useLocation } from 'react-router-dom';
 import PatientSimulator from './components/PatientSimulator';
 import ConversationLog from './components/ConversationLog';
+import AssessmentReport from './components/AssessmentReport';
+import ScenarioLibrary from './components/ScenarioLibrary';
+import RubricEditor from './components/RubricEditor';
+import SessionHistory from './components/SessionHistory';
+import SessionReplay from './components/SessionReplay';
+import InstructorDashboard from './components/InstructorDashboard';
+import LoginPage from './components/LoginPage';
+import AccountPage from './components/AccountPage';
+import ClassManager from './components/ClassManager';
+import UserManager from './components/UserManager';
 import ChatbotApp from './chatbot/ChatbotApp';
+import { getScenario, hasScenario } from './scenarios';
+import { assessConversation } from './services/assessmentService';
+import { collectCoachingHints } from './services/coachingService';
+import { getRubric, getRubricsForScenario } from './rubrics';
+import { DEFAULT_PATIENT_LANGUAGE } from './services/patientLanguages';
+import { uploadSession } from './services/dashboardService';
+import { ACCOUNTS_ENABLED, getSessionIdentity, refreshCurrentUser } from './services/authService';
+import { useAuth } from './hooks/useAuth';
+import { useExamLock } from './hooks/useExamLock';
+import { useRubrics } from './hooks/useRubrics';
+import {
+  getExamDuration,
+  getAttemptDuration,
+  setExamInProgress,
+  fetchExamAttempt,
+  startExamAttempt,
+  submitExamAttempt,
+  assessExamAttempt
+} from './services/examService';
+import {
+  createSession,
+  updateSession,
+  endSession,
+  deleteSession,
+  addSessionAudio,
+  getSessionAudio,
+  findResumableSession,
+  getSessionTurnCount
+} from './services/sessionStore';
 import './App.css';
 
-function PatientSimulatorApp() {
+// mode 'exam' makes the session a timed exam attempt (examService.js)
+function PatientSimulatorApp({ scenarioId, mode = 'practice' }) {
+  const scenario = getScenario(scenarioId);
+  const isExam = mode === 'exam';
   const [conversations, setConversations] = useState([]);
   const [isSimulationActive, setIsSimulationActive] = useState(false);
   const [audioRecordings, setAudioRecordings] = useState([]);
   const audioRecordingsRef = useRef(null);
+  const [assessment, setAssessment] = useState({ status: 'idle', report: null, error: '' });
+  // Re-renders once the rubric versions saved on the server have loaded
+  useRubrics();
+  const scenarioRubrics = getRubricsForScenario(scenario);
+  const [rubricId, setRubricId] = useState(scenarioRubrics[0]?.id);
+  // The patient can speak a different language from the one the scenario is written in
+  const [patientLanguage, setPatientLanguage] = useState(scenario.language || DEFAULT_PATIENT_LANGUAGE);
+  // The session is saved to IndexedDB as it goes, so it survives a reload
+  const sessionIdRef = useRef(null);
+  const [resumableSession, setResumableSession] = useState(null); // Unfinished session offered for resuming
+  // Starting point of the simulator; a new key remounts it with a fresh or restored history
+  const [restoredSession, setRestoredSession] = useState({ key: 'initial', entries: [], audio: [] });
+  // The exam attempt as the server keeps it (examService.js); deadline is set when it starts
+  const [exam, setExam] = useState(() => (isExam
+    ? { attemptId: null, durationMs: getExamDuration(scenario), deadline: null, submitted: false, endedBy: null }
+    : null));
+  const [examTimedOut, setExamTimedOut] = useState(false);
+  const [examError, setExamError] = useState('');
+
+  // Offer to resume the last unfinished session of this scenario
+  useEffect(() => {
+    findResumableSession('simulator', scenarioId, getSessionIdentity()?.userId || null, mode)
+      .then(setResumableSession)
+      .catch(error => console.warn('Could not look for an unfinished session:', error));
+  }, [scenarioId]);
+
+  // The server says how long the exam is; one already handed in cannot be sat
+  // again, so its result is shown instead
+  useEffect(() => {
+    if (!isExam) return;
+    fetchExamAttempt(scenarioId)
+      .then(({ attempt, durationMs }) => {
+        setExam(prev => ({ ...prev, durationMs: attempt ? getAttemptDuration(attempt) : durationMs }));
+        if (!attempt?.submittedAt) return;
+        setExam(prev => ({ ...prev, attemptId: attempt.id, submitted: true, endedBy: attempt.endedBy }));
+        showExamResult(attempt);
+      })
+      .catch(error => {
+        console.error('Could not look up the exam attempt:', error);
+        setExamError(`無法連接考試伺服器 / The exam server could not be reached: ${error.message}`);
+      });
+  }, [scenarioId]);
+
+  // Leaving the page mid-exam asks first; the attempt can still be resumed until its deadline
+  useEffect(() => {
+    if (!isExam || !isSimulationActive) return;
+    const warn = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [isSimulationActive]);
+
+  // Hand the exam in once the simulator reports the time is up, with the transcript as it stood then
+  useEffect(() => {
+    if (examTimedOut && isSimulationActive) {
+      stopSimulation('timeout');
+    }
+  }, [examTimedOut]);
+
+  // Save the transcript whenever it changes
+  useEffect(() => {
+    if (!sessionIdRef.current || conversations.length === 0) return;
+
+    updateSession(sessionIdRef.current, { entries: conversations })
+      .catch(error => console.warn('Could not save the session:', error));
+  }, [conversations]);
 
   const addConversationEntry = (entry) => {
     setConversations(prev => [...prev, entry]);
   };
 
+  // Apply later changes to an entry, e.g. a patient turn cut short by barge-in
+  const updateConversationEntry = (id, changes) => {
+    setConversations(prev => prev.map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+  };
+
   const handleAudioRecorded = (audioData) => {
     console.log('Audio recorded handler called with:', audioData);
     
@@ -29,18 +144,210 @@ function PatientSimulatorApp() {
     if (audioData && audioData.blob) {
       console.log('Adding new audio recording, role:', audioData.role);
       setAudioRecordings(prev => [...prev, audioData]);
+
+      if (sessionIdRef.current) {
+        addSessionAudio(sessionIdRef.current, audioData)
+          .catch(error => console.warn('Could not save the audio recording:', error));
+      }
     }
   };
 
-  const startSimulation = () => {
+  /**
+   * Starts or resumes the exam attempt on the server, which sets the deadline
+   * @returns {Promise<Object|null>} - The attempt, null if it cannot be sat
+   */
+  const openExamAttempt = async () => {
+    setExamError('');
+    try {
+      const attempt = await startExamAttempt(scenarioId);
+      setExam({ attemptId: attempt.id, durationMs: getAttemptDuration(attempt), deadline: attempt.deadline, submitted: false, endedBy: null });
+      setExamTimedOut(false);
+      setExamInProgress({ scenarioId, deadline: attempt.deadline });
+      setRubricId(attempt.rubricId);
+      return attempt;
+    } catch (error) {
+      console.error('Could not start the exam:', error);
+      setExamError(error.message);
+      // Already handed in: an unfinished local copy of it can no longer be resumed
+      if (error.status === 409) {
+        setExam(prev => ({ ...prev, submitted: true }));
+        if (resumableSession) {
+          discardResumableSession();
+        }
+      }
+      return null;
+    }
+  };
+
+  const startSimulation = async () => {
+    const attempt = isExam ? await openExamAttempt() : null;
+    if (isExam && !attempt) return;
+
     setIsSimulationActive(true);
-    // Reset recordings when starting a new simulation
+    // Reset the conversation and recordings when starting a new simulation
+    setConversations([]);
     setAudioRecordings([]);
     audioRecordingsRef.current = null;
+    setAssessment({ status: 'idle', report: null, error: '' });
+
+    // Starting afresh leaves the unfinished session in the history
+    if (resumableSession) {
+      discardResumableSession();
+    }
+
+    const key = crypto.randomUUID();
+    setRestoredSession({ key, entries: [], audio: [] });
+    sessionIdRef.current = null;
+
+    const examTiming = attempt ? { attemptId: attempt.id, durationMs: getAttemptDuration(attempt), deadline: attempt.deadline } : null;
+    createSession({ type: 'simulator', scenarioId, language: patientLanguage, student: getSessionIdentity(), mode, exam: examTiming })
+      .then(session => {
+        sessionIdRef.current = session.id;
+      })
+      .catch(error => console.warn('The session will not be saved:', error));
+  };
+
+  // Carry on with an unfinished session: transcript, recordings and settings
+  const resumeSession = async () => {
+    const session = resumableSession;
+
+    // The countdown carries on from the server's deadline; one already past ends the exam at once
+    if (isExam && !await openExamAttempt()) {
+      return;
+    }
+    setResumableSession(null);
+
+    try {
+      const audio = await getSessionAudio(session.id);
+      console.log(`Resuming session ${session.id} with ${session.entries.length} entries and ${audio.length} recordings`);
+
+      sessionIdRef.current = session.id;
+      setConversations(session.entries);
+      setAudioRecordings(audio);
+      audioRecordingsRef.current = null;
+      setAssessment({ status: 'idle', report: null, error: '' });
+      if (session.language) {
+        setPatientLanguage(session.language);
+      }
+      if (session.rubricId) {
+        setRubricId(session.rubricId);
+      }
+      setRestoredSession({ key: session.id, entries: session.entries, audio });
+      setIsSimulationActive(true);
+    } catch (error) {
+      console.error('Could not resume the session:', error);
+    }
   };
 
-  const stopSimulation = () => {
+  const discardResumableSession = () => {
+    endSession(resumableSession.id)
+      .catch(error => console.warn('Could not end the unfinished session:', error));
+    setResumableSession(null);
+  };
+
+  // Score the nurse's turns against the rubric once the session ends
+  const runAssessment = async (selectedRubricId = rubricId) => {
+    if (!conversations.some(entry => entry.role === 'nurse')) {
+      return;
+    }
+
+    const sessionId = sessionIdRef.current;
+
+    setAssessment({ status: 'loading', report: null, error: '' });
+
+    try {
+      const report = await assessConversation(conversations, scenario, getRubric(selectedRubricId) || undefined, patientLanguage);
+      setAssessment({ status: 'done', report, error: '' });
+
+      if (sessionId) {
+        updateSession(sessionId, { assessment: report, rubricId: selectedRubricId })
+          .then(() => uploadSession(sessionId).catch(error => console.warn('Could not upload the session:', error)))
+          .catch(error => console.warn('Could not save the assessment:', error));
+      }
+    } catch (error) {
+      console.error('Assessment error:', error);
+      setAssessment({ status: 'error', report: null, error: error.message });
+    }
+  };
+
+  // Shows the server's assessment of a submitted exam, or why there is none yet
+  const showExamResult = (attempt, assessmentError = '') => {
+    if (attempt.assessment) {
+      setAssessment({ status: 'done', report: attempt.assessment, error: '' });
+    } else {
+      setAssessment({ status: 'error', report: null, error: assessmentError || '考試已提交，尚未評分 / The exam was handed in but has not been scored yet' });
+    }
+  };
+
+  // Hands the exam in; the server scores it against its own rubric. Trying
+  // again after the hand-in went through only asks for the score.
+  const handInExam = async (endedBy) => {
+    setAssessment({ status: 'loading', report: null, error: '' });
+    const sessionId = sessionIdRef.current;
+
+    try {
+      let result;
+      try {
+        result = await submitExamAttempt(exam.attemptId, { turns: conversations, language: patientLanguage, endedBy });
+      } catch (error) {
+        if (error.status !== 409) throw error;
+        result = { attempt: await assessExamAttempt(exam.attemptId) };
+      }
+
+      showExamResult(result.attempt, result.assessmentError);
+      if (sessionId && result.attempt.assessment) {
+        updateSession(sessionId, { assessment: result.attempt.assessment, rubricId: result.attempt.rubricId })
+          .catch(error => console.warn('Could not save the assessment:', error));
+      }
+    } catch (error) {
+      console.error('Could not hand in the exam:', error);
+      setAssessment({ status: 'error', report: null, error: `考試未能提交 / The exam could not be handed in: ${error.message}` });
+    }
+  };
+
+  // Re-assess the same conversation against a different rubric
+  const changeRubric = (selectedRubricId) => {
+    setRubricId(selectedRubricId);
+    runAssessment(selectedRubricId);
+  };
+
+  // endedBy says how an exam ended: 'submitted' by the student or 'timeout'
+  const stopSimulation = (endedBy = 'submitted') => {
     setIsSimulationActive(false);
+
+    let examResult = {};
+    if (isExam) {
+      examResult = { exam: { attemptId: exam.attemptId, durationMs: exam.durationMs, deadline: exam.deadline, endedBy } };
+      setExam(prev => ({ ...prev, submitted: true, endedBy }));
+      setExamInProgress(null);
+      console.log(`Exam ${endedBy === 'timeout' ? 'timed out' : 'submitted'}`);
+    }
+
+    // Sessions without a single turn are not worth keeping, unless they are an
+    // exam attempt; finished practice goes to the instructor dashboard, and
+    // again once the assessment is ready. The server records exams itself.
+    const sessionId = sessionIdRef.current;
+    if (sessionId && (conversations.length > 0 || isExam)) {
+      endSession(sessionId, examResult)
+        .then(() => !isExam && uploadSession(sessionId).catch(error => console.warn('Could not upload the session:', error)))
+        .catch(error => console.warn('Could not close the session:', error));
+    } else if (sessionId) {
+      deleteSession(sessionId)
+        .catch(error => console.warn('Could not close the session:', error));
+    }
+
+    if (isExam) {
+      handInExam(endedBy);
+    } else {
+      runAssessment();
+    }
+  };
+
+  // Handing in an exam early cannot be undone
+  const submitExam = () => {
+    if (window.confirm('提交考試？提交後不能再繼續。 / Submit the exam? You cannot continue afterwards.')) {
+      stopSimulation('submitted');
+    }
   };
 
   // Get all audio recordings, either from the ref or the state
@@ -61,26 +368,75 @@ function PatientSimulatorApp() {
   return (
     <div className="app-container">
       <header>
-        <h1>大腸內窺鏡病人模擬系統</h1>
-        <h2>Colonoscopy Patient Simulation for Nursing Students</h2>
+        <h1>{scenario.appTitle?.zh || scenario.title.zh}</h1>
+        <h2>{scenario.appTitle?.en || scenario.title.en}{isExam && ' · 考試 Exam'}</h2>
       </header>
 
       <main>
+        {examError && <p className="exam-error">{examError}</p>}
+
+        {resumableSession && !isSimulationActive && (
+          <div className="resume-prompt">
+            <p>
+              發現未完成的模擬（{new Date(resumableSession.startedAt).toLocaleString('zh-HK')}，{getSessionTurnCount(resumableSession)} 輪對話），要繼續嗎？
+              <br />
+              An unfinished session from {new Date(resumableSession.startedAt).toLocaleString('en-HK')} ({getSessionTurnCount(resumableSession)} turns) was found. Resume it?
+            </p>
+            <div className="resume-actions">
+              <button className="resume-btn" onClick={resumeSession}>繼續 Resume</button>
+              {/* An exam attempt cannot be thrown away to start over */}
+              {!isExam && <button className="discard-btn" onClick={discardResumableSession}>捨棄 Discard</button>}
+            </div>
+          </div>
+        )}
+
         <div className="simulation-panel">
           <PatientSimulator 
+            key={restoredSession.key}
+            scenario={scenario}
+            language={patientLanguage}
+            onLanguageChange={setPatientLanguage}
             isActive={isSimulationActive}
-            onStart={startSimulation}
-            onStop={stopSimulation}
+            onStart={isExam && (exam.submitted || resumableSession) ? undefined : startSimulation}
+            onStop={isExam ? submitExam : () => stopSimulation()}
             onConversationUpdate={addConversationEntry}
+            onConversationEntryUpdate={updateConversationEntry}
             onAudioRecorded={handleAudioRecorded}
+            initialHistory={restoredSession.entries}
+            initialAudio={restoredSession.audio}
+            exam={exam}
+            onTimeUp={() => setExamTimedOut(true)}
           />
         </div>
 
-        <div className="conversation-panel">
-          <ConversationLog 
-            conversations={conversations} 
-            audioRecordings={getAllAudioRecordings()}
-          />
+        <div className="review-panels">
+          <div className="conversation-panel">
+            <ConversationLog 
+              scenario={scenario}
+              language={patientLanguage}
+              conversations={conversations} 
+              audioRecordings={getAllAudioRecordings()}
+              audioClips={audioRecordings}
+              assessment={assessment.report}
+              student={getSessionIdentity()}
+              allowSave={!isExam || exam.submitted}
+            />
+          </div>
+
+          {assessment.status !== 'idle' && (
+            <div className="assessment-panel">
+              <AssessmentReport 
+                status={assessment.status}
+                report={assessment.report}
+                error={assessment.error}
+                onRetry={isExam ? () => handInExam(exam.endedBy) : () => runAssessment()}
+                rubrics={scenarioRubrics}
+                selectedRubricId={rubricId}
+                onRubricChange={isExam ? undefined : changeRubric}
+                coachingHints={collectCoachingHints(conversations)}
+              />
+            </div>
+          )}
         </div>
       </main>
 
@@ -91,25 +447,104 @@ function PatientSimulatorApp() {
   );
 }
 
+// Route wrapper that starts the simulator for the scenario in the URL,
+// for practice or, under /scenario/:scenarioId/exam, as a timed exam
+function ScenarioRoute({ mode = 'practice' }) {
+  const { scenarioId } = useParams();
+
+  if (!hasScenario(scenarioId)) {
+    return <Navigate to="/" replace />;
+  }
+
+  // Key by scenario and mode so switching cases starts a fresh simulation
+  return <PatientSimulatorApp key={`${scenarioId}/${mode}`} scenarioId={scenarioId} mode={mode} />;
+}
+
+// While an exam runs, practice, other exams, the session history and the
+// text chatbot lead back to the exam
+function ExamLock({ children }) {
+  const exam = useExamLock();
+  const location = useLocation();
+  const examPath = exam && `/scenario/${exam.scenarioId}/exam`;
+
+  if (exam && location.pathname !== examPath) {
+    return <Navigate to={examPath} replace />;
+  }
+  return children;
+}
+
+const STAFF_ROLES = ['tutor', 'admin'];
+
+// With accounts on, pages need a sign-in, and some a tutor or admin one;
+// without accounts every page is open as before
+function RequireAuth({ roles, children }) {
+  const user = useAuth();
+  const location = useLocation();
+
+  if (!ACCOUNTS_ENABLED) return children;
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to="/" replace />;
+  }
+  return children;
+}
+
 function Navigation() {
+  const user = useAuth();
+  const exam = useExamLock();
+  const isStaff = !ACCOUNTS_ENABLED || STAFF_ROLES.includes(user?.role);
+
+  if (ACCOUNTS_ENABLED && !user) {
+    return <nav className="app-navigation" />;
+  }
+
   return (
     <nav className="app-navigation">
       <ul>
-        <li><Link to="/">Patient Simulator</Link></li>
-        <li><Link to="/chatbot">Text Chatbot</Link></li>
+        <li><Link to="/">Scenario Library</Link></li>
+        {!exam && <li><Link to="/chatbot">Text Chatbot</Link></li>}
+        {!exam && <li><Link to="/history">Session History</Link></li>}
+        {isStaff && <li><Link to="/instructor">Instructor Dashboard</Link></li>}
+        {ACCOUNTS_ENABLED && isStaff && <li><Link to="/admin/classes">Classes</Link></li>}
+        {ACCOUNTS_ENABLED && user.role === 'admin' && <li><Link to="/admin/users">Accounts</Link></li>}
+        {isStaff && <li><Link to="/admin/rubrics">Rubric Editor</Link></li>}
+        {ACCOUNTS_ENABLED && <li><Link to="/account">{user.displayName || user.username}</Link></li>}
       </ul>
     </nav>
   );
 }
 
 function App() {
+  // Check the saved sign-in once, so expired tokens send the user to the login page
+  useEffect(() => {
+    if (ACCOUNTS_ENABLED) {
+      refreshCurrentUser();
+    }
+  }, []);
+
   return (
     <Router>
       <div className="app-wrapper">
         <Navigation />
         <Routes>
-          <Route path="/" element={<PatientSimulatorApp />} />
-          <Route path="/chatbot" element={<ChatbotApp />} />
+          <Route path="/" element={<RequireAuth><ScenarioLibrary /></RequireAuth>} />
+          <Route path="/scenario/:scenarioId" element={<RequireAuth><ExamLock><ScenarioRoute /></ExamLock></RequireAuth>} />
+          <Route path="/scenario/:scenarioId/exam" element={<RequireAuth><ExamLock><ScenarioRoute mode="exam" /></ExamLock></RequireAuth>} />
+          <Route path="/chatbot" element={<RequireAuth><ExamLock><ChatbotApp /></ExamLock></RequireAuth>} />
+          <Route path="/history" element={<RequireAuth><ExamLock><SessionHistory /></ExamLock></RequireAuth>} />
+          <Route path="/history/:sessionId/replay" element={<RequireAuth><ExamLock><SessionReplay /></ExamLock></RequireAuth>} />
+          <Route path="/instructor" element={<RequireAuth roles={STAFF_ROLES}><InstructorDashboard /></RequireAuth>} />
+          <Route path="/admin/rubrics" element={<RequireAuth roles={STAFF_ROLES}><RubricEditor /></RequireAuth>} />
+          {ACCOUNTS_ENABLED && (
+            <>
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/account" element={<RequireAuth><AccountPage /></RequireAuth>} />
+              <Route path="/admin/classes" element={<RequireAuth roles={STAFF_ROLES}><ClassManager /></RequireAuth>} />
+              <Route path="/admin/users" element={<RequireAuth roles={['admin']}><UserManager /></RequireAuth>} />
+            </>
+          )}
         </Routes>
       </div>
     </Router>
@@ -1,6 +1,10 @@
 import { useState, useRef, useEffect } from 'react';
 import { generateChatResponse } from './ChatService';
+import { getScenario } from '../scenarios';
 import { formatTime, exportChatAsText } from './utils';
+import { createSession, updateSession, endSession, findResumableSession } from '../services/sessionStore';
+import { uploadSession } from '../services/dashboardService';
+import { getSessionIdentity } from '../services/authService';
 import './ChatUI.css';
 
 // Icons as SVG components
@@ -26,13 +30,68 @@ const NewChatIcon = () => (
   </svg>
 );
 
-export default function ChatUI() {
+export default function ChatUI({ scenario = getScenario() }) {
   const [input, setInput] = useState('');
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const inputRef = useRef(null);
   const messageEndRef = useRef(null);
   const chatContainerRef = useRef(null);
+  const sessionIdRef = useRef(null); // Promise of the saved session's id, created with the first message
+  const [resumableSession, setResumableSession] = useState(null);
+
+  // Offer to resume the last unfinished chat with this patient
+  useEffect(() => {
+    findResumableSession('chatbot', scenario.id, getSessionIdentity()?.userId || null)
+      .then(setResumableSession)
+      .catch(error => console.warn('Could not look for an unfinished chat:', error));
+  }, [scenario.id]);
+
+  // Save the chat once each reply has finished streaming
+  useEffect(() => {
+    if (isLoading || messages.length === 0) return;
+
+    if (!sessionIdRef.current) {
+      sessionIdRef.current = createSession({
+        type: 'chatbot',
+        scenarioId: scenario.id,
+        language: scenario.language,
+        student: getSessionIdentity()
+      })
+        .then(session => session.id);
+    }
+
+    const saved = messages.map(({ isStreaming, ...message }) => message);
+    sessionIdRef.current
+      .then(id => updateSession(id, { messages: saved }))
+      .catch(error => {
+        console.warn('Could not save the chat:', error);
+        sessionIdRef.current = null;
+      });
+  }, [messages, isLoading]);
+
+  const resumeChat = () => {
+    setMessages(resumableSession.messages);
+    sessionIdRef.current = Promise.resolve(resumableSession.id);
+    setResumableSession(null);
+  };
+
+  const discardResumableChat = () => {
+    endSession(resumableSession.id)
+      .catch(error => console.warn('Could not end the unfinished chat:', error));
+    setResumableSession(null);
+  };
+
+  // Ends the saved session so it moves to the history and the instructor dashboard
+  const closeSession = () => {
+    if (sessionIdRef.current) {
+      sessionIdRef.current
+        .then(endSession)
+        .then(session => session && uploadSession(session.id).catch(error => console.warn('Could not upload the chat session:', error)))
+        .catch(error => console.warn('Could not end the chat session:', error));
+      sessionIdRef.current = null;
+    }
+  };
 
   // Scroll to bottom of chat when messages change
   useEffect(() => {
@@ -48,6 +107,10 @@ export default function ChatUI() {
     e.preventDefault();
     
     if (!input.trim()) return;
+
+    if (resumableSession) {
+      discardResumableChat();
+    }
     
     // Add user message to chat
     const userMessage = {
@@ -93,7 +156,8 @@ export default function ChatUI() {
       const response = await generateChatResponse(
         input.trim(),
         messages.map(m => ({ role: m.role, content: m.content })),
-        streamHandler
+        streamHandler,
+        scenario
       );
       
       // Update the last message with the complete response and remove streaming flag
@@ -158,6 +222,7 @@ export default function ChatUI() {
 
   const startNewChat = () => {
     if (messages.length > 0 && window.confirm('Start a new conversation? This will clear the current chat.')) {
+      closeSession();
       setMessages([]);
       setInput('');
       inputRef.current?.focus();
@@ -179,7 +244,7 @@ export default function ChatUI() {
             alt="School of Nursing Logo" 
             className="school-logo"
           />
-          <h1>Colonoscopy Patient Simulation for Nursing Students</h1>
+          <h1>{scenario.appTitle?.en || scenario.title.en}</h1>
         </div>
         <div className="chat-actions">
           <button
@@ -208,7 +273,18 @@ export default function ChatUI() {
         {messages.length === 0 ? (
           <div className="empty-state">
             <h2>Begin your patient interaction</h2>
-            <p>Type your questions or comments to start the conversation with Mr. Chan, a 58-year-old man preparing for a colonoscopy.</p>
+            <p>Type your questions or comments to start the conversation with {scenario.patient.summary?.en || scenario.patient.name.en}.</p>
+            {resumableSession && (
+              <div className="resume-chat">
+                <p>
+                  An unfinished chat from {new Date(resumableSession.startedAt).toLocaleString('en-HK')} ({resumableSession.messages.length} messages) was found.
+                </p>
+                <div className="resume-chat-actions">
+                  <button className="action-button" onClick={resumeChat}>Resume</button>
+                  <button className="action-button" onClick={discardResumableChat}>Discard</button>
+                </div>
+              </div>
+            )}
           </div>
         ) : (
           messages.map((message, i) => (
@@ -219,7 +295,7 @@ export default function ChatUI() {
               }`}
             >
               <div className="message-header">
-                <span className="message-role">{message.role === 'user' ? 'Nurse' : 'Mr. Chan'}</span>
+                <span className="message-role">{message.role === 'user' ? 'Nurse' : scenario.patient.name.en}</span>
                 {message.timestamp && (
                   <span className="message-time">{formatTime(message.timestamp)}</span>
                 )}
@@ -241,7 +317,7 @@ export default function ChatUI() {
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKeyDown}
-            placeholder="Type your message to Mr. Chan..."
+            placeholder={`Type your message to ${scenario.patient.name.en}...`}
             rows={1}
             disabled={isLoading}
             className="chat-input"
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  ROLE_LABELS,
+  joinClass,
+  logout,
+  refreshCurrentUser,
+  getActiveClass,
+  setActiveClass
+} from '../services/authService';
+import './AccountPage.css';
+
+// The signed-in user's account (route /account): classes, joining a class
+// with a join code, the class sessions are uploaded under, and signing out
+const AccountPage = () => {
+  const user = useAuth();
+  const navigate = useNavigate();
+  const [joinCode, setJoinCode] = useState('');
+  const [joinStatus, setJoinStatus] = useState({ busy: false, error: '', joined: '' });
+
+  // Pick up classes a tutor enrolled this user in since the last sign-in
+  useEffect(() => {
+    refreshCurrentUser();
+  }, []);
+
+  if (!user) return null;
+
+  const role = ROLE_LABELS[user.role] || ROLE_LABELS.student;
+  const studentClasses = user.classes.filter(entry => entry.role === 'student');
+
+  const submitJoinCode = async (event) => {
+    event.preventDefault();
+    setJoinStatus({ busy: true, error: '', joined: '' });
+    try {
+      const before = new Set(user.classes.map(entry => entry.id));
+      const updated = await joinClass(joinCode.trim());
+      const joined = updated.classes.find(entry => !before.has(entry.id));
+      setJoinCode('');
+      setJoinStatus({ busy: false, error: '', joined: joined ? joined.name : '' });
+    } catch (error) {
+      console.error('Could not join the class:', error);
+      setJoinStatus({ busy: false, error: error.message, joined: '' });
+    }
+  };
+
+  const signOut = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>我的帳戶</h1>
+        <h2>My Account</h2>
+      </header>
+
+      <main>
+        <div className="account-page">
+          <dl className="account-details">
+            <dt>姓名 Name</dt>
+            <dd>{user.displayName || '–'}</dd>
+            <dt>學號 / 用戶名稱 ID</dt>
+            <dd>{user.username}</dd>
+            <dt>身份 Role</dt>
+            <dd>{role.zh} / {role.en}</dd>
+          </dl>
+
+          <h3>班別 Classes</h3>
+          {user.classes.length === 0 ? (
+            <p className="account-muted">未加入任何班別 / Not in any class yet</p>
+          ) : (
+            <ul className="account-classes">
+              {user.classes.map(entry => (
+                <li key={entry.id}>
+                  {entry.name}
+                  {entry.role === 'tutor' && <span className="account-muted"> (導師 tutor)</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {studentClasses.length > 1 && (
+            <label className="account-active-class">
+              練習上載至 Upload sessions to
+              <select value={getActiveClass(user)} onChange={(event) => setActiveClass(event.target.value)}>
+                {studentClasses.map(entry => (
+                  <option key={entry.id} value={entry.name}>{entry.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {user.role === 'student' && (
+            <form className="account-join" onSubmit={submitJoinCode}>
+              <input
+                value={joinCode}
+                onChange={(event) => setJoinCode(event.target.value)}
+                placeholder="班別代碼 Join code"
+                required
+                maxLength={16}
+              />
+              <button type="submit" disabled={joinStatus.busy}>加入班別 Join class</button>
+            </form>
+          )}
+          {joinStatus.joined && <p className="account-success">已加入 Joined {joinStatus.joined}</p>}
+          {joinStatus.error && <p className="account-error">{joinStatus.error}</p>}
+
+          <button className="account-logout" onClick={signOut}>登出 Sign out</button>
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default AccountPage;
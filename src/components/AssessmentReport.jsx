@@ -0,0 +1,136 @@
+import React from 'react';
+import './AssessmentReport.css';
+
+// coachingHints are the tips given during the conversation (collectCoachingHints
+// in coachingService.js), listed below the assessment
+const AssessmentReport = ({ status, report, error, onRetry, rubrics = [], selectedRubricId, onRubricChange, coachingHints = [] }) => {
+  return (
+    <div className="assessment-report">
+      <div className="assessment-header">
+        <h3>溝通評估報告</h3>
+        <p>Communication Assessment Report</p>
+      </div>
+
+      {rubrics.length > 1 && onRubricChange && (
+        <label className="rubric-select">
+          評分標準 Rubric
+          <select
+            value={selectedRubricId}
+            onChange={(e) => onRubricChange(e.target.value)}
+            disabled={status === 'loading'}
+          >
+            {rubrics.map(rubric => (
+              <option key={rubric.id} value={rubric.id}>
+                {rubric.name.zh} / {rubric.name.en} (v{rubric.version})
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {status === 'loading' && (
+        <div className="assessment-status">
+          <p>正在評估對話... / Assessing conversation...</p>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="assessment-status">
+          <div className="assessment-error">
+            評估失敗 / Assessment failed: {error}
+          </div>
+          {onRetry && (
+            <button className="retry-btn" onClick={onRetry}>
+              重試 / Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {status === 'done' && report && (
+        <div className="assessment-content">
+          <div className="assessment-total">
+            <span className="total-score">{report.totalScore} / {report.maxTotal}</span>
+            <span className="total-percentage">{report.percentage}%</span>
+            <span className="rubric-name">{report.rubricName.zh} / {report.rubricName.en} (v{report.rubricVersion})</span>
+          </div>
+
+          <div className="assessment-summary">
+            <p>{report.summary.zh}</p>
+            <p className="text-en">{report.summary.en}</p>
+          </div>
+
+          {report.criteria.map(criterion => (
+            <div key={criterion.id} className="assessment-criterion">
+              <div className="criterion-header">
+                <span className="criterion-label">
+                  {criterion.label.zh}
+                  <span className="text-en"> {criterion.label.en}</span>
+                </span>
+                <span className="criterion-score">{criterion.score} / {criterion.maxScore}</span>
+              </div>
+
+              <div className="criterion-meta">
+                {criterion.band && <span>{criterion.band.zh} / {criterion.band.en}</span>}
+                <span>權重 Weight ×{criterion.weight}</span>
+              </div>
+
+              <div className="score-bar">
+                <div
+                  className="score-bar-fill"
+                  style={{ width: `${(criterion.score / criterion.maxScore) * 100}%` }}
+                />
+              </div>
+
+              {criterion.evidence.length > 0 && (
+                <ul className="criterion-evidence">
+                  {criterion.evidence.map((item, index) => (
+                    <li key={index}>
+                      <span className="evidence-turn">#{item.turn}</span> 「{item.quote}」
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="criterion-feedback">
+                <p>{criterion.feedback.zh}</p>
+                <p className="text-en">{criterion.feedback.en}</p>
+              </div>
+
+              {(criterion.tips.zh.length > 0 || criterion.tips.en.length > 0) && (
+                <div className="criterion-tips">
+                  <h5>改善建議 Improvement tips</h5>
+                  <ul>
+                    {criterion.tips.zh.map((tip, index) => (
+                      <li key={`zh-${index}`}>{tip}</li>
+                    ))}
+                    {criterion.tips.en.map((tip, index) => (
+                      <li key={`en-${index}`} className="text-en">{tip}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {coachingHints.length > 0 && (
+        <div className="coaching-log">
+          <h4>練習時的提示 <span className="text-en">Coaching tips during the session</span></h4>
+          <ul>
+            {coachingHints.map((hint, index) => (
+              <li key={index}>
+                <span className="evidence-turn">#{hint.turn}</span> 「{hint.quote}」
+                <p>{hint.text.zh}</p>
+                <p className="text-en">{hint.text.en}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssessmentReport;
@@ -0,0 +1,281 @@
+import React, { useEffect, useRef, useState, memo, forwardRef, useImperativeHandle } from 'react';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { useSegmentPlayback, getBlendShapeFrame } from '../hooks/useSegmentPlayback';
+
+// glTF head with ARKit-style morph targets, served from public/ by default
+const MODEL_URL = import.meta.env.VITE_AVATAR_MODEL_URL || '/avatars/head.glb';
+
+// Order of the 55 weights in an Azure FacialExpression frame: the 52 ARKit
+// blend shapes, then head roll and the two eye rolls
+const AZURE_BLEND_SHAPES = [
+  'eyeBlinkLeft', 'eyeLookDownLeft', 'eyeLookInLeft', 'eyeLookOutLeft', 'eyeLookUpLeft', 'eyeSquintLeft', 'eyeWideLeft',
+  'eyeBlinkRight', 'eyeLookDownRight', 'eyeLookInRight', 'eyeLookOutRight', 'eyeLookUpRight', 'eyeSquintRight', 'eyeWideRight',
+  'jawForward', 'jawLeft', 'jawRight', 'jawOpen',
+  'mouthClose', 'mouthFunnel', 'mouthPucker', 'mouthLeft', 'mouthRight',
+  'mouthSmileLeft', 'mouthSmileRight', 'mouthFrownLeft', 'mouthFrownRight',
+  'mouthDimpleLeft', 'mouthDimpleRight', 'mouthStretchLeft', 'mouthStretchRight',
+  'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+  'mouthPressLeft', 'mouthPressRight', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+  'mouthUpperUpLeft', 'mouthUpperUpRight',
+  'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+  'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight', 'noseSneerLeft', 'noseSneerRight', 'tongueOut',
+  'headRoll', 'leftEyeRoll', 'rightEyeRoll'
+];
+const HEAD_ROLL_INDEX = 52;
+
+// Jaw opening for the 2D viseme ids, used when a response has no blend-shape
+// frames (e.g. it was synthesised while the 2D face was shown)
+const VISEME_JAW_OPEN = [0, 0.35, 0.6, 0.5, 0.4, 0.35, 0.2, 0.25, 0.2, 0.6, 0.4, 0.5, 0.3, 0.25, 0.2, 0.1, 0.1, 0.15, 0.1, 0.15, 0.2, 0];
+const VISEME_PUCKER = { 7: 0.6, 8: 0.4, 10: 0.3 };
+
+// Expression weights layered over the lip sync for each emotion tag,
+// matching the brow, eye, flush and gaze changes of the 2D face
+const EMOTION_MORPHS = {
+  neutral: {},
+  anxious: { browInnerUp: 0.6, eyeWideLeft: 0.3, eyeWideRight: 0.3, eyeLookOutLeft: 0.15, eyeLookInRight: 0.15 },
+  embarrassed: { browInnerUp: 0.3, eyeLookDownLeft: 0.5, eyeLookDownRight: 0.5, eyeLookOutLeft: 0.3, eyeLookInRight: 0.3, cheekSquintLeft: 0.2, cheekSquintRight: 0.2 },
+  relieved: { eyeSquintLeft: 0.2, eyeSquintRight: 0.2, mouthSmileLeft: 0.3, mouthSmileRight: 0.3 },
+  confused: { browDownLeft: 0.4, browOuterUpRight: 0.6, eyeLookUpLeft: 0.2, eyeLookUpRight: 0.2 },
+  pain: { browDownLeft: 0.5, browDownRight: 0.5, browInnerUp: 0.4, eyeSquintLeft: 0.6, eyeSquintRight: 0.6, eyeBlinkLeft: 0.3, eyeBlinkRight: 0.3, noseSneerLeft: 0.3, noseSneerRight: 0.3 }
+};
+
+// Time to blend from one expression to the next
+const EXPRESSION_BLEND_MS = 600;
+
+// Morph target names vary in prefix between exporters ("blendShape1.jawOpen")
+const normaliseMorphName = (name) => name.split(/[.:]/).pop().toLowerCase();
+
+/**
+ * Collects the morph targets of a model by normalised name
+ * @param {THREE.Object3D} root - Loaded model
+ * @returns {Map<string, Array<{mesh: THREE.Mesh, index: number}>>} - Morph targets per name
+ */
+const collectMorphTargets = (root) => {
+  const morphs = new Map();
+
+  root.traverse(object => {
+    if (!object.isMesh || !object.morphTargetDictionary) return;
+
+    Object.entries(object.morphTargetDictionary).forEach(([name, index]) => {
+      const key = normaliseMorphName(name);
+      if (!morphs.has(key)) {
+        morphs.set(key, []);
+      }
+      morphs.get(key).push({ mesh: object, index });
+    });
+  });
+
+  return morphs;
+};
+
+// WebGL head driven by Azure blend shapes. Takes the same props as VisemeFace
+// and plays the speech segments through the same playback queue; onLoadError
+// lets the simulator fall back to the 2D face when the model cannot be loaded.
+const Avatar3D = memo(forwardRef(({ segments = [], isComplete = true, isPlaying, onPlayComplete, onSegmentChange, onLoadError, emotion = 'neutral' }, ref) => {
+  const [status, setStatus] = useState('loading'); // 'loading', 'ready' or 'error'
+
+  const containerRef = useRef(null);
+  const frameRef = useRef(null); // Blend-shape weights of the current audio frame
+  const visemeRef = useRef(0); // Current viseme id, for responses without blend shapes
+  const emotionRef = useRef(emotion);
+  const isPlayingRef = useRef(isPlaying);
+  const onLoadErrorRef = useRef(onLoadError);
+  onLoadErrorRef.current = onLoadError;
+
+  useEffect(() => { emotionRef.current = emotion; }, [emotion]);
+  useEffect(() => { isPlayingRef.current = isPlaying; }, [isPlaying]);
+
+  // Audio playback; the render loop reads the frame for the current time
+  const playback = useSegmentPlayback({
+    segments,
+    isComplete,
+    isPlaying,
+    onPlayComplete,
+    onSegmentChange,
+    onFrame: (elapsedMs, timeline) => {
+      frameRef.current = getBlendShapeFrame(timeline.blendShapes, elapsedMs);
+
+      let visemeId = 0;
+      for (const viseme of timeline.visemes) {
+        if (viseme.audioOffset > elapsedMs) break;
+        visemeId = viseme.visemeId;
+      }
+      visemeRef.current = visemeId;
+    },
+    onStop: () => {
+      frameRef.current = null;
+      visemeRef.current = 0;
+    }
+  });
+
+  // Lets the simulator cut the patient off when the nurse barges in
+  useImperativeHandle(ref, () => ({
+    stop: () => playback.stop()
+  }));
+
+  // Scene setup, model loading and the render loop
+  useEffect(() => {
+    const container = containerRef.current;
+    let disposed = false;
+    let renderFrame = null;
+
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
+    container.appendChild(renderer.domElement);
+
+    const scene = new THREE.Scene();
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    scene.environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+
+    const camera = new THREE.PerspectiveCamera(30, 1, 0.01, 100);
+    const light = new THREE.DirectionalLight(0xffffff, 1.5);
+    light.position.set(0.5, 1, 2);
+    scene.add(light, new THREE.HemisphereLight(0xffffff, 0x444444, 0.6));
+
+    const resize = () => {
+      const { clientWidth, clientHeight } = container;
+      if (!clientWidth || !clientHeight) return;
+      renderer.setSize(clientWidth, clientHeight);
+      camera.aspect = clientWidth / clientHeight;
+      camera.updateProjectionMatrix();
+    };
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(container);
+    resize();
+
+    let head = null;
+    let morphs = new Map();
+    let expression = {}; // Current blended emotion weights
+    let blend = { from: {}, to: {}, startedAt: 0, emotion: null };
+    let nextBlinkAt = performance.now() + 3000;
+
+    const setMorph = (name, value, weights) => {
+      const key = name.toLowerCase();
+      weights.set(key, Math.min(1, (weights.get(key) || 0) + value));
+    };
+
+    const render = (now) => {
+      if (disposed) return;
+      renderFrame = requestAnimationFrame(render);
+      if (!head) return;
+
+      // Blend towards the expression of the current emotion
+      if (blend.emotion !== emotionRef.current) {
+        blend = { from: expression, to: EMOTION_MORPHS[emotionRef.current] || {}, startedAt: now, emotion: emotionRef.current };
+      }
+      const progress = Math.min((now - blend.startedAt) / EXPRESSION_BLEND_MS, 1);
+      const eased = progress * (2 - progress);
+      expression = {};
+      new Set([...Object.keys(blend.from), ...Object.keys(blend.to)]).forEach(name => {
+        const from = blend.from[name] || 0;
+        expression[name] = from + ((blend.to[name] || 0) - from) * eased;
+      });
+
+      const weights = new Map();
+      const frame = isPlayingRef.current ? frameRef.current : null;
+
+      if (frame) {
+        AZURE_BLEND_SHAPES.slice(0, HEAD_ROLL_INDEX).forEach((name, index) => setMorph(name, frame[index] || 0, weights));
+        head.rotation.z = (frame[HEAD_ROLL_INDEX] || 0) * 0.5;
+      } else {
+        const visemeId = isPlayingRef.current ? visemeRef.current : 0;
+        setMorph('jawOpen', VISEME_JAW_OPEN[visemeId] || 0, weights);
+        setMorph('mouthPucker', VISEME_PUCKER[visemeId] || 0, weights);
+        head.rotation.z *= 0.9;
+      }
+
+      Object.entries(expression).forEach(([name, value]) => setMorph(name, value, weights));
+
+      // Idle blinking when the frames do not already blink
+      if (now >= nextBlinkAt) {
+        if (now - nextBlinkAt < 150) {
+          setMorph('eyeBlinkLeft', 1, weights);
+          setMorph('eyeBlinkRight', 1, weights);
+        } else {
+          nextBlinkAt = now + 3000 + Math.random() * 2000;
+        }
+      }
+
+      morphs.forEach((targets, name) => {
+        const value = weights.get(name) || 0;
+        targets.forEach(({ mesh, index }) => {
+          mesh.morphTargetInfluences[index] = value;
+        });
+      });
+
+      renderer.render(scene, camera);
+    };
+
+    const loader = new GLTFLoader();
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    loader.load(
+      MODEL_URL,
+      gltf => {
+        if (disposed) return;
+
+        head = gltf.scene;
+        morphs = collectMorphTargets(head);
+        if (!morphs.has('jawopen')) {
+          console.warn('3D avatar model has no ARKit jawOpen morph target, lip sync will not show');
+        }
+        scene.add(head);
+
+        // Frame the head
+        const box = new THREE.Box3().setFromObject(head);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const distance = Math.max(size.x, size.y) / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))) * 1.2;
+        camera.position.set(center.x, center.y, center.z + size.z / 2 + distance);
+        camera.lookAt(center);
+
+        console.log(`Loaded 3D avatar with ${morphs.size} morph targets`);
+        setStatus('ready');
+      },
+      undefined,
+      error => {
+        console.error('Error loading 3D avatar model:', error);
+        if (disposed) return;
+        setStatus('error');
+        if (onLoadErrorRef.current) onLoadErrorRef.current(error);
+      }
+    );
+
+    renderFrame = requestAnimationFrame(render);
+
+    return () => {
+      disposed = true;
+      cancelAnimationFrame(renderFrame);
+      resizeObserver.disconnect();
+      scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+          (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => material.dispose());
+        }
+      });
+      scene.environment.dispose();
+      pmrem.dispose();
+      renderer.dispose();
+      container.removeChild(renderer.domElement);
+    };
+  }, []);
+
+  return (
+    <div className="avatar-3d" ref={containerRef}>
+      {status === 'loading' && (
+        <div className="avatar-3d-status">載入3D頭像中... / Loading 3D avatar...</div>
+      )}
+      {status === 'error' && (
+        <div className="avatar-3d-status avatar-3d-error">
+          無法載入3D頭像 / Could not load the 3D avatar
+          <small>{MODEL_URL}</small>
+        </div>
+      )}
+    </div>
+  );
+}));
+
+export default Avatar3D;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  listClasses,
+  createClass,
+  regenerateJoinCode,
+  listClassMembers,
+  importStudents,
+  issueActivationCode
+} from '../services/accountService';
+import './ClassManager.css';
+
+// Classes for tutors and admins (route /admin/classes): create classes, hand
+// out join codes, and bulk-import student IDs from a CSV export. The
+// activation codes of imported students are shown once, to download and hand out.
+
+// CSV of activation codes, with a byte order mark so Excel reads Chinese names
+const toCodesCsv = (codes) => `\uFEFFstudent_id,name,activation_code\r\n${codes
+  .map(row => [row.studentId, row.name || '', row.code].map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+  .join('\r\n')}\r\n`;
+const ClassManager = () => {
+  const [classes, setClasses] = useState([]);
+  const [status, setStatus] = useState('loading'); // 'loading', 'done' or 'error'
+  const [error, setError] = useState('');
+  const [newClassName, setNewClassName] = useState('');
+  const [selected, setSelected] = useState(null); // { class, members } of the open class
+  const [csvText, setCsvText] = useState('');
+  const [importResult, setImportResult] = useState(null);
+  const [issuedCodes, setIssuedCodes] = useState({}); // user id -> activation code issued on this page
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadClasses = async () => {
+    try {
+      setClasses(await listClasses());
+      setStatus('done');
+    } catch (loadError) {
+      console.error('Could not load classes:', loadError);
+      setError(loadError.message);
+      setStatus('error');
+    }
+  };
+
+  useEffect(() => {
+    loadClasses();
+  }, []);
+
+  // Runs an action, showing its error and refreshing the list afterwards
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+      await loadClasses();
+    } catch (actionError) {
+      console.error('Class action failed:', actionError);
+      setError(actionError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const openClass = async (classInfo) => {
+    if (selected?.class.id === classInfo.id) {
+      setSelected(null);
+      return;
+    }
+    setImportResult(null);
+    setIssuedCodes({});
+    setCsvText('');
+    await run(async () => {
+      setSelected({ class: classInfo, members: await listClassMembers(classInfo.id) });
+    });
+  };
+
+  const submitNewClass = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await createClass(newClassName.trim());
+      setNewClassName('');
+    });
+  };
+
+  const replaceCode = (classInfo) => {
+    if (!window.confirm(`更換 ${classInfo.name} 的代碼？舊代碼將失效。 / Replace the join code of ${classInfo.name}? The old code stops working.`)) return;
+    run(() => regenerateJoinCode(classInfo.id));
+  };
+
+  const readCsvFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (file) {
+      setCsvText(await file.text());
+    }
+    event.target.value = '';
+  };
+
+  const submitImport = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const result = await importStudents(selected.class.id, csvText);
+      setImportResult(result);
+      setCsvText('');
+      setSelected({ class: selected.class, members: await listClassMembers(selected.class.id) });
+    });
+  };
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([toCodesCsv(importResult.activationCodes)], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${selected.class.name}_activation_codes.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const replaceActivationCode = (member) => {
+    if (member.hasActivationCode && !window.confirm(`為 ${member.username} 發出新啟用碼？舊碼將失效。 / Issue a new activation code for ${member.username}? The old code stops working.`)) return;
+    run(async () => {
+      const { code } = await issueActivationCode(selected.class.id, member.id);
+      setIssuedCodes(prev => ({ ...prev, [member.id]: code }));
+      setSelected({ class: selected.class, members: await listClassMembers(selected.class.id) });
+    });
+  };
+
+  const renderAccountState = (member) => {
+    if (member.activated) return '已啟用 Active';
+
+    const code = issuedCodes[member.id];
+    return (
+      <div className="class-activation">
+        <span className="class-pending">未啟用 Not activated</span>
+        {code && <code className="class-code">{code}</code>}
+        {!code && member.classRole === 'student' && (
+          <button onClick={() => replaceActivationCode(member)} disabled={isBusy}>新啟用碼 New activation code</button>
+        )}
+      </div>
+    );
+  };
+
+  const renderMembers = () => (
+    <div className="class-detail">
+      <h3>{selected.class.name}</h3>
+
+      <form className="class-import" onSubmit={submitImport}>
+        <p className="class-note">
+          匯入學號：每行一位學生，學號及姓名（可選）。學生以班別代碼及個人啟用碼啟用新帳戶；啟用碼只顯示一次。
+          / Import student IDs: one student per line, ID and optional name. Students activate new accounts with the join code and their own activation code, which is shown only once.
+        </p>
+        <textarea
+          value={csvText}
+          onChange={(event) => setCsvText(event.target.value)}
+          placeholder={'student_id,name\n21000001D,陳大文'}
+          rows={5}
+        />
+        <div className="class-import-actions">
+          <button type="button" onClick={() => fileInputRef.current?.click()}>選擇 CSV Choose CSV file</button>
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv,text/plain" onChange={readCsvFile} hidden />
+          <button type="submit" disabled={isBusy || !csvText.trim()}>匯入 Import</button>
+        </div>
+      </form>
+
+      {importResult && (
+        <div className="class-import-result">
+          <p>
+            新帳戶 New accounts: {importResult.created} · 已加入 Enrolled: {importResult.enrolled}
+            {' '}· 早已在班 Already enrolled: {importResult.alreadyEnrolled}
+          </p>
+          {importResult.skipped.length > 0 && (
+            <ul>
+              {importResult.skipped.map(row => (
+                <li key={row.line}>第 {row.line} 行 Line {row.line}: {row.studentId || '–'} – {row.reason}</li>
+              ))}
+            </ul>
+          )}
+          {importResult.activationCodes.length > 0 && (
+            <p>
+              啟用碼 Activation codes: {importResult.activationCodes.length}
+              {' '}<button onClick={downloadCodes}>下載 CSV Download CSV</button>
+            </p>
+          )}
+        </div>
+      )}
+
+      <table className="class-table">
+        <thead>
+          <tr>
+            <th>學號 ID</th>
+            <th>姓名 Name</th>
+            <th>身份 Role</th>
+            <th>帳戶 Account</th>
+            <th>最近登入 Last sign-in</th>
+          </tr>
+        </thead>
+        <tbody>
+          {selected.members.map(member => (
+            <tr key={member.id}>
+              <td>{member.username}</td>
+              <td>{member.displayName || '–'}</td>
+              <td>{member.classRole === 'tutor' ? '導師 Tutor' : '學生 Student'}</td>
+              <td>{renderAccountState(member)}</td>
+              <td>{member.lastLoginAt ? new Date(member.lastLoginAt).toLocaleString('zh-HK') : '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>班別管理</h1>
+        <h2>Classes</h2>
+      </header>
+
+      <main>
+        <div className="class-manager">
+          <form className="class-create" onSubmit={submitNewClass}>
+            <input
+              value={newClassName}
+              onChange={(event) => setNewClassName(event.target.value)}
+              placeholder="新班別名稱 New class name"
+              required
+              maxLength={64}
+            />
+            <button type="submit" disabled={isBusy}>建立班別 Create class</button>
+          </form>
+
+          {error && <p className="class-error">{error}</p>}
+          {status === 'loading' && <p>載入中… / Loading…</p>}
+          {status === 'done' && classes.length === 0 && (
+            <p className="class-note">未有班別 / No classes yet</p>
+          )}
+
+          {classes.length > 0 && (
+            <table className="class-table">
+              <thead>
+                <tr>
+                  <th>班別 Class</th>
+                  <th>班別代碼 Join code</th>
+                  <th>學生 Students</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {classes.map(classInfo => (
+                  <tr key={classInfo.id} className={selected?.class.id === classInfo.id ? 'selected' : ''}>
+                    <td>{classInfo.name}</td>
+                    <td><code className="class-code">{classInfo.joinCode}</code></td>
+                    <td>{classInfo.studentCount}</td>
+                    <td className="class-actions">
+                      <button onClick={() => openClass(classInfo)} disabled={isBusy}>
+                        {selected?.class.id === classInfo.id ? '收起 Hide' : '學生 Students'}
+                      </button>
+                      <button onClick={() => replaceCode(classInfo)} disabled={isBusy}>更換代碼 New code</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {selected && renderMembers()}
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default ClassManager;
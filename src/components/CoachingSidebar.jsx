@@ -0,0 +1,48 @@
+import React from 'react';
+import './CoachingSidebar.css';
+
+// Which conversation phases the nurse has covered, with prompts for the ones
+// still open (from getPhaseProgress in conversationPhases.js). Clicking a
+// prompt asks it as the nurse's next turn.
+const CoachingSidebar = ({ phases, onSelect, disabled = false }) => {
+  const openPhases = phases.filter(phase => !phase.covered);
+  const nextPhaseId = openPhases[0]?.id;
+
+  return (
+    <div className="suggested-questions coaching-sidebar">
+      <h4>對話進度 Conversation progress</h4>
+
+      <ol className="coaching-phases">
+        {phases.map(phase => (
+          <li
+            key={phase.id}
+            className={phase.covered ? 'covered' : (phase.id === nextPhaseId ? 'next' : '')}
+            title={phase.covered ? '已涵蓋 Covered' : '未涵蓋 Not covered yet'}
+          >
+            {phase.covered && '✓ '}{phase.label.zh} {phase.label.en}
+          </li>
+        ))}
+      </ol>
+
+      {openPhases.length === 0 ? (
+        <p className="coaching-done">所有階段已涵蓋 / Every phase covered</p>
+      ) : openPhases.map(phase => (
+        <div key={phase.id} className="question-category">
+          <h5>
+            {phase.label.zh} {phase.label.en}
+            {phase.id === nextPhaseId && <span className="coaching-next">下一步 Next</span>}
+          </h5>
+          <ul>
+            {phase.prompts.map(prompt => (
+              <li key={prompt}>
+                <button onClick={() => onSelect(prompt)} disabled={disabled}>{prompt}</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CoachingSidebar;
@@ -2,20 +2,91 @@ import React, { useRef, useEffect, useState } from 'react';
 import './ConversationLog.css';
 import { downloadConversationZip, saveConversationToText } from '../utils/fileUtils';
 import { saveAs } from 'file-saver';
+import { EMOTIONS } from '../services/emotionTags';
+import { textToSpeech } from '../services/textToSpeechService';
+import { SUBTITLE_LANGUAGES } from '../services/translationService';
+import JyutpingText from './JyutpingText';
+import { formatDuration } from '../utils/formatTime';
 
-const ConversationLog = ({ conversations, audioRecordings }) => {
+// activeEntryId highlights the turn a replay is at; with onEntrySelect, clicking
+// a turn selects it instead of replaying it. Tutor comments show under their turn,
+// and the student who practised is named in the saved files. allowSave=false
+// hides the download, e.g. while an exam is running.
+const ConversationLog = ({ scenario, language, conversations, audioRecordings, audioClips = [], assessment, comments = [], student = null, activeEntryId = null, onEntrySelect, allowSave = true }) => {
   const logRef = useRef(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveError, setSaveError] = useState('');
   const [saveSuccess, setSaveSuccess] = useState(false);
+  const [jyutpingEntries, setJyutpingEntries] = useState({}); // Entries showing Jyutping, by key
+  const [replayingKey, setReplayingKey] = useState(null);
+  const replayRef = useRef(null); // { audio, url, revoke } of the clip being replayed
 
   // Auto-scroll to the latest message
   useEffect(() => {
-    if (logRef.current) {
+    if (logRef.current && !activeEntryId) {
       logRef.current.scrollTop = logRef.current.scrollHeight;
     }
   }, [conversations]);
 
+  // Keep the turn being replayed in view, without scrolling the page
+  useEffect(() => {
+    const log = logRef.current;
+    const active = log && log.querySelector('.conversation-entry.active');
+    if (!active) return;
+
+    const top = active.getBoundingClientRect().top - log.getBoundingClientRect().top + log.scrollTop;
+    if (top < log.scrollTop || top + active.offsetHeight > log.scrollTop + log.clientHeight) {
+      log.scrollTop = top - log.clientHeight / 3;
+    }
+  }, [activeEntryId]);
+
+  // Stop any replay when the log goes away
+  useEffect(() => () => stopReplay(), []);
+
+  const toggleJyutping = (key) => {
+    setJyutpingEntries(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const stopReplay = () => {
+    const replay = replayRef.current;
+    if (!replay) return;
+
+    replay.audio.pause();
+    if (replay.revoke) {
+      URL.revokeObjectURL(replay.url);
+    }
+    replayRef.current = null;
+    setReplayingKey(null);
+  };
+
+  // Replays an entry: the patient's recorded speech for that turn, otherwise the
+  // text synthesised with the patient's voice as a pronunciation model
+  const replayEntry = async (entry, key) => {
+    const wasReplaying = replayingKey === key;
+    stopReplay();
+    if (wasReplaying) return;
+
+    try {
+      const clip = entry.role === 'patient' && entry.id && audioClips.find(item => item.entryId === entry.id && item.blob);
+      const url = clip ? URL.createObjectURL(clip.blob) : await textToSpeech(entry.text, {
+        language: entry.language || scenario.language,
+        gender: scenario.patient?.gender
+      });
+      const audio = new Audio(url);
+      const replay = { audio, url, revoke: Boolean(clip) };
+
+      audio.onended = () => {
+        if (replayRef.current === replay) stopReplay();
+      };
+      replayRef.current = replay;
+      setReplayingKey(key);
+      await audio.play();
+    } catch (error) {
+      console.error('Error replaying conversation entry:', error);
+      stopReplay();
+    }
+  };
+
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -25,7 +96,7 @@ const ConversationLog = ({ conversations, audioRecordings }) => {
   const saveTextOnly = () => {
     try {
       console.log('Saving text only as fallback');
-      const textBlob = saveConversationToText(conversations);
+      const textBlob = saveConversationToText(conversations, scenario, comments, student);
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = `conversation_${timestamp}.txt`;
       saveAs(textBlob, filename);
@@ -56,7 +127,11 @@ const ConversationLog = ({ conversations, audioRecordings }) => {
       let audioBlobs = [];
       console.log('Audio recordings received:', audioRecordings);
 
-      if (audioRecordings && typeof audioRecordings.getAll === 'function') {
+      // Recorded entries carry the timestamps the mixdown lays the clips out by
+      if (audioClips.some(clip => clip && clip.blob)) {
+        console.log('Using recorded audio entries');
+        audioBlobs = audioClips.filter(clip => clip && clip.blob);
+      } else if (audioRecordings && typeof audioRecordings.getAll === 'function') {
         console.log('Getting audio from function');
         audioBlobs = audioRecordings.getAll();
       } else if (audioRecordings && Array.isArray(audioRecordings)) {
@@ -78,7 +153,7 @@ const ConversationLog = ({ conversations, audioRecordings }) => {
       // Download the conversation as a zip file
       let success;
       try {
-        success = await downloadConversationZip(conversations, audioBlobs);
+        success = await downloadConversationZip(conversations, audioBlobs, scenario, assessment, { language, comments, student });
         console.log('Download result:', success);
       } catch (zipError) {
         console.error('Error creating zip, falling back to text-only:', zipError);
@@ -123,48 +198,94 @@ const ConversationLog = ({ conversations, audioRecordings }) => {
             <p>對話將顯示在這裡 / Conversation will appear here</p>
           </div>
         ) : (
-          conversations.map((entry, index) => (
-            <div 
-              key={index} 
-              className={`conversation-entry ${entry.role === 'nurse' ? 'nurse-entry' : 'patient-entry'}`}
-            >
-              <div className="entry-header">
-                <span className="entry-role">
-                  {entry.role === 'nurse' ? '護士 / Nurse' : '病人 / Patient'}
-                </span>
-                <span className="entry-time">{formatTimestamp(entry.timestamp)}</span>
+          conversations.map((entry, index) => {
+            const key = entry.id || index;
+            const isActive = Boolean(activeEntryId) && entry.id === activeEntryId;
+            const entryComments = entry.id ? comments.filter(comment => comment.entryId === entry.id) : [];
+            return (
+              <div 
+                key={index} 
+                className={`conversation-entry ${entry.role === 'nurse' ? 'nurse-entry' : 'patient-entry'} ${isActive ? 'active' : ''}`}
+              >
+                <div className="entry-header">
+                  <span className="entry-role">
+                    {entry.role === 'nurse' ? '護士 / Nurse' : '病人 / Patient'}
+                  </span>
+                  {EMOTIONS[entry.emotion] && entry.emotion !== 'neutral' && (
+                    <span className="entry-emotion">
+                      {EMOTIONS[entry.emotion].zh} / {EMOTIONS[entry.emotion].en}
+                    </span>
+                  )}
+                  {entry.interrupted && (
+                    <span className="entry-interrupted">被打斷 / Interrupted</span>
+                  )}
+                  {(entry.language || scenario.language || 'yue') === 'yue' && (
+                    <button
+                      className={`jyutping-toggle ${jyutpingEntries[key] ? 'active' : ''}`}
+                      onClick={() => toggleJyutping(key)}
+                      title="顯示粵拼 / Show Jyutping"
+                    >
+                      粵拼
+                    </button>
+                  )}
+                  <span className="entry-time">{formatTimestamp(entry.timestamp)}</span>
+                </div>
+                <div
+                  className={`entry-text ${replayingKey === key ? 'replaying' : ''}`}
+                  onClick={() => (onEntrySelect ? onEntrySelect(entry) : replayEntry(entry, key))}
+                  title={onEntrySelect ? '跳到這一句 / Jump to this turn' : '點擊重播 / Click to replay'}
+                >
+                  <JyutpingText text={entry.text} showJyutping={Boolean(jyutpingEntries[key])} />
+                  {entry.interrupted && '……'}
+                </div>
+                {entry.translation && (
+                  <div className="entry-translation">
+                    <span className="entry-translation-language">
+                      {SUBTITLE_LANGUAGES[entry.translation.language]?.label.en || entry.translation.language}
+                    </span>
+                    {entry.translation.text}
+                  </div>
+                )}
+                {entryComments.map(comment => (
+                  <div key={comment.id} className="entry-comment">
+                    <span className="entry-comment-time">{formatDuration(comment.time * 1000)}</span>
+                    {comment.author && <span className="entry-comment-author">{comment.author}</span>}
+                    {comment.text}
+                  </div>
+                ))}
               </div>
-              <div className="entry-text">{entry.text}</div>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
 
-      <div className="conversation-actions">
-        <button 
-          className={`save-btn ${isSaving ? 'saving' : ''}`} 
-          onClick={() => {
-            console.log('Save button clicked');
-            handleSaveConversation();
-          }}
-          disabled={isSaving || conversations.length === 0}
-        >
-          {isSaving ? '正在保存...' : '保存對話記錄'}
-          <span>{isSaving ? 'Saving...' : 'Save Conversation'}</span>
-        </button>
+      {allowSave && (
+        <div className="conversation-actions">
+          <button 
+            className={`save-btn ${isSaving ? 'saving' : ''}`} 
+            onClick={() => {
+              console.log('Save button clicked');
+              handleSaveConversation();
+            }}
+            disabled={isSaving || conversations.length === 0}
+          >
+            {isSaving ? '正在保存...' : '保存對話記錄'}
+            <span>{isSaving ? 'Saving...' : 'Save Conversation'}</span>
+          </button>
         
-        {saveError && (
-          <div className="save-error">
-            {saveError}
-          </div>
-        )}
+          {saveError && (
+            <div className="save-error">
+              {saveError}
+            </div>
+          )}
         
-        {saveSuccess && (
-          <div className="save-success">
-            保存成功！文件已下載 / Saved successfully! File downloaded.
-          </div>
-        )}
-      </div>
+          {saveSuccess && (
+            <div className="save-success">
+              保存成功！文件已下載 / Saved successfully! File downloaded.
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { saveAs } from 'file-saver';
+import { getScenario, hasScenario } from '../scenarios';
+import { fetchDashboard, fetchCohortCsv, getInstructorKey, setInstructorKey } from '../services/dashboardService';
+import { formatDuration } from '../utils/formatTime';
+import './InstructorDashboard.css';
+
+const typeLabels = {
+  simulator: { zh: '語音模擬', en: 'Voice simulator' },
+  chatbot: { zh: '文字對話', en: 'Text chatbot' }
+};
+
+// Exam attempts are scored apart from practice, so one of the two is always shown
+const modeLabels = {
+  practice: { zh: '練習', en: 'Practice' },
+  exam: { zh: '考試', en: 'Exam' }
+};
+
+const EMPTY_FILTERS = { mode: 'practice', className: '', studentId: '', scenarioId: '' };
+
+// Averages come back unrounded from SQLite, scores are null until a session is assessed
+const formatNumber = (value) => (value === null || value === undefined ? '–' : String(Math.round(value * 10) / 10));
+const formatPercentage = (value) => (value === null || value === undefined ? '–' : `${Math.round(value)}%`);
+
+// Title of a scenario, from the bundled definition where there is one
+const getScenarioLabel = (scenarioId, fallback) => (hasScenario(scenarioId)
+  ? `${getScenario(scenarioId).title.zh} / ${getScenario(scenarioId).title.en}`
+  : fallback || scenarioId);
+
+// Cohort overview of the sessions students uploaded to the local server
+// (server/dashboard.js), practice or exams, filtered by class, student and scenario
+const InstructorDashboard = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [data, setData] = useState(null); // { students, sessions, options }
+  const [status, setStatus] = useState('loading'); // 'loading', 'done' or 'error'
+  const [error, setError] = useState('');
+  const [keyInput, setKeyInput] = useState(getInstructorKey);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+
+  const loadDashboard = async () => {
+    setStatus('loading');
+    try {
+      setData(await fetchDashboard(filters));
+      setStatus('done');
+    } catch (loadError) {
+      console.error('Could not load the dashboard:', loadError);
+      setError(loadError.message);
+      setStatus('error');
+    }
+  };
+
+  useEffect(() => {
+    loadDashboard();
+  }, [filters]);
+
+  const changeFilter = (field) => (event) => {
+    const value = event.target.value;
+    setFilters(prev => ({
+      ...prev,
+      [field]: value,
+      // A student belongs to one class, so changing the class clears the student
+      ...(field === 'className' ? { studentId: '' } : {})
+    }));
+  };
+
+  const submitKey = (event) => {
+    event.preventDefault();
+    setInstructorKey(keyInput.trim());
+    loadDashboard();
+  };
+
+  const exportCsv = async (view) => {
+    setIsExporting(true);
+    setExportError('');
+    try {
+      const { blob, filename } = await fetchCohortCsv(filters, view);
+      saveAs(blob, filename);
+    } catch (csvError) {
+      console.error('Could not export the cohort:', csvError);
+      setExportError(`匯出失敗 / Export failed: ${csvError.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const options = data?.options || { classes: [], students: [], scenarios: [] };
+  const students = options.students.filter(student => !filters.className || student.className === filters.className);
+
+  const renderFilters = () => (
+    <div className="dashboard-filters">
+      <label>
+        類別 Attempts
+        <select value={filters.mode} onChange={changeFilter('mode')}>
+          {Object.entries(modeLabels).map(([mode, label]) => (
+            <option key={mode} value={mode}>{label.zh} {label.en}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        班別 Class
+        <select value={filters.className} onChange={changeFilter('className')}>
+          <option value="">全部 All</option>
+          {options.classes.map(className => (
+            <option key={className} value={className}>{className}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        學生 Student
+        <select value={filters.studentId} onChange={changeFilter('studentId')}>
+          <option value="">全部 All</option>
+          {students.map(student => (
+            <option key={`${student.className}/${student.studentId}`} value={student.studentId}>
+              {student.studentName ? `${student.studentName} (${student.studentId})` : student.studentId}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        情境 Scenario
+        <select value={filters.scenarioId} onChange={changeFilter('scenarioId')}>
+          <option value="">全部 All</option>
+          {options.scenarios.map(scenario => (
+            <option key={scenario.scenarioId} value={scenario.scenarioId}>
+              {getScenarioLabel(scenario.scenarioId, scenario.scenarioTitle)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="dashboard-export">
+        <button onClick={() => exportCsv('students')} disabled={isExporting}>匯出學生 CSV Export students</button>
+        <button onClick={() => exportCsv('sessions')} disabled={isExporting}>匯出練習 CSV Export sessions</button>
+        {exportError && <span className="dashboard-error">{exportError}</span>}
+      </div>
+    </div>
+  );
+
+  const renderStudents = () => (
+    <table className="dashboard-table">
+      <thead>
+        <tr>
+          <th>班別 Class</th>
+          <th>學生 Student</th>
+          <th>練習 Sessions</th>
+          <th>平均輪次 Avg turns</th>
+          <th>平均時長 Avg duration</th>
+          <th>總練習時間 Total time</th>
+          <th>平均分 Avg score</th>
+          <th>最高分 Best</th>
+          <th>最近練習 Last session</th>
+        </tr>
+      </thead>
+      <tbody>
+        {data.students.map(student => (
+          <tr
+            key={`${student.className}/${student.studentId}`}
+            className="dashboard-student"
+            onClick={() => setFilters(prev => ({ ...prev, className: student.className, studentId: student.studentId }))}
+            title="只顯示這位學生 / Show this student only"
+          >
+            <td>{student.className}</td>
+            <td>
+              {student.studentName && <span className="dashboard-name">{student.studentName}</span>}
+              <span className="dashboard-id">{student.studentId}</span>
+            </td>
+            <td>{student.sessionCount}{student.assessedCount < student.sessionCount && (
+              <span className="dashboard-muted"> ({student.assessedCount} 已評估 assessed)</span>
+            )}</td>
+            <td>{formatNumber(student.averageTurns)}</td>
+            <td>{formatDuration(student.averageDurationMs)}</td>
+            <td>{formatDuration(student.totalDurationMs)}</td>
+            <td>{formatPercentage(student.averagePercentage)}</td>
+            <td>{formatPercentage(student.bestPercentage)}</td>
+            <td>{new Date(student.lastSessionAt).toLocaleString('zh-HK')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderSessions = () => (
+    <table className="dashboard-table">
+      <thead>
+        <tr>
+          <th>日期 Date</th>
+          <th>學生 Student</th>
+          <th>情境 Scenario</th>
+          <th>模式 Mode</th>
+          <th>時長 Duration</th>
+          <th>輪次 Turns</th>
+          <th>分數 Score</th>
+        </tr>
+      </thead>
+      <tbody>
+        {data.sessions.map(session => {
+          const type = typeLabels[session.type] || typeLabels.simulator;
+          return (
+            <tr key={session.id}>
+              <td>{new Date(session.startedAt).toLocaleString('zh-HK')}</td>
+              <td>
+                <span className="dashboard-name">{session.studentName || session.studentId}</span>
+                <span className="dashboard-id">{session.className} / {session.studentId}</span>
+              </td>
+              <td>{getScenarioLabel(session.scenarioId, session.scenarioTitle)}</td>
+              <td>{type.zh} / {type.en}</td>
+              <td>{formatDuration(session.durationMs)}</td>
+              <td>{session.turnCount}</td>
+              <td>
+                {session.percentage === null ? '–' : `${session.totalScore} / ${session.maxScore} (${formatPercentage(session.percentage)})`}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>導師儀表板</h1>
+        <h2>Instructor Dashboard</h2>
+      </header>
+
+      <main>
+        <div className="instructor-dashboard">
+          {status === 'error' && (
+            <form className="dashboard-key" onSubmit={submitKey}>
+              <p className="dashboard-error">無法載入儀表板 / The dashboard could not be loaded: {error}</p>
+              <input
+                type="password"
+                value={keyInput}
+                onChange={(event) => setKeyInput(event.target.value)}
+                placeholder="導師密鑰 Instructor key"
+              />
+              <button type="submit">重試 Retry</button>
+            </form>
+          )}
+
+          {data && (
+            <>
+              {renderFilters()}
+
+              <h3>學生 Students</h3>
+              {data.students.length === 0 ? (
+                <p className="dashboard-empty">
+                  {filters.mode === 'exam' ? '未有上載的考試 / No exams uploaded yet' : '未有上載的練習 / No sessions uploaded yet'}
+                </p>
+              ) : renderStudents()}
+
+              <h3>{filters.mode === 'exam' ? '考試 Exams' : '練習 Sessions'}</h3>
+              {data.sessions.length > 0 && renderSessions()}
+            </>
+          )}
+
+          {status === 'loading' && !data && <p>載入中… / Loading…</p>}
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default InstructorDashboard;
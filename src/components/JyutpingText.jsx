@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import { getJyutpingList } from '../services/jyutpingService';
+import './JyutpingText.css';
+
+// Text with optional Jyutping ruby annotations above each Chinese character,
+// for students who are still learning Cantonese
+const JyutpingText = ({ text, showJyutping }) => {
+  const [annotated, setAnnotated] = useState(null); // { text, characters } of the last lookup
+
+  useEffect(() => {
+    if (!showJyutping) return;
+
+    let cancelled = false;
+    getJyutpingList(text)
+      .then(list => {
+        if (!cancelled) setAnnotated({ text, characters: list });
+      })
+      .catch(error => console.error('Error looking up Jyutping:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [text, showJyutping]);
+
+  // Plain text until the lookup for the current text is done
+  if (!showJyutping || annotated?.text !== text) {
+    return <>{text}</>;
+  }
+
+  return (
+    <span className="jyutping-text">
+      {annotated.characters.map(([character, jyutping], index) => (
+        jyutping ? (
+          <ruby key={index}>
+            {character}<rp>(</rp><rt>{jyutping}</rt><rp>)</rp>
+          </ruby>
+        ) : (
+          <React.Fragment key={index}>{character}</React.Fragment>
+        )
+      ))}
+    </span>
+  );
+};
+
+export default JyutpingText;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { login, register, fetchAuthProviders, getSsoLoginUrl, completeSsoLogin } from '../services/authService';
+import './LoginPage.css';
+
+const EMPTY_REGISTRATION = { username: '', displayName: '', password: '', joinCode: '', activationCode: '' };
+
+// Sign-in page (route /login): the server's password and SSO options, and
+// account activation or registration with a class join code (plus the
+// student's own activation code for imported student IDs). SSO sign-ins
+// come back here with the token in the URL fragment.
+const LoginPage = () => {
+  const user = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [options, setOptions] = useState({ providers: [], openRegistration: false });
+  const [mode, setMode] = useState('login'); // 'login' or 'register'
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [registration, setRegistration] = useState(EMPTY_REGISTRATION);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Where to go once signed in: the page that asked for the sign-in, or the library
+  const returnTo = location.state?.from || '/';
+
+  useEffect(() => {
+    fetchAuthProviders()
+      .then(setOptions)
+      .catch(loadError => {
+        console.error('Could not load the sign-in options:', loadError);
+        setError(`無法連接伺服器 / The server could not be reached: ${loadError.message}`);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!location.hash) return;
+
+    completeSsoLogin(location.hash)
+      .catch(ssoError => setError(`單一登入失敗 / Single sign-on failed: ${ssoError.message}`))
+      // Keep the token out of the address bar and history
+      .finally(() => navigate('/login', { replace: true, state: location.state }));
+  }, [location.hash]);
+
+  if (user) {
+    return <Navigate to={returnTo} replace />;
+  }
+
+  const submit = (action) => async (event) => {
+    event.preventDefault();
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (submitError) {
+      console.error('Sign-in failed:', submitError);
+      setError(submitError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const updateRegistration = (field) => (event) => {
+    setRegistration(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const hasPasswordLogin = options.providers.some(provider => provider.type === 'password');
+  const ssoProviders = options.providers.filter(provider => provider.type === 'redirect');
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>登入</h1>
+        <h2>Sign In</h2>
+      </header>
+
+      <main>
+        <div className="login-page">
+          {ssoProviders.length > 0 && (
+            <div className="login-sso">
+              {ssoProviders.map(provider => (
+                <a key={provider.id} className="login-sso-button" href={getSsoLoginUrl(provider.id)}>
+                  {provider.label.zh} / {provider.label.en}
+                </a>
+              ))}
+            </div>
+          )}
+
+          {hasPasswordLogin && (
+            <>
+              <div className="login-tabs">
+                <button className={mode === 'login' ? 'active' : ''} onClick={() => setMode('login')}>
+                  登入 Sign in
+                </button>
+                <button className={mode === 'register' ? 'active' : ''} onClick={() => setMode('register')}>
+                  啟用帳戶 Activate account
+                </button>
+              </div>
+
+              {mode === 'login' ? (
+                <form className="login-form" onSubmit={submit(() => login(credentials.username.trim(), credentials.password))}>
+                  <label>
+                    學號或用戶名稱 Student ID or username
+                    <input
+                      value={credentials.username}
+                      onChange={(event) => setCredentials(prev => ({ ...prev, username: event.target.value }))}
+                      autoComplete="username"
+                      required
+                    />
+                  </label>
+                  <label>
+                    密碼 Password
+                    <input
+                      type="password"
+                      value={credentials.password}
+                      onChange={(event) => setCredentials(prev => ({ ...prev, password: event.target.value }))}
+                      autoComplete="current-password"
+                      required
+                    />
+                  </label>
+                  <button type="submit" disabled={isBusy}>登入 Sign in</button>
+                </form>
+              ) : (
+                <form className="login-form" onSubmit={submit(() => register({ ...registration, username: registration.username.trim() }))}>
+                  <p className="login-note">
+                    輸入導師提供的班別代碼並設定密碼。如導師已匯入你的學號，亦須輸入你的啟用碼。
+                    {options.openRegistration
+                      ? ' / Enter the join code from your tutor and choose a password. If your tutor imported your student ID, also enter your activation code.'
+                      : ' 你的學號須已由導師加入班別。 / Enter the join code from your tutor, your activation code and a password. Your tutor must have added your student ID to the class.'}
+                  </p>
+                  <label>
+                    學號 Student ID
+                    <input value={registration.username} onChange={updateRegistration('username')} autoComplete="username" required maxLength={64} />
+                  </label>
+                  <label>
+                    姓名 Name
+                    <input value={registration.displayName} onChange={updateRegistration('displayName')} autoComplete="name" maxLength={100} />
+                  </label>
+                  <label>
+                    班別代碼 Join code
+                    <input value={registration.joinCode} onChange={updateRegistration('joinCode')} required maxLength={16} />
+                  </label>
+                  <label>
+                    啟用碼 Activation code
+                    <input
+                      value={registration.activationCode}
+                      onChange={updateRegistration('activationCode')}
+                      autoComplete="one-time-code"
+                      required={!options.openRegistration}
+                      maxLength={16}
+                    />
+                  </label>
+                  <label>
+                    密碼 Password (8+)
+                    <input
+                      type="password"
+                      value={registration.password}
+                      onChange={updateRegistration('password')}
+                      autoComplete="new-password"
+                      minLength={8}
+                      required
+                    />
+                  </label>
+                  <button type="submit" disabled={isBusy}>啟用並登入 Activate and sign in</button>
+                </form>
+              )}
+            </>
+          )}
+
+          {error && <p className="login-error">{error}</p>}
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default LoginPage;
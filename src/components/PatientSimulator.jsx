@@ -1,32 +1,106 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
 import './PatientSimulator.css';
 import SpeechTest from './SpeechTest';
 import VisemeFace from './VisemeFace';
+import JyutpingText from './JyutpingText';
+import CoachingSidebar from './CoachingSidebar';
 
 // Services for API communication
 import { transcribeSpeech } from '../services/speechToTextService';
+import { startStreamingRecognition } from '../services/streamingSpeechService';
+import { startVoiceActivityDetection } from '../services/voiceActivityService';
 import { generateResponse } from '../services/gpt4Service';
-import { textToSpeech, textToSpeechWithViseme } from '../services/textToSpeechService';
+import { DEFAULT_EMOTION } from '../services/emotionTags';
+import { textToSpeech, textToSpeechWithViseme, getSpokenText, createSentenceSplitter } from '../services/textToSpeechService';
+import { generateVisemesFromAudio, joinSegmentVisemes } from '../services/visemeGenerator';
+import { SUBTITLE_LANGUAGES, translateText } from '../services/translationService';
+import { PATIENT_LANGUAGES, getPatientLanguage } from '../services/patientLanguages';
+import { getExamTimeLeft } from '../services/examService';
+import { getPhaseProgress, isCoachingSidebarEnabled } from '../services/conversationPhases';
+import { COACH_MODES, DEFAULT_COACH_MODE, coachNurseTurn, isCoachingHintsEnabled } from '../services/coachingService';
+import { formatDuration } from '../utils/formatTime';
 
-const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onAudioRecorded }) => {
+// Streaming Azure recognition by default; Whisper batch transcription stays available
+const DEFAULT_RECOGNITION_MODE = import.meta.env.VITE_SPEECH_RECOGNITION_MODE === 'whisper' ? 'whisper' : 'streaming';
+
+// While the patient speaks the detector needs louder, longer speech before it
+// triggers, so leftover echo of the patient's voice does not count as barge-in
+const DEFAULT_VAD_CONFIG = { startMs: 100, thresholdRatio: 3 };
+const BARGE_IN_VAD_CONFIG = { startMs: 250, thresholdRatio: 6 };
+
+// Ids let a conversation entry be updated later, e.g. when it is interrupted
+const createEntryId = () => crypto.randomUUID();
+
+// three.js is only downloaded once the 3D avatar is switched on
+const Avatar3D = lazy(() => import('./Avatar3D'));
+
+// Remembers whether the 2D face or the 3D avatar was last shown
+const AVATAR_MODE_KEY = 'nurs.avatarMode';
+// Remembers the subtitle language, empty when subtitles are off
+const SUBTITLE_LANGUAGE_KEY = 'nurs.subtitleLanguage';
+// Remembers the coach mode, a key of COACH_MODES
+const COACH_MODE_KEY = 'nurs.coachMode';
+
+// The countdown turns red in the last minute of an exam
+const EXAM_WARNING_MS = 60000;
+
+// In exam mode (exam = { durationMs, deadline, submitted }) a countdown runs,
+// the coaching sidebar and hints are hidden and onTimeUp ends the attempt at the deadline.
+// Without onStart the simulation cannot be started, e.g. once an exam is submitted.
+const PatientSimulator = ({ scenario, language = scenario.language, onLanguageChange, isActive, onStart, onStop, onConversationUpdate, onConversationEntryUpdate, onAudioRecorded, initialHistory = [], initialAudio = [], exam = null, onTimeUp }) => {
   const [isRecording, setIsRecording] = useState(false);
   const [transcribedText, setTranscribedText] = useState('');
   const [patientResponse, setPatientResponse] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
-  const [conversationHistory, setConversationHistory] = useState([]);
+  const [conversationHistory, setConversationHistory] = useState(initialHistory); // Restored when a saved session is resumed
   const [showSpeechTest, setShowSpeechTest] = useState(false);
   const [useViseme, setUseViseme] = useState(true);
-  const [visemeData, setVisemeData] = useState([]);
+  const [speechSegments, setSpeechSegments] = useState([]); // Synthesised sentences of the current response
+  const [speechComplete, setSpeechComplete] = useState(true); // No more segments will follow
   const [isVisemePlaying, setIsVisemePlaying] = useState(false);
-  const [conversationAudio, setConversationAudio] = useState([]); // Track audio recordings
-  const [currentAudioUrl, setCurrentAudioUrl] = useState(''); // Store the current audio URL
+  const [patientEmotion, setPatientEmotion] = useState(() => [...initialHistory].reverse().find(entry => entry.role === 'patient')?.emotion || DEFAULT_EMOTION); // Emotion tag of the latest reply
+  const [conversationAudio, setConversationAudio] = useState(initialAudio); // Track audio recordings
   const [isFullscreen, setIsFullscreen] = useState(false); // State for fullscreen mode
+  const [recognitionMode, setRecognitionMode] = useState(DEFAULT_RECOGNITION_MODE); // 'streaming' or 'whisper'
+  const [handsFree, setHandsFree] = useState(false); // Hands-free mode driven by voice activity detection
+  const [isNurseSpeaking, setIsNurseSpeaking] = useState(false); // VAD currently hears the nurse
+  const [isAudioPlaying, setIsAudioPlaying] = useState(false); // Plain TTS audio (without viseme) is playing
+  const [bargeIn, setBargeIn] = useState(true); // Nurse speech cuts the patient off mid-sentence
+  const [showLatestJyutping, setShowLatestJyutping] = useState(false); // Jyutping on the fullscreen message bubble
+  const [subtitleLanguage, setSubtitleLanguage] = useState(() => localStorage.getItem(SUBTITLE_LANGUAGE_KEY) || ''); // Key of SUBTITLE_LANGUAGES, '' for off
+  const [subtitles, setSubtitles] = useState([]); // Translation of each speech segment of the current response
+  const [subtitleIndex, setSubtitleIndex] = useState(-1); // Segment being spoken
+  const [avatarMode, setAvatarMode] = useState(() => localStorage.getItem(AVATAR_MODE_KEY) || '2d'); // '2d' or '3d'
+  const [now, setNow] = useState(Date.now); // Ticks every second while an exam runs
+  const [coachMode, setCoachMode] = useState(() => COACH_MODES[localStorage.getItem(COACH_MODE_KEY)] ? localStorage.getItem(COACH_MODE_KEY) : DEFAULT_COACH_MODE); // Key of COACH_MODES
+  const [coachHints, setCoachHints] = useState([]); // Tips on the latest nurse turn
+
+  const patientLanguage = getPatientLanguage(language);
+  // Voice options shared by every synthesis call of this patient
+  const voiceOptions = { language, gender: scenario.patient.gender };
+  // Subtitles in the language the patient already speaks are treated as off
+  const activeSubtitleLanguage = SUBTITLE_LANGUAGES[subtitleLanguage]?.patientLanguage === language ? '' : subtitleLanguage;
   
   const audioRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const controlPanelRef = useRef(null); // Reference for the control panel element
+  const micStreamRef = useRef(null); // Microphone stream of the current recording
+  const recordingStartedAtRef = useRef(null); // When the current recording started, for the audio mixdown
+  const recognitionRef = useRef(null); // Active streaming recognition session
+  const stopRecordingRef = useRef(null); // Latest stopRecording, for the silence callback
+  const startRecordingRef = useRef(null); // Latest startRecording, for the VAD callbacks
+  const cancelRecordingRef = useRef(null); // Latest cancelRecording, for the VAD callbacks
+  const vadRef = useRef(null); // Voice activity detector of the hands-free mode
+  const handsFreeStreamRef = useRef(null); // Microphone stream shared by hands-free recordings
+  const listeningBlockedRef = useRef(false); // True while nurse speech should be ignored
+  const vadPausedRef = useRef(false); // Detector is paused rather than listening
+  const visemeFaceRef = useRef(null); // Playback controls of the animated face
+  const patientTurnRef = useRef(null); // The patient turn being generated or spoken
+  const responseSeqRef = useRef(0); // Counts nurse turns sent for a response
+  const timeUpRef = useRef(false); // The exam's time ran out and onTimeUp was called
+  const coachSeqRef = useRef(0); // Counts nurse turns sent to the coach
 
   // Also need to add global audioCache reference
   const audioCache = useRef(null);
@@ -61,206 +135,294 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
     };
   }, []);
 
-  // Suggested questions based on the colonoscopy scenario
-  const suggestedQuestions = [
-    {
-      category: "一般疑問",
-      questions: [
-        "我係咪真係需要做呢個大腸內窺鏡？係咪咁重要㗎？",
-        "呢個檢查實際上係點做㗎？會唔會痛？"
-      ]
-    },
-    {
-      category: "大腸內窺鏡準備",
-      questions: [
-        "做呢個檢查之前要準備啲咩？會唔會好麻煩或者唔舒服？",
-        "準備過程會唔會令我覺得唔舒服或者作嘔？"
-      ]
-    },
-    {
-      category: "身體檢查階段",
-      questions: [
-        "點解要做身體檢查先？係咪一定要做？",
-        "你而家做緊啲咩？可唔可以解釋比我知？",
-        "呢個檢查會唔會好唔舒服，或者好尷尬？"
-      ]
-    },
-    {
-      category: "檢查後疑問",
-      questions: [
-        "做呢個檢查有冇咩風險或者副作用？做完之後我要注意啲咩？",
-        "通常要幾耐先有結果？之後會發生咩事？"
-      ]
+  // The coaching sidebar follows the conversation through its phases and
+  // suggests what to ask next; scenarios can switch it off, exams go without it
+  const showCoaching = !exam && isCoachingSidebarEnabled(scenario);
+  const phaseProgress = showCoaching ? getPhaseProgress(scenario, conversationHistory, language) : [];
+
+  // Coaching hints on each nurse turn; scenarios can switch them off, exams go without them
+  const showCoachHints = !exam && isCoachingHintsEnabled(scenario);
+
+  // The coach checks a nurse turn while the patient's reply is generated. Its
+  // tips are shown for the latest turn only and stored on the nurse's entry
+  // for the post-session report.
+  const coachTurn = (nurseEntry, history) => {
+    const coachSeq = ++coachSeqRef.current;
+
+    coachNurseTurn({ text: nurseEntry.text, history, scenario, language, mode: coachMode })
+      .then(hints => {
+        if (coachSeq === coachSeqRef.current) {
+          setCoachHints(hints);
+        }
+        if (hints.length === 0) return;
+
+        const changes = { coaching: hints };
+        setConversationHistory(prev => prev.map(entry => entry.id === nurseEntry.id ? { ...entry, ...changes } : entry));
+        if (onConversationEntryUpdate) {
+          onConversationEntryUpdate(nurseEntry.id, changes);
+        }
+      })
+      .catch(e => console.error('Error coaching the nurse turn:', e));
+  };
+
+  const changeCoachMode = (mode) => {
+    setCoachMode(mode);
+    localStorage.setItem(COACH_MODE_KEY, mode);
+    if (mode === 'off') {
+      setCoachHints([]);
     }
-  ];
+  };
 
-  // Function to use a suggested question
+  // Ask a suggested question as the nurse's next turn
   const useSuggestedQuestion = (question) => {
+    setTranscribedText(question);
+    handlePatientResponse(question);
+  };
+
+  // Adds a nurse turn to the conversation
+  const addNurseEntry = (text, nurseEntryId) => {
     const nurseEntry = {
+      id: nurseEntryId,
       role: 'nurse',
-      text: question,
+      text,
+      language,
       timestamp: new Date().toISOString()
     };
-    
-    setTranscribedText(question);
     setConversationHistory(prev => [...prev, nurseEntry]);
     onConversationUpdate(nurseEntry);
-    
-    // Process the question to get a response
-    handlePatientResponse(question);
+    return nurseEntry;
   };
 
   // Process the patient response after getting transcribed text
-  const handlePatientResponse = async (text) => {
+  // The nurse entry id is passed in when the recording was already stored under it
+  const handlePatientResponse = async (text, nurseEntryId = createEntryId()) => {
+    // Only the latest turn may clear the processing state
+    const responseSeq = ++responseSeqRef.current;
+
     try {
+      // A new nurse turn cuts off whatever the patient is still saying
+      if (isPatientSpeaking) {
+        interruptPatient();
+      }
+      patientTurnRef.current = null;
+
       setIsProcessing(true);
       setError('');
       
       // Add the nurse's input to conversation immediately for better UX
-      const nurseEntry = {
-        role: 'nurse',
-        text,
-        timestamp: new Date().toISOString()
-      };
-      setConversationHistory(prev => [...prev, nurseEntry]);
-      onConversationUpdate(nurseEntry);
+      const nurseEntry = addNurseEntry(text, nurseEntryId);
+
+      if (showCoachHints && coachMode !== 'off') {
+        coachTurn(nurseEntry, conversationHistory);
+      }
       
       // Clear previous audio to prevent it from playing - do this immediately
       if (audioRef.current) {
         audioRef.current.pause();
         audioRef.current.src = '';
-        
-        if (currentAudioUrl && !isCachedUrl(currentAudioUrl)) {
+      }
+      releaseSpeechSegments();
+      setSpeechSegments([]);
+      setSpeechComplete(false);
+      setIsVisemePlaying(false);
+      setSubtitles([]);
+
+      // The turn being spoken; text grows as the response streams in
+      const patientTurn = {
+        id: createEntryId(),
+        text: '',
+        timestamp: new Date().toISOString(),
+        emotion: DEFAULT_EMOTION,
+        interrupted: false,
+        entryAdded: false
+      };
+      patientTurnRef.current = patientTurn;
+
+      // Each sentence is synthesised as soon as it is complete. Requests run in
+      // parallel, the segments join the playback queue in order.
+      let segmentChain = Promise.resolve();
+      const segmentAudio = []; // { blob, visemeData } of each spoken sentence, for saving
+      let sentenceCount = 0;
+      let failedCount = 0;
+
+      // With subtitles on, each sentence is translated while it is synthesised.
+      // The translations are kept in segment order, so they line up with playback.
+      const segmentTranslations = [];
+
+      const showSubtitle = (segmentIndex, translation) => {
+        segmentTranslations[segmentIndex] = translation;
+        translation.then(subtitle => {
+          if (subtitle && patientTurnRef.current === patientTurn) {
+            setSubtitles(prev => {
+              const next = [...prev];
+              next[segmentIndex] = subtitle;
+              return next;
+            });
+          }
+        });
+      };
+
+      // Stores the whole translation on the entry once every sentence is translated
+      const saveTranslation = async () => {
+        if (segmentTranslations.length === 0) return;
+
+        const parts = await Promise.all(segmentTranslations);
+        const changes = {
+          translation: {
+            language: activeSubtitleLanguage,
+            text: parts.filter(Boolean).join(activeSubtitleLanguage === 'en' ? ' ' : '')
+          }
+        };
+        setConversationHistory(prev => prev.map(entry => entry.id === patientTurn.id ? { ...entry, ...changes } : entry));
+        if (onConversationEntryUpdate) {
+          onConversationEntryUpdate(patientTurn.id, changes);
+        }
+      };
+
+      const speakSentence = (sentence) => {
+        sentenceCount++;
+        const synthesis = textToSpeechWithViseme(sentence, { ...voiceOptions, blendShapes: avatarMode === '3d' });
+        synthesis.catch(() => {}); // Reported in order below
+        // A failed translation only loses the subtitle, translateText logs it
+        const translation = activeSubtitleLanguage
+          ? translateText(sentence, activeSubtitleLanguage, scenario, language).catch(() => null)
+          : null;
+
+        segmentChain = segmentChain.then(async () => {
           try {
-            URL.revokeObjectURL(currentAudioUrl);
-          } catch (e) {
-            console.warn('Error revoking URL:', e);
+            const result = await synthesis;
+            if (patientTurn.interrupted) return;
+
+            setSpeechSegments(prev => [...prev, {
+              text: sentence,
+              audioUrl: result.audioUrl,
+              visemeData: result.visemeData,
+              wordBoundaries: result.wordBoundaries,
+              blendShapes: result.blendShapes
+            }]);
+            setIsVisemePlaying(true);
+            if (translation) {
+              showSubtitle(segmentTranslations.length, translation);
+            }
+
+            segmentAudio.push(fetch(result.audioUrl)
+              .then(response => response.blob())
+              .then(blob => ({ blob, visemeData: result.visemeData })));
+          } catch (audioErr) {
+            failedCount++;
+            console.error('Sentence synthesis error:', audioErr);
           }
+        });
+      };
+
+      const splitter = useViseme ? createSentenceSplitter(speakSentence) : null;
+
+      const streamHandler = (content, fullText, emotion) => {
+        patientTurn.text = fullText;
+        // The tag comes first, so the face can react before the patient speaks
+        if (emotion && emotion !== patientTurn.emotion) {
+          patientTurn.emotion = emotion;
+          setPatientEmotion(emotion);
         }
-      }
-      
-      // Reset audio and indicate thinking state
-      setCurrentAudioUrl('');
-      setIsVisemePlaying(false);
-      
-      // Start pre-animation to indicate the patient is thinking
-      setVisemeData([
-        { visemeId: 0, audioOffset: 0 },
-        { visemeId: 2, audioOffset: 300 },
-        { visemeId: 0, audioOffset: 600 },
-        { visemeId: 1, audioOffset: 900 },
-        { visemeId: 0, audioOffset: 1200 }
-      ]);
-      setIsVisemePlaying(true);
-      
-      // Create a stream handler callback to process response in real-time
-      let streamedText = '';
-      const streamHandler = (content, fullText) => {
-        streamedText = fullText;
         // Update patient response in real-time as words come in
         setPatientResponse(fullText);
-      };
-      
-      // Flag to avoid starting TTS multiple times
-      let ttsStarted = false;
-      let firstSentencePromise = null;
-      
-      // Function to start TTS - simplified to just log the request
-      const startFirstSentenceTTS = async (sentence) => {
-        try {
-          console.log("Pre-processing text for TTS:", sentence.length, "characters");
-          // We're not going to use this anymore
-        } catch (e) {
-          console.warn("Error pre-processing text:", e);
+        if (splitter && !patientTurn.interrupted) {
+          splitter.push(fullText);
         }
       };
       
-      // Start warming up TTS with a parallel empty request to initialize connection
-      const warmupPromise = textToSpeech("我明白，請稍等一下。").catch(e => console.warn("Warmup error:", e));
-      
-      // Start generating the response with streaming handler
-      const responsePromise = generateResponse(text, conversationHistory, streamHandler);
-      
-      // Wait for the response to complete
-      const response = await responsePromise;
+      const { text: response, emotion } = await generateResponse(text, conversationHistory, streamHandler, scenario, language);
+      patientTurn.text = response;
+      patientTurn.emotion = emotion;
+      setPatientEmotion(emotion);
+
+      if (patientTurn.interrupted) {
+        // The nurse cut in while the response was still streaming; the entry
+        // already holds the spoken part, keep the full text alongside it
+        const changes = { fullText: response, emotion };
+        setConversationHistory(prev => prev.map(entry => entry.id === patientTurn.id ? { ...entry, ...changes } : entry));
+        if (onConversationEntryUpdate) {
+          onConversationEntryUpdate(patientTurn.id, changes);
+        }
+        segmentChain.then(saveTranslation).catch(e => console.error('Error saving translation:', e));
+        return;
+      }
+
       setPatientResponse(response);
       
       // Add patient's response to conversation
       const patientEntry = {
+        id: patientTurn.id,
         role: 'patient',
         text: response,
-        timestamp: new Date().toISOString()
+        emotion,
+        language,
+        timestamp: patientTurn.timestamp
       };
+      patientTurn.entryAdded = true;
+      setConversationHistory(prev => [...prev, patientEntry]);
+      onConversationUpdate(patientEntry);
       
-      // Update conversation history in the background
-      setTimeout(() => {
-        setConversationHistory(prev => [...prev, patientEntry]);
-        onConversationUpdate(patientEntry);
-      }, 0);
-      
-      if (useViseme) {
-        try {
-          // Process the complete response only, no more partial processing
-          console.log("Processing complete response at once, length:", response.length);
-          
-          // Make sure viseme is not playing before starting a new one
-          setIsVisemePlaying(false);
-          
-          // Add a small delay to ensure any previous animation is fully stopped
-          await new Promise(resolve => setTimeout(resolve, 100));
-          
-          const result = await textToSpeechWithViseme(response);
-          
-          // Ensure all viseme data is properly received
-          if (result.visemeData && result.visemeData.length > 0) {
-            console.log(`Received ${result.visemeData.length} viseme entries`);
-            
-            // Make sure the viseme data has appropriate end padding to ensure all animations complete
-            const lastVisemeTime = result.visemeData[result.visemeData.length - 1].audioOffset;
-            const paddedVisemeData = [...result.visemeData];
-            
-            // Add an explicit closing viseme with extra time offset
-            paddedVisemeData.push({
-              visemeId: 0,  // neutral mouth position
-              audioOffset: lastVisemeTime + 500
-            });
-            
-            setVisemeData(paddedVisemeData);
-          } else {
-            console.warn("Warning: No viseme data received or empty array");
-            setVisemeData([
-              { visemeId: 0, audioOffset: 0 }, 
-              { visemeId: 1, audioOffset: 500 },
-              { visemeId: 0, audioOffset: 1000 }
-            ]);
-          }
-          
-          setCurrentAudioUrl(result.audioUrl);
-          setIsVisemePlaying(true);
-          
-          // Capture the response audio in the background
-          captureAudioForSaving(result.audioUrl).catch(e => 
-            console.error('Error capturing viseme audio for saving:', e)
-          );
-        } catch (audioErr) {
-          console.error('Text-to-speech with viseme error:', audioErr);
-          setError(`音頻生成錯誤: ${audioErr.message}`);
+      if (splitter) {
+        // Cached responses arrive without streaming, so split them here
+        splitter.push(response);
+        splitter.flush(response);
+        await segmentChain;
+        setSpeechComplete(true);
+        saveTranslation().catch(e => console.error('Error saving translation:', e));
+
+        if (sentenceCount > 0 && failedCount === sentenceCount) {
+          setError('音頻生成錯誤: 語音合成失敗');
           setIsVisemePlaying(false);
-          
+
           // Fall back to regular text-to-speech
-          fallbackToRegularTTS(response);
+          fallbackToRegularTTS(response, patientTurn.id);
+        } else if (failedCount > 0) {
+          setError(`音頻生成錯誤: ${failedCount} 句語音合成失敗`);
         }
+
+        // Capture the whole response as one clip in the background, with the
+        // sentences' visemes joined up so a replay can drive the face again
+        Promise.all(segmentAudio)
+          .then(async segments => {
+            if (segments.length === 0) return;
+            const visemeData = await joinSegmentVisemes(segments).catch(e => {
+              console.warn('Could not join the visemes of the response:', e);
+              return null;
+            });
+            await captureAudioForSaving(new Blob(segments.map(segment => segment.blob), { type: 'audio/mp3' }), patientTurn.id, patientTurn.timestamp, visemeData);
+          })
+          .catch(e => console.error('Error capturing viseme audio for saving:', e));
       } else {
-        // Regular text-to-speech without viseme
-        regularTextToSpeech(response);
+        // Regular text-to-speech without viseme, subtitled as a whole
+        regularTextToSpeech(response, patientTurn.id);
+        if (activeSubtitleLanguage) {
+          showSubtitle(0, translateText(response, activeSubtitleLanguage, scenario, language).catch(() => null));
+          saveTranslation().catch(e => console.error('Error saving translation:', e));
+        }
       }
     } catch (err) {
       console.error('Response generation error:', err);
       setError(`處理響應時出錯: ${err.message}`);
     } finally {
-      setIsProcessing(false);
+      if (responseSeq === responseSeqRef.current) {
+        setIsProcessing(false);
+      }
     }
   };
+
+  // Revoke the audio URLs of the last response, unless the TTS cache still owns them
+  const releaseSpeechSegments = () => {
+    speechSegments.forEach(segment => {
+      if (segment.audioUrl && !isCachedUrl(segment.audioUrl)) {
+        try {
+          URL.revokeObjectURL(segment.audioUrl);
+        } catch (e) {
+          console.warn('Error revoking URL:', e);
+        }
+      }
+    });
+  };
   
   // Helper to check if a URL is in the audio cache
   const isCachedUrl = (url) => {
@@ -280,21 +442,19 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
     return isCached;
   };
   
-  // Helper for regular TTS fallback
-  const fallbackToRegularTTS = async (text) => {
+  // Helper for regular TTS fallback. The plain REST audio has no visemes, so
+  // they are generated locally and the face plays it like any other segment.
+  const fallbackToRegularTTS = async (text, entryId) => {
     try {
-      const audioUrl = await textToSpeech(text);
-      
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current.src = '';
-      }
-      
-      audioRef.current.src = audioUrl;
-      audioRef.current.play().catch(e => console.error(e));
+      const audioUrl = await textToSpeech(text, voiceOptions);
+      const visemeData = await generateVisemesFromAudio(text, audioUrl);
+
+      setSpeechSegments([{ text, audioUrl, visemeData, wordBoundaries: [] }]);
+      setSpeechComplete(true);
+      setIsVisemePlaying(true);
       
       // Capture audio in background
-      captureAudioForSaving(audioUrl).catch(e => 
+      captureAudioForSaving(audioUrl, entryId, new Date().toISOString(), visemeData).catch(e => 
         console.error('Error capturing audio for saving:', e)
       );
     } catch (e) {
@@ -304,9 +464,9 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
   };
   
   // Helper for regular TTS
-  const regularTextToSpeech = async (text) => {
+  const regularTextToSpeech = async (text, entryId) => {
     try {
-      const audioUrl = await textToSpeech(text);
+      const audioUrl = await textToSpeech(text, voiceOptions);
       
       if (audioRef.current) {
         audioRef.current.pause();
@@ -337,7 +497,7 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
       });
       
       // Capture audio in background
-      captureAudioForSaving(audioUrl).catch(e => 
+      captureAudioForSaving(audioUrl, entryId).catch(e => 
         console.error('Error capturing audio for saving:', e)
       );
     } catch (audioErr) {
@@ -346,8 +506,11 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
     }
   };
   
-  // Helper to capture audio for saving
-  const captureAudioForSaving = async (audioUrl) => {
+  // Helper to capture audio for saving, from an audio URL or a Blob. The entry id
+  // links the clip to its conversation entry so the log can replay it; the start
+  // time places it in the audio mixdown, by default playback starts right away.
+  // Visemes the face spoke the clip with are kept for the session replay.
+  const captureAudioForSaving = async (audioUrl, entryId = null, startedAt = new Date().toISOString(), visemeData = null) => {
     try {
       // Only proceed if we have a valid URL
       if (!audioUrl) {
@@ -355,17 +518,22 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
         return;
       }
 
-      const response = await fetch(audioUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch audio: ${response.statusText}`);
+      let audioBlob = audioUrl;
+      if (!(audioUrl instanceof Blob)) {
+        const response = await fetch(audioUrl);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch audio: ${response.statusText}`);
+        }
+        audioBlob = await response.blob();
       }
-
-      const audioBlob = await response.blob();
       
       // Store the audio with its metadata
       const audioEntry = {
         role: 'patient',
+        entryId,
         blob: audioBlob,
+        startedAt,
+        visemeData,
         timestamp: new Date().toISOString()
       };
 
@@ -381,9 +549,13 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
     }
   };
 
-  // Start recording audio
-  const startRecording = async () => {
+  // Start recording audio, on the hands-free microphone stream if one is given
+  const startRecording = async (sharedStream = null) => {
     try {
+      if (bargeIn && isPatientSpeaking) {
+        interruptPatient();
+      }
+
       setIsRecording(true);
       setError('');
       
@@ -391,7 +563,7 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
       setTranscribedText('');
       
       // Request microphone access
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const stream = sharedStream || await navigator.mediaDevices.getUserMedia({ audio: true });
       
       // Pre-process audio settings for better quality
       const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -436,9 +608,33 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
       
       // Start recording
       recorder.start();
+      recordingStartedAtRef.current = new Date().toISOString();
       mediaRecorderRef.current = recorder;
+      // Only release streams this recording opened itself
+      micStreamRef.current = sharedStream ? null : stream;
       
       console.log('Started recording');
+
+      // Show what is being heard while the nurse speaks
+      if (recognitionMode === 'streaming') {
+        try {
+          const recognition = await startStreamingRecognition(stream, {
+            language: patientLanguage.locale,
+            onPartial: (text) => setTranscribedText(text),
+            onSilence: () => stopRecordingRef.current && stopRecordingRef.current(),
+            onError: (err) => console.warn('Streaming recognition error, Whisper will be used:', err.message)
+          });
+
+          // The recording may have been stopped while recognition was starting
+          if (recorder.state === 'inactive') {
+            recognition.stop();
+          } else {
+            recognitionRef.current = recognition;
+          }
+        } catch (recognitionErr) {
+          console.warn('Streaming recognition unavailable, falling back to Whisper:', recognitionErr);
+        }
+      }
     } catch (err) {
       console.error('Error starting recording:', err);
       setError(`麥克風訪問錯誤: ${err.message}`);
@@ -446,10 +642,13 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
     }
   };
 
-  // Stop recording and process the audio
-  const stopRecording = () => {
-    if (!mediaRecorderRef.current || !isRecording) {
+  // Stop recording and process the audio. With final set (the exam's time is
+  // up) the nurse's last words are kept as a turn, but the patient does not
+  // answer. Resolves once the recording has been handled.
+  const stopRecording = (final = false) => new Promise(resolve => {
+    if (!mediaRecorderRef.current || mediaRecorderRef.current.state === 'inactive') {
       console.warn('No active recording to stop');
+      resolve();
       return;
     }
     
@@ -461,9 +660,20 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
         try {
           // Create audio blob from chunks
           const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
+
+          // Finish streaming recognition first so its transcript is complete
+          const recognition = recognitionRef.current;
+          recognitionRef.current = null;
+          let text = recognition ? (await recognition.stop()).trim() : '';
+
+          // Release the microphone
+          if (micStreamRef.current) {
+            micStreamRef.current.getTracks().forEach(track => track.stop());
+            micStreamRef.current = null;
+          }
           
           // Check if recording has content
-          if (audioBlob.size < 100) {
+          if (!text && audioBlob.size < 100) {
             setError('錄音太短或沒有聲音被錄製。請再試一次。');
             setIsRecording(false);
             return;
@@ -472,10 +682,13 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
           // Start processing immediately
           setIsProcessing(true);
           
-          // Store the user's audio with its metadata
+          // Store the user's audio with its metadata, under the id its conversation entry will get
+          const nurseEntryId = createEntryId();
           const userAudioEntry = {
             role: 'nurse',
+            entryId: nurseEntryId,
             blob: audioBlob,
+            startedAt: recordingStartedAtRef.current,
             timestamp: new Date().toISOString()
           };
           
@@ -487,14 +700,21 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
             }
           }, 0);
           
-          // Start transcription immediately
-          const transcriptionPromise = transcribeSpeech(audioBlob);
-          
-          // Show loading indicator during transcription
-          setTranscribedText('轉錄中...'); // "Transcribing..."
-          
-          // Wait for transcription result
-          const text = await transcriptionPromise;
+          // Use Whisper when streaming recognition is off or heard nothing
+          if (!text) {
+            if (recognition) {
+              console.log('Streaming recognition returned no text, falling back to Whisper');
+            }
+
+            // Start transcription immediately
+            const transcriptionPromise = transcribeSpeech(audioBlob, language);
+            
+            // Show loading indicator during transcription
+            setTranscribedText('轉錄中...'); // "Transcribing..."
+            
+            // Wait for transcription result
+            text = await transcriptionPromise;
+          }
           
           if (!text || text.trim() === '') {
             setError('無法識別您的語音，請再試一次。');
@@ -505,14 +725,22 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
           
           // Update transcribed text
           setTranscribedText(text);
+
+          if (final) {
+            addNurseEntry(text, nurseEntryId);
+            setIsProcessing(false);
+            return;
+          }
           
           // Process patient response with the transcribed text
           // This function has already been optimized with streaming responses
-          await handlePatientResponse(text);
+          await handlePatientResponse(text, nurseEntryId);
         } catch (err) {
           console.error('Error processing recording:', err);
           setError(`處理錄音時出錯: ${err.message}`);
           setIsProcessing(false);
+        } finally {
+          resolve();
         }
       };
       
@@ -526,12 +754,281 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
       setError(`停止錄音時出錯: ${err.message}`);
       setIsRecording(false);
       setIsProcessing(false);
+      resolve();
+    }
+  });
+
+  // Discard the current recording without submitting it (e.g. a cough in hands-free mode)
+  const cancelRecording = () => {
+    const recorder = mediaRecorderRef.current;
+    if (!recorder || recorder.state === 'inactive') {
+      return;
+    }
+
+    recorder.onstop = () => {
+      if (recognitionRef.current) {
+        recognitionRef.current.stop();
+        recognitionRef.current = null;
+      }
+      if (micStreamRef.current) {
+        micStreamRef.current.getTracks().forEach(track => track.stop());
+        micStreamRef.current = null;
+      }
+    };
+    recorder.stop();
+
+    setIsRecording(false);
+    setTranscribedText('');
+    console.log('Discarded recording');
+  };
+
+  // Keep the silence and VAD callbacks pointed at the current functions
+  stopRecordingRef.current = stopRecording;
+  startRecordingRef.current = startRecording;
+  cancelRecordingRef.current = cancelRecording;
+
+  // Cut the patient off mid-sentence and keep only the words actually spoken
+  const interruptPatient = () => {
+    const turn = patientTurnRef.current;
+    if (!turn) return;
+    patientTurnRef.current = null;
+
+    let playback = { positionMs: 0, durationMs: 0, wordBoundaries: [] };
+    if (isVisemePlaying && speechSegments.length > 0 && visemeFaceRef.current) {
+      playback = visemeFaceRef.current.stop();
+      handleVisemePlayComplete();
+    } else if (audioRef.current && !audioRef.current.paused) {
+      const { currentTime, duration } = audioRef.current;
+      playback = {
+        positionMs: currentTime * 1000,
+        durationMs: Number.isFinite(duration) ? duration * 1000 : 0,
+        wordBoundaries: []
+      };
+      audioRef.current.pause();
+    }
+
+    // The truncated text is what the LLM sees as context for the next turn
+    const spokenText = getSpokenText(turn.text, playback.wordBoundaries, playback.positionMs, playback.durationMs);
+    const changes = { text: spokenText, fullText: turn.text, interrupted: true };
+    turn.interrupted = true;
+
+    if (turn.entryAdded) {
+      setConversationHistory(prev => prev.map(entry => entry.id === turn.id ? { ...entry, ...changes } : entry));
+      if (onConversationEntryUpdate) {
+        onConversationEntryUpdate(turn.id, changes);
+      }
+    } else {
+      // The response was still streaming, so the turn is not in the history yet
+      const patientEntry = { id: turn.id, role: 'patient', emotion: turn.emotion, language, timestamp: turn.timestamp, ...changes };
+      turn.entryAdded = true;
+      setConversationHistory(prev => [...prev, patientEntry]);
+      onConversationUpdate(patientEntry);
+    }
+    setPatientResponse(spokenText);
+
+    console.log(`Patient interrupted after ${spokenText.length} of ${turn.text.length} characters`);
+  };
+
+  // The patient is talking when synthesised audio is playing; with sentence
+  // streaming that starts while the rest of the response is still processing
+  const isPatientSpeaking = (isVisemePlaying && speechSegments.length > 0) || isAudioPlaying;
+  const isThinking = isProcessing && !isPatientSpeaking;
+  listeningBlockedRef.current = isThinking || (isPatientSpeaking && !bargeIn);
+
+  // Turn on hands-free mode: utterances are detected and submitted automatically
+  const enableHandsFree = async () => {
+    try {
+      setError('');
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true }
+      });
+      handsFreeStreamRef.current = stream;
+
+      vadRef.current = await startVoiceActivityDetection(stream, {
+        onSpeechStart: () => {
+          if (listeningBlockedRef.current) return;
+          setIsNurseSpeaking(true);
+
+          const recorder = mediaRecorderRef.current;
+          if (!recorder || recorder.state === 'inactive') {
+            startRecordingRef.current(stream);
+          }
+        },
+        onSpeechEnd: ({ discarded }) => {
+          setIsNurseSpeaking(false);
+
+          const recorder = mediaRecorderRef.current;
+          if (!recorder || recorder.state === 'inactive') return;
+
+          if (discarded) {
+            cancelRecordingRef.current();
+          } else {
+            stopRecordingRef.current();
+          }
+        }
+      });
+
+      vadPausedRef.current = false;
+      setHandsFree(true);
+      console.log('Hands-free mode on');
+    } catch (err) {
+      console.error('Error starting hands-free mode:', err);
+      setError(`無法啟動免提模式: ${err.message}`);
+      if (handsFreeStreamRef.current) {
+        handsFreeStreamRef.current.getTracks().forEach(track => track.stop());
+        handsFreeStreamRef.current = null;
+      }
     }
   };
 
+  // Turn off hands-free mode and release the microphone
+  const disableHandsFree = () => {
+    if (vadRef.current) {
+      vadRef.current.close().catch(e => console.warn('Error closing voice activity detection:', e));
+      vadRef.current = null;
+    }
+    if (handsFreeStreamRef.current) {
+      handsFreeStreamRef.current.getTracks().forEach(track => track.stop());
+      handsFreeStreamRef.current = null;
+    }
+    setHandsFree(false);
+    setIsNurseSpeaking(false);
+    console.log('Hands-free mode off');
+  };
+
+  // Stop listening while the patient answers, unless the nurse may barge in
+  useEffect(() => {
+    const vad = vadRef.current;
+    if (!handsFree || !vad) return;
+
+    if (isThinking || (isPatientSpeaking && !bargeIn)) {
+      vad.pause();
+      vadPausedRef.current = true;
+      setIsNurseSpeaking(false);
+      return;
+    }
+
+    if (isPatientSpeaking) {
+      vad.configure(BARGE_IN_VAD_CONFIG);
+      if (vadPausedRef.current) {
+        vad.resume();
+        vadPausedRef.current = false;
+      }
+      return;
+    }
+
+    // Resume a moment after the audio ends so its tail is not picked up.
+    // A detector that kept listening (barge-in) is not reset, so an
+    // utterance in progress still ends normally.
+    const timer = setTimeout(() => {
+      if (!vadRef.current) return;
+      vadRef.current.configure(DEFAULT_VAD_CONFIG);
+      if (vadPausedRef.current) {
+        vadRef.current.resume();
+        vadPausedRef.current = false;
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [handsFree, isThinking, isPatientSpeaking, bargeIn]);
+
+  // Hands-free mode ends with the simulation
+  useEffect(() => {
+    if (!isActive && handsFree) {
+      disableHandsFree();
+    }
+  }, [isActive]);
+
+  // Release the detector on unmount
+  useEffect(() => {
+    return () => {
+      if (vadRef.current) vadRef.current.close().catch(() => {});
+      if (handsFreeStreamRef.current) {
+        handsFreeStreamRef.current.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, []);
+
+  // Status line shown in hands-free mode
+  const handsFreeStatus = isPatientSpeaking
+    ? (bargeIn
+      ? '病人說話中，可隨時打斷 Patient speaking, speak to interrupt'
+      : '病人說話中，暫停聆聽 Patient speaking, listening paused')
+    : isThinking
+      ? '處理中 Processing'
+      : (isRecording || isNurseSpeaking)
+        ? '聆聽中 Hearing you'
+        : '請開始說話 Waiting for you to speak';
+
+  // Exam countdown, measured against the deadline so a busy tab does not slow it down
+  const examTimeLeft = exam?.deadline ? getExamTimeLeft(exam.deadline, now) : null;
+
+  useEffect(() => {
+    if (!exam?.deadline || !isActive) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [exam?.deadline, isActive]);
+
+  // When the time is up the microphone closes, the patient stops and the
+  // attempt is handed in, with what the nurse was saying as the last turn
+  useEffect(() => {
+    if (!isActive || examTimeLeft !== 0 || timeUpRef.current) return;
+    timeUpRef.current = true;
+    console.log('Exam time is up, finishing the recording');
+
+    const lastTurn = stopRecording(true);
+    if (handsFree) {
+      disableHandsFree();
+    }
+    if (isPatientSpeaking) {
+      interruptPatient();
+    }
+    lastTurn.then(() => {
+      if (onTimeUp) {
+        onTimeUp();
+      }
+    });
+  }, [isActive, examTimeLeft]);
+
+  const renderExamTimer = () => examTimeLeft !== null && (
+    <div
+      className={`exam-timer ${examTimeLeft <= EXAM_WARNING_MS ? 'warning' : ''}`}
+      role="timer"
+      aria-label="Exam time left"
+    >
+      <span className="exam-timer-label">考試剩餘時間 Time left</span>
+      <span className="exam-timer-value">{formatDuration(Math.ceil(examTimeLeft / 1000) * 1000)}</span>
+    </div>
+  );
+
+  // Coaching tips stay until the next nurse turn, or until the student dismisses them
+  useEffect(() => {
+    if (!isActive) {
+      setCoachHints([]);
+    }
+  }, [isActive]);
+
+  const renderCoachHints = () => showCoachHints && coachHints.length > 0 && (
+    <div className="coach-hints" role="status">
+      <span className="coach-hints-label">提示 Tip</span>
+      <ul>
+        {coachHints.map((hint, index) => (
+          <li key={index}>
+            {hint.text.zh}
+            <span className="coach-hint-en">{hint.text.en}</span>
+          </li>
+        ))}
+      </ul>
+      <button className="coach-hints-dismiss" onClick={() => setCoachHints([])} aria-label="Dismiss tips">×</button>
+    </div>
+  );
+
   // Clean up on component unmount
   useEffect(() => {
     return () => {
+      if (recognitionRef.current) {
+        recognitionRef.current.stop();
+      }
       if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
         mediaRecorderRef.current.stop();
         if (mediaRecorderRef.current.stream) {
@@ -572,24 +1069,70 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
   const handleVisemePlayComplete = () => {
     console.log("Viseme animation playback complete");
     setIsVisemePlaying(false);
-    
-    // Ensure we clean up and go back to neutral state
-    // Set a neutral mouth position
-    setVisemeData([
-      { visemeId: 0, audioOffset: 0 },
-      { visemeId: 0, audioOffset: 500 }
-    ]);
-    
-    // Clean up audio URL if needed
-    if (currentAudioUrl && !isCachedUrl(currentAudioUrl)) {
-      try {
-        URL.revokeObjectURL(currentAudioUrl);
-      } catch (e) {
-        console.warn("Error revoking audio URL:", e);
-      }
+  };
+
+  const changeSubtitleLanguage = (language) => {
+    setSubtitleLanguage(language);
+    localStorage.setItem(SUBTITLE_LANGUAGE_KEY, language);
+  };
+
+  // Subtitle of the sentence being spoken; the plain audio path has one subtitle for the whole reply
+  const currentSubtitle = activeSubtitleLanguage
+    ? (subtitleIndex >= 0 ? subtitles[subtitleIndex] : (isAudioPlaying ? subtitles[0] : null))
+    : null;
+
+  const renderSubtitle = () => currentSubtitle && (
+    <div className="patient-subtitle">{currentSubtitle}</div>
+  );
+
+  const changeAvatarMode = (mode) => {
+    setAvatarMode(mode);
+    localStorage.setItem(AVATAR_MODE_KEY, mode);
+  };
+
+  const handleAvatarLoadError = () => {
+    changeAvatarMode('2d');
+    setError('無法載入3D頭像，已切換回2D / Could not load the 3D avatar, switched back to 2D');
+  };
+
+  // The 2D face or the 3D avatar, both play the same speech segments
+  const renderAvatar = () => {
+    const avatarProps = {
+      ref: visemeFaceRef,
+      segments: speechSegments,
+      isComplete: speechComplete,
+      emotion: patientEmotion,
+      isPlaying: isVisemePlaying,
+      onPlayComplete: handleVisemePlayComplete,
+      onSegmentChange: setSubtitleIndex
+    };
+
+    if (avatarMode === '3d') {
+      return (
+        <Suspense fallback={<div className="avatar-3d-status">載入3D頭像中... / Loading 3D avatar...</div>}>
+          <Avatar3D {...avatarProps} onLoadError={handleAvatarLoadError} />
+        </Suspense>
+      );
     }
+    return <VisemeFace {...avatarProps} />;
   };
 
+  // Switching mid-reply would drop the audio, so the toggle waits for the patient
+  const renderAvatarToggle = () => (
+    <div className="avatar-mode-toggle">
+      {['2d', '3d'].map(mode => (
+        <button
+          key={mode}
+          className={avatarMode === mode ? 'active' : ''}
+          onClick={() => changeAvatarMode(mode)}
+          disabled={isProcessing || isPatientSpeaking}
+        >
+          {mode.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+
   // Clean up audio resources
   useEffect(() => {
     return () => {
@@ -645,33 +1188,134 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
           <div className="control-panel-row">
             {isActive && (
               <div className="patient-info-brief">
-                <span className="patient-name">陳先生，58歲</span>
-                <span className="scenario-name">大腸內窺鏡準備</span>
+                <span className="patient-name">{scenario.patient.summary?.zh || scenario.patient.name.zh}</span>
+                <span className="scenario-name">{scenario.title.zh}</span>
+                <span className="patient-language">{patientLanguage.speakHint.zh}</span>
+              </div>
+            )}
+
+            {isActive && renderExamTimer()}
+
+            {!isActive && exam && (
+              <div className="exam-notice">
+                {exam.submitted
+                  ? '考試已提交 Exam submitted'
+                  : `考試模式：限時 ${Math.round(exam.durationMs / 60000)} 分鐘，開始後不能重新開始 / Exam: ${Math.round(exam.durationMs / 60000)} minutes, one attempt`}
               </div>
             )}
             
             <div className="control-buttons">
               {!isActive ? (
-                <button className="start-btn" onClick={onStart}>
-                  開始模擬
-                </button>
+                <>
+                  <select
+                    className="patient-language-select"
+                    value={language}
+                    onChange={(e) => onLanguageChange && onLanguageChange(e.target.value)}
+                    disabled={!onLanguageChange || !onStart}
+                    aria-label="Patient language"
+                  >
+                    {Object.entries(PATIENT_LANGUAGES).map(([id, option]) => (
+                      <option key={id} value={id}>病人語言 {option.label.zh} {option.label.en}</option>
+                    ))}
+                  </select>
+
+                  {onStart && (
+                    <button className="start-btn" onClick={onStart}>
+                      {exam ? '開始考試' : '開始模擬'}
+                    </button>
+                  )}
+                </>
               ) : (
                 <>
+                  <select
+                    className="recognition-mode"
+                    value={recognitionMode}
+                    onChange={(e) => setRecognitionMode(e.target.value)}
+                    disabled={isRecording || isProcessing}
+                    aria-label="Speech recognition mode"
+                  >
+                    <option value="streaming">即時辨識 Streaming</option>
+                    <option value="whisper">Whisper 批次 Batch</option>
+                  </select>
+
                   <button 
                     className={`record-btn ${isRecording ? 'recording' : ''}`} 
-                    onClick={isRecording ? stopRecording : startRecording}
-                    disabled={isProcessing}
+                    onClick={isRecording ? () => stopRecording() : () => startRecording()}
+                    disabled={isThinking}
                   >
                     {isRecording ? '停止錄音' : '開始錄音'}
                   </button>
+
+                  <button
+                    className={`handsfree-btn ${handsFree ? 'active' : ''}`}
+                    onClick={handsFree ? disableHandsFree : enableHandsFree}
+                    aria-pressed={handsFree}
+                  >
+                    {handsFree ? '免提模式：開' : '免提模式：關'}
+                  </button>
+
+                  <label className="barge-in-toggle">
+                    <input
+                      type="checkbox"
+                      checked={bargeIn}
+                      onChange={(e) => setBargeIn(e.target.checked)}
+                    />
+                    允許打斷 Barge-in
+                  </label>
+
+                  <label className="subtitle-select">
+                    字幕 Subtitles
+                    <select
+                      value={activeSubtitleLanguage}
+                      onChange={(e) => changeSubtitleLanguage(e.target.value)}
+                    >
+                      <option value="">關 Off</option>
+                      {Object.entries(SUBTITLE_LANGUAGES)
+                        .filter(([, option]) => option.patientLanguage !== language)
+                        .map(([id, option]) => (
+                          <option key={id} value={id}>{option.label.zh} {option.label.en}</option>
+                        ))}
+                    </select>
+                  </label>
+
+                  {showCoachHints && (
+                    <label className="subtitle-select">
+                      提示 Coach
+                      <select
+                        value={coachMode}
+                        onChange={(e) => changeCoachMode(e.target.value)}
+                      >
+                        {Object.entries(COACH_MODES).map(([id, option]) => (
+                          <option key={id} value={id}>{option.zh} {option.en}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
                   
                   <button className="stop-btn" onClick={onStop}>
-                    結束模擬
+                    {exam ? '提交考試' : '結束模擬'}
                   </button>
                 </>
               )}
             </div>
           </div>
+
+          {isActive && handsFree && (
+            <div className={`handsfree-status ${isPatientSpeaking && !bargeIn ? 'paused' : ''}`}>
+              <span className="handsfree-indicator" />
+              {handsFreeStatus}
+            </div>
+          )}
+
+          {/* Live transcript of the nurse's speech */}
+          {isActive && !isFullscreen && (isRecording || transcribedText) && (
+            <div className={`live-transcript ${isRecording ? 'listening' : ''}`}>
+              <span className="live-transcript-label">{isRecording ? '聆聽中 Listening' : '護士 Nurse'}</span>
+              <span className="live-transcript-text">{transcribedText || '…'}</span>
+            </div>
+          )}
+
+          {isActive && renderCoachHints()}
         </div>
         
         {/* Include the two-column layout inside the nurse control panel when in fullscreen mode */}
@@ -681,13 +1325,10 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
               <div className="avatar-section fullscreen-avatar">
                 {/* Show only the avatar in fullscreen mode */}
                 <div className="viseme-animation-container fullscreen-face">
-                  <VisemeFace 
-                    visemeData={visemeData.length > 0 ? visemeData : []}
-                    audioUrl={currentAudioUrl}
-                    isPlaying={isVisemePlaying}
-                    onPlayComplete={handleVisemePlayComplete}
-                  />
+                  {renderAvatar()}
                 </div>
+                {renderSubtitle()}
+                {renderAvatarToggle()}
               </div>
               
               {/* Error message and debug tools */}
@@ -707,14 +1348,16 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
             
             {/* Floating conversation container in fullscreen mode */}
             <div className="fullscreen-conversation-container">
+              {renderExamTimer()}
+
               {/* Recording controls and patient response */}
               <div className="control-buttons fullscreen-controls">
-                {isProcessing ? (
+                {isThinking ? (
                   <button className="stop-btn" disabled>處理中...</button>
                 ) : isRecording ? (
                   <button 
                     className={`record-btn ${isRecording ? 'recording' : ''}`} 
-                    onClick={stopRecording}
+                    onClick={() => stopRecording()}
                     disabled={isProcessing}
                   >
                     停止錄音
@@ -722,24 +1365,48 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
                 ) : (
                   <button 
                     className="record-btn" 
-                    onClick={startRecording}
-                    disabled={isProcessing}
+                    onClick={() => startRecording()}
+                    disabled={isThinking}
                   >
                     開始錄音
                   </button>
                 )}
               </div>
 
+              {handsFree && (
+                <div className={`handsfree-status ${isPatientSpeaking && !bargeIn ? 'paused' : ''}`}>
+                  <span className="handsfree-indicator" />
+                  {handsFreeStatus}
+                </div>
+              )}
+
+              {/* Live transcript while the nurse is speaking */}
+              {isRecording && (
+                <div className="live-transcript listening">
+                  <span className="live-transcript-label">聆聽中 Listening</span>
+                  <span className="live-transcript-text">{transcribedText || '…'}</span>
+                </div>
+              )}
+
               {/* Show most recent message in floating container */}
-              {conversationHistory.length > 0 && (
+              {!isRecording && conversationHistory.length > 0 && (
                 <div className="latest-message">
+                  {language === 'yue' && (
+                    <button
+                      className={`jyutping-toggle ${showLatestJyutping ? 'active' : ''}`}
+                      onClick={() => setShowLatestJyutping(!showLatestJyutping)}
+                      title="顯示粵拼 / Show Jyutping"
+                    >
+                      粵拼
+                    </button>
+                  )}
                   {conversationHistory[conversationHistory.length - 1].role === 'nurse' ? (
                     <div className="nurse-message">
-                      <strong>護士:</strong> {conversationHistory[conversationHistory.length - 1].text}
+                      <strong>護士:</strong> <JyutpingText text={conversationHistory[conversationHistory.length - 1].text} showJyutping={showLatestJyutping && language === 'yue'} />
                     </div>
                   ) : (
                     <div className="patient-message">
-                      <strong>陳先生:</strong> {conversationHistory[conversationHistory.length - 1].text}
+                      <strong>{scenario.patient.name.zh}:</strong> <JyutpingText text={conversationHistory[conversationHistory.length - 1].text} showJyutping={showLatestJyutping && language === 'yue'} />
                     </div>
                   )}
                 </div>
@@ -755,13 +1422,23 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
           {/* Left column - Clinical scenario information */}
           <div className="clinical-scenario-column">
             <div className="patient-info">
-              <h4>臨床情景: 大腸內窺鏡準備</h4>
-              <p>- 陳先生因最近大便習態改變、偶爾便血和輕微腹部不適被轉介做大腸內窺鏡。</p>
-              <p>- 他目前尚未得到診斷，這顯著增加了他的焦慮。</p>
-              <p>- 他對大腸內窺鏡程序、準備工作、潛在不適和可能的嚴重結果感到擔憂。</p>
-              <p>- 他感到焦慮、困惑、尷尬和緊張。</p>
-              <p className="role-instruction"><strong>注意：</strong> 您是護士，陳先生是病人。您需要向陳先生提問，他會回答您的問題。</p>
+              <h4>{scenario.briefing.title}</h4>
+              {scenario.briefing.points.map((point, index) => (
+                <p key={index}>- {point}</p>
+              ))}
+              <p className="patient-language-hint"><strong>語言 Language：</strong> {patientLanguage.speakHint.zh} / {patientLanguage.speakHint.en}</p>
+              {scenario.briefing.roleInstruction && (
+                <p className="role-instruction"><strong>注意：</strong> {scenario.briefing.roleInstruction}</p>
+              )}
             </div>
+
+            {showCoaching && (
+              <CoachingSidebar
+                phases={phaseProgress}
+                onSelect={useSuggestedQuestion}
+                disabled={isThinking || isRecording}
+              />
+            )}
           </div>
           
           {/* Right column - Avatar */}
@@ -769,13 +1446,10 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
             <div className="avatar-section">
               {/* Always show the avatar whether there's a response or not */}
               <div className="viseme-animation-container">
-                <VisemeFace 
-                  visemeData={visemeData.length > 0 ? visemeData : []}
-                  audioUrl={currentAudioUrl}
-                  isPlaying={isVisemePlaying}
-                  onPlayComplete={handleVisemePlayComplete}
-                />
+                {renderAvatar()}
               </div>
+              {renderSubtitle()}
+              {renderAvatarToggle()}
             </div>
             
             {/* Error message and debug tools */}
@@ -795,7 +1469,13 @@ const PatientSimulator = ({ isActive, onStart, onStop, onConversationUpdate, onA
         </div>
       )}
       
-      <audio ref={audioRef} style={{ display: 'none' }} />
+      <audio
+        ref={audioRef}
+        style={{ display: 'none' }}
+        onPlay={() => setIsAudioPlaying(true)}
+        onPause={() => setIsAudioPlaying(false)}
+        onEnded={() => setIsAudioPlaying(false)}
+      />
     </div>
   );
 };
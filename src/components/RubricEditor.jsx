@@ -0,0 +1,474 @@
+import React, { useState } from 'react';
+import { saveAs } from 'file-saver';
+import { listScenarios } from '../scenarios';
+import { ACCOUNTS_ENABLED } from '../services/authService';
+import { getInstructorKey, setInstructorKey } from '../services/dashboardService';
+import { useRubrics } from '../hooks/useRubrics';
+import {
+  getRubric,
+  getRubricVersions,
+  saveRubric,
+  deleteSavedRubric,
+  validateRubric
+} from '../rubrics';
+import './RubricEditor.css';
+
+// Starting point for a new criterion
+const createEmptyCriterion = () => ({
+  id: '',
+  weight: 1,
+  label: { zh: '', en: '' },
+  description: '',
+  examples: { zh: [], en: [] }
+});
+
+// Starting point for a new rubric
+const createEmptyRubric = () => ({
+  id: '',
+  name: { zh: '', en: '' },
+  description: '',
+  scenarioIds: [],
+  bands: [
+    { score: 0, label: { zh: '未有表現', en: 'Not done' }, descriptor: { zh: '', en: '' } },
+    { score: 1, label: { zh: '部分表現', en: 'Partly done' }, descriptor: { zh: '', en: '' } },
+    { score: 2, label: { zh: '完全表現', en: 'Fully done' }, descriptor: { zh: '', en: '' } }
+  ],
+  criteria: [createEmptyCriterion()]
+});
+
+// Deep copy so edits never touch the stored rubric objects
+const copyRubric = (rubric) => JSON.parse(JSON.stringify(rubric));
+
+// Drop blank example lines left over from the textareas
+const cleanRubric = (rubric) => ({
+  ...rubric,
+  criteria: rubric.criteria.map(criterion => ({
+    ...criterion,
+    examples: {
+      zh: (criterion.examples?.zh || []).map(line => line.trim()).filter(Boolean),
+      en: (criterion.examples?.en || []).map(line => line.trim()).filter(Boolean)
+    }
+  }))
+});
+
+const RubricEditor = () => {
+  const rubrics = useRubrics();
+  const [draft, setDraft] = useState(() => (rubrics[0] ? copyRubric(rubrics[0]) : createEmptyRubric()));
+  const [isNew, setIsNew] = useState(rubrics.length === 0);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+  // Without accounts, the server only takes edits with its INSTRUCTOR_KEY
+  const [keyInput, setKeyInput] = useState(getInstructorKey);
+  const scenarios = listScenarios();
+
+  const versions = isNew ? [] : getRubricVersions(draft.id);
+
+  const selectRubric = (id) => {
+    setDraft(copyRubric(getRubric(id)));
+    setIsNew(false);
+    setErrors([]);
+    setMessage('');
+  };
+
+  const selectVersion = (version) => {
+    setDraft(copyRubric(getRubric(draft.id, Number(version))));
+    setErrors([]);
+    setMessage('');
+  };
+
+  const startNewRubric = () => {
+    setDraft(createEmptyRubric());
+    setIsNew(true);
+    setErrors([]);
+    setMessage('');
+  };
+
+  const duplicateRubric = () => {
+    setDraft({ ...copyRubric(draft), id: `${draft.id}-copy`, version: undefined, bundled: undefined });
+    setIsNew(true);
+    setErrors([]);
+    setMessage('');
+  };
+
+  // Generic updaters for the draft
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateBilingual = (field, lang, value) => {
+    setDraft(prev => ({ ...prev, [field]: { ...prev[field], [lang]: value } }));
+  };
+
+  const toggleScenario = (scenarioId) => {
+    setDraft(prev => {
+      const linked = prev.scenarioIds || [];
+      return {
+        ...prev,
+        scenarioIds: linked.includes(scenarioId)
+          ? linked.filter(id => id !== scenarioId)
+          : [...linked, scenarioId]
+      };
+    });
+  };
+
+  const updateBand = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, ...changes } : band))
+    }));
+  };
+
+  const addBand = () => {
+    setDraft(prev => {
+      const nextScore = prev.bands.length > 0 ? Math.max(...prev.bands.map(band => band.score)) + 1 : 0;
+      return {
+        ...prev,
+        bands: [...prev.bands, { score: nextScore, label: { zh: '', en: '' }, descriptor: { zh: '', en: '' } }]
+      };
+    });
+  };
+
+  const removeBand = (index) => {
+    setDraft(prev => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index) }));
+  };
+
+  const updateCriterion = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      criteria: prev.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion))
+    }));
+  };
+
+  const addCriterion = () => {
+    setDraft(prev => ({ ...prev, criteria: [...prev.criteria, createEmptyCriterion()] }));
+  };
+
+  const removeCriterion = (index) => {
+    setDraft(prev => ({ ...prev, criteria: prev.criteria.filter((_, i) => i !== index) }));
+  };
+
+  const moveCriterion = (index, direction) => {
+    setDraft(prev => {
+      const criteria = [...prev.criteria];
+      const target = index + direction;
+      if (target < 0 || target >= criteria.length) return prev;
+      [criteria[index], criteria[target]] = [criteria[target], criteria[index]];
+      return { ...prev, criteria };
+    });
+  };
+
+  const handleSave = async () => {
+    const rubric = cleanRubric(draft);
+    const problems = validateRubric(rubric);
+
+    if (isNew && getRubric(rubric.id)) {
+      problems.push(`A rubric with id "${rubric.id}" already exists`);
+    }
+
+    if (problems.length > 0) {
+      setErrors(problems);
+      setMessage('');
+      return;
+    }
+
+    try {
+      const saved = await saveRubric(rubric);
+      setDraft(copyRubric(saved));
+      setIsNew(false);
+      setErrors([]);
+      setMessage(`已儲存第 ${saved.version} 版 / Saved as version ${saved.version}`);
+    } catch (error) {
+      console.error('Error saving rubric:', error);
+      setErrors([error.message]);
+    }
+  };
+
+  const handleDeleteSaved = async () => {
+    if (!window.confirm(`Delete all saved versions of "${draft.id}"? Bundled versions are kept.`)) {
+      return;
+    }
+
+    try {
+      await deleteSavedRubric(draft.id);
+    } catch (error) {
+      console.error('Error deleting rubric:', error);
+      setErrors([error.message]);
+      return;
+    }
+
+    const remaining = getRubric(draft.id);
+
+    if (remaining) {
+      setDraft(copyRubric(remaining));
+    } else {
+      startNewRubric();
+    }
+    setMessage('已刪除 / Deleted');
+  };
+
+  const changeKey = (event) => {
+    setKeyInput(event.target.value);
+    setInstructorKey(event.target.value.trim());
+  };
+
+  const handleExport = () => {
+    const { bundled, ...definition } = draft;
+    const blob = new Blob([JSON.stringify(definition, null, 2)], { type: 'application/json' });
+    saveAs(blob, `${draft.id || 'rubric'}-v${draft.version || 'draft'}.json`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = JSON.parse(await file.text());
+      const problems = validateRubric(imported);
+
+      setDraft({ ...createEmptyRubric(), ...imported });
+      setIsNew(!getRubric(imported.id));
+      setErrors(problems);
+      setMessage(problems.length === 0 ? '已匯入，請儲存 / Imported, save to keep it' : '');
+    } catch (error) {
+      console.error('Error importing rubric:', error);
+      setErrors([`Could not read rubric file: ${error.message}`]);
+    }
+  };
+
+  return (
+    <div className="app-container rubric-editor">
+      <header>
+        <h1>評分標準編輯器</h1>
+        <h2>Rubric Editor for Clinical Educators</h2>
+      </header>
+
+      <main className="rubric-editor-layout">
+        <aside className="rubric-list">
+          <h3>評分標準 Rubrics</h3>
+          <ul>
+            {rubrics.map(rubric => (
+              <li key={rubric.id}>
+                <button
+                  className={!isNew && draft.id === rubric.id ? 'active' : ''}
+                  onClick={() => selectRubric(rubric.id)}
+                >
+                  <span>{rubric.name.zh}</span>
+                  <span className="text-en">{rubric.name.en} · v{rubric.version}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="rubric-list-actions">
+            <button onClick={startNewRubric}>新增 New</button>
+            <label className="import-btn">
+              匯入 Import
+              <input type="file" accept="application/json,.json" onChange={handleImport} />
+            </label>
+          </div>
+        </aside>
+
+        <section className="rubric-form">
+          <div className="rubric-form-toolbar">
+            {versions.length > 0 && (
+              <label>
+                版本 Version
+                <select value={draft.version} onChange={(e) => selectVersion(e.target.value)}>
+                  {versions.map(version => (
+                    <option key={version.version} value={version.version}>
+                      v{version.version}{version.bundled ? ' (bundled)' : ''}{version.savedAt ? ` - ${new Date(version.savedAt).toLocaleString()}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {!ACCOUNTS_ENABLED && (
+              <input
+                type="password"
+                className="rubric-key"
+                value={keyInput}
+                onChange={changeKey}
+                placeholder="導師密鑰 Instructor key"
+              />
+            )}
+            <div className="toolbar-buttons">
+              <button onClick={handleSave} className="primary">儲存新版本 Save as new version</button>
+              {!isNew && <button onClick={duplicateRubric}>複製 Duplicate</button>}
+              <button onClick={handleExport}>匯出 Export JSON</button>
+              {!isNew && versions.some(version => !version.bundled) && (
+                <button onClick={handleDeleteSaved} className="danger">刪除已儲存版本 Delete saved</button>
+              )}
+            </div>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="rubric-errors">
+              {errors.map((error, index) => <li key={index}>{error}</li>)}
+            </ul>
+          )}
+          {message && <div className="rubric-message">{message}</div>}
+
+          <fieldset>
+            <legend>基本資料 Details</legend>
+            <div className="form-grid">
+              <label>
+                ID
+                <input
+                  value={draft.id}
+                  onChange={(e) => updateDraft({ id: e.target.value.trim() })}
+                  disabled={!isNew}
+                  placeholder="e.g. year2-osce"
+                />
+              </label>
+              <label>
+                中文名稱
+                <input value={draft.name.zh} onChange={(e) => updateBilingual('name', 'zh', e.target.value)} />
+              </label>
+              <label>
+                English name
+                <input value={draft.name.en} onChange={(e) => updateBilingual('name', 'en', e.target.value)} />
+              </label>
+            </div>
+            <label>
+              說明 Description
+              <textarea
+                rows={2}
+                value={draft.description || ''}
+                onChange={(e) => updateDraft({ description: e.target.value })}
+              />
+            </label>
+            <div className="scenario-links">
+              <span>適用個案 Linked scenarios (none = all scenarios)</span>
+              {scenarios.map(scenario => (
+                <label key={scenario.id} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={(draft.scenarioIds || []).includes(scenario.id)}
+                    onChange={() => toggleScenario(scenario.id)}
+                  />
+                  {scenario.title.zh} / {scenario.title.en}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend>評分等級 Score bands</legend>
+            {draft.bands.map((band, index) => (
+              <div key={index} className="band-row">
+                <input
+                  type="number"
+                  className="band-score"
+                  value={band.score}
+                  onChange={(e) => updateBand(index, { score: Number(e.target.value) })}
+                />
+                <input
+                  placeholder="等級"
+                  value={band.label.zh}
+                  onChange={(e) => updateBand(index, { label: { ...band.label, zh: e.target.value } })}
+                />
+                <input
+                  placeholder="Band label"
+                  value={band.label.en}
+                  onChange={(e) => updateBand(index, { label: { ...band.label, en: e.target.value } })}
+                />
+                <input
+                  placeholder="描述"
+                  value={band.descriptor?.zh || ''}
+                  onChange={(e) => updateBand(index, { descriptor: { ...band.descriptor, zh: e.target.value } })}
+                />
+                <input
+                  placeholder="Descriptor"
+                  value={band.descriptor?.en || ''}
+                  onChange={(e) => updateBand(index, { descriptor: { ...band.descriptor, en: e.target.value } })}
+                />
+                <button className="remove-btn" onClick={() => removeBand(index)} aria-label="Remove band">×</button>
+              </div>
+            ))}
+            <button onClick={addBand}>新增等級 Add band</button>
+          </fieldset>
+
+          <fieldset>
+            <legend>評分項目 Criteria</legend>
+            {draft.criteria.map((criterion, index) => (
+              <div key={index} className="criterion-editor">
+                <div className="criterion-editor-header">
+                  <strong>#{index + 1}</strong>
+                  <div>
+                    <button onClick={() => moveCriterion(index, -1)} disabled={index === 0} aria-label="Move up">↑</button>
+                    <button onClick={() => moveCriterion(index, 1)} disabled={index === draft.criteria.length - 1} aria-label="Move down">↓</button>
+                    <button className="remove-btn" onClick={() => removeCriterion(index)} aria-label="Remove criterion">×</button>
+                  </div>
+                </div>
+                <div className="form-grid">
+                  <label>
+                    ID
+                    <input value={criterion.id} onChange={(e) => updateCriterion(index, { id: e.target.value.trim() })} />
+                  </label>
+                  <label>
+                    權重 Weight
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={criterion.weight}
+                      onChange={(e) => updateCriterion(index, { weight: Number(e.target.value) })}
+                    />
+                  </label>
+                  <label>
+                    中文標題
+                    <input
+                      value={criterion.label.zh}
+                      onChange={(e) => updateCriterion(index, { label: { ...criterion.label, zh: e.target.value } })}
+                    />
+                  </label>
+                  <label>
+                    English label
+                    <input
+                      value={criterion.label.en}
+                      onChange={(e) => updateCriterion(index, { label: { ...criterion.label, en: e.target.value } })}
+                    />
+                  </label>
+                </div>
+                <label>
+                  評分說明 Description for the assessor
+                  <textarea
+                    rows={2}
+                    value={criterion.description || ''}
+                    onChange={(e) => updateCriterion(index, { description: e.target.value })}
+                  />
+                </label>
+                <div className="form-grid">
+                  <label>
+                    示例行為（每行一項）
+                    <textarea
+                      rows={3}
+                      value={(criterion.examples?.zh || []).join('\n')}
+                      onChange={(e) => updateCriterion(index, {
+                        examples: { ...criterion.examples, zh: e.target.value.split('\n') }
+                      })}
+                    />
+                  </label>
+                  <label>
+                    Example behaviours (one per line)
+                    <textarea
+                      rows={3}
+                      value={(criterion.examples?.en || []).join('\n')}
+                      onChange={(e) => updateCriterion(index, {
+                        examples: { ...criterion.examples, en: e.target.value.split('\n') }
+                      })}
+                    />
+                  </label>
+                </div>
+                {criterion.bands?.length > 0 && (
+                  <p className="text-en">This criterion uses its own score bands from the JSON file.</p>
+                )}
+              </div>
+            ))}
+            <button onClick={addCriterion}>新增項目 Add criterion</button>
+          </fieldset>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default RubricEditor;
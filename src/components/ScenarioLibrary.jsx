@@ -0,0 +1,100 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { listScenarios } from '../scenarios';
+import { DASHBOARD_UPLOAD_ENABLED } from '../services/dashboardService';
+import { ACCOUNTS_ENABLED } from '../services/authService';
+import { getExamDuration } from '../services/examService';
+import StudentProfile from './StudentProfile';
+import './ScenarioLibrary.css';
+
+// Display labels for scenario difficulty levels
+const difficultyLabels = {
+  beginner: { zh: '初級', en: 'Beginner' },
+  intermediate: { zh: '中級', en: 'Intermediate' },
+  advanced: { zh: '高級', en: 'Advanced' }
+};
+
+// Display labels for patient language codes
+const languageLabels = {
+  yue: { zh: '廣東話', en: 'Cantonese' },
+  cmn: { zh: '普通話', en: 'Putonghua' },
+  en: { zh: '英語', en: 'English' }
+};
+
+const ScenarioLibrary = () => {
+  const scenarios = listScenarios();
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>病人模擬個案庫</h1>
+        <h2>Patient Simulation Scenario Library</h2>
+      </header>
+
+      <main>
+        {(DASHBOARD_UPLOAD_ENABLED || ACCOUNTS_ENABLED) && <StudentProfile />}
+        <div className="scenario-grid">
+          {scenarios.map(scenario => {
+            const difficulty = difficultyLabels[scenario.difficulty];
+            const language = languageLabels[scenario.language] || languageLabels.yue;
+
+            return (
+              <div key={scenario.id} className="scenario-card">
+                <div className="scenario-card-header">
+                  <h3>{scenario.title.zh}</h3>
+                  <p>{scenario.title.en}</p>
+                </div>
+
+                <div className="scenario-tags">
+                  {difficulty && (
+                    <span className={`scenario-tag difficulty-${scenario.difficulty}`}>
+                      {difficulty.zh} / {difficulty.en}
+                    </span>
+                  )}
+                  <span className="scenario-tag language-tag">
+                    {language.zh} / {language.en}
+                  </span>
+                </div>
+
+                <p className="scenario-patient">
+                  {scenario.patient.summary?.en || scenario.patient.name.en}
+                </p>
+
+                {scenario.learningObjectives && (
+                  <div className="scenario-objectives">
+                    <h4>學習目標 Learning Objectives</h4>
+                    <ul>
+                      {(scenario.learningObjectives.en || []).map((objective, index) => (
+                        <li key={index}>
+                          {scenario.learningObjectives.zh?.[index] && (
+                            <span className="objective-zh">{scenario.learningObjectives.zh[index]}</span>
+                          )}
+                          <span className="objective-en">{objective}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="scenario-actions">
+                  <Link className="scenario-start" to={`/scenario/${scenario.id}`}>
+                    開始模擬 Start
+                  </Link>
+                  <Link className="scenario-exam" to={`/scenario/${scenario.id}/exam`}>
+                    考試 Exam ({getExamDuration(scenario) / 60000} min)
+                  </Link>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default ScenarioLibrary;
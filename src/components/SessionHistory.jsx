@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import ConversationLog from './ConversationLog';
+import { getScenario, hasScenario } from '../scenarios';
+import { getPatientLanguage } from '../services/patientLanguages';
+import { importSessionFiles } from '../utils/sessionArchive';
+import { formatDuration } from '../utils/formatTime';
+import { DASHBOARD_UPLOAD_ENABLED, uploadSession } from '../services/dashboardService';
+import { ACCOUNTS_ENABLED, getSignedInUser } from '../services/authService';
+import {
+  addSession,
+  listSessions,
+  getSessionAudio,
+  deleteSession,
+  getSessionMode,
+  getSessionTurnCount,
+  getSessionDuration
+} from '../services/sessionStore';
+import './SessionHistory.css';
+
+const typeLabels = {
+  simulator: { zh: '語音模擬', en: 'Voice simulator' },
+  chatbot: { zh: '文字對話', en: 'Text chatbot' }
+};
+
+// Chatbot messages are shown in the same log as simulator entries
+const toConversationEntries = (session) => session.type === 'chatbot'
+  ? session.messages.map(message => ({
+    role: message.role === 'user' ? 'nurse' : 'patient',
+    text: message.content,
+    timestamp: new Date(message.timestamp).toISOString()
+  }))
+  : session.entries;
+
+// On a shared computer each student sees their own sessions, and those saved without a sign-in
+const isVisibleTo = (session, user) => !ACCOUNTS_ENABLED || !session.student?.userId || session.student.userId === user?.id;
+
+const SessionHistory = () => {
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState('loading'); // 'loading', 'done' or 'error'
+  const [selected, setSelected] = useState(null); // { session, audio } of the session being viewed
+  const [importStatus, setImportStatus] = useState({ busy: false, error: '' });
+  const [uploadError, setUploadError] = useState('');
+  const zipInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const loadSessions = async () => {
+    try {
+      const user = getSignedInUser();
+      setSessions((await listSessions()).filter(session => isVisibleTo(session, user)));
+      setStatus('done');
+    } catch (error) {
+      console.error('Could not load saved sessions:', error);
+      setStatus('error');
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const viewSession = async (session) => {
+    if (selected?.session.id === session.id) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      const audio = await getSessionAudio(session.id);
+      setSelected({ session, audio });
+    } catch (error) {
+      console.error('Could not load session audio:', error);
+      setSelected({ session, audio: [] });
+    }
+  };
+
+  const removeSession = async (session) => {
+    if (!window.confirm('刪除這次練習及其錄音？ / Delete this session and its recordings?')) return;
+
+    try {
+      await deleteSession(session.id);
+      if (selected?.session.id === session.id) {
+        setSelected(null);
+      }
+      loadSessions();
+    } catch (error) {
+      console.error('Could not delete session:', error);
+    }
+  };
+
+  // Uploads a session that missed the automatic upload, e.g. one finished offline
+  const uploadToDashboard = async (session) => {
+    setUploadError('');
+    try {
+      const uploaded = await uploadSession(session.id);
+      if (!uploaded) {
+        setUploadError(ACCOUNTS_ENABLED
+          ? '請先在帳戶頁加入班別 / Join a class on your account page first'
+          : '請先在個案庫填寫班別及學號 / Enter your class and student ID in the Scenario Library first');
+        return;
+      }
+      loadSessions();
+    } catch (error) {
+      console.error('Could not upload session:', error);
+      setUploadError(`上載失敗 / Upload failed: ${error.message}`);
+    }
+  };
+
+  // Loads a session archive or an old conversation folder into the history and opens it
+  const importSession = async (event) => {
+    const { files } = event.target;
+    if (!files || files.length === 0) return;
+
+    setImportStatus({ busy: true, error: '' });
+    try {
+      const imported = await importSessionFiles(files);
+      const { clips, ...details } = imported;
+      const session = await addSession({ ...details, importedFrom: files[0].webkitRelativePath.split('/')[0] || files[0].name }, clips);
+      await loadSessions();
+      setSelected({ session, audio: await getSessionAudio(session.id) });
+      setImportStatus({ busy: false, error: '' });
+    } catch (error) {
+      console.error('Could not import session:', error);
+      setImportStatus({ busy: false, error: error.message });
+    } finally {
+      // Allow the same file to be picked again
+      event.target.value = '';
+    }
+  };
+
+  const renderSession = (session) => {
+    const scenario = hasScenario(session.scenarioId) ? getScenario(session.scenarioId) : null;
+    const type = typeLabels[session.type] || typeLabels.simulator;
+    const language = getPatientLanguage(session.language || scenario?.language);
+    const isSelected = selected?.session.id === session.id;
+    // A running exam stays locked: no download and no deleting it to start over
+    const isExam = getSessionMode(session) === 'exam';
+    const isLockedExam = isExam && session.status === 'active';
+
+    return (
+      <React.Fragment key={session.id}>
+        <tr className={isSelected ? 'selected' : ''}>
+          <td>{new Date(session.startedAt).toLocaleString('zh-HK')}</td>
+          <td>
+            {scenario ? (
+              <>
+                <span className="history-scenario-zh">{scenario.title.zh}</span>
+                <span className="history-scenario-en">{scenario.title.en}</span>
+              </>
+            ) : session.scenarioId}
+          </td>
+          <td>{type.zh} / {type.en}<br /><span className="history-language">{language.label.zh} / {language.label.en}</span></td>
+          <td>{formatDuration(getSessionDuration(session))}</td>
+          <td>{getSessionTurnCount(session)}</td>
+          <td>
+            {session.status === 'active' ? (
+              <span className="history-status unfinished">未完成 Unfinished</span>
+            ) : (
+              <span className="history-status">已完成 Ended</span>
+            )}
+            {isExam && (
+              <span className="history-status exam">
+                考試 Exam{session.exam?.endedBy === 'timeout' && ' · 時間到 Timed out'}
+              </span>
+            )}
+            {DASHBOARD_UPLOAD_ENABLED && session.uploadedAt && (
+              <span className="history-status uploaded">已上載 Uploaded</span>
+            )}
+          </td>
+          <td>
+            <div className="history-actions">
+              <button onClick={() => viewSession(session)}>
+                {isSelected ? '收起 Hide' : '查看 View'}
+              </button>
+              {session.type === 'simulator' && scenario && (
+                <Link to={`/history/${session.id}/replay`}>重播 Replay</Link>
+              )}
+              {session.status === 'active' && scenario && (
+                <Link to={session.type === 'chatbot' ? '/chatbot' : `/scenario/${session.scenarioId}${isExam ? '/exam' : ''}`}>繼續 Resume</Link>
+              )}
+              {DASHBOARD_UPLOAD_ENABLED && session.status === 'ended' && !session.uploadedAt && (
+                <button onClick={() => uploadToDashboard(session)}>上載 Upload</button>
+              )}
+              {!isLockedExam && (
+                <button className="history-delete" onClick={() => removeSession(session)}>刪除 Delete</button>
+              )}
+            </div>
+          </td>
+        </tr>
+        {isSelected && scenario && (
+          <tr className="history-detail">
+            <td colSpan={7}>
+              <ConversationLog
+                scenario={scenario}
+                language={session.language}
+                conversations={toConversationEntries(session)}
+                audioRecordings={selected.audio.map(clip => clip.blob)}
+                audioClips={selected.audio}
+                assessment={session.assessment}
+                comments={session.comments || []}
+                student={session.student}
+                allowSave={!isLockedExam}
+              />
+            </td>
+          </tr>
+        )}
+      </React.Fragment>
+    );
+  };
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>練習紀錄</h1>
+        <h2>Session History</h2>
+      </header>
+
+      <main>
+        <div className="session-history">
+          <p className="history-note">
+            練習紀錄只保存在這個瀏覽器內。 / Sessions are saved in this browser only.
+          </p>
+
+          <div className="history-import">
+            <button onClick={() => zipInputRef.current?.click()} disabled={importStatus.busy}>
+              匯入練習 Import session (.zip)
+            </button>
+            <button onClick={() => folderInputRef.current?.click()} disabled={importStatus.busy}>
+              匯入資料夾 Import folder
+            </button>
+            <input ref={zipInputRef} type="file" accept=".zip" onChange={importSession} hidden />
+            <input ref={folderInputRef} type="file" webkitdirectory="" multiple onChange={importSession} hidden />
+            {importStatus.busy && <span>匯入中… / Importing…</span>}
+            {importStatus.error && (
+              <span className="history-error">匯入失敗 / Import failed: {importStatus.error}</span>
+            )}
+          </div>
+
+          {uploadError && <p className="history-error">{uploadError}</p>}
+          {status === 'loading' && <p>載入中… / Loading…</p>}
+          {status === 'error' && (
+            <p className="history-error">無法讀取練習紀錄 / Saved sessions could not be read in this browser</p>
+          )}
+          {status === 'done' && sessions.length === 0 && (
+            <p className="history-empty">未有練習紀錄 / No sessions yet</p>
+          )}
+
+          {sessions.length > 0 && (
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>日期 Date</th>
+                  <th>情境 Scenario</th>
+                  <th>模式 Mode</th>
+                  <th>時長 Duration</th>
+                  <th>輪次 Turns</th>
+                  <th>狀態 Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(renderSession)}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default SessionHistory;
@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import ConversationLog from './ConversationLog';
+import VisemeFace from './VisemeFace';
+import { getScenario, hasScenario } from '../scenarios';
+import { getSession, getSessionAudio, updateSession } from '../services/sessionStore';
+import { generateVisemes, getAmplitudeEnvelope } from '../services/visemeGenerator';
+import { mixClips, encodeWav } from '../utils/audioMixdown';
+import { formatDuration } from '../utils/formatTime';
+import { getSignedInUser } from '../services/authService';
+import './SessionReplay.css';
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const COMMENT_AUTHOR_KEY = 'replayCommentAuthor';
+// Posed between the patient's turns, so the mouth stays closed
+const NO_VISEMES = [];
+
+/**
+ * Builds the replay track of a session: the recordings mixed into one track the
+ * same way as the saved archive's mixdown, and where each recording sits on it
+ * @param {Array} entries - Conversation entries of the session
+ * @param {Array} clips - Audio entries of the session
+ * @returns {Promise<{url: string, duration: number, turns: Array}|null>} - WAV object URL, length in seconds and
+ *   the recordings ({ entryId, role, start, end, visemes }) in order; null if no recording could be decoded
+ */
+const buildReplayTrack = async (entries, clips) => {
+  const result = await mixClips(clips);
+  if (!result) return null;
+
+  const turns = [];
+  for (const { clip, buffer, offset } of result.timeline) {
+    const entry = entries.find(item => item.id && item.id === clip.entryId);
+    let visemes = NO_VISEMES;
+
+    if (clip.role === 'patient') {
+      // Sessions recorded before visemes were stored, or without Azure visemes, get generated ones
+      visemes = clip.visemeData || (entry ? await generateVisemes(entry.text, {
+        durationMs: buffer.duration * 1000,
+        envelope: getAmplitudeEnvelope(buffer)
+      }) : NO_VISEMES);
+    }
+
+    turns.push({ entryId: entry?.id || null, role: clip.role, start: offset, end: offset + buffer.duration, visemes });
+  }
+
+  return { url: URL.createObjectURL(encodeWav(result.mix)), duration: result.duration, turns };
+};
+
+/**
+ * Emotion of the patient's latest reply at a point of the replay
+ * @param {Array} entries - Conversation entries
+ * @param {Object} turn - Recording being played, or null before the first one
+ * @returns {string} - Emotion tag
+ */
+const getEmotionAt = (entries, turn) => {
+  const index = turn ? entries.findIndex(entry => entry.id === turn.entryId) : -1;
+  const reply = entries.slice(0, index + 1).filter(entry => entry.role === 'patient').pop();
+  return reply?.emotion || 'neutral';
+};
+
+// Plays back a saved simulator session: the nurse's recordings and the patient's
+// speech in order, with the face driven by the stored visemes and the current
+// turn highlighted in the log. Tutors add timestamped comments, which are saved
+// with the session and go into the archive when the conversation is saved.
+const SessionReplay = () => {
+  const { sessionId } = useParams();
+  const [session, setSession] = useState(null);
+  const [clips, setClips] = useState([]);
+  const [track, setTrack] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'no-audio', 'not-found' or 'error'
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [commentText, setCommentText] = useState('');
+  // Signed-in tutors comment under their own name unless they typed another
+  const [commentAuthor, setCommentAuthor] = useState(() => localStorage.getItem(COMMENT_AUTHOR_KEY)
+    || getSignedInUser()?.displayName || getSignedInUser()?.username || '');
+  const [commentError, setCommentError] = useState('');
+  const audioRef = useRef(null);
+  const faceRef = useRef(null);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let trackUrl = null;
+
+    const load = async () => {
+      try {
+        const saved = await getSession(sessionId);
+        if (!saved || !hasScenario(saved.scenarioId)) {
+          if (!cancelled) setStatus('not-found');
+          return;
+        }
+
+        const audio = await getSessionAudio(sessionId);
+        if (cancelled) return;
+        setSession(saved);
+        setClips(audio);
+
+        const built = audio.length > 0 ? await buildReplayTrack(saved.entries, audio) : null;
+        if (cancelled) {
+          if (built) URL.revokeObjectURL(built.url);
+          return;
+        }
+        trackUrl = built?.url || null;
+        setTrack(built);
+        setStatus(built ? 'ready' : 'no-audio');
+      } catch (error) {
+        console.error('Could not load the session for replay:', error);
+        if (!cancelled) setStatus('error');
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frameRef.current);
+      if (trackUrl) URL.revokeObjectURL(trackUrl);
+    };
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.defaultPlaybackRate = playbackRate;
+      audioRef.current.playbackRate = playbackRate;
+    }
+  }, [playbackRate, track]);
+
+  // Poses the face for the patient's speech at the current position
+  const updateFace = () => {
+    const audio = audioRef.current;
+    if (!audio || !track || !faceRef.current) return;
+
+    const time = audio.currentTime;
+    const turn = track.turns.find(item => item.role === 'patient' && item.start <= time && time < item.end);
+    faceRef.current.showVisemeAt(turn ? (time - turn.start) * 1000 : 0, turn ? turn.visemes : NO_VISEMES);
+  };
+
+  const animate = () => {
+    updateFace();
+    if (audioRef.current && !audioRef.current.paused) {
+      frameRef.current = requestAnimationFrame(animate);
+    }
+  };
+
+  const handlePlay = () => {
+    setIsPlaying(true);
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(animate);
+  };
+
+  const handlePause = () => {
+    setIsPlaying(false);
+    cancelAnimationFrame(frameRef.current);
+    updateFace();
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (audio.paused) {
+      audio.play().catch(error => console.error('Replay could not start:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seek = (time) => {
+    const audio = audioRef.current;
+    if (!audio || !track) return;
+
+    audio.currentTime = Math.min(Math.max(time, 0), track.duration);
+    setCurrentTime(audio.currentTime);
+    updateFace();
+  };
+
+  // The recording playing at the current position, or the last one before it
+  const currentTurn = track ? track.turns.filter(turn => turn.start <= currentTime + 0.05).pop() || null : null;
+
+  // Back to the start of this turn, or to the previous turn when already there
+  const previousTurn = () => {
+    const previous = track.turns.filter(turn => turn.start < currentTime - 1).pop();
+    seek(previous ? previous.start : 0);
+  };
+
+  const nextTurn = () => {
+    const next = track.turns.find(turn => turn.start > currentTime + 0.05);
+    if (next) seek(next.start);
+  };
+
+  // Clicking a turn in the log jumps to its recording
+  const jumpToEntry = (entry) => {
+    const turn = track?.turns.find(item => item.entryId && item.entryId === entry.id);
+    if (turn) {
+      seek(turn.start);
+    }
+  };
+
+  const saveComments = async (comments) => {
+    setSession(prev => ({ ...prev, comments }));
+    setCommentError('');
+    try {
+      await updateSession(session.id, { comments });
+    } catch (error) {
+      console.error('Could not save the replay comments:', error);
+      setCommentError('評語未能保存 / The comments could not be saved');
+    }
+  };
+
+  const addComment = (event) => {
+    event.preventDefault();
+    const text = commentText.trim();
+    if (!text) return;
+
+    const author = commentAuthor.trim();
+    const time = audioRef.current ? audioRef.current.currentTime : currentTime;
+    const comment = {
+      id: crypto.randomUUID(),
+      time: Math.round(time * 10) / 10, // Seconds into the replay track, the same as the archive's mixdown
+      entryId: currentTurn?.entryId || null,
+      text,
+      author: author || null,
+      createdAt: new Date().toISOString()
+    };
+
+    saveComments([...(session.comments || []), comment].sort((a, b) => a.time - b.time));
+    setCommentText('');
+    localStorage.setItem(COMMENT_AUTHOR_KEY, author);
+  };
+
+  const removeComment = (comment) => {
+    saveComments((session.comments || []).filter(item => item.id !== comment.id));
+  };
+
+  const renderPlayer = () => (
+    <div className="replay-player">
+      <div className="replay-face">
+        <VisemeFace ref={faceRef} isPlaying={false} emotion={getEmotionAt(session.entries, currentTurn)} />
+      </div>
+
+      <audio
+        ref={audioRef}
+        src={track.url}
+        preload="auto"
+        onPlay={handlePlay}
+        onPause={handlePause}
+        onEnded={handlePause}
+        onTimeUpdate={() => setCurrentTime(audioRef.current.currentTime)}
+        hidden
+      />
+
+      <div className="replay-seek">
+        <input
+          type="range"
+          min={0}
+          max={track.duration}
+          step={0.1}
+          value={currentTime}
+          onChange={(event) => seek(Number(event.target.value))}
+          aria-label="播放位置 / Position"
+        />
+        <div className="replay-markers">
+          {(session.comments || []).map(comment => (
+            <button
+              key={comment.id}
+              className="replay-marker"
+              style={{ left: `${(comment.time / track.duration) * 100}%` }}
+              onClick={() => seek(comment.time)}
+              title={comment.text}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="replay-controls">
+        <button onClick={previousTurn} title="上一句 / Previous turn">⏮</button>
+        <button className="replay-play" onClick={togglePlay}>
+          {isPlaying ? '暫停 Pause' : '播放 Play'}
+        </button>
+        <button onClick={nextTurn} title="下一句 / Next turn">⏭</button>
+        <span className="replay-time">
+          {formatDuration(currentTime * 1000)} / {formatDuration(track.duration * 1000)}
+        </span>
+        <label className="replay-rate">
+          速度 Speed
+          <select value={playbackRate} onChange={(event) => setPlaybackRate(Number(event.target.value))}>
+            {PLAYBACK_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}×</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+
+  const renderComments = () => (
+    <div className="replay-comments">
+      <h3>導師評語 Tutor comments</h3>
+      <form className="replay-comment-form" onSubmit={addComment}>
+        <textarea
+          value={commentText}
+          onChange={(event) => setCommentText(event.target.value)}
+          placeholder={`在 ${formatDuration(currentTime * 1000)} 加入評語 / Comment at ${formatDuration(currentTime * 1000)}`}
+          rows={3}
+        />
+        <div className="replay-comment-actions">
+          <input
+            type="text"
+            value={commentAuthor}
+            onChange={(event) => setCommentAuthor(event.target.value)}
+            placeholder="導師姓名 / Tutor name"
+          />
+          <button type="submit" disabled={!commentText.trim()}>加入 Add</button>
+        </div>
+      </form>
+      {commentError && <p className="replay-error">{commentError}</p>}
+
+      {(session.comments || []).length === 0 ? (
+        <p className="replay-note">未有評語 / No comments yet</p>
+      ) : (
+        <ul className="replay-comment-list">
+          {session.comments.map(comment => (
+            <li key={comment.id}>
+              <button className="replay-comment-time" onClick={() => seek(comment.time)}>
+                {formatDuration(comment.time * 1000)}
+              </button>
+              <span className="replay-comment-text">
+                {comment.author && <strong>{comment.author}: </strong>}
+                {comment.text}
+              </span>
+              <button className="replay-comment-delete" onClick={() => removeComment(comment)} title="刪除 / Delete">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="replay-note">
+        評語會隨對話記錄一併保存。 / Comments are included when the conversation is saved.
+      </p>
+    </div>
+  );
+
+  const renderContent = () => {
+    if (status === 'loading') {
+      return <p>準備重播中… / Preparing the replay…</p>;
+    }
+    if (status === 'not-found') {
+      return <p className="replay-error">找不到這次練習 / This session could not be found</p>;
+    }
+    if (status === 'error') {
+      return <p className="replay-error">無法載入這次練習 / The session could not be loaded</p>;
+    }
+
+    const scenario = getScenario(session.scenarioId);
+    return (
+      <div className="session-replay">
+        <div className="replay-main">
+          {track ? renderPlayer() : (
+            <p className="replay-note">這次練習沒有錄音 / This session has no recordings to replay</p>
+          )}
+          {renderComments()}
+        </div>
+        <div className="replay-log">
+          <ConversationLog
+            scenario={scenario}
+            language={session.language}
+            conversations={session.entries}
+            audioRecordings={clips.map(clip => clip.blob)}
+            audioClips={clips}
+            assessment={session.assessment}
+            comments={session.comments || []}
+            student={session.student}
+            activeEntryId={currentTurn?.entryId || null}
+            onEntrySelect={track ? jumpToEntry : undefined}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>重播練習</h1>
+        <h2>Session Replay</h2>
+      </header>
+
+      <main>
+        <Link className="replay-back" to="/history">← 練習紀錄 Session History</Link>
+        {renderContent()}
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default SessionReplay;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { DASHBOARD_UPLOAD_ENABLED, getStudentProfile, saveStudentProfile } from '../services/dashboardService';
+import { ACCOUNTS_ENABLED, getActiveClass } from '../services/authService';
+import { useAuth } from '../hooks/useAuth';
+import './StudentProfile.css';
+
+// With accounts, sessions belong to the signed-in student and their class
+const AccountProfile = () => {
+  const user = useAuth();
+  if (!user || user.role !== 'student') return null;
+
+  const className = getActiveClass(user);
+  return (
+    <div className="student-profile">
+      <span>
+        學生 Student: <strong>{user.displayName || user.username}</strong>
+        {className ? ` (${className} / ${user.username})` : ` (${user.username})`}
+      </span>
+      {!className && DASHBOARD_UPLOAD_ENABLED && (
+        <span className="student-profile-warning">
+          未加入班別，練習不會上載給導師。 / Not in a class yet, so sessions do not reach your tutor.
+        </span>
+      )}
+      <Link to="/account">{className ? '帳戶 Account' : '加入班別 Join a class'}</Link>
+    </div>
+  );
+};
+
+// Class and student id that completed sessions are uploaded under, for the
+// instructor dashboard. Kept in this browser only.
+const StudentProfile = () => {
+  const [profile, setProfile] = useState(getStudentProfile);
+  const [isEditing, setIsEditing] = useState(() => !getStudentProfile().studentId);
+
+  const updateField = (field) => (event) => {
+    setProfile(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    saveStudentProfile(profile);
+    setProfile(getStudentProfile());
+    setIsEditing(false);
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="student-profile">
+        <span>
+          學生 Student: <strong>{profile.studentName || profile.studentId}</strong> ({profile.className} / {profile.studentId})
+        </span>
+        <button onClick={() => setIsEditing(true)}>更改 Change</button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="student-profile" onSubmit={handleSubmit}>
+      <span className="student-profile-note">
+        填寫班別及學號，完成的練習會上載給導師。 / Enter your class and student ID so completed sessions reach your instructor.
+      </span>
+      <input value={profile.className} onChange={updateField('className')} placeholder="班別 Class" required maxLength={64} />
+      <input value={profile.studentId} onChange={updateField('studentId')} placeholder="學號 Student ID" required maxLength={64} />
+      <input value={profile.studentName} onChange={updateField('studentName')} placeholder="姓名 Name" maxLength={100} />
+      <button type="submit">保存 Save</button>
+    </form>
+  );
+};
+
+export default ACCOUNTS_ENABLED ? AccountProfile : StudentProfile;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { ROLE_LABELS } from '../services/authService';
+import { listUsers, createUser, updateUser, resetPassword } from '../services/accountService';
+import './ClassManager.css';
+
+const EMPTY_USER = { username: '', displayName: '', role: 'tutor', password: '' };
+
+// Accounts for admins (route /admin/users): add tutors and admins, change
+// roles, and reset passwords. Students come in through class imports and join codes.
+const UserManager = () => {
+  const currentUser = useAuth();
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadUsers = async () => {
+    try {
+      setUsers(await listUsers());
+    } catch (loadError) {
+      console.error('Could not load accounts:', loadError);
+      setError(loadError.message);
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+      await loadUsers();
+    } catch (actionError) {
+      console.error('Account action failed:', actionError);
+      setError(actionError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const submitNewUser = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await createUser({ ...newUser, username: newUser.username.trim() });
+      setNewUser(EMPTY_USER);
+    });
+  };
+
+  const changeRole = (user, role) => run(() => updateUser(user.id, { role }));
+
+  const setPassword = (user) => {
+    const password = window.prompt(`${user.username} 的新密碼（最少 8 個字元） / New password for ${user.username} (8+ characters)`);
+    if (password) run(() => updateUser(user.id, { password }));
+  };
+
+  // Imported students activate again with their class's join code and a new activation code
+  const clearPassword = (user) => {
+    if (!window.confirm(`清除 ${user.username} 的密碼？ / Clear the password of ${user.username}? They activate the account again with a join code and a new activation code.`)) return;
+    run(async () => {
+      const code = await resetPassword(user.id);
+      if (code) {
+        window.alert(`${user.username} 的啟用碼 / Activation code for ${user.username}: ${code}`);
+      }
+    });
+  };
+
+  const updateField = (field) => (event) => {
+    setNewUser(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  return (
+    <div className="app-container">
+      <header>
+        <h1>帳戶管理</h1>
+        <h2>Accounts</h2>
+      </header>
+
+      <main>
+        <div className="class-manager">
+          <form className="class-create" onSubmit={submitNewUser}>
+            <input value={newUser.username} onChange={updateField('username')} placeholder="用戶名稱 Username" required maxLength={64} />
+            <input value={newUser.displayName} onChange={updateField('displayName')} placeholder="姓名 Name" maxLength={100} />
+            <select value={newUser.role} onChange={updateField('role')}>
+              {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>{label.zh} {label.en}</option>
+              ))}
+            </select>
+            <input type="password" value={newUser.password} onChange={updateField('password')} placeholder="密碼 Password" minLength={8} autoComplete="new-password" />
+            <button type="submit" disabled={isBusy}>新增帳戶 Add account</button>
+          </form>
+
+          {error && <p className="class-error">{error}</p>}
+
+          <table className="class-table">
+            <thead>
+              <tr>
+                <th>用戶名稱 Username</th>
+                <th>姓名 Name</th>
+                <th>身份 Role</th>
+                <th>登入方式 Sign-in</th>
+                <th>最近登入 Last sign-in</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => (
+                <tr key={user.id}>
+                  <td>{user.username}</td>
+                  <td>{user.displayName || '–'}</td>
+                  <td>
+                    <select
+                      value={user.role}
+                      onChange={(event) => changeRole(user, event.target.value)}
+                      disabled={isBusy || user.id === currentUser?.id}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>{label.zh} {label.en}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    {user.provider === 'local'
+                      ? (user.hasPassword ? '密碼 Password' : <span className="class-pending">未啟用 Not activated</span>)
+                      : user.provider}
+                  </td>
+                  <td>{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString('zh-HK') : '–'}</td>
+                  <td className="class-actions">
+                    {user.provider === 'local' && (
+                      <>
+                        <button onClick={() => setPassword(user)} disabled={isBusy}>設定密碼 Set password</button>
+                        {user.role === 'student' && user.hasPassword && (
+                          <button onClick={() => clearPassword(user)} disabled={isBusy}>重設 Reset</button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </main>
+
+      <footer>
+        <p>© {new Date().getFullYear()} - School of Nursing, The Hong Kong Polytechnic University</p>
+      </footer>
+    </div>
+  );
+};
+
+export default UserManager;
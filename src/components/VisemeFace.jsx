@@ -1,4 +1,5 @@
-import React, { useEffect, useRef, useState, memo, useMemo } from 'react';
+import React, { useEffect, useRef, useState, memo, forwardRef, useImperativeHandle } from 'react';
+import { useSegmentPlayback } from '../hooks/useSegmentPlayback';
 
 // Enhanced mouth positions for different visemes - optimized for Hong Kong Chinese male
 const mouthPositions = {
@@ -114,47 +115,103 @@ const mouthPositions = {
   }
 };
 
-// Optimized VisemeFace component for better performance
-const VisemeFace = memo(({ visemeData, audioUrl, isPlaying, onPlayComplete }) => {
+// Facial expression for each emotion tag of the patient's replies
+//   browInner: inner ends of the brows raised (+) or knitted down (-)
+//   browHeight: both brows raised (+) or lowered (-)
+//   browTilt: right brow raised above the left, a questioning look
+//   eyeOpen: eye height multiplier
+//   flush: cheek redness from 0 to 1
+//   gazeX, gazeY: pupil offset, looking away to the side (+x) or down (+y)
+const expressions = {
+  neutral: { browInner: 0, browHeight: 0, browTilt: 0, eyeOpen: 1, flush: 0, gazeX: 0, gazeY: 0 },
+  anxious: { browInner: 3, browHeight: 1, browTilt: 0, eyeOpen: 1.2, flush: 0.15, gazeX: -1, gazeY: 0 },
+  embarrassed: { browInner: 1.5, browHeight: 0, browTilt: 0, eyeOpen: 0.8, flush: 0.8, gazeX: 1.8, gazeY: 1.8 },
+  relieved: { browInner: 0, browHeight: 1, browTilt: 0, eyeOpen: 0.85, flush: 0, gazeX: 0, gazeY: 0 },
+  confused: { browInner: -1, browHeight: 0, browTilt: 3, eyeOpen: 1, flush: 0, gazeX: -1, gazeY: -1 },
+  pain: { browInner: 2.5, browHeight: -1.5, browTilt: 0, eyeOpen: 0.55, flush: 0.3, gazeX: 0, gazeY: 0.8 }
+};
+
+// Time to blend from one expression to the next
+const EXPRESSION_BLEND_MS = 600;
+
+// Optimized VisemeFace component for better performance.
+// Plays a queue of speech segments ({ audioUrl, visemeData, wordBoundaries })
+// back to back, see hooks/useSegmentPlayback.js; segments may keep arriving
+// while it plays. isComplete tells it no more segments will follow for this
+// response. emotion is the emotion tag of the current reply and sets the expression.
+// onSegmentChange reports which segment is being spoken, for subtitles.
+// The session replay plays its own audio and poses the mouth through the ref
+// with showVisemeAt(elapsedMs, visemes).
+const VisemeFace = memo(forwardRef(({ segments = [], isComplete = true, isPlaying, onPlayComplete, onSegmentChange, emotion = 'neutral' }, ref) => {
   // Reduce state to essential values for better performance
   const [currentViseme, setCurrentViseme] = useState(0);
   const [targetViseme, setTargetViseme] = useState(0); 
   const [visemeTransition, setVisemeTransition] = useState(1);
   const [blinkState, setBlinkState] = useState(1);
-  const [visemeIndex, setVisemeIndex] = useState(0);
   const [headPosition, setHeadPosition] = useState({ x: 0, y: 0 });
+  const [expression, setExpression] = useState(expressions.neutral);
   
-  // Audio and animation refs
-  const audioRef = useRef(null);
-  const animationRef = useRef(null);
+  // Animation refs
   const transitionTimerRef = useRef(null);
   const blinkTimerRef = useRef(null);
   const frameCountRef = useRef(0);
+  const expressionRef = useRef(expressions.neutral);
+  const expressionFrameRef = useRef(null);
   
   // Refs to avoid re-renders
   const currentVisemeRef = useRef(currentViseme);
   const targetVisemeRef = useRef(targetViseme);
   const visemeTransitionRef = useRef(visemeTransition);
-  const visemeDataRef = useRef(visemeData);
   const isPlayingRef = useRef(isPlaying);
-  const visemeIndexRef = useRef(visemeIndex);
+  const visemeIndexRef = useRef(0);
+  const shownVisemesRef = useRef(null); // Visemes last posed with showVisemeAt
   const pathCacheRef = useRef({});
   
   // Update refs when values change
   useEffect(() => { currentVisemeRef.current = currentViseme; }, [currentViseme]);
   useEffect(() => { targetVisemeRef.current = targetViseme; }, [targetViseme]);
   useEffect(() => { visemeTransitionRef.current = visemeTransition; }, [visemeTransition]);
-  useEffect(() => { visemeDataRef.current = visemeData; }, [visemeData]);
-  useEffect(() => { visemeIndexRef.current = visemeIndex; }, [visemeIndex]);
-  
-  useEffect(() => {
-    isPlayingRef.current = isPlaying;
-    if (isPlaying && visemeData?.length > 0) {
-      setVisemeIndex(0);
+  useEffect(() => { isPlayingRef.current = isPlaying; }, [isPlaying]);
+
+  // Audio playback; the mouth follows the shared timeline
+  const playback = useSegmentPlayback({
+    segments,
+    isComplete,
+    isPlaying,
+    onPlayComplete,
+    onSegmentChange,
+    onFrame: (elapsedMs, timeline) => updateVisemeForTime(elapsedMs, timeline.visemes),
+    onStop: () => {
+      // Reset mouth to neutral
       visemeIndexRef.current = 0;
+      setTargetViseme(0);
+      fastTransition(0);
     }
-  }, [isPlaying, visemeData]);
+  });
   
+  // Lets the simulator cut the patient off when the nurse barges in
+  useImperativeHandle(ref, () => ({
+    // Stops the audio and animation, returns where playback stopped and the word timings so far
+    stop: () => {
+      isPlayingRef.current = false;
+      return playback.stop();
+    },
+    // Shows the mouth at a point of a viseme timeline played elsewhere, an empty list closes it.
+    // Seeking back or a new list starts the search from the first viseme again.
+    showVisemeAt: (elapsedMs, visemes) => {
+      if (visemes !== shownVisemesRef.current || visemes[visemeIndexRef.current]?.audioOffset > elapsedMs) {
+        shownVisemesRef.current = visemes;
+        visemeIndexRef.current = 0;
+      }
+      if (visemes.length === 0) {
+        setTargetViseme(0);
+        fastTransition(0);
+        return;
+      }
+      updateVisemeForTime(elapsedMs, visemes);
+    }
+  }));
+
   // Minimal head movement for better performance
   useEffect(() => {
     const interval = setInterval(() => {
@@ -179,109 +236,66 @@ const VisemeFace = memo(({ visemeData, audioUrl, isPlaying, onPlayComplete }) =>
     
     return () => clearInterval(blinkInterval);
   }, []);
-  
-  // Main animation effect - optimized for performance
+
+
+  // Blend brows, eyes, flush and gaze towards the expression of the new emotion
   useEffect(() => {
-    if (isPlaying && audioUrl && visemeData?.length > 0) {
-      // Audio playback
-      if (audioRef.current) {
-        audioRef.current.currentTime = 0;
-        // Use faster playback rate for quicker speech
-        audioRef.current.playbackRate = 1.15;
-        // Maintain pitch to keep voice quality natural
-        try {
-          audioRef.current.preservesPitch = true;
-        } catch (e) {
-          console.warn('preservesPitch not supported in this browser');
-        }
-        const playPromise = audioRef.current.play();
-        if (playPromise) {
-          playPromise.catch(err => console.warn('Audio playback error:', err));
-        }
-      }
-      
-      // Animation loop
-      if (!animationRef.current) {
-        animationRef.current = requestAnimationFrame(animate);
-      }
-    } else {
-      // Stop animation and reset
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-        animationRef.current = null;
-      }
-      
-      if (audioRef.current) {
-        audioRef.current.pause();
-      }
-      
-      // Reset mouth to neutral
-      setTargetViseme(0);
-      fastTransition(0);
+    const from = expressionRef.current;
+    const to = expressions[emotion] || expressions.neutral;
+    const startedAt = performance.now();
+
+    const step = (now) => {
+      const progress = Math.min((now - startedAt) / EXPRESSION_BLEND_MS, 1);
+      const eased = progress * (2 - progress);
+      const blended = Object.fromEntries(
+        Object.keys(to).map(key => [key, from[key] + (to[key] - from[key]) * eased])
+      );
+
+      expressionRef.current = blended;
+      setExpression(blended);
+      expressionFrameRef.current = progress < 1 ? requestAnimationFrame(step) : null;
+    };
+
+    if (expressionFrameRef.current) {
+      cancelAnimationFrame(expressionFrameRef.current);
     }
-    
+    expressionFrameRef.current = requestAnimationFrame(step);
+
     return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-        animationRef.current = null;
+      if (expressionFrameRef.current) {
+        cancelAnimationFrame(expressionFrameRef.current);
+        expressionFrameRef.current = null;
       }
     };
-  }, [isPlaying, audioUrl, visemeData]);
-  
-  // Fast animation implementation
-  const animate = () => {
-    if (!isPlayingRef.current || !visemeDataRef.current?.length) {
-      animationRef.current = null;
-      return;
-    }
-    
-    const audioTime = audioRef.current?.currentTime * 1000 || 0;
-    updateVisemeForTime(audioTime);
-    
-    animationRef.current = requestAnimationFrame(animate);
-  };
-  
+  }, [emotion]);
+
   // Optimized viseme timing update
-  const updateVisemeForTime = (currentTime) => {
-    const visemeArr = visemeDataRef.current;
-    if (!visemeArr?.length) return;
+  const updateVisemeForTime = (currentTime, visemeArr) => {
+    if (!visemeArr.length) return;
     
     const currentIndex = visemeIndexRef.current;
     const totalVisemes = visemeArr.length;
     
-    // Check if we're done - increase the buffer time to ensure all visemes are processed
-    const lastVisemeTime = visemeArr[totalVisemes - 1].audioOffset;
-    if (currentTime > lastVisemeTime + 1000) {
-      if (targetVisemeRef.current !== 0) {
-        setTargetViseme(0);
-        fastTransition(0);
-      }
-      
-      if (audioRef.current?.ended && onPlayComplete && isPlayingRef.current) {
-        onPlayComplete();
-      }
-      return;
-    }
-    
     // Find the right viseme for the current time
     let newIndex = currentIndex;
     
-    // Make sure we process all visemes, including the last ones
-    // First check if we need to jump to a later viseme based on audio time
+    // Jump to a later viseme based on audio time
     while (newIndex < totalVisemes - 1 && 
            visemeArr[newIndex + 1].audioOffset <= currentTime) {
       newIndex++;
     }
     
-    // Special case to ensure the very last viseme is played
-    // If we're close to the end, ensure we show the last viseme
-    if (currentTime > lastVisemeTime - 150 && newIndex < totalVisemes - 1) {
-      newIndex = totalVisemes - 1;
+    // Close the mouth once the last known viseme has had its time
+    if (newIndex === totalVisemes - 1 && currentTime > visemeArr[newIndex].audioOffset + 500) {
+      if (targetVisemeRef.current !== 0) {
+        setTargetViseme(0);
+        fastTransition(0);
+      }
+      return;
     }
     
     // Update if needed
-    if (newIndex !== currentIndex) {
-      setVisemeIndex(newIndex);
+    if (newIndex !== currentIndex || targetVisemeRef.current !== visemeArr[newIndex].visemeId) {
       visemeIndexRef.current = newIndex;
       
       const newVisemeId = visemeArr[newIndex].visemeId;
@@ -366,16 +380,20 @@ const VisemeFace = memo(({ visemeData, audioUrl, isPlaying, onPlayComplete }) =>
     return result;
   };
   
+  // Brow, eye and pupil geometry for the current expression
+  const { browInner, browHeight, browTilt, eyeOpen, flush, gazeX, gazeY } = expression;
+  const browX = headPosition.x * 3;
+  const browY = headPosition.y * 2 - browHeight;
+  const leftBrowPath = `M${35 + browX},${35 + browY} Q${45 + browX},${32 + browY - browInner * 0.3} ${55 + browX},${35 + browY - browInner}`;
+  const rightBrowPath = `M${75 + browX},${35 + browY - browInner - browTilt * 0.5} Q${85 + browX},${32 + browY - browInner * 0.3 - browTilt} ${95 + browX},${35 + browY - browTilt}`;
+  const eyeX = headPosition.x * 2;
+  const eyeY = headPosition.y;
+  const eyeHeight = 4 * blinkState * eyeOpen;
+  const pupilRadius = Math.min(3 * blinkState, eyeHeight);
+
   // Optimized SVG rendering
   return (
     <div className="viseme-face">
-      <audio 
-        ref={audioRef} 
-        src={audioUrl || ''}
-        onEnded={onPlayComplete}
-        style={{ display: 'none' }}
-      />
-      
       <svg 
         width="100%" 
         height="100%" 
@@ -392,6 +410,10 @@ const VisemeFace = memo(({ visemeData, audioUrl, isPlaying, onPlayComplete }) =>
           strokeWidth="1"
         />
         
+        {/* Cheek flush, e.g. when embarrassed */}
+        <ellipse cx="38" cy="62" rx="8" ry="4.5" fill="#E0736B" opacity={flush * 0.6} />
+        <ellipse cx="92" cy="62" rx="8" ry="4.5" fill="#E0736B" opacity={flush * 0.6} />
+        
         {/* Basic hair */}
         <path
           d="M25,40 Q45,20 65,15 Q85,20 105,40"
@@ -403,45 +425,45 @@ const VisemeFace = memo(({ visemeData, audioUrl, isPlaying, onPlayComplete }) =>
         
         {/* Simplified eyes */}
         <ellipse 
-          cx={45 + headPosition.x * 2} 
-          cy={45 + headPosition.y} 
+          cx={45 + eyeX} 
+          cy={45 + eyeY} 
           rx="7" 
-          ry={4 * blinkState} 
+          ry={eyeHeight} 
           fill="white" 
           stroke="#333" 
         />
         <circle 
-          cx={45 + headPosition.x * 2} 
-          cy={45 + headPosition.y} 
-          r={3 * blinkState} 
+          cx={45 + eyeX + gazeX} 
+          cy={45 + eyeY + gazeY * eyeOpen} 
+          r={pupilRadius} 
           fill="#3A2A18" 
         />
         
         <ellipse 
-          cx={85 + headPosition.x * 2} 
-          cy={45 + headPosition.y} 
+          cx={85 + eyeX} 
+          cy={45 + eyeY} 
           rx="7" 
-          ry={4 * blinkState} 
+          ry={eyeHeight} 
           fill="white" 
           stroke="#333" 
         />
         <circle 
-          cx={85 + headPosition.x * 2} 
-          cy={45 + headPosition.y} 
-          r={3 * blinkState} 
+          cx={85 + eyeX + gazeX} 
+          cy={45 + eyeY + gazeY * eyeOpen} 
+          r={pupilRadius} 
           fill="#3A2A18" 
         />
         
         {/* Eyebrows */}
         <path 
-          d={`M${35 + headPosition.x * 3},${35 + headPosition.y * 2} Q${45 + headPosition.x * 3},${32 + headPosition.y * 2} ${55 + headPosition.x * 3},${35 + headPosition.y * 2}`} 
+          d={leftBrowPath} 
           fill="none" 
           stroke="#222" 
           strokeWidth="2.8"
           strokeLinecap="round"
         />
         <path 
-          d={`M${75 + headPosition.x * 3},${35 + headPosition.y * 2} Q${85 + headPosition.x * 3},${32 + headPosition.y * 2} ${95 + headPosition.x * 3},${35 + headPosition.y * 2}`} 
+          d={rightBrowPath} 
           fill="none" 
           stroke="#222" 
           strokeWidth="2.8"
@@ -482,6 +504,6 @@ const VisemeFace = memo(({ visemeData, audioUrl, isPlaying, onPlayComplete }) =>
       </svg>
     </div>
   );
-});
+}));
 
 export default VisemeFace; 
\ No newline at end of file
@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { getSignedInUser, onAuthChange } from '../services/authService';
+
+/**
+ * The signed-in user, updated when someone signs in or out
+ * @returns {Object|null} - User from authService, null when signed out
+ */
+export const useAuth = () => {
+  const [user, setUser] = useState(getSignedInUser);
+
+  useEffect(() => onAuthChange(setUser), []);
+
+  return user;
+};
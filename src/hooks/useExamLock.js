@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { getExamInProgress, getExamTimeLeft, onExamChange } from '../services/examService';
+
+/**
+ * The exam in progress, updated when one starts, is submitted or runs out of time
+ * @returns {Object|null} - { scenarioId, deadline } from examService, null when none is running
+ */
+export const useExamLock = () => {
+  const [exam, setExam] = useState(getExamInProgress);
+
+  useEffect(() => onExamChange(setExam), []);
+
+  // The lock also lifts at the deadline, should the exam page not be open to submit it
+  useEffect(() => {
+    if (!exam) return;
+    const timer = setTimeout(() => setExam(getExamInProgress()), getExamTimeLeft(exam.deadline) + 100);
+    return () => clearTimeout(timer);
+  }, [exam]);
+
+  return exam;
+};
@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { listRubrics, loadRubrics, onRubricsChange } from '../rubrics';
+
+/**
+ * The latest version of every rubric, updated once the versions saved on the
+ * server have loaded and whenever one is saved or deleted
+ * @returns {Array<Object>} - Rubric definitions from listRubrics()
+ */
+export const useRubrics = () => {
+  const [rubrics, setRubrics] = useState(listRubrics);
+
+  useEffect(() => {
+    const unsubscribe = onRubricsChange(() => setRubrics(listRubrics()));
+    loadRubrics();
+    return unsubscribe;
+  }, []);
+
+  return rubrics;
+};
@@ -0,0 +1,244 @@
+import { useEffect, useRef } from 'react';
+
+// Gap left before the first segment so it is not clipped while scheduling
+const SCHEDULE_LEAD_SECONDS = 0.05;
+
+// Creates an empty playback timeline. Times are AudioContext seconds, viseme,
+// word and blend-shape offsets are milliseconds from the start of the first segment.
+const createTimeline = () => ({
+  startTime: null,
+  endTime: 0,
+  settled: 0, // Segments decoded and scheduled, or failed
+  visemes: [],
+  words: [],
+  blendShapes: [], // [{ offsetMs, frameRate, frames }], one entry per segment
+  spans: [] // [{ index, startMs }], when each segment's speech starts
+});
+
+/**
+ * Plays a queue of speech segments ({ audioUrl, visemeData, wordBoundaries, blendShapes })
+ * back to back through Web Audio. Segments may keep arriving while it plays; each
+ * segment's timings are shifted onto one shared timeline. Used by the 2D and 3D avatars.
+ * @param {Object} options - Playback options
+ * @param {Array} options.segments - Segments of the current response, in order
+ * @param {boolean} options.isComplete - No more segments will follow for this response
+ * @param {boolean} options.isPlaying - Whether the response should be playing
+ * @param {Function} options.onFrame - Called every animation frame with (elapsedMs, timeline)
+ * @param {Function} options.onPlayComplete - Called once every segment has played
+ * @param {Function} options.onStop - Called whenever playback stops or resets, to return to rest
+ * @param {Function} options.onSegmentChange - Called with the index of the segment being spoken, -1 when playback stops
+ * @returns {{stop: Function}} - stop() halts playback and returns { positionMs, durationMs, wordBoundaries }
+ */
+export const useSegmentPlayback = ({ segments = [], isComplete = true, isPlaying, onFrame, onPlayComplete, onStop, onSegmentChange }) => {
+  const audioContextRef = useRef(null);
+  const sourcesRef = useRef([]); // Scheduled AudioBufferSourceNodes
+  const timelineRef = useRef(createTimeline());
+  const queuedCountRef = useRef(0); // Segments taken from the props so far
+  const firstSegmentRef = useRef(null); // Identifies the response being played
+  const decodeChainRef = useRef(Promise.resolve()); // Keeps segments in order
+  const sessionRef = useRef(0); // Bumped on reset so stale decodes are dropped
+  const animationRef = useRef(null);
+  const currentSegmentRef = useRef(-1); // Segment whose speech started last
+
+  // Latest props for the animation loop
+  const isPlayingRef = useRef(isPlaying);
+  const isCompleteRef = useRef(isComplete);
+  const callbacksRef = useRef({ onFrame, onPlayComplete, onStop, onSegmentChange });
+  isCompleteRef.current = isComplete;
+  callbacksRef.current = { onFrame, onPlayComplete, onStop, onSegmentChange };
+
+  const setCurrentSegment = (index) => {
+    if (currentSegmentRef.current === index) return;
+    currentSegmentRef.current = index;
+    if (callbacksRef.current.onSegmentChange) callbacksRef.current.onSegmentChange(index);
+  };
+
+  // Stops every scheduled segment and forgets the current response
+  const resetPlayback = () => {
+    sessionRef.current++;
+    sourcesRef.current.forEach(source => {
+      try {
+        source.stop();
+      } catch (e) {
+        // Sources that never started throw here, nothing to stop
+      }
+    });
+    sourcesRef.current = [];
+    timelineRef.current = createTimeline();
+    queuedCountRef.current = 0;
+    firstSegmentRef.current = null;
+    setCurrentSegment(-1);
+
+    if (animationRef.current) {
+      cancelAnimationFrame(animationRef.current);
+      animationRef.current = null;
+    }
+  };
+
+  const getAudioContext = () => {
+    if (!audioContextRef.current) {
+      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioContextRef.current;
+  };
+
+  // Decodes a segment and schedules it straight after the previous one
+  const scheduleSegment = (segment, index) => {
+    const session = sessionRef.current;
+    const context = getAudioContext();
+
+    decodeChainRef.current = decodeChainRef.current.then(async () => {
+      if (session !== sessionRef.current) return;
+      const timeline = timelineRef.current;
+
+      try {
+        if (context.state === 'suspended') {
+          await context.resume();
+        }
+
+        const response = await fetch(segment.audioUrl);
+        const buffer = await context.decodeAudioData(await response.arrayBuffer());
+        if (session !== sessionRef.current) return;
+
+        // Play right after the previous segment, or now if playback has run dry
+        const startAt = Math.max(timeline.endTime, context.currentTime + SCHEDULE_LEAD_SECONDS);
+        if (timeline.startTime === null) {
+          timeline.startTime = startAt;
+        }
+        const offsetMs = (startAt - timeline.startTime) * 1000;
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start(startAt);
+        sourcesRef.current.push(source);
+        timeline.endTime = startAt + buffer.duration;
+
+        // Shift the segment's timings onto the shared timeline
+        (segment.visemeData || []).forEach(viseme => {
+          timeline.visemes.push({ ...viseme, audioOffset: viseme.audioOffset + offsetMs });
+        });
+        (segment.wordBoundaries || []).forEach(word => {
+          timeline.words.push({ ...word, audioOffset: word.audioOffset + offsetMs });
+        });
+        if (segment.blendShapes?.frames?.length > 0) {
+          timeline.blendShapes.push({ offsetMs, ...segment.blendShapes });
+        }
+
+        // The speech starts at the first viseme that is not silence
+        const firstSpoken = (segment.visemeData || []).find(viseme => viseme.visemeId !== 0);
+        timeline.spans.push({ index, startMs: offsetMs + (firstSpoken ? firstSpoken.audioOffset : 0) });
+      } catch (error) {
+        console.error('Error playing speech segment:', error);
+      } finally {
+        if (session === sessionRef.current) {
+          timeline.settled++;
+        }
+      }
+    });
+  };
+
+  // Animation loop, runs while a response is playing
+  const animate = () => {
+    if (!isPlayingRef.current) {
+      animationRef.current = null;
+      return;
+    }
+
+    const context = audioContextRef.current;
+    const timeline = timelineRef.current;
+    const { onFrame: frameCallback, onPlayComplete: completeCallback, onStop: stopCallback } = callbacksRef.current;
+
+    if (context && timeline.startTime !== null) {
+      const elapsedMs = (context.currentTime - timeline.startTime) * 1000;
+      if (frameCallback) frameCallback(elapsedMs, timeline);
+
+      const span = timeline.spans.filter(item => item.startMs <= elapsedMs).pop();
+      if (span) setCurrentSegment(span.index);
+    }
+
+    // Done once the response is complete and every queued segment has played
+    const allSettled = timeline.settled === queuedCountRef.current;
+    const playedOut = !context || timeline.startTime === null || context.currentTime >= timeline.endTime;
+    if (isCompleteRef.current && allSettled && playedOut) {
+      animationRef.current = null;
+      setCurrentSegment(-1);
+      if (stopCallback) stopCallback();
+      if (completeCallback) completeCallback();
+      return;
+    }
+
+    animationRef.current = requestAnimationFrame(animate);
+  };
+
+  // Queue new segments as they arrive
+  useEffect(() => {
+    isPlayingRef.current = isPlaying;
+
+    if (!isPlaying) {
+      resetPlayback();
+      if (callbacksRef.current.onStop) callbacksRef.current.onStop();
+      return;
+    }
+
+    // A different first segment means a new response
+    if (segments[0] !== firstSegmentRef.current) {
+      resetPlayback();
+      firstSegmentRef.current = segments[0] || null;
+    }
+
+    for (let i = queuedCountRef.current; i < segments.length; i++) {
+      scheduleSegment(segments[i], i);
+    }
+    queuedCountRef.current = segments.length;
+
+    if (!animationRef.current) {
+      animationRef.current = requestAnimationFrame(animate);
+    }
+  }, [isPlaying, segments]);
+
+  // Release the audio context on unmount
+  useEffect(() => {
+    return () => {
+      resetPlayback();
+      if (audioContextRef.current) {
+        audioContextRef.current.close().catch(() => {});
+      }
+    };
+  }, []);
+
+  // Stops the audio, returns where playback stopped and the word timings so far
+  const stop = () => {
+    const context = audioContextRef.current;
+    const timeline = timelineRef.current;
+    const started = context && timeline.startTime !== null;
+    const positionMs = started ? Math.max(0, (context.currentTime - timeline.startTime) * 1000) : 0;
+    const durationMs = started ? (timeline.endTime - timeline.startTime) * 1000 : 0;
+    const wordBoundaries = timeline.words;
+
+    isPlayingRef.current = false;
+    resetPlayback();
+    if (callbacksRef.current.onStop) callbacksRef.current.onStop();
+
+    return { positionMs, durationMs, wordBoundaries };
+  };
+
+  return { stop };
+};
+
+/**
+ * Looks up the blend-shape frame playing at a point on the timeline
+ * @param {Array} blendShapes - Timeline blend-shape entries
+ * @param {number} elapsedMs - Time since the first segment started
+ * @returns {Array<number>|null} - Blend-shape weights, or null between segments
+ */
+export const getBlendShapeFrame = (blendShapes, elapsedMs) => {
+  for (let i = blendShapes.length - 1; i >= 0; i--) {
+    const { offsetMs, frameRate, frames } = blendShapes[i];
+    if (elapsedMs < offsetMs) continue;
+
+    const index = Math.floor((elapsedMs - offsetMs) * frameRate / 1000);
+    return index < frames.length ? frames[index] : null;
+  }
+  return null;
+};
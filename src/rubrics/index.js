@@ -0,0 +1,166 @@
+/**
+ * Rubric store
+ *
+ * Rubrics are versioned JSON documents. The *.json files in this folder are
+ * bundled as version 1 of each rubric; versions saved from the rubric editor
+ * are kept by the local server (server/rubrics.js), so every student sees the
+ * educators' edits, and take precedence over older bundled versions. Call
+ * loadRubrics() to fetch them; until then, or without the local server, only
+ * the bundled rubrics are listed. See README.md in this folder for the file
+ * format.
+ */
+
+import { apiFetch, apiPostJson } from '../services/apiClient';
+import { getInstructorKey } from '../services/dashboardService';
+import { validateRubric } from '../../shared/rubrics.mjs';
+
+export { validateRubric, getCriterionBands, getCriterionMaxScore } from '../../shared/rubrics.mjs';
+
+// Load bundled rubric files at build time
+const rubricModules = import.meta.glob('./*.json', { eager: true });
+
+const bundledRubrics = [];
+
+Object.entries(rubricModules).forEach(([path, module]) => {
+  const rubric = module.default || module;
+  const problems = validateRubric(rubric);
+
+  if (problems.length > 0) {
+    console.error(`Skipping invalid rubric file ${path}:`, problems.join('; '));
+    return;
+  }
+
+  bundledRubrics.push({ ...rubric, version: rubric.version || 1, bundled: true });
+});
+
+// Versions saved on the server, as last loaded
+let savedRubrics = [];
+
+const listeners = new Set();
+
+/**
+ * Calls the listener whenever the saved rubric versions change
+ * @param {Function} listener - () => void
+ * @returns {Function} - Removes the listener
+ */
+export const onRubricsChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const setSavedRubrics = (rubrics) => {
+  savedRubrics = rubrics;
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Fetches the rubric versions saved on the server
+ * @returns {Promise<Array<Object>>} - Saved versions, empty when the server keeps none
+ */
+export const loadRubrics = async () => {
+  try {
+    const response = await apiFetch('/api/rubrics', { method: 'GET' });
+    const { rubrics } = await response.json();
+    setSavedRubrics(rubrics);
+  } catch (error) {
+    console.warn('Could not load saved rubrics, using the bundled ones:', error.message);
+  }
+  return savedRubrics;
+};
+
+// All stored versions of all rubrics
+const allRubricVersions = () => [...bundledRubrics, ...savedRubrics];
+
+/**
+ * Lists every stored version of a rubric, newest first
+ * @param {string} id - Rubric id
+ * @returns {Array<Object>} - Rubric versions
+ */
+export const getRubricVersions = (id) => allRubricVersions()
+  .filter(rubric => rubric.id === id)
+  .sort((a, b) => b.version - a.version);
+
+/**
+ * Lists the latest version of every rubric
+ * @returns {Array<Object>} - Rubric definitions
+ */
+export const listRubrics = () => {
+  const latest = new Map();
+
+  allRubricVersions().forEach(rubric => {
+    const current = latest.get(rubric.id);
+    if (!current || rubric.version > current.version) {
+      latest.set(rubric.id, rubric);
+    }
+  });
+
+  return Array.from(latest.values()).sort((a, b) => a.name.en.localeCompare(b.name.en));
+};
+
+/**
+ * Looks up a rubric, by default its latest version
+ * @param {string} id - Rubric id
+ * @param {number} version - Optional version number
+ * @returns {Object|null} - Rubric definition or null if not found
+ */
+export const getRubric = (id, version) => {
+  const versions = getRubricVersions(id);
+
+  if (version !== undefined) {
+    return versions.find(rubric => rubric.version === version) || null;
+  }
+
+  return versions[0] || null;
+};
+
+/**
+ * Lists the rubrics that apply to a scenario. Rubrics without linked
+ * scenarios apply to every scenario.
+ * @param {Object} scenario - Scenario definition
+ * @returns {Array<Object>} - Rubric definitions, the scenario's default rubric first
+ */
+export const getRubricsForScenario = (scenario) => {
+  const rubrics = listRubrics().filter(rubric =>
+    !rubric.scenarioIds || rubric.scenarioIds.length === 0 || rubric.scenarioIds.includes(scenario.id)
+  );
+
+  return rubrics.sort((a, b) => {
+    if (a.id === scenario.defaultRubric) return -1;
+    if (b.id === scenario.defaultRubric) return 1;
+    // Scenario-specific rubrics before generic ones
+    return (b.scenarioIds?.length || 0) - (a.scenarioIds?.length || 0);
+  });
+};
+
+// Editing rubrics needs a tutor or admin sign-in or the instructor key
+const instructorHeaders = () => ({ 'X-Instructor-Key': getInstructorKey() });
+
+/**
+ * Saves a rubric on the server as a new version
+ * @param {Object} rubric - Rubric definition
+ * @returns {Promise<Object>} - The saved rubric with its assigned version
+ */
+export const saveRubric = async (rubric) => {
+  const problems = validateRubric(rubric);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const { bundled, version, savedAt, ...definition } = rubric;
+  const response = await apiPostJson('/api/rubrics', { rubric: definition }, { headers: instructorHeaders() });
+  const { rubric: saved } = await response.json();
+
+  setSavedRubrics([...savedRubrics, saved]);
+  console.log(`Saved rubric "${saved.id}" version ${saved.version}`);
+  return saved;
+};
+
+/**
+ * Deletes every saved version of a rubric. Bundled versions cannot be deleted.
+ * @param {string} id - Rubric id
+ * @returns {Promise<void>}
+ */
+export const deleteSavedRubric = async (id) => {
+  await apiFetch(`/api/rubrics?id=${encodeURIComponent(id)}`, { method: 'DELETE', headers: instructorHeaders() });
+  setSavedRubrics(savedRubrics.filter(rubric => rubric.id !== id));
+};
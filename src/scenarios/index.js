@@ -0,0 +1,65 @@
+/**
+ * Scenario loader
+ *
+ * Every *.json file in this folder describes one simulated patient. The
+ * loader validates the definitions at start-up; the API server builds the LLM
+ * system prompt from them (shared/scenarios.mjs), so new cases can be added
+ * without touching JavaScript.
+ * See README.md in this folder for the file format.
+ */
+
+import { validateScenario } from '../../shared/scenarios.mjs';
+
+export { validateScenario, buildSystemPrompt } from '../../shared/scenarios.mjs';
+
+export const DEFAULT_SCENARIO_ID = 'colonoscopy';
+
+// Load all bundled scenario files at build time
+const scenarioModules = import.meta.glob('./*.json', { eager: true });
+
+const scenarios = new Map();
+
+Object.entries(scenarioModules).forEach(([path, module]) => {
+  const scenario = module.default || module;
+  const problems = validateScenario(scenario);
+
+  if (problems.length > 0) {
+    console.error(`Skipping invalid scenario file ${path}:`, problems.join('; '));
+    return;
+  }
+
+  if (scenarios.has(scenario.id)) {
+    console.error(`Skipping scenario file ${path}: duplicate id "${scenario.id}"`);
+    return;
+  }
+
+  scenarios.set(scenario.id, scenario);
+});
+
+/**
+ * Lists all available scenarios, sorted by their `order` field
+ * @returns {Array<Object>} - Scenario definitions
+ */
+export const listScenarios = () => Array.from(scenarios.values())
+  .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+
+/**
+ * Checks whether a scenario with the given id exists
+ * @param {string} id - Scenario id
+ * @returns {boolean} - True if the scenario is bundled
+ */
+export const hasScenario = (id) => scenarios.has(id);
+
+/**
+ * Looks up a scenario by id, falling back to the default scenario
+ * @param {string} id - Scenario id
+ * @returns {Object} - Scenario definition
+ */
+export const getScenario = (id = DEFAULT_SCENARIO_ID) => {
+  if (scenarios.has(id)) {
+    return scenarios.get(id);
+  }
+
+  console.warn(`Unknown scenario "${id}", using default scenario`);
+  return scenarios.get(DEFAULT_SCENARIO_ID);
+};
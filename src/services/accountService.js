@@ -0,0 +1,81 @@
+/**
+ * Class and account management client, for the tutor and admin pages. The
+ * server checks the role of the signed-in user on every call (server/accounts.js).
+ */
+
+import { apiFetch, apiPostJson } from './apiClient';
+
+const getJson = async (path) => (await apiFetch(path, { method: 'GET' })).json();
+
+/**
+ * Lists the classes the user teaches, or all classes for admins
+ * @returns {Promise<Array<Object>>} - { id, name, joinCode, studentCount, createdAt }
+ */
+export const listClasses = async () => (await getJson('/api/classes')).classes;
+
+/**
+ * Creates a class, with the current user as its tutor
+ * @param {string} name - Class name, as used on the dashboard
+ * @returns {Promise<Object>} - The class with its join code
+ */
+export const createClass = async (name) => (await (await apiPostJson('/api/classes', { name })).json()).class;
+
+/**
+ * Replaces a class's join code; the old code stops working
+ * @param {string} classId - Class id
+ * @returns {Promise<Object>} - The class with its new code
+ */
+export const regenerateJoinCode = async (classId) => (await (await apiPostJson('/api/classes/join-code', { classId })).json()).class;
+
+/**
+ * Lists the tutors and students of a class
+ * @param {string} classId - Class id
+ * @returns {Promise<Array<Object>>} - Members with classRole, activated and lastLoginAt
+ */
+export const listClassMembers = async (classId) => (await getJson(`/api/classes/members?classId=${encodeURIComponent(classId)}`)).members;
+
+/**
+ * Imports student IDs into a class. New IDs get accounts that the students
+ * activate with the class's join code and their own activation code.
+ * @param {string} classId - Class id
+ * @param {string} csv - CSV text: student ID and optional name, with or without a header row
+ * @returns {Promise<Object>} - { created, enrolled, alreadyEnrolled, skipped: [{ line, studentId, reason }],
+ *   activationCodes: [{ studentId, name, code }] }, the codes shown only this once
+ */
+export const importStudents = async (classId, csv) => (await apiPostJson('/api/classes/import', { classId, csv })).json();
+
+/**
+ * Replaces the activation code of a student who has not activated their account
+ * @param {string} classId - Class id
+ * @param {string} userId - The student's user id
+ * @returns {Promise<Object>} - { studentId, code }
+ */
+export const issueActivationCode = async (classId, userId) => (await apiPostJson('/api/classes/activation-code', { classId, userId })).json();
+
+/**
+ * Lists all accounts (admins only)
+ * @returns {Promise<Array<Object>>} - Users by role and username
+ */
+export const listUsers = async () => (await getJson('/api/users')).users;
+
+/**
+ * Creates an account (admins only)
+ * @param {Object} details - { username, displayName, role, password }
+ * @returns {Promise<Object>} - The new user
+ */
+export const createUser = async (details) => (await (await apiPostJson('/api/users', details)).json()).user;
+
+/**
+ * Changes an account (admins only)
+ * @param {string} id - User id
+ * @param {Object} changes - { displayName, role, password, resetPassword }
+ * @returns {Promise<Object>} - The updated user
+ */
+export const updateUser = async (id, changes) => (await (await apiPostJson('/api/users', { id, ...changes }, { method: 'PATCH' })).json()).user;
+
+/**
+ * Clears an account's password (admins only), so the student activates it again
+ * @param {string} id - User id
+ * @returns {Promise<string|undefined>} - The new activation code, for password accounts
+ */
+export const resetPassword = async (id) => (await (await apiPostJson('/api/users', { id, resetPassword: true }, { method: 'PATCH' })).json()).activationCode;
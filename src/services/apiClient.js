@@ -0,0 +1,102 @@
+/**
+ * Client for the server-side API proxy (see /api and server/index.js).
+ * Credentials for Azure and other providers live on the server only.
+ */
+
+// Empty means the API is served from the same origin as the app
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/+$/, '');
+
+const AUTH_TOKEN_KEY = 'nurs.authToken';
+
+/**
+ * Returns the sign-in token of this browser, see authService.js
+ * @returns {string|null} - Bearer token, null when signed out
+ */
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+/**
+ * Saves or clears the sign-in token sent with every API request
+ * @param {string|null} token - Bearer token, null to sign out
+ */
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
+/**
+ * Builds the full URL of an API route
+ * @param {string} path - Route path, e.g. /api/chat
+ * @returns {string} - URL
+ */
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
+
+/**
+ * Calls an API route and turns error responses into exceptions
+ * @param {string} path - Route path, e.g. /api/chat
+ * @param {Object} options - fetch options, plus timeout in milliseconds until the response starts
+ * @returns {Promise<Response>} - The successful response
+ */
+export const apiFetch = async (path, { timeout = 30000, headers = {}, ...options } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  const token = getAuthToken();
+
+  let response;
+  try {
+    response = await fetch(apiUrl(path), {
+      method: 'POST',
+      ...options,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      signal: options.signal || controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request to ${path} timed out`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    let message = `HTTP error! status: ${response.status}`;
+
+    try {
+      const data = await response.json();
+      if (data.error) message = data.error;
+    } catch (e) {
+      // Keep the status message when the body is not JSON
+    }
+
+    if (response.status === 429) {
+      const retryAfter = response.headers.get('Retry-After');
+      message = `Too many requests, please wait ${retryAfter || 'a few'} seconds and try again`;
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+};
+
+/**
+ * Posts a JSON body to an API route
+ * @param {string} path - Route path
+ * @param {Object} body - Request body
+ * @param {Object} options - Extra apiFetch options
+ * @returns {Promise<Response>} - The successful response
+ */
+export const apiPostJson = (path, body, options = {}) => apiFetch(path, {
+  ...options,
+  headers: { 'Content-Type': 'application/json', ...options.headers },
+  body: JSON.stringify(body)
+});
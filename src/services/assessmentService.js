@@ -0,0 +1,43 @@
+import { createChatCompletion } from './llm';
+import { getRubricsForScenario } from '../rubrics';
+import { formatTranscript, normaliseAssessment } from '../../shared/assessment.mjs';
+
+/**
+ * Assesses the nurse's communication in a finished simulation using structured outputs
+ * @param {Array} conversations - Conversation entries built in PatientSimulatorApp
+ * @param {Object} scenario - Scenario definition
+ * @param {Object} rubric - Rubric definition, defaults to the scenario's default rubric
+ * @param {string} language - Patient language of the session, defaults to the scenario's own
+ * @returns {Promise<Object>} - Assessment report with per-criterion scores, evidence and tips
+ */
+export const assessConversation = async (conversations, scenario, rubric = getRubricsForScenario(scenario)[0], language = scenario.language) => {
+  try {
+    if (!rubric) {
+      throw new Error(`No rubric available for scenario "${scenario.id}"`);
+    }
+
+    if (!conversations.some(entry => entry.role === 'nurse')) {
+      throw new Error('No nurse turns to assess');
+    }
+
+    // The API server builds the assessment prompt from the rubric it holds
+    const messages = [
+      { role: 'user', content: `# Transcript\n\n${formatTranscript(conversations, scenario)}` }
+    ];
+
+    console.log('Sending assessment request, turns:', conversations.length);
+    const content = await createChatCompletion({
+      task: 'assessment',
+      scenario,
+      language,
+      rubric,
+      messages,
+      timeout: 60000 // Assessment of a long session can take a while
+    });
+
+    return normaliseAssessment(JSON.parse(content), rubric, conversations);
+  } catch (error) {
+    console.error('Error assessing conversation:', error);
+    throw new Error(`Failed to assess conversation: ${error.message}`);
+  }
+};
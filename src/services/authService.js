@@ -0,0 +1,205 @@
+/**
+ * Accounts client
+ *
+ * With VITE_ACCOUNTS=true the app needs a sign-in on the local server
+ * (server/accounts.js): students sign in with their student ID, or through the
+ * university's SSO when an adapter is set up, and join classes with the join
+ * code their tutor gives out. The signed-in user is cached in localStorage so
+ * pages can read it without waiting for the server, and every saved session
+ * is stamped with it (getSessionIdentity).
+ */
+
+import { apiFetch, apiPostJson, apiUrl, getAuthToken, setAuthToken } from './apiClient';
+
+export const ACCOUNTS_ENABLED = import.meta.env.VITE_ACCOUNTS === 'true';
+
+const AUTH_USER_KEY = 'nurs.authUser';
+const ACTIVE_CLASS_KEY = 'nurs.activeClass';
+
+export const ROLE_LABELS = {
+  student: { zh: '學生', en: 'Student' },
+  tutor: { zh: '導師', en: 'Tutor' },
+  admin: { zh: '管理員', en: 'Admin' }
+};
+
+const listeners = new Set();
+
+/**
+ * Calls the listener whenever someone signs in or out, or the profile changes
+ * @param {Function} listener - (user) => void, user null when signed out
+ * @returns {Function} - Removes the listener
+ */
+export const onAuthChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the signed-in user as last seen by the server
+ * @returns {Object|null} - { id, username, displayName, role, provider, classes }, null when signed out
+ */
+export const getSignedInUser = () => {
+  if (!getAuthToken()) return null;
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_USER_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Caches the profile and tells the listeners
+const setSignedInUser = (user) => {
+  if (user) {
+    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(user));
+  } else {
+    localStorage.removeItem(AUTH_USER_KEY);
+  }
+  listeners.forEach(listener => listener(user));
+  return user;
+};
+
+// Keeps the token and profile from a login or registration response
+const handleSignedIn = async (response) => {
+  const { token, user } = await response.json();
+  setAuthToken(token);
+  console.log(`Signed in as ${user.username} (${user.role})`);
+  return setSignedInUser(user);
+};
+
+/**
+ * Signs in with a username and password
+ * @param {string} username - Username or student ID
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - The signed-in user
+ */
+export const login = async (username, password) => handleSignedIn(
+  await apiPostJson('/api/auth/login', { username, password })
+);
+
+/**
+ * Activates an imported student account, or creates one, and joins the class of the join code
+ * @param {Object} details - { username, displayName, password, joinCode, activationCode }, the
+ *   activation code needed for imported student IDs only
+ * @returns {Promise<Object>} - The signed-in user
+ */
+export const register = async (details) => handleSignedIn(await apiPostJson('/api/auth/register', details));
+
+/**
+ * Signs out on the server and in this browser
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  try {
+    await apiFetch('/api/auth/logout');
+  } catch (error) {
+    console.warn('Could not end the session on the server:', error);
+  }
+  setAuthToken(null);
+  setSignedInUser(null);
+};
+
+/**
+ * Reloads the signed-in user from the server, signing out if the token has expired
+ * @returns {Promise<Object|null>} - The user, null when signed out
+ */
+export const refreshCurrentUser = async () => {
+  if (!getAuthToken()) return setSignedInUser(null);
+
+  try {
+    const response = await apiFetch('/api/auth/me', { method: 'GET' });
+    const { user } = await response.json();
+    return setSignedInUser(user);
+  } catch (error) {
+    if (error.status === 401) {
+      setAuthToken(null);
+      return setSignedInUser(null);
+    }
+    // Offline or server down: keep working with the cached profile
+    console.warn('Could not check the sign-in:', error);
+    return getSignedInUser();
+  }
+};
+
+/**
+ * Lists the sign-in options of the server
+ * @returns {Promise<{providers: Array<Object>, openRegistration: boolean}>} - Providers ({ id, type, label })
+ *   and whether students can register without being imported
+ */
+export const fetchAuthProviders = async () => {
+  const response = await apiFetch('/api/auth/providers', { method: 'GET' });
+  return response.json();
+};
+
+/**
+ * URL that starts an SSO sign-in; the browser is sent there as a whole page
+ * @param {string} providerId - Adapter id
+ * @returns {string} - URL
+ */
+export const getSsoLoginUrl = (providerId) => apiUrl(`/api/auth/sso/start?provider=${encodeURIComponent(providerId)}`);
+
+/**
+ * Finishes an SSO sign-in from the fragment the server redirected to (#token=... or #error=...)
+ * @param {string} hash - location.hash of the login page
+ * @returns {Promise<Object|null>} - The signed-in user, null if the fragment is not an SSO result
+ */
+export const completeSsoLogin = async (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (params.get('error')) {
+    throw new Error(params.get('error'));
+  }
+  if (!params.get('token')) return null;
+
+  setAuthToken(params.get('token'));
+  const user = await refreshCurrentUser();
+  if (!user) {
+    throw new Error('Single sign-on did not complete');
+  }
+  return user;
+};
+
+/**
+ * Joins a class with its join code, as a student; tutors teach the classes they create
+ * @param {string} joinCode - Code from the tutor
+ * @returns {Promise<Object>} - The user with the class added
+ */
+export const joinClass = async (joinCode) => {
+  const response = await apiPostJson('/api/classes/join', { joinCode });
+  const { user } = await response.json();
+  return setSignedInUser(user);
+};
+
+/**
+ * Returns the class that sessions are uploaded under: the one picked on the
+ * account page, or else the user's first class
+ * @param {Object} user - Signed-in user
+ * @returns {string} - Class name, empty if the user is in no class as a student
+ */
+export const getActiveClass = (user) => {
+  const classes = (user?.classes || []).filter(entry => entry.role === 'student').map(entry => entry.name);
+  const saved = localStorage.getItem(ACTIVE_CLASS_KEY);
+  return classes.includes(saved) ? saved : classes[0] || '';
+};
+
+/**
+ * Picks the class that sessions are uploaded under
+ * @param {string} className - Class name
+ */
+export const setActiveClass = (className) => {
+  localStorage.setItem(ACTIVE_CLASS_KEY, className);
+  listeners.forEach(listener => listener(getSignedInUser()));
+};
+
+/**
+ * Returns who a new session belongs to, for the session store
+ * @returns {Object|null} - { userId, username, displayName, className }, null when signed out
+ */
+export const getSessionIdentity = () => {
+  const user = getSignedInUser();
+  if (!user) return null;
+  return {
+    userId: user.id,
+    username: user.username,
+    displayName: user.displayName || null,
+    className: getActiveClass(user) || null
+  };
+};
@@ -0,0 +1,247 @@
+import { createChatCompletion } from './llm';
+import { MAX_HINTS_PER_TURN } from '../../shared/chatTasks.mjs';
+
+/**
+ * Coaching hints
+ *
+ * While the student practises, each nurse turn is checked in parallel with
+ * the patient's reply, and a short tip is shown in the control panel when
+ * something could be said better: medical jargon the patient may not know, a
+ * worry the nurse went past, or too much information at once. The tips are
+ * stored on the nurse's conversation entry (`coaching`) and listed in the
+ * post-session report.
+ *
+ * The coach runs a local rule set (the lexicons below) or a lightweight LLM
+ * call. Scenarios can add jargon with `coaching.jargon` or turn the hints off
+ * with `coaching.hints: false` (see src/scenarios/README.md).
+ */
+
+// 'off', 'rules' (local lexicons) or 'llm'; the student can change it in the control panel
+export const COACH_MODES = {
+  off: { zh: '關', en: 'Off' },
+  rules: { zh: '規則', en: 'Rules' },
+  llm: { zh: 'AI 分析', en: 'AI' }
+};
+
+export const DEFAULT_COACH_MODE = COACH_MODES[import.meta.env.VITE_COACH_MODE] ? import.meta.env.VITE_COACH_MODE : 'rules';
+
+// Medical terms patients often do not know, with a lay wording in each patient language
+export const JARGON_LEXICON = [
+  {
+    terms: ['polypectomy', '瘜肉切除術', '息肉切除术'],
+    lay: { yue: '切走腸入面啲細肉粒', cmn: '切掉肠子里的小肉粒', en: 'removing small growths' }
+  },
+  {
+    terms: ['biopsy', '活組織檢查', '活检'],
+    lay: { yue: '攞少少組織去化驗', cmn: '取一点组织去化验', en: 'taking a tiny sample to test' }
+  },
+  {
+    terms: ['sedation', 'sedative', '鎮靜劑', '镇静剂'],
+    lay: { yue: '打針令你放鬆、有啲眼瞓', cmn: '打针让您放松、有点犯困', en: 'medicine to make you relaxed and drowsy' }
+  },
+  {
+    terms: ['anaesthesia', 'anesthesia', 'anaesthetic', 'anesthetic'],
+    lay: { yue: '麻醉藥', cmn: '麻药', en: 'numbing medicine' }
+  },
+  {
+    terms: ['perforation', '穿孔'],
+    lay: { yue: '腸穿咗個窿', cmn: '肠子破了个洞', en: 'a small tear in the bowel' }
+  },
+  {
+    terms: ['bowel preparation', 'bowel prep', '腸道準備', '肠道准备'],
+    lay: { yue: '食瀉藥清腸', cmn: '吃泻药清肠', en: 'emptying your bowel with laxatives' }
+  },
+  {
+    terms: ['nil by mouth', 'npo'],
+    lay: { yue: '唔好食嘢飲嘢', cmn: '不要吃东西喝水', en: 'nothing to eat or drink' }
+  },
+  {
+    terms: ['insufflation', '充氣'],
+    lay: { yue: '打啲氣入腸撐開佢', cmn: '往肠子里打点气撑开', en: 'puffing some air in to open the bowel' }
+  },
+  {
+    terms: ['endoscope', 'endoscopy'],
+    lay: { yue: '內窺鏡，即係一條幼長嘅鏡頭管', cmn: '内镜，就是一根细长的镜头管', en: 'a thin flexible camera tube' }
+  },
+  {
+    terms: ['hypoglycaemia', 'hypoglycemia', '低血糖症'],
+    lay: { yue: '血糖太低', cmn: '血糖太低', en: 'low blood sugar' }
+  },
+  {
+    terms: ['hba1c', '糖化血紅素', '糖化血红蛋白'],
+    lay: { yue: '三個月平均血糖', cmn: '三个月的平均血糖', en: 'your average blood sugar over three months' }
+  },
+  {
+    terms: ['analgesia', 'analgesic', '鎮痛劑', '镇痛剂'],
+    lay: { yue: '止痛藥', cmn: '止痛药', en: 'painkillers' }
+  },
+  {
+    terms: ['dehiscence'],
+    lay: { yue: '傷口爆開', cmn: '伤口裂开', en: 'the wound opening up' }
+  },
+  {
+    terms: ['sutures', 'suture'],
+    lay: { yue: '縫線', cmn: '缝线', en: 'stitches' }
+  },
+  {
+    terms: ['vital signs', '生命表徵', '生命体征'],
+    lay: { yue: '血壓、脈搏同體溫', cmn: '血压、脉搏和体温', en: 'blood pressure, pulse and temperature' }
+  }
+];
+
+// Patient emotions that call for an acknowledgement (see emotionTags.js)
+const CONCERN_EMOTIONS = ['anxious', 'embarrassed', 'confused', 'pain'];
+
+// Words a patient uses when worried or hurting
+const CONCERN_CUES = ['驚', '擔心', '担心', '害怕', '緊張', '紧张', '唔好意思', '不好意思', '痛', '唔明', '不明白',
+  'scared', 'afraid', 'worried', 'nervous', 'embarrass', 'hurt', 'pain', "don't understand"];
+
+// Phrases that acknowledge how the patient feels
+export const EMPATHY_PHRASES = ['明白', '理解', '擔心係', '担心是', '好正常', '很正常', '唔使擔心', '不用担心', '放心',
+  '辛苦', '慢慢', '唔緊要', '没关系', '我知', '我知道', '難為你',
+  'understand', 'i hear', 'must be', 'it is normal', "it's normal", 'completely normal', "don't worry",
+  'take your time', 'that sounds', 'i can see', 'of course'];
+
+// Longer nurse turns are hard to follow when spoken: Chinese characters plus English words
+const MAX_TURN_LENGTH = 120;
+
+const CJK_PATTERN = /[㐀-鿿]/g;
+const CJK_CHAR = /[㐀-鿿]/;
+
+/**
+ * Whether the scenario gives coaching hints; on unless `coaching.hints` is false
+ * @param {Object} scenario - Scenario definition
+ * @returns {boolean}
+ */
+export const isCoachingHintsEnabled = (scenario) => scenario.coaching?.hints !== false;
+
+// Whether a term occurs in the text; Latin terms must match whole words
+const containsTerm = (text, term) => {
+  if (CJK_CHAR.test(term)) {
+    return text.includes(term);
+  }
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+};
+
+// Rough spoken length: Chinese characters plus English words
+const measureTurn = (text) => {
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  const words = text.replace(CJK_PATTERN, ' ').split(/\s+/).filter(word => /[a-z]/i.test(word)).length;
+  return cjk + words;
+};
+
+/**
+ * Checks a nurse turn against the local rule set
+ * @param {string} text - What the nurse said
+ * @param {Object|null} patientTurn - The patient entry the nurse answered ({ text, emotion })
+ * @param {Object} scenario - Scenario definition, its coaching.jargon adds to JARGON_LEXICON
+ * @param {string} language - Patient language id
+ * @returns {Array<{type: string, text: Object}>} - Tips, at most MAX_HINTS_PER_TURN
+ */
+export const checkNurseTurn = (text, patientTurn, scenario, language) => {
+  const hints = [];
+  const lowerText = text.toLowerCase();
+
+  const lexicon = [...(scenario.coaching?.jargon || []), ...JARGON_LEXICON];
+  const jargon = lexicon.find(item => item.terms.some(term => containsTerm(text, term)));
+  if (jargon) {
+    const term = jargon.terms.find(item => containsTerm(text, item));
+    const lay = jargon.lay[language] || jargon.lay.en;
+    hints.push({
+      type: 'jargon',
+      text: {
+        zh: `你用咗術語「${term}」，病人未必明白，可以講「${lay}」`,
+        en: `You used the jargon "${term}"; try a lay term such as "${lay}"`
+      }
+    });
+  }
+
+  const patientText = (patientTurn?.text || '').toLowerCase();
+  const patientConcerned = CONCERN_EMOTIONS.includes(patientTurn?.emotion) ||
+    CONCERN_CUES.some(cue => patientText.includes(cue));
+  if (patientConcerned && !EMPATHY_PHRASES.some(phrase => lowerText.includes(phrase))) {
+    hints.push({
+      type: 'empathy',
+      text: {
+        zh: '病人表達咗擔心或者不適，你未有回應佢嘅感受',
+        en: "The patient expressed worry or discomfort and you didn't acknowledge it"
+      }
+    });
+  }
+
+  if (measureTurn(text) > MAX_TURN_LENGTH) {
+    hints.push({
+      type: 'clarity',
+      text: {
+        zh: '一次講咗好多資訊，試下分段講，再確認病人明白',
+        en: 'That was a lot at once; break it into smaller parts and check understanding'
+      }
+    });
+  }
+
+  return hints.slice(0, MAX_HINTS_PER_TURN);
+};
+
+// Asks the model for tips on the nurse's latest turn
+const requestLlmHints = async (text, history, scenario, language) => {
+  const transcript = history
+    .slice(-6)
+    .map(entry => `${entry.role === 'nurse' ? 'Nurse' : 'Patient'}${entry.role === 'patient' && entry.emotion ? ` [${entry.emotion}]` : ''}: ${entry.text}`)
+    .join('\n');
+
+  // The API server adds the coaching instructions for the scenario
+  const content = await createChatCompletion({
+    task: 'coaching',
+    scenario,
+    language,
+    messages: [
+      {
+        role: 'user',
+        content: `${transcript ? `Conversation so far:\n${transcript}\n\n` : ''}Nurse's latest turn:\n${text}`
+      }
+    ]
+  });
+
+  const { hints } = JSON.parse(content);
+  return hints
+    .slice(0, MAX_HINTS_PER_TURN)
+    .map(hint => ({ type: hint.type, text: { zh: hint.zh, en: hint.en } }));
+};
+
+/**
+ * Coaches one nurse turn, with the rule set or the model. A failed model call
+ * falls back to the rule set, so the conversation never waits on the coach.
+ * @param {Object} options
+ * @param {string} options.text - What the nurse said
+ * @param {Array<Object>} options.history - Conversation entries before this turn
+ * @param {Object} options.scenario - Scenario definition
+ * @param {string} options.language - Patient language id
+ * @param {string} options.mode - Key of COACH_MODES
+ * @returns {Promise<Array<{type: string, text: Object, source: string}>>} - Tips, empty when the turn is fine
+ */
+export const coachNurseTurn = async ({ text, history, scenario, language, mode = DEFAULT_COACH_MODE }) => {
+  if (mode === 'off' || !text.trim()) return [];
+
+  const patientTurn = [...history].reverse().find(entry => entry.role === 'patient') || null;
+
+  if (mode === 'llm') {
+    try {
+      const hints = await requestLlmHints(text, history, scenario, language);
+      return hints.map(hint => ({ ...hint, source: 'llm' }));
+    } catch (error) {
+      console.warn('Coaching model unavailable, using the rule set:', error);
+    }
+  }
+
+  return checkNurseTurn(text, patientTurn, scenario, language).map(hint => ({ ...hint, source: 'rules' }));
+};
+
+/**
+ * Collects the tips stored on a conversation's nurse entries, for the post-session report
+ * @param {Array<Object>} entries - Conversation entries
+ * @returns {Array<Object>} - Tips with the turn number and what the nurse said
+ */
+export const collectCoachingHints = (entries) => entries.flatMap((entry, index) =>
+  (entry.coaching || []).map(hint => ({ ...hint, turn: index + 1, quote: entry.text }))
+);
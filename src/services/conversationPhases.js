@@ -0,0 +1,177 @@
+/**
+ * Conversation phases for the coaching sidebar.
+ *
+ * A nursing consultation moves through a few phases: greeting, history
+ * taking, explaining the preparation, the examination or procedure, and the
+ * advice for afterwards. A phase counts as covered once one of the nurse's
+ * turns sends one of its prompts or uses a phrase that signals it (in
+ * Cantonese, Putonghua and English, plus the scenario's own). Phrases are
+ * matched as written, so they are kept to ones that belong to a single phase
+ * rather than words such as 護士 or risk that come up in any of them. Where a
+ * phase sits in the conversation counts too: a greeting only in the nurse's
+ * first turns, and aftercare advice only once an earlier phase has been
+ * covered. The sidebar in PatientSimulator proposes prompts for the phases
+ * still open.
+ *
+ * Scenarios tune the sidebar with an optional `coaching` object (see
+ * src/scenarios/README.md) and tag their `suggestedQuestions` categories with
+ * a `phase`, so their questions are offered under that phase.
+ */
+
+// Phases in the order they usually come, with generic prompts in each patient
+// language; {name} is replaced by the patient's name. firstTurns limits a
+// phase to the nurse's opening turns, and follows to turns after one of the
+// listed phases was covered.
+export const CONVERSATION_PHASES = [
+  {
+    id: 'greeting',
+    label: { zh: '問候及自我介紹', en: 'Greeting' },
+    firstTurns: 3,
+    keywords: ['你好', '您好', '早晨', '午安', '早上好', '下午好', '我係今日', '我是今天', '負責照顧你', '负责照顾您',
+      '點稱呼你', '怎么称呼您', '貴姓', '贵姓',
+      'hello', 'good morning', 'good afternoon', 'my name is', "i'm the nurse", 'i am the nurse', 'how would you like me to call you'],
+    prompts: {
+      yue: ['{name}你好，我係今日負責照顧你嘅護士，請問點稱呼你？'],
+      cmn: ['{name}您好，我是今天负责照顾您的护士，请问怎么称呼您？'],
+      en: ["Hello {name}, I'm the nurse looking after you today. How would you like me to call you?"]
+    }
+  },
+  {
+    id: 'history',
+    label: { zh: '病史詢問', en: 'History taking' },
+    keywords: ['病史', '長期病', '长期病', '食緊咩藥', '在吃什么药', '過敏', '过敏', '藥物敏感', '食物敏感', '有幾耐', '多久了',
+      '幾時開始', '什么时候开始', '症狀', '症状', '邊度唔舒服', '哪里不舒服',
+      'medical history', 'long-term condition', 'regular medicine', 'any medication', 'allergic', 'allergies',
+      'how long have you', 'when did it start', 'symptom'],
+    prompts: {
+      yue: ['可唔可以講下你最近有咩唔舒服？有冇長期病或者食緊咩藥？', '你有冇對咩藥物或者食物敏感？'],
+      cmn: ['可以说说您最近哪里不舒服吗？有没有长期病，或者在吃什么药？', '您对什么药物或者食物过敏吗？'],
+      en: ["Could you tell me what's been bothering you lately? Do you have any long-term conditions or take regular medicines?",
+        'Are you allergic to any medicines or foods?']
+    }
+  },
+  {
+    id: 'preparation',
+    label: { zh: '準備說明', en: 'Preparation' },
+    keywords: ['點準備', '怎样准备', '怎么准备', '禁食', '空肚', '空腹', '瀉藥', '泻药', '清腸', '清肠', '流質', '流质',
+      '同意書', '同意书', 'get ready', 'prepare for', 'fasting', 'nothing to eat', 'laxative', 'bowel prep', 'clear fluids',
+      'consent form'],
+    prompts: {
+      yue: ['我同你講下做之前要點準備，有唔明白隨時問我。'],
+      cmn: ['我跟您讲解一下做之前要怎样准备，有不明白的随时问我。'],
+      en: ['Let me explain how to get ready beforehand. Please stop me if anything is unclear.']
+    }
+  },
+  {
+    id: 'examination',
+    label: { zh: '檢查過程', en: 'Examination' },
+    keywords: ['檢查嘅過程', '检查的过程', '檢查過程', '检查过程', '檢查期間', '检查期间', '內窺鏡', '内窥镜', '麻醉',
+      '鎮靜', '镇静', '清洗傷口', '清洗伤口', '洗傷口', '換藥', '换药',
+      'during the procedure', 'during the examination', 'what happens during', 'the scope', 'sedation', 'anaesthe',
+      'anesthe', 'clean the wound'],
+    prompts: {
+      yue: ['我解釋下檢查嘅過程，同埋期間你可能會有咩感覺，好嗎？'],
+      cmn: ['我来解释一下检查的过程，以及期间您可能会有什么感觉，好吗？'],
+      en: ['Shall I explain what happens during the examination and how it may feel?']
+    }
+  },
+  {
+    id: 'aftercare',
+    label: { zh: '之後的指導', en: 'Aftercare advice' },
+    follows: ['history', 'preparation', 'examination'],
+    keywords: ['做完之後', '做完之后', '出院', '返屋企之後', '回家后', '要注意', '需要注意', '覆診', '复诊', '併發症', '并发症',
+      '有咩唔妥', '有不妥', 'afterwards', 'after the procedure', 'discharge', 'when you go home', 'follow-up', 'follow up',
+      'complication', 'look out for', 'warning sign'],
+    prompts: {
+      yue: ['做完之後有啲嘢要注意，我同你講下，同埋如果有咩唔妥應該點做。'],
+      cmn: ['我跟您讲讲之后需要注意的事项，以及如果有不妥应该怎么做。'],
+      en: ["Let me go through what to look out for afterwards, and what to do if something doesn't feel right."]
+    }
+  }
+];
+
+// Prompts offered per open phase
+const MAX_PROMPTS_PER_PHASE = 3;
+
+/**
+ * Whether the scenario shows the coaching sidebar; on unless `coaching.sidebar` is false
+ * @param {Object} scenario - Scenario definition
+ * @returns {boolean}
+ */
+export const isCoachingSidebarEnabled = (scenario) => scenario.coaching?.sidebar !== false;
+
+/**
+ * The phases a scenario goes through, all of them unless `coaching.phases` lists some
+ * @param {Object} scenario - Scenario definition
+ * @returns {Array<Object>} - Phases from CONVERSATION_PHASES, in order
+ */
+export const getScenarioPhases = (scenario) => {
+  const selected = scenario.coaching?.phases;
+  return Array.isArray(selected)
+    ? CONVERSATION_PHASES.filter(phase => selected.includes(phase.id))
+    : CONVERSATION_PHASES;
+};
+
+/**
+ * Prompts for one phase: the scenario's suggested questions tagged with it,
+ * when the patient speaks the scenario's language, then the generic ones
+ * @param {Object} scenario - Scenario definition
+ * @param {Object} phase - Entry of CONVERSATION_PHASES
+ * @param {string} language - Patient language id
+ * @returns {Array<string>} - Prompts, at most MAX_PROMPTS_PER_PHASE
+ */
+const getPhasePrompts = (scenario, phase, language) => {
+  const scenarioPrompts = language === (scenario.language || 'yue')
+    ? (scenario.suggestedQuestions || [])
+      .filter(category => category.phase === phase.id)
+      .flatMap(category => category.questions)
+    : [];
+
+  const name = language === 'en' ? (scenario.patient.name.en || scenario.patient.name.zh) : scenario.patient.name.zh;
+  const genericPrompts = (phase.prompts[language] || phase.prompts.en).map(prompt => prompt.replace('{name}', name));
+
+  return [...new Set([...scenarioPrompts, ...genericPrompts])].slice(0, MAX_PROMPTS_PER_PHASE);
+};
+
+/**
+ * Works out which phases the nurse has covered so far and what to ask next
+ * @param {Object} scenario - Scenario definition
+ * @param {Array<Object>} entries - Conversation entries ({ role, text })
+ * @param {string} language - Patient language id
+ * @returns {Array<{id: string, label: Object, covered: boolean, prompts: Array<string>}>} - Phases in order
+ */
+export const getPhaseProgress = (scenario, entries, language) => {
+  const nurseTurns = entries
+    .filter(entry => entry.role === 'nurse')
+    .map(entry => entry.text || '');
+  const scenarioKeywords = scenario.coaching?.keywords || {};
+
+  const scenarioPhases = getScenarioPhases(scenario);
+  const phases = scenarioPhases.map(phase => ({
+    phase,
+    prompts: getPhasePrompts(scenario, phase, language),
+    keywords: [...phase.keywords, ...(scenarioKeywords[phase.id] || [])].map(keyword => keyword.toLowerCase()),
+    // Only phases the scenario goes through can come first
+    follows: (phase.follows || []).filter(id => scenarioPhases.some(entry => entry.id === id))
+  }));
+
+  // Turn by turn, so a phase that has to follow another only counts from the
+  // turn after that one was covered. A prompt sent from the sidebar always counts.
+  const covered = new Set();
+  nurseTurns.forEach((text, index) => {
+    const lowerText = text.toLowerCase();
+    const coveredBefore = new Set(covered);
+
+    phases.forEach(({ phase, prompts, keywords, follows }) => {
+      if (covered.has(phase.id)) return;
+
+      const inPlace = !(phase.firstTurns && index >= phase.firstTurns) &&
+        (follows.length === 0 || follows.some(id => coveredBefore.has(id)));
+      if (prompts.includes(text) || (inPlace && keywords.some(keyword => lowerText.includes(keyword)))) {
+        covered.add(phase.id);
+      }
+    });
+  });
+
+  return phases.map(({ phase, prompts }) => ({ id: phase.id, label: phase.label, covered: covered.has(phase.id), prompts }));
+};
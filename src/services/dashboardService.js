@@ -0,0 +1,166 @@
+/**
+ * Instructor dashboard client
+ *
+ * With VITE_DASHBOARD_UPLOAD=true, completed sessions are uploaded to the
+ * local server's dashboard (server/dashboard.js) under the student who
+ * practised with accounts on (authService.js), or else under the class and
+ * student id the student entered, which the server accepts only with
+ * DASHBOARD_ANONYMOUS_UPLOADS=true. Only a summary is sent: scenario, practice or exam,
+ * turn count, duration and the assessment report, no transcript or recordings.
+ */
+
+import { apiFetch, apiPostJson } from './apiClient';
+import { ACCOUNTS_ENABLED, getSignedInUser, getActiveClass } from './authService';
+import { getScenario, hasScenario } from '../scenarios';
+import { getSession, updateSession, getSessionMode, getSessionTurnCount, getSessionDuration } from './sessionStore';
+
+export const DASHBOARD_UPLOAD_ENABLED = import.meta.env.VITE_DASHBOARD_UPLOAD === 'true';
+
+const STUDENT_PROFILE_KEY = 'nurs.studentProfile';
+const INSTRUCTOR_KEY_KEY = 'nurs.instructorKey';
+
+/**
+ * Returns the class and student details saved in this browser
+ * @returns {{className: string, studentId: string, studentName: string}} - Profile, empty fields if not set
+ */
+export const getStudentProfile = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STUDENT_PROFILE_KEY) || '{}');
+    return {
+      className: saved.className || '',
+      studentId: saved.studentId || '',
+      studentName: saved.studentName || ''
+    };
+  } catch (error) {
+    return { className: '', studentId: '', studentName: '' };
+  }
+};
+
+/**
+ * Saves the class and student details used for uploads
+ * @param {Object} profile - { className, studentId, studentName }
+ */
+export const saveStudentProfile = ({ className, studentId, studentName }) => {
+  localStorage.setItem(STUDENT_PROFILE_KEY, JSON.stringify({
+    className: className.trim(),
+    studentId: studentId.trim(),
+    studentName: studentName.trim()
+  }));
+};
+
+// Uploads need at least the class and the student id
+const isProfileComplete = (profile) => Boolean(profile.className && profile.studentId);
+
+/**
+ * Works out whom a session is uploaded under. With accounts, the server takes
+ * the student from the sign-in and checks the class, so only the class is needed.
+ * @param {Object} session - Saved session
+ * @returns {Object|null} - { className, studentId, studentName }, null if unknown
+ */
+const getUploadStudent = (session) => {
+  if (!ACCOUNTS_ENABLED) {
+    const profile = getStudentProfile();
+    return isProfileComplete(profile) ? { ...profile, studentName: profile.studentName || null } : null;
+  }
+
+  const user = getSignedInUser();
+  // Sessions are uploaded by the student who practised them
+  if (!user || (session.student && session.student.userId !== user.id)) return null;
+
+  const className = session.student?.className || getActiveClass(user);
+  return className ? { className, studentId: user.username, studentName: user.displayName || null } : null;
+};
+
+/**
+ * Uploads a completed session to the instructor dashboard. Uploading again,
+ * e.g. once the assessment is ready, replaces the earlier upload.
+ * Exam attempts are not uploaded: the server records and scores them when
+ * they are handed in (examService.js).
+ * @param {string} sessionId - Id of the session in the session store
+ * @returns {Promise<boolean>} - true if uploaded, false if uploads are off, the
+ *   student details or sign-in are missing, the session has no turns or is an exam
+ */
+export const uploadSession = async (sessionId) => {
+  if (!DASHBOARD_UPLOAD_ENABLED) return false;
+
+  const session = await getSession(sessionId);
+  if (!session || getSessionTurnCount(session) === 0 || getSessionMode(session) === 'exam') return false;
+
+  const student = getUploadStudent(session);
+  if (!student) {
+    console.warn('Session not uploaded to the dashboard: no signed-in student with a class, or class and student id not set');
+    return false;
+  }
+
+  const scenario = hasScenario(session.scenarioId) ? getScenario(session.scenarioId) : null;
+  await apiPostJson('/api/dashboard/sessions', {
+    id: session.id,
+    ...student,
+    type: session.type,
+    mode: getSessionMode(session),
+    scenarioId: session.scenarioId,
+    scenarioTitle: scenario?.title.en || null,
+    language: session.language || scenario?.language || null,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    durationMs: getSessionDuration(session),
+    turnCount: getSessionTurnCount(session),
+    assessment: session.assessment
+  });
+
+  await updateSession(session.id, { uploadedAt: new Date().toISOString() });
+  console.log(`Uploaded session ${session.id} to the instructor dashboard`);
+  return true;
+};
+
+/**
+ * Returns the instructor key entered in this tab
+ * @returns {string} - Key, empty if none
+ */
+export const getInstructorKey = () => sessionStorage.getItem(INSTRUCTOR_KEY_KEY) || '';
+
+/**
+ * Remembers the instructor key until the tab is closed
+ * @param {string} key - INSTRUCTOR_KEY of the server
+ */
+export const setInstructorKey = (key) => {
+  sessionStorage.setItem(INSTRUCTOR_KEY_KEY, key);
+};
+
+// Query string of the dashboard filters
+const toQuery = ({ mode, className, studentId, scenarioId }, extra = {}) => {
+  const query = new URLSearchParams(extra);
+  if (mode) query.set('mode', mode);
+  if (className) query.set('class', className);
+  if (studentId) query.set('student', studentId);
+  if (scenarioId) query.set('scenario', scenarioId);
+  return query.toString();
+};
+
+const instructorFetch = (path) => apiFetch(path, {
+  method: 'GET',
+  headers: { 'X-Instructor-Key': getInstructorKey() }
+});
+
+/**
+ * Loads the dashboard for the given filters
+ * @param {Object} filters - { mode, className, studentId, scenarioId }, empty for all
+ * @returns {Promise<{students: Array, sessions: Array, options: Object}>} - Per-student summaries, sessions and filter options
+ */
+export const fetchDashboard = async (filters) => {
+  const response = await instructorFetch(`/api/dashboard?${toQuery(filters)}`);
+  return response.json();
+};
+
+/**
+ * Downloads the cohort as CSV
+ * @param {Object} filters - { mode, className, studentId, scenarioId }
+ * @param {string} view - 'students' for one row per student, 'sessions' for one row per session
+ * @returns {Promise<{blob: Blob, filename: string}>} - The CSV file
+ */
+export const fetchCohortCsv = async (filters, view) => {
+  const response = await instructorFetch(`/api/dashboard/export?${toQuery(filters, { view })}`);
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${filters.mode === 'exam' ? 'exam' : 'cohort'}_${view}.csv`;
+  return { blob: await response.blob(), filename };
+};
@@ -0,0 +1,6 @@
+/**
+ * Emotion tags on patient replies, shared with the API server, which asks the
+ * model for them (see shared/emotionTags.mjs).
+ */
+
+export * from '../../shared/emotionTags.mjs';
@@ -0,0 +1,143 @@
+/**
+ * Exam mode
+ *
+ * An exam is a timed OSCE attempt at a scenario (route /scenario/:id/exam):
+ * one try against a countdown, without suggested questions or the text
+ * chatbot, submitted automatically when the time is up. Exam sessions are
+ * saved with mode 'exam', so the session history and the instructor
+ * dashboard keep them apart from practice.
+ *
+ * The local server keeps the attempts (server/exams.js): it sets the
+ * deadline when an attempt starts, accepts a single submission, and scores
+ * the transcript itself against the rubric it holds. A reload resumes the
+ * same attempt against the same deadline, and a submitted exam cannot be
+ * sat again.
+ *
+ * While an exam runs, its deadline is also kept in localStorage, so the rest
+ * of the app (navigation, practice, history and the chatbot) stays locked
+ * across reloads and tabs.
+ */
+
+import { apiFetch, apiPostJson } from './apiClient';
+import { ACCOUNTS_ENABLED, getSignedInUser, getActiveClass } from './authService';
+import { getStudentProfile } from './dashboardService';
+
+// Shown in the scenario library; the server's EXAM_MINUTES decides the time allowed
+export const EXAM_DEFAULT_MINUTES = Number(import.meta.env.VITE_EXAM_MINUTES) || 8;
+
+const EXAM_LOCK_KEY = 'nurs.examInProgress';
+
+const listeners = new Set();
+
+/**
+ * Time allowed for an exam of the scenario, as shown in the scenario library
+ * @param {Object} scenario - Scenario definition, its optional exam.durationMinutes overrides the default
+ * @returns {number} - Duration in milliseconds
+ */
+export const getExamDuration = (scenario) => (scenario.exam?.durationMinutes || EXAM_DEFAULT_MINUTES) * 60000;
+
+/**
+ * Time an attempt allows, from the start and deadline the server set
+ * @param {Object} attempt - Attempt with startedAt and deadline
+ * @returns {number} - Duration in milliseconds
+ */
+export const getAttemptDuration = (attempt) => new Date(attempt.deadline) - new Date(attempt.startedAt);
+
+/**
+ * Time left until a deadline
+ * @param {string} deadline - ISO time the exam ends
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Milliseconds left, 0 once the time is up
+ */
+export const getExamTimeLeft = (deadline, now = Date.now()) => Math.max(0, new Date(deadline).getTime() - now);
+
+/**
+ * Calls the listener whenever an exam starts or ends
+ * @param {Function} listener - (exam) => void, exam null when none is running
+ * @returns {Function} - Removes the listener
+ */
+export const onExamChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the exam in progress in this browser
+ * @returns {Object|null} - { scenarioId, deadline }, null when none is running or its time is up
+ */
+export const getExamInProgress = () => {
+  try {
+    const exam = JSON.parse(localStorage.getItem(EXAM_LOCK_KEY) || 'null');
+    return exam && getExamTimeLeft(exam.deadline) > 0 ? exam : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Locks the app for a running exam, or unlocks it once the exam is submitted
+ * @param {Object|null} exam - { scenarioId, deadline }, null to unlock
+ */
+export const setExamInProgress = (exam) => {
+  if (exam) {
+    localStorage.setItem(EXAM_LOCK_KEY, JSON.stringify(exam));
+  } else {
+    localStorage.removeItem(EXAM_LOCK_KEY);
+  }
+  listeners.forEach(listener => listener(getExamInProgress()));
+};
+
+// Who is sitting the exam: the class to file it under for a signed-in
+// student, or the class and student ID entered without accounts
+const getExamStudent = () => {
+  if (!ACCOUNTS_ENABLED) return getStudentProfile();
+  const user = getSignedInUser();
+  return user ? { className: getActiveClass(user) } : {};
+};
+
+/**
+ * Looks up the student's attempt at a scenario's exam
+ * @param {string} scenarioId - Scenario id
+ * @returns {Promise<{attempt: Object|null, durationMs: number}>} - Attempt { id, startedAt, deadline,
+ *   submittedAt, rubricId, rubricVersion, assessment }, null if none, and the time the server allows
+ */
+export const fetchExamAttempt = async (scenarioId) => {
+  const query = new URLSearchParams({ scenarioId, ...getExamStudent() });
+  return (await apiFetch(`/api/exams/attempt?${query}`, { method: 'GET' })).json();
+};
+
+/**
+ * Starts the student's attempt at a scenario's exam, or resumes the one
+ * already running. Fails once the exam has been submitted.
+ * @param {string} scenarioId - Scenario id
+ * @returns {Promise<Object>} - The attempt with the server's deadline
+ */
+export const startExamAttempt = async (scenarioId) => (
+  await (await apiPostJson('/api/exams/start', { scenarioId, ...getExamStudent() })).json()
+).attempt;
+
+/**
+ * Hands an attempt in; the server scores it
+ * @param {string} attemptId - Attempt id
+ * @param {Object} submission - { turns: conversation entries, language, endedBy: 'submitted' or 'timeout' }
+ * @returns {Promise<{attempt: Object, assessmentError: string}>} - The attempt with the server's
+ *   assessment, or assessmentError if scoring failed (the submission stands)
+ */
+export const submitExamAttempt = async (attemptId, { turns, language, endedBy }) => (
+  await apiPostJson('/api/exams/submit', {
+    attemptId,
+    ...getExamStudent(),
+    language,
+    endedBy,
+    turns: turns.map(entry => ({ role: entry.role, text: entry.text || '', interrupted: Boolean(entry.interrupted) }))
+  }, { timeout: 90000 })
+).json();
+
+/**
+ * Asks the server to score a submitted attempt whose scoring failed
+ * @param {string} attemptId - Attempt id
+ * @returns {Promise<Object>} - The attempt with its assessment
+ */
+export const assessExamAttempt = async (attemptId) => (
+  await (await apiPostJson('/api/exams/assess', { attemptId, ...getExamStudent() }, { timeout: 90000 })).json()
+).attempt;
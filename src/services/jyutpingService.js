@@ -0,0 +1,22 @@
+// Cantonese romanisation with the to-jyutping dictionary, which is bundled with
+// the app so it works offline. The dictionary is large, so it is only loaded on first use.
+
+let converterPromise = null;
+
+const loadConverter = () => {
+  if (!converterPromise) {
+    converterPromise = import('to-jyutping').then(module => module.default);
+  }
+  return converterPromise;
+};
+
+/**
+ * Looks up the Jyutping of each character of a text
+ * @param {string} text - Cantonese text
+ * @returns {Promise<Array<[string, string|null]>>} - Pairs of character and Jyutping syllable, null for punctuation, Latin letters and digits
+ */
+export const getJyutpingList = async (text) => {
+  const converter = await loadConverter();
+  // Ambiguous characters come back as "hang4 haang4", the first reading is the likeliest
+  return converter.getJyutpingList(text).map(([character, jyutping]) => [character, jyutping ? jyutping.split(' ')[0] : null]);
+};
@@ -0,0 +1,83 @@
+/**
+ * LLM provider layer
+ *
+ * All chat completions go through createChatCompletion(), which forwards the
+ * request to the provider selected with VITE_LLM_PROVIDER:
+ *
+ * - `proxy` - the server-side API proxy (default). The server chooses Azure
+ *             OpenAI, OpenAI or a local OpenAI-compatible server with its own
+ *             LLM_PROVIDER setting, so no credentials reach the browser.
+ * - `mock`  - deterministic scripted replies, no network access
+ */
+
+import { proxyProvider } from './proxyProvider';
+import { mockProvider } from './mockProvider';
+
+export const DEFAULT_PROVIDER_ID = 'proxy';
+
+// Upstreams that used to be called from the browser and now live on the server
+const SERVER_SIDE_PROVIDERS = ['azure', 'openai', 'local'];
+
+const providers = {
+  [proxyProvider.id]: proxyProvider,
+  [mockProvider.id]: mockProvider
+};
+
+/**
+ * Lists the available providers
+ * @returns {Array<Object>} - Provider descriptions with id and label
+ */
+export const listProviders = () => Object.values(providers).map(provider => ({
+  id: provider.id,
+  label: provider.label
+}));
+
+/**
+ * Returns the provider selected in the environment
+ * @returns {Object} - Provider implementation
+ */
+export const getActiveProvider = () => {
+  const id = (import.meta.env.VITE_LLM_PROVIDER || DEFAULT_PROVIDER_ID).toLowerCase();
+
+  if (SERVER_SIDE_PROVIDERS.includes(id)) {
+    console.warn(`VITE_LLM_PROVIDER="${id}" is now configured on the server with LLM_PROVIDER, using the API server`);
+    return providers[DEFAULT_PROVIDER_ID];
+  }
+
+  if (!providers[id]) {
+    console.warn(`Unknown LLM provider "${id}", using ${DEFAULT_PROVIDER_ID}`);
+    return providers[DEFAULT_PROVIDER_ID];
+  }
+
+  return providers[id];
+};
+
+/**
+ * Runs a chat task with the active provider. The system prompt, sampling
+ * settings and output format of each task are built on the API server from
+ * the scenario (shared/chatTasks.mjs), so only the conversation is sent.
+ * @param {Object} request - Provider-neutral request
+ * @param {string} request.task - Key of CHAT_TASKS: patient, chatbot, translation, coaching or assessment
+ * @param {Object} request.scenario - Scenario definition
+ * @param {string} request.language - Patient language of the session, defaults to the scenario's own
+ * @param {string} request.subtitleLanguage - Key of SUBTITLE_LANGUAGES, for translation
+ * @param {Object} request.rubric - Rubric definition, for assessment
+ * @param {Array} request.messages - Chat messages ({ role, content }), user and assistant only
+ * @param {boolean} request.stream - Stream the response token by token
+ * @param {Function} request.onToken - Called with (content, fullText) while streaming
+ * @param {number} request.timeout - Timeout in milliseconds
+ * @returns {Promise<string>} - The generated text
+ */
+export const createChatCompletion = async (request) => {
+  const provider = getActiveProvider();
+
+  try {
+    console.log(`Sending chat completion to ${provider.label}...`);
+    const text = await provider.createChatCompletion(request);
+    console.log(`Received chat completion from ${provider.label}`);
+    return text;
+  } catch (error) {
+    console.error(`Error calling ${provider.label}:`, error);
+    throw new Error(`${provider.label} request failed: ${error.message}`);
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * Deterministic scripted provider for offline demos and UI tests.
+ *
+ * Patient replies come from the scenario's `mockScript`: the first reply whose
+ * keywords appear in the nurse's latest message is used, otherwise the
+ * fallback lines are used in turn. Tasks with structured output get a
+ * placeholder object built from the task's JSON schema. The same
+ * conversation always produces the same answers.
+ */
+
+import { buildChatTask } from '../../../shared/chatTasks.mjs';
+
+// Used when the scenario has no mockScript of its own
+const DEFAULT_FALLBACK = [
+  '唔好意思，我唔係好明……你可唔可以再講多次？',
+  '哦……咁即係點呀？',
+  '明白，多謝你。'
+];
+
+// Delay between streamed tokens so the UI behaves like a real model
+const TOKEN_DELAY_MS = Number(import.meta.env.VITE_MOCK_LLM_DELAY_MS ?? 30);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Plain text of a message, whether content is a string or a list of parts
+const messageText = (message) => (
+  typeof message?.content === 'string'
+    ? message.content
+    : (message?.content || []).map(part => part.text || '').join('')
+);
+
+/**
+ * Picks the scripted reply for the latest nurse message
+ * @param {Array} messages - Chat messages
+ * @param {Object} scenario - Scenario definition
+ * @returns {string} - Scripted reply
+ */
+const pickScriptedReply = (messages, scenario) => {
+  const script = scenario?.mockScript || {};
+  const userMessages = messages.filter(message => message.role === 'user');
+  const input = messageText(userMessages[userMessages.length - 1]).toLowerCase();
+
+  const match = (script.replies || []).find(reply =>
+    (reply.keywords || []).some(keyword => input.includes(keyword.toLowerCase()))
+  );
+
+  if (match) {
+    // Replies may carry the emotion tag the real model is asked to add
+    return match.emotion ? `[${match.emotion}] ${match.text}` : match.text;
+  }
+
+  const fallback = script.fallback?.length > 0 ? script.fallback : DEFAULT_FALLBACK;
+  return fallback[(userMessages.length - 1 + fallback.length) % fallback.length];
+};
+
+/**
+ * Builds a placeholder value that satisfies a JSON schema
+ * @param {Object} schema - JSON schema
+ * @returns {*} - Placeholder value
+ */
+const buildFromSchema = (schema) => {
+  if (!schema) return null;
+
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, buildFromSchema(value)])
+      );
+    case 'array': {
+      // Lists of items keyed by an enumerated id get one item per id
+      const idEnum = schema.items?.properties?.id?.enum;
+      if (idEnum) {
+        return idEnum.map(id => ({ ...buildFromSchema(schema.items), id }));
+      }
+      return [];
+    }
+    case 'integer':
+    case 'number':
+      return 1;
+    case 'boolean':
+      return false;
+    case 'string':
+      return '(mock)';
+    default:
+      return null;
+  }
+};
+
+export const mockProvider = {
+  id: 'mock',
+  label: 'Scripted mock (offline)',
+
+  createChatCompletion: async (request) => {
+    const schema = buildChatTask(request.task, request).responseFormat?.json_schema?.schema;
+    const text = schema
+      ? JSON.stringify(buildFromSchema(schema))
+      : pickScriptedReply(request.messages, request.scenario);
+
+    if (!request.stream) {
+      return text;
+    }
+
+    // Stream the reply a few characters at a time
+    let fullText = '';
+    for (let i = 0; i < text.length; i += 2) {
+      const content = text.slice(i, i + 2);
+      fullText += content;
+      if (request.onToken) {
+        request.onToken(content, fullText);
+      }
+      if (TOKEN_DELAY_MS > 0) {
+        await wait(TOKEN_DELAY_MS);
+      }
+    }
+
+    return fullText;
+  }
+};
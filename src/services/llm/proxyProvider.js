@@ -0,0 +1,85 @@
+import { apiPostJson } from '../apiClient';
+
+/**
+ * Sends chat tasks through the server-side proxy (/api/chat). The server
+ * builds the prompt of the task and picks the upstream model with its
+ * LLM_PROVIDER setting (Azure OpenAI, OpenAI or a local OpenAI-compatible
+ * server). Scenarios and rubrics are sent by id only.
+ */
+
+/**
+ * Reads a server-sent event stream of chat completion chunks
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onToken - Called with (content, fullText) for every received token
+ * @returns {Promise<string>} - The complete generated text
+ */
+const readEventStream = async (response, onToken) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let fullText = '';
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+
+    if (done) {
+      break;
+    }
+
+    // Decode chunk and add to buffer
+    buffer += decoder.decode(value, { stream: true });
+
+    // Process complete lines, keep the last incomplete one in the buffer
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line.startsWith('data:')) continue;
+
+      const jsonStr = line.slice(5).trim();
+      if (jsonStr === '[DONE]') continue;
+
+      try {
+        const json = JSON.parse(jsonStr);
+        const content = json.choices?.[0]?.delta?.content;
+
+        if (content) {
+          fullText += content;
+          if (onToken) {
+            onToken(content, fullText);
+          }
+        }
+      } catch (e) {
+        console.warn('Error parsing JSON from stream:', e);
+      }
+    }
+  }
+
+  return fullText;
+};
+
+export const proxyProvider = {
+  id: 'proxy',
+  label: 'API server',
+
+  createChatCompletion: async (request) => {
+    const response = await apiPostJson('/api/chat', {
+      task: request.task,
+      scenarioId: request.scenario.id,
+      language: request.language,
+      messages: request.messages,
+      stream: Boolean(request.stream),
+      subtitleLanguage: request.subtitleLanguage,
+      rubricId: request.rubric?.id,
+      rubricVersion: request.rubric?.version
+    }, { timeout: request.timeout ?? 30000 });
+
+    if (request.stream) {
+      return readEventStream(response, request.onToken);
+    }
+
+    const data = await response.json();
+    return data.content;
+  }
+};
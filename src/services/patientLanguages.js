@@ -0,0 +1,49 @@
+/**
+ * Languages the simulated patient can speak
+ *
+ * A session's patient language switches everything that depends on it: the
+ * persona's language instruction, Whisper's language and prompt, the streaming
+ * recognition locale, the TTS voice and SSML xml:lang, and the UI hints.
+ * Scenario files are written for their own `language` (Cantonese for the
+ * bundled cases) and are adapted when another language is chosen.
+ *
+ * The language table lives in shared/patientLanguages.mjs, since the API
+ * server builds the prompts from it too.
+ */
+
+import { PATIENT_LANGUAGES as LANGUAGES, DEFAULT_PATIENT_LANGUAGE } from '../../shared/patientLanguages.mjs';
+
+export { DEFAULT_PATIENT_LANGUAGE };
+
+// The Cantonese voice can still be overridden as before
+const CANTONESE_VOICE = import.meta.env.VITE_AZURE_SPEECH_VOICE_NAME;
+
+export const PATIENT_LANGUAGES = CANTONESE_VOICE
+  ? { ...LANGUAGES, yue: { ...LANGUAGES.yue, voices: { male: CANTONESE_VOICE, female: CANTONESE_VOICE } } }
+  : LANGUAGES;
+
+/**
+ * Looks up a patient language, falling back to Cantonese
+ * @param {string} id - Language code (yue, cmn or en)
+ * @returns {Object} - Language definition
+ */
+export const getPatientLanguage = (id) => {
+  if (id && PATIENT_LANGUAGES[id]) {
+    return PATIENT_LANGUAGES[id];
+  }
+  if (id) {
+    console.warn(`Unknown patient language "${id}", using ${DEFAULT_PATIENT_LANGUAGE}`);
+  }
+  return PATIENT_LANGUAGES[DEFAULT_PATIENT_LANGUAGE];
+};
+
+/**
+ * Picks the TTS voice for a patient
+ * @param {string} languageId - Patient language code
+ * @param {string} gender - Patient gender from the scenario, 'male' or 'female'
+ * @returns {string} - Azure neural voice name
+ */
+export const getPatientVoice = (languageId, gender = 'male') => {
+  const { voices } = getPatientLanguage(languageId);
+  return voices[gender] || voices.male;
+};
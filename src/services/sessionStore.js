@@ -0,0 +1,307 @@
+/**
+ * Session store
+ *
+ * Practice sessions are saved to IndexedDB as they happen, so a refresh or a
+ * browser crash does not lose a session. The `sessions` store holds one record
+ * per session (transcript, assessment, settings); the `audio` store holds the
+ * recorded clips, indexed by session, so the list can be read without loading
+ * any audio.
+ *
+ * Sessions are 'active' until they are ended; an active session with turns in
+ * it is offered for resuming when its page is opened again. Timed exam
+ * attempts (examService.js) have mode 'exam' and are only resumed as exams.
+ */
+
+const DB_NAME = 'nurs-sessions';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const AUDIO = 'audio';
+
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} - The request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves once a transaction has been committed
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+// Opens the database once and reuses the connection
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSIONS)) {
+        const sessions = db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        sessions.createIndex('startedAt', 'startedAt');
+      }
+      if (!db.objectStoreNames.contains(AUDIO)) {
+        const audio = db.createObjectStore(AUDIO, { keyPath: 'id' });
+        audio.createIndex('sessionId', 'sessionId');
+      }
+    };
+
+    databasePromise = promisify(request).catch(error => {
+      // Private browsing and blocked storage end up here; try again next time
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Creates and saves a new session
+ * @param {Object} details - What the session is
+ * @param {string} details.type - 'simulator' for the voice simulator, 'chatbot' for the text chatbot
+ * @param {string} details.scenarioId - Scenario id
+ * @param {string} details.language - Patient language of the session
+ * @param {Object} details.student - Signed-in student ({ userId, username, displayName, className }), see authService.getSessionIdentity
+ * @param {string} details.mode - 'practice', or 'exam' for a timed exam attempt
+ * @param {Object} details.exam - Exam timing ({ durationMs, deadline }) in exam mode
+ * @returns {Promise<Object>} - The saved session
+ */
+export const createSession = async ({ type, scenarioId, language = null, student = null, mode = 'practice', exam = null }) => {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    type,
+    scenarioId,
+    language,
+    student, // Who practised, null without accounts
+    mode,
+    exam, // { durationMs, deadline, endedBy } of an exam attempt, endedBy 'timeout' or 'submitted'
+    status: 'active',
+    startedAt: now,
+    updatedAt: now,
+    endedAt: null,
+    entries: [], // Conversation entries of the simulator
+    messages: [], // Messages of the text chatbot
+    assessment: null,
+    rubricId: null,
+    comments: [] // Tutor comments added on replay
+  };
+
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  transaction.objectStore(SESSIONS).put(session);
+  await transactionDone(transaction);
+
+  console.log(`Created ${type} session ${session.id}`);
+  return session;
+};
+
+/**
+ * Saves a finished session with its recordings in one go, e.g. one imported from an archive
+ * @param {Object} details - Session fields ({ type, scenarioId, language, student, mode, exam, startedAt, endedAt, entries, messages, assessment, rubricId, comments, importedFrom })
+ * @param {Array<Object>} clips - Audio entries ({ role, entryId, blob, startedAt, visemeData, timestamp })
+ * @returns {Promise<Object>} - The saved session
+ */
+export const addSession = async (details, clips = []) => {
+  const now = new Date().toISOString();
+  const session = {
+    type: 'simulator',
+    language: null,
+    student: null,
+    mode: 'practice',
+    exam: null,
+    entries: [],
+    messages: [],
+    assessment: null,
+    rubricId: null,
+    comments: [],
+    ...details,
+    id: crypto.randomUUID(),
+    status: 'ended',
+    startedAt: details.startedAt || now,
+    endedAt: details.endedAt || details.startedAt || now,
+    updatedAt: now
+  };
+
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, AUDIO], 'readwrite');
+  transaction.objectStore(SESSIONS).put(session);
+  const audio = transaction.objectStore(AUDIO);
+  clips.forEach(({ role, entryId = null, blob, startedAt = null, visemeData = null, timestamp }) => audio.put({
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    role,
+    entryId,
+    blob,
+    startedAt,
+    visemeData,
+    timestamp: timestamp || session.startedAt
+  }));
+  await transactionDone(transaction);
+
+  console.log(`Saved session ${session.id} with ${clips.length} audio clips`);
+  return session;
+};
+
+/**
+ * Merges changes into a saved session
+ * @param {string} id - Session id
+ * @param {Object} changes - Fields to change, e.g. entries or assessment
+ * @returns {Promise<Object|null>} - The updated session, null if it no longer exists
+ */
+export const updateSession = async (id, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  const store = transaction.objectStore(SESSIONS);
+
+  const session = await promisify(store.get(id));
+  if (!session) {
+    await transactionDone(transaction);
+    return null;
+  }
+
+  const updated = { ...session, ...changes, updatedAt: new Date().toISOString() };
+  store.put(updated);
+  await transactionDone(transaction);
+  return updated;
+};
+
+/**
+ * Marks a session as ended
+ * @param {string} id - Session id
+ * @param {Object} changes - Further fields to save with it, e.g. how an exam ended
+ * @returns {Promise<Object|null>} - The updated session
+ */
+export const endSession = (id, changes = {}) => updateSession(id, { ...changes, status: 'ended', endedAt: new Date().toISOString() });
+
+/**
+ * Saves a recorded audio clip with its session
+ * @param {string} sessionId - Session id
+ * @param {Object} clip - Audio entry as recorded by the simulator ({ role, entryId, blob, startedAt, visemeData, timestamp })
+ * @returns {Promise<void>}
+ */
+export const addSessionAudio = async (sessionId, { role, entryId = null, blob, startedAt = null, visemeData = null, timestamp }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(AUDIO, 'readwrite');
+  transaction.objectStore(AUDIO).put({
+    id: crypto.randomUUID(),
+    sessionId,
+    role,
+    entryId,
+    blob,
+    startedAt,
+    visemeData, // Patient speech only: the visemes the face spoke it with
+    timestamp: timestamp || new Date().toISOString()
+  });
+  await transactionDone(transaction);
+};
+
+/**
+ * Loads a session
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} - The session, null if not found
+ */
+export const getSession = async (id) => {
+  const db = await openDatabase();
+  const session = await promisify(db.transaction(SESSIONS).objectStore(SESSIONS).get(id));
+  return session || null;
+};
+
+/**
+ * Loads the audio clips of a session in recording order
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Array<Object>>} - Audio entries ({ role, entryId, blob, startedAt, visemeData, timestamp })
+ */
+export const getSessionAudio = async (sessionId) => {
+  const db = await openDatabase();
+  const index = db.transaction(AUDIO).objectStore(AUDIO).index('sessionId');
+  const clips = await promisify(index.getAll(sessionId));
+  return clips.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+};
+
+/**
+ * Lists every saved session, newest first
+ * @returns {Promise<Array<Object>>} - Sessions without their audio
+ */
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await promisify(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+/**
+ * Finds the latest unfinished session of a scenario that has something to resume
+ * @param {string} type - 'simulator' or 'chatbot'
+ * @param {string} scenarioId - Scenario id
+ * @param {string|null} userId - Signed-in user, so a shared computer does not offer someone else's session
+ * @param {string} mode - 'practice' or 'exam'
+ * @returns {Promise<Object|null>} - The session, null if there is none
+ */
+export const findResumableSession = async (type, scenarioId, userId = null, mode = 'practice') => {
+  const sessions = await listSessions();
+  return sessions.find(session => session.type === type &&
+    session.scenarioId === scenarioId &&
+    (session.student?.userId || null) === userId &&
+    getSessionMode(session) === mode &&
+    session.status === 'active' &&
+    getSessionTurnCount(session) > 0) || null;
+};
+
+/**
+ * Deletes a session and its audio
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, AUDIO], 'readwrite');
+  transaction.objectStore(SESSIONS).delete(id);
+
+  const audio = transaction.objectStore(AUDIO);
+  const keys = await promisify(audio.index('sessionId').getAllKeys(id));
+  keys.forEach(key => audio.delete(key));
+
+  await transactionDone(transaction);
+  console.log(`Deleted session ${id} and ${keys.length} audio clips`);
+};
+
+/**
+ * Whether a session was practice or an exam; sessions saved before exam mode are practice
+ * @param {Object} session - Saved session
+ * @returns {string} - 'practice' or 'exam'
+ */
+export const getSessionMode = (session) => session.mode || 'practice';
+
+/**
+ * Counts the nurse's turns in a session
+ * @param {Object} session - Saved session
+ * @returns {number} - Number of turns
+ */
+export const getSessionTurnCount = (session) => session.type === 'chatbot'
+  ? (session.messages || []).filter(message => message.role === 'user').length
+  : (session.entries || []).filter(entry => entry.role === 'nurse').length;
+
+/**
+ * Time from the start of a session to its end or its last change
+ * @param {Object} session - Saved session
+ * @returns {number} - Duration in milliseconds
+ */
+export const getSessionDuration = (session) => {
+  const end = session.endedAt || session.updatedAt;
+  return Math.max(0, new Date(end) - new Date(session.startedAt));
+};
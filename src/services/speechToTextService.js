@@ -1,4 +1,5 @@
-import axios from 'axios';
+import { apiFetch } from './apiClient';
+import { DEFAULT_PATIENT_LANGUAGE, getPatientLanguage } from './patientLanguages';
 
 // Add a simple cache for frequently transcribed phrases
 const transcriptionCache = new Map();
@@ -127,11 +128,12 @@ const generateCacheKey = (audioBlob) => {
 };
 
 /**
- * Transcribes audio to text using Azure OpenAI Whisper API
+ * Transcribes audio to text using Azure OpenAI Whisper through the API server
  * @param {Blob} audioBlob - The audio blob to transcribe
+ * @param {string} languageId - Patient language of the session, the nurse speaks the same language
  * @returns {Promise<string>} - The transcribed text
  */
-export const transcribeSpeech = async (audioBlob) => {
+export const transcribeSpeech = async (audioBlob, languageId = DEFAULT_PATIENT_LANGUAGE) => {
   try {
     // Check cache by generating a key based on blob size (simple heuristic)
     const cacheKey = generateCacheKey(audioBlob);
@@ -150,64 +152,38 @@ export const transcribeSpeech = async (audioBlob) => {
     const formData = new FormData();
     formData.append('file', compressedAudio, 'recording.wav');
     formData.append('model', 'whisper');
-    // You may need to specify language or other parameters based on Azure OpenAI API requirements
-    formData.append('language', 'zh'); // Specifying Chinese (Whisper doesn't accept 'yue' for Cantonese)
-    // Add prompt to ensure Hong Kong style Cantonese transcription for a nurse
-    formData.append('prompt', 'IMPORTANT: This is a Cantonese (NOT Mandarin) transcription for a Hong Kong based nurse discussing medical procedures. The speaker is using Cantonese. Transcribe in Hong Kong style Cantonese using Traditional Chinese characters. Always use Cantonese pronunciation characters and Hong Kong written style (e.g., 係 not 是, 唔係 not 不是, 嚟 not 來, 喺 not 在, 俾 not 給). Include Hong Kong specific Cantonese particles like 嘅, 啦, 喎, 咩, 囉, 喇, 咗, 嗰, 嘢, 哋, 嗱. Common medical terms in this context include: 大腸內窺鏡 (colonoscopy), 腸胃科 (gastroenterology), 瀉藥 (laxative), 腸道準備 (bowel preparation), 麻醉 (anesthesia), 檢查 (examination), 風險 (risks), 副作用 (side effects), etc. Always output Cantonese, never Mandarin.');
+    // Language and prompt keep Whisper in the session's language (for Cantonese,
+    // Hong Kong written style rather than Mandarin)
+    const language = getPatientLanguage(languageId);
+    formData.append('language', language.whisperLanguage);
+    formData.append('prompt', language.whisperPrompt);
 
-    // Get API credentials from environment variables - using Whisper-specific variables if available
-    const apiKey = import.meta.env.VITE_AZURE_WHISPER_API_KEY || import.meta.env.VITE_AZURE_OPENAI_API_KEY;
-    const endpoint = import.meta.env.VITE_AZURE_WHISPER_ENDPOINT || import.meta.env.VITE_AZURE_OPENAI_ENDPOINT;
-    const apiVersion = import.meta.env.VITE_AZURE_WHISPER_API_VERSION || import.meta.env.VITE_AZURE_OPENAI_API_VERSION;
-    const deploymentId = import.meta.env.VITE_AZURE_WHISPER_DEPLOYMENT_ID || 'whisper';
-
-    console.log('Azure Whisper API Key available:', !!apiKey);
-    console.log('Azure Whisper Endpoint:', endpoint);
-    console.log('Azure Whisper Deployment ID:', deploymentId);
     console.log('Audio blob size:', compressedAudio.size, 'bytes');
-    console.log('Using language:', formData.get('language'));
-    console.log('Prompt configured for HK Cantonese transcription');
+    console.log('Using language:', formData.get('language'), `(${language.label.en})`);
+
+    // The API server adds the Whisper credentials and forwards the request
+    console.log('Sending audio to transcription service...');
+    const response = await apiFetch('/api/transcribe', {
+      body: formData,
+      timeout: 15000 // 15 seconds timeout
+    });
 
-    try {
-      // Unlike standard OpenAI API, Azure requires endpoint, API version, and deployment name
-      console.log('Sending audio to Azure Whisper API...');
-      const response = await axios.post(
-        `${endpoint}/openai/deployments/${deploymentId}/audio/transcriptions?api-version=${apiVersion}`,
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-            'api-key': apiKey,
-          },
-          // Add timeout and signal for cancellation
-          timeout: 15000, // 15 seconds timeout
-        }
-      );
+    const { text } = await response.json();
+    console.log('Successfully received transcription');
 
-      console.log('Successfully received transcription from Azure Whisper');
-      const text = response.data.text;
-      
-      // Add to cache
-      if (transcriptionCache.size >= MAX_CACHE_SIZE) {
-        // Remove oldest entry if cache is full
-        const oldestKey = transcriptionCache.keys().next().value;
-        transcriptionCache.delete(oldestKey);
-      }
-      
-      transcriptionCache.set(cacheKey, {
-        text,
-        timestamp: Date.now()
-      });
-      
-      return text;
-    } catch (apiError) {
-      console.error('Error calling Azure Whisper API:', apiError);
-      if (apiError.response) {
-        console.error('Response status:', apiError.response.status);
-        console.error('Response data:', apiError.response.data);
-      }
-      throw new Error(`Failed to call Azure Whisper API: ${apiError.message}`);
+    // Add to cache
+    if (transcriptionCache.size >= MAX_CACHE_SIZE) {
+      // Remove oldest entry if cache is full
+      const oldestKey = transcriptionCache.keys().next().value;
+      transcriptionCache.delete(oldestKey);
     }
+
+    transcriptionCache.set(cacheKey, {
+      text,
+      timestamp: Date.now()
+    });
+
+    return text;
   } catch (error) {
     console.error('Error transcribing speech:', error);
     throw new Error(`Failed to transcribe speech: ${error.message}`);
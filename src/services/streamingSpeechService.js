@@ -0,0 +1,146 @@
+import { apiPostJson } from './apiClient';
+
+/**
+ * Streaming speech recognition with the Azure Speech SDK.
+ *
+ * Audio from the microphone stream is recognised continuously, partial
+ * transcripts are reported while the nurse is speaking, and the utterance is
+ * finalised after a period of silence. The browser authenticates with a
+ * short-lived token from /api/speech-token, never with the Speech key.
+ */
+
+// Silence after the last recognised phrase before the utterance is finalised
+const DEFAULT_SILENCE_MS = 1500;
+
+// Cached authorization token
+let cachedToken = null;
+
+/**
+ * Returns a valid Speech authorization token, fetching a new one when needed
+ * @returns {Promise<{token: string, region: string}>} - Token and region
+ */
+const getSpeechToken = async () => {
+  if (cachedToken && Date.now() < cachedToken.expiresAt) {
+    return cachedToken;
+  }
+
+  const response = await apiPostJson('/api/speech-token', {}, { timeout: 10000 });
+  const { token, region, expiresIn } = await response.json();
+
+  cachedToken = {
+    token,
+    region,
+    expiresAt: Date.now() + expiresIn * 1000
+  };
+
+  return cachedToken;
+};
+
+/**
+ * Starts streaming recognition on a microphone stream
+ * @param {MediaStream} mediaStream - Microphone stream
+ * @param {Object} options - Recognition options
+ * @param {string} options.language - Recognition language, defaults to zh-HK
+ * @param {Function} options.onPartial - Called with the transcript so far, including the phrase being spoken
+ * @param {Function} options.onSilence - Called once when the nurse stops speaking after saying something
+ * @param {Function} options.onError - Called with an Error when recognition is cancelled by the service
+ * @param {number} options.silenceMs - Silence in milliseconds that ends the utterance
+ * @returns {Promise<{stop: Function}>} - Session; stop() resolves with the final transcript
+ */
+export const startStreamingRecognition = async (mediaStream, {
+  language = 'zh-HK',
+  onPartial,
+  onSilence,
+  onError,
+  silenceMs = DEFAULT_SILENCE_MS
+} = {}) => {
+  // Loaded on demand so the SDK stays out of the main bundle
+  const SpeechSDK = await import('microsoft-cognitiveservices-speech-sdk');
+  const { token, region } = await getSpeechToken();
+
+  const speechConfig = SpeechSDK.SpeechConfig.fromAuthorizationToken(token, region);
+  speechConfig.speechRecognitionLanguage = language;
+  // Split phrases on short pauses so partial results settle quickly
+  speechConfig.setProperty(SpeechSDK.PropertyId.Speech_SegmentationSilenceTimeoutMs, '800');
+
+  const audioConfig = SpeechSDK.AudioConfig.fromStreamInput(mediaStream);
+  const recognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+
+  const phrases = [];
+  let silenceTimer = null;
+  let stopped = false;
+
+  const clearSilenceTimer = () => {
+    if (silenceTimer) {
+      clearTimeout(silenceTimer);
+      silenceTimer = null;
+    }
+  };
+
+  recognizer.recognizing = (s, e) => {
+    clearSilenceTimer();
+    if (onPartial) {
+      onPartial(phrases.join('') + e.result.text);
+    }
+  };
+
+  recognizer.recognized = (s, e) => {
+    if (e.result.reason !== SpeechSDK.ResultReason.RecognizedSpeech || !e.result.text) {
+      return;
+    }
+
+    phrases.push(e.result.text);
+    if (onPartial) {
+      onPartial(phrases.join(''));
+    }
+
+    // Finalise once the nurse has been quiet for a while
+    clearSilenceTimer();
+    silenceTimer = setTimeout(() => {
+      silenceTimer = null;
+      if (!stopped && onSilence) {
+        onSilence(phrases.join(''));
+      }
+    }, silenceMs);
+  };
+
+  recognizer.canceled = (s, e) => {
+    if (e.reason === SpeechSDK.CancellationReason.Error) {
+      console.error('Streaming recognition cancelled:', e.errorDetails);
+      if (onError) {
+        onError(new Error(e.errorDetails));
+      }
+    }
+  };
+
+  await new Promise((resolve, reject) => {
+    recognizer.startContinuousRecognitionAsync(resolve, error => {
+      recognizer.close();
+      reject(new Error(error));
+    });
+  });
+
+  console.log('Started streaming recognition:', language);
+
+  return {
+    stop: () => new Promise(resolve => {
+      if (stopped) {
+        resolve(phrases.join(''));
+        return;
+      }
+
+      stopped = true;
+      clearSilenceTimer();
+
+      const finish = () => {
+        recognizer.close();
+        resolve(phrases.join(''));
+      };
+
+      recognizer.stopContinuousRecognitionAsync(finish, error => {
+        console.warn('Error stopping streaming recognition:', error);
+        finish();
+      });
+    })
+  };
+};
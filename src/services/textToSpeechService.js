@@ -1,14 +1,11 @@
-import axios from 'axios';
-import * as SpeechSDK from 'microsoft-cognitiveservices-speech-sdk';
+import { apiPostJson } from './apiClient';
+import { generateVisemesFromAudio } from './visemeGenerator';
+import { DEFAULT_PATIENT_LANGUAGE, getPatientVoice } from './patientLanguages';
 
 // Cache for storing recently generated speech audio
 const audioCache = new Map();
 const MAX_CACHE_SIZE = 100;
 
-// Maximum chunk size for Azure TTS (characters)
-// Remove the chunking limit entirely - process full text in one request
-// const MAX_CHUNK_SIZE = 800; 
-
 /**
  * Expose the audio cache for reference checking
  * This allows components to check if a URL is from the cache
@@ -16,17 +13,40 @@ const MAX_CACHE_SIZE = 100;
  */
 export const _getAudioCache = () => audioCache;
 
-// Remove the splitTextIntoChunks function since we're not chunking anymore
+// Voices depend on the patient's language and gender, see patientLanguages.js.
+// The voice name is not a secret; the Speech key stays on the API server,
+// which also builds the SSML (api/_lib/speech.js).
+const getVoice = ({ language = DEFAULT_PATIENT_LANGUAGE, gender = 'male' } = {}) => getPatientVoice(language, gender);
+
+/**
+ * Decodes a base64 string into a Blob
+ * @param {string} base64 - Base64 data
+ * @param {string} type - MIME type
+ * @returns {Blob} - Decoded blob
+ */
+const base64ToBlob = (base64, type) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
 
 /**
- * Converts text to speech using Azure Speech Studio API (REST API version)
+ * Converts text to speech using the Azure Speech REST API through the API server
  * @param {string} text - The text to convert to speech
+ * @param {Object} options - Voice options
+ * @param {string} options.language - Patient language (yue, cmn or en), defaults to Cantonese
+ * @param {string} options.gender - Patient gender, picks the voice
  * @returns {Promise<string>} - URL to the audio blob
  */
-export const textToSpeech = async (text) => {
+export const textToSpeech = async (text, options = {}) => {
   try {
+    const voice = getVoice(options);
+
     // Check cache first
-    const cacheKey = `speech-${text}`;
+    const cacheKey = `speech-${voice}-${text}`;
     const cachedAudio = audioCache.get(cacheKey);
     
     if (cachedAudio && Date.now() - cachedAudio.timestamp < 30 * 60 * 1000) { // 30 min expiry
@@ -34,132 +54,38 @@ export const textToSpeech = async (text) => {
       return cachedAudio.url;
     }
     
-    // Get API credentials from environment variables
-    const speechKey = import.meta.env.VITE_AZURE_SPEECH_KEY;
-    const speechRegion = import.meta.env.VITE_AZURE_SPEECH_REGION;
-    const voiceName = import.meta.env.VITE_AZURE_SPEECH_VOICE_NAME || 'zh-HK-WanLungNeural';
-
-    // Check for common issues
-    if (!speechKey) {
-      throw new Error('Missing Speech API Key');
-    }
-    
-    if (speechKey.length < 30) {
-      console.warn('Speech API Key appears too short. Azure keys are typically 32 characters');
-    }
-    
-    if (!speechRegion) {
-      throw new Error('Missing Speech Region');
-    }
-    
-    if (!['eastus', 'eastus2', 'westus', 'westus2', 'southcentralus', 'northeurope', 'westeurope', 'southeastasia', 'eastasia', 'japaneast', 'japanwest', 'australiaeast', 'centralindia', 'canadacentral', 'uksouth', 'francecentral', 'switzerlandnorth', 'germanywestcentral'].includes(speechRegion)) {
-      console.warn(`Speech region "${speechRegion}" might not be valid. Azure regions are typically in format like "eastus2"`);
+    console.log('Text length:', text.length, 'characters');
+
+    // The API server builds the SSML, adds the Speech key and forwards the request
+    const response = await apiPostJson('/api/tts', { text, voice }, {
+      timeout: 120000 // Increased to 120 seconds for long texts
+    });
+    const audioBlob = await response.blob();
+
+    // Check if we got a valid audio response
+    if (audioBlob.size < 100) {
+      console.warn('Received very small audio data:', audioBlob.size, 'bytes');
+    } else {
+      console.log('Successfully received', audioBlob.size, 'bytes of audio data');
     }
-    
-    // Process entire text without chunking
-    const escapedText = text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-
-    // Keep SSML simple and compact
-    const ssml = `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="zh-HK"><voice name="${voiceName}">${escapedText}</voice></speak>`;
-
-    console.log('SSML length:', ssml.length, 'characters');
-
-    // Make direct request to speech synthesis endpoint with API key
-    try {
-      console.log(`Sending request to ${speechRegion}.tts.speech.microsoft.com...`);
-      
-      const response = await axios({
-        method: 'post',
-        url: `https://${speechRegion}.tts.speech.microsoft.com/cognitiveservices/v1`,
-        headers: {
-          'Ocp-Apim-Subscription-Key': speechKey,
-          'Content-Type': 'application/ssml+xml',
-          'X-Microsoft-OutputFormat': 'audio-16khz-128kbitrate-mono-mp3',
-          'User-Agent': 'patient-simulation-hk'
-        },
-        data: ssml,
-        responseType: 'arraybuffer',
-        timeout: 120000 // Increased to 120 seconds for long texts
-      });
-
-      // Check if we got a valid audio response
-      if (response.data.byteLength < 100) {
-        console.warn('Received very small audio data:', response.data.byteLength, 'bytes');
-      } else {
-        console.log('Successfully received', response.data.byteLength, 'bytes of audio data');
-      }
 
-      // Convert the audio data to a blob and create a URL
-      const audioBlob = new Blob([response.data], { type: 'audio/mp3' });
-      const audioUrl = URL.createObjectURL(audioBlob);
-      
-      // Add to cache
-      if (audioCache.size >= MAX_CACHE_SIZE) {
-        // Remove oldest entry if cache is full
-        const oldestKey = audioCache.keys().next().value;
-        URL.revokeObjectURL(audioCache.get(oldestKey).url); // Clean up URL
-        audioCache.delete(oldestKey);
-      }
-      
-      audioCache.set(cacheKey, {
-        url: audioUrl,
-        timestamp: Date.now()
-      });
-      
-      return audioUrl;
-    } catch (apiError) {
-      console.error('Error calling Azure Speech Service:', apiError);
-      
-      // Enhanced error handling
-      if (apiError.code === 'ECONNABORTED') {
-        throw new Error('Connection timed out. The Azure Speech Service did not respond in time.');
-      }
-      
-      if (apiError.code === 'ENOTFOUND') {
-        throw new Error(`Could not connect to ${speechRegion}.tts.speech.microsoft.com. Check your region or internet connection.`);
-      }
-      
-      if (apiError.response) {
-        console.error('Response status:', apiError.response.status);
-        
-        let errorMessage = `HTTP Error ${apiError.response.status}`;
-        
-        // Status code specific guidance
-        if (apiError.response.status === 400) {
-          errorMessage += ': Bad Request. Check SSML syntax or voice name.';
-        } else if (apiError.response.status === 401) {
-          errorMessage += ': Unauthorized. Check your API key.';
-        } else if (apiError.response.status === 403) {
-          errorMessage += ': Forbidden. Your API key might not have access to this service or region.';
-        } else if (apiError.response.status === 404) {
-          errorMessage += ': Not Found. Check your region and voice name.';
-        } else if (apiError.response.status === 429) {
-          errorMessage += ': Too Many Requests. You may have exceeded your quota.';
-        }
-        
-        // Try to extract detailed error information
-        if (apiError.response.data) {
-          try {
-            const errorText = new TextDecoder().decode(apiError.response.data);
-            console.error('Response error:', errorText);
-            if (errorText && errorText.length > 0) {
-              errorMessage += ' - ' + errorText;
-            }
-          } catch (e) {
-            console.error('Failed to decode error response');
-          }
-        }
-        
-        throw new Error(errorMessage);
-      }
-      
-      throw new Error(`Failed to generate speech: ${apiError.message}`);
+    // Create a URL for the audio blob
+    const audioUrl = URL.createObjectURL(new Blob([audioBlob], { type: 'audio/mp3' }));
+
+    // Add to cache
+    if (audioCache.size >= MAX_CACHE_SIZE) {
+      // Remove oldest entry if cache is full
+      const oldestKey = audioCache.keys().next().value;
+      URL.revokeObjectURL(audioCache.get(oldestKey).url); // Clean up URL
+      audioCache.delete(oldestKey);
     }
+
+    audioCache.set(cacheKey, {
+      url: audioUrl,
+      timestamp: Date.now()
+    });
+
+    return audioUrl;
   } catch (error) {
     console.error('Error converting text to speech:', error);
     throw new Error(`Failed to convert text to speech: ${error.message}`);
@@ -167,127 +93,167 @@ export const textToSpeech = async (text) => {
 };
 
 /**
- * Converts text to speech with viseme data using Azure Speech SDK
+ * Converts text to speech with viseme data using the Azure Speech SDK on the API server
  * This creates audio and returns both the audio URL and viseme data for facial animation
  * 
  * @param {string} text - The text to convert to speech
- * @returns {Promise<{audioUrl: string, visemeData: Array, text: string}>} - URL to the audio blob, viseme data, and the original text
+ * @param {Object} options - Synthesis options
+ * @param {boolean} options.blendShapes - Request 3D blend-shape frames for the WebGL avatar instead of 2D viseme ids
+ * @param {string} options.language - Patient language (yue, cmn or en), defaults to Cantonese
+ * @param {string} options.gender - Patient gender, picks the voice
+ * @returns {Promise<{audioUrl: string, visemeData: Array, wordBoundaries: Array, blendShapes: Object|null, text: string}>} - URL to the audio blob, viseme data, word timings, blend-shape frames, and the original text
  */
-export const textToSpeechWithViseme = async (text) => {
+export const textToSpeechWithViseme = async (text, { blendShapes = false, language, gender } = {}) => {
   // Log the input text length to debug truncation issues
   console.log(`textToSpeechWithViseme called with text of length: ${text.length}`);
   
   // Check cache first
-  const cacheKey = `viseme-sdk-${text}`;
+  const visemeType = blendShapes ? 'FacialExpression' : 'redlips_front';
+  const voice = getVoice({ language, gender });
+  const cacheKey = `viseme-sdk-${visemeType}-${voice}-${text}`;
   const cachedResult = audioCache.get(cacheKey);
   if (cachedResult && cachedResult.visemeData && Date.now() - cachedResult.timestamp < 30 * 60 * 1000) {
     console.log('Using cached SDK audio and viseme data');
     return {
       audioUrl: cachedResult.url,
       visemeData: cachedResult.visemeData,
+      wordBoundaries: cachedResult.wordBoundaries || [],
+      blendShapes: cachedResult.blendShapes || null,
       text: text
     };
   }
 
-  // Get API credentials
-  const speechKey = import.meta.env.VITE_AZURE_SPEECH_KEY;
-  const speechRegion = import.meta.env.VITE_AZURE_SPEECH_REGION;
-  const voiceName = import.meta.env.VITE_AZURE_SPEECH_VOICE_NAME || 'zh-HK-WanLungNeural'; // Default HK male voice
+  try {
+    // The API server builds the SSML, with the speaking rate and viseme type,
+    // runs the Speech SDK synthesis and collects the viseme events
+    const response = await apiPostJson('/api/tts-viseme', { text, voice, blendShapes }, { timeout: 120000 });
+    const { audio, visemes: azureVisemes, words = [], blendShapes: blendShapeData = null } = await response.json();
 
-  if (!speechKey || !speechRegion) {
-    console.error('Missing Azure Speech API credentials in .env');
-    throw new Error('Missing Speech API credentials');
-  }
+    console.log(`Synthesis finished for text [${text.slice(0,30)}...]. Visemes collected: ${azureVisemes.length}`);
+    const audioBlob = base64ToBlob(audio, 'audio/mp3');
+    const audioUrl = URL.createObjectURL(audioBlob);
 
-  // --- SDK Implementation ---
-  return new Promise((resolve, reject) => {
-    const speechConfig = SpeechSDK.SpeechConfig.fromSubscription(speechKey, speechRegion);
-    // Request viseme output
-    speechConfig.speechSynthesisOutputFormat = SpeechSDK.SpeechSynthesisOutputFormat.Audio16Khz128KBitRateMonoMp3;
-    
-    // Use null audio config to get audio data in memory
-    const audioConfig = null; 
-    const synthesizer = new SpeechSDK.SpeechSynthesizer(speechConfig, audioConfig);
-
-    const visemeData = [];
-
-    // Subscribe to viseme events
-    synthesizer.visemeReceived = (s, e) => {
-      // The audioOffset is in 100-nanosecond ticks, convert to milliseconds
-      visemeData.push({
-        visemeId: e.visemeId,
-        audioOffset: Math.round(e.audioOffset / 10000) 
-      });
+    // Azure occasionally sends no viseme events, generate them from the text instead
+    const visemes = azureVisemes.length > 0 ? azureVisemes : await generateVisemesFromAudio(text, audioUrl);
+
+    // Add to cache
+    if (audioCache.size >= MAX_CACHE_SIZE) {
+      const oldestKey = audioCache.keys().next().value;
+      if (audioCache.get(oldestKey)?.url) {
+        URL.revokeObjectURL(audioCache.get(oldestKey).url);
+      }
+      audioCache.delete(oldestKey);
+    }
+    audioCache.set(cacheKey, {
+      url: audioUrl,
+      visemeData: visemes,
+      wordBoundaries: words,
+      blendShapes: blendShapeData,
+      timestamp: Date.now()
+    });
+
+    return {
+      audioUrl,
+      visemeData: visemes,
+      wordBoundaries: words,
+      blendShapes: blendShapeData,
+      text: text
     };
+  } catch (error) {
+    console.error('Error during speech synthesis:', error);
+    throw new Error(`Speech synthesis failed: ${error.message}`);
+  }
+};
 
-    // Escape SSML-sensitive characters minimally for the SSML structure
-    const escapedText = text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-      
-    const ssml = `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" xml:lang="zh-HK">
-                    <voice name="${voiceName}">
-                      <mstts:viseme type="redlips_front"/> 
-                      <prosody pitch="-2%" rate="-10%">
-                        ${escapedText}
-                      </prosody>
-                    </voice>
-                  </speak>`;
-
-    console.log('SSML length for viseme generation:', ssml.length, 'characters');
-    console.log('Text length after escaping:', escapedText.length, 'characters');
-    
-    synthesizer.speakSsmlAsync(
-      ssml,
-      result => {
-        synthesizer.close(); // Close synthesizer once done
-
-        if (result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
-          console.log(`Synthesis finished for text [${text.slice(0,30)}...]. Visemes collected: ${visemeData.length}`);
-          const audioData = result.audioData; // ArrayBuffer
-          const audioBlob = new Blob([audioData], { type: 'audio/mp3' });
-          const audioUrl = URL.createObjectURL(audioBlob);
-
-          // Sort viseme data just in case it arrives out of order
-          visemeData.sort((a, b) => a.audioOffset - b.audioOffset);
-
-          // Add to cache
-          if (audioCache.size >= MAX_CACHE_SIZE) {
-            const oldestKey = audioCache.keys().next().value;
-            if (audioCache.get(oldestKey)?.url) {
-              URL.revokeObjectURL(audioCache.get(oldestKey).url);
-            }
-            audioCache.delete(oldestKey);
-          }
-          audioCache.set(cacheKey, {
-            url: audioUrl,
-            visemeData: visemeData,
-            timestamp: Date.now()
-          });
-
-          resolve({
-            audioUrl,
-            visemeData,
-            text: text 
-          });
-        } else {
-          console.error(`Speech synthesis failed: ${result.errorDetails}`);
-          reject(new Error(`Speech synthesis failed: ${result.errorDetails}`));
-        }
-      },
-      err => {
-        console.error(`Error during speech synthesis: ${err}`);
-        synthesizer.close();
-        reject(err);
+// Sentence-ending punctuation, and what may trail it (more punctuation, closing quotes)
+const SENTENCE_END = /[。！？…!?\n]/;
+const SENTENCE_TRAIL = /[。！？…!?」』”’）)\s]/;
+// Titles whose full stop does not end an English sentence
+const TITLE_BEFORE = /\b(Mr|Mrs|Ms|Dr)$/;
+
+// English full stops end a sentence once whitespace follows, unless they end a title
+const isSentenceEnd = (text, i) => SENTENCE_END.test(text[i]) ||
+  (text[i] === '.' && /\s/.test(text[i + 1] || '') && !TITLE_BEFORE.test(text.slice(0, i)));
+// Shorter sentences are joined to the next one to save a synthesis round trip
+const MIN_SENTENCE_LENGTH = 4;
+
+/**
+ * Splits a streamed response into sentences so each one can be synthesised
+ * as soon as it is complete
+ * @param {Function} onSentence - Called with each sentence, in order
+ * @returns {{push: Function, flush: Function}} - push(fullText) with the text streamed so far;
+ *   flush(fullText) with the final text hands out whatever is left
+ */
+export const createSentenceSplitter = (onSentence) => {
+  let emitted = 0; // Characters already handed out
+
+  const emit = (sentence) => {
+    if (sentence.trim()) {
+      onSentence(sentence.trim());
+    }
+  };
+
+  const push = (fullText) => {
+    let start = emitted;
+
+    for (let i = emitted; i < fullText.length; i++) {
+      if (!isSentenceEnd(fullText, i)) continue;
+
+      // Take in trailing punctuation, but only once something else follows it,
+      // as the next token may continue the run
+      let end = i + 1;
+      while (end < fullText.length && SENTENCE_TRAIL.test(fullText[end])) {
+        end++;
       }
-    );
-  });
-  // --- End SDK Implementation ---
+      if (end === fullText.length) break;
+
+      if (fullText.slice(start, end).trim().length >= MIN_SENTENCE_LENGTH) {
+        emit(fullText.slice(start, end));
+        start = end;
+      }
+      i = end - 1;
+    }
+
+    emitted = start;
+  };
+
+  const flush = (fullText) => {
+    emit(fullText.slice(emitted));
+    emitted = fullText.length;
+  };
+
+  return { push, flush };
 };
 
-// Note: Ensure the SimpleLRUCache class and MAX_CACHE_SIZE are defined appropriately above.
-// The 'splitIntoSentences' function is likely no longer needed by textToSpeechWithViseme.
-// Consider removing generateManualVisemes and processChunksWithViseme entirely if they are not used elsewhere. 
\ No newline at end of file
+/**
+ * Works out how much of a response had been spoken when playback stopped
+ * @param {string} text - The full response text
+ * @param {Array} wordBoundaries - Word timings from textToSpeechWithViseme, may be empty
+ * @param {number} positionMs - Playback position in milliseconds
+ * @param {number} durationMs - Audio duration in milliseconds, used when there are no word timings
+ * @returns {string} - The spoken part of the text
+ */
+export const getSpokenText = (text, wordBoundaries, positionMs, durationMs) => {
+  if (wordBoundaries?.length > 0) {
+    let spokenLength = 0;
+    let cursor = 0;
+
+    // Words that had started playing count as spoken
+    for (const word of wordBoundaries) {
+      const index = text.indexOf(word.text, cursor);
+      if (index === -1) continue;
+      if (word.audioOffset > positionMs) break;
+      cursor = index + word.text.length;
+      spokenLength = cursor;
+    }
+
+    return text.slice(0, spokenLength);
+  }
+
+  // Without word timings estimate from the share of audio played
+  if (durationMs > 0) {
+    return text.slice(0, Math.round(text.length * Math.min(positionMs / durationMs, 1)));
+  }
+
+  return '';
+};
@@ -0,0 +1,50 @@
+import { createChatCompletion } from './llm';
+import { SUBTITLE_LANGUAGES } from '../../shared/chatTasks.mjs';
+
+// Languages the patient's speech can be subtitled in, see shared/chatTasks.mjs
+export { SUBTITLE_LANGUAGES };
+
+// Translations of recent sentences, by language and text
+const translationCache = new Map();
+const MAX_CACHE_SIZE = 200;
+
+/**
+ * Translates a sentence of the patient's speech for subtitles
+ * @param {string} text - What the patient said
+ * @param {string} language - Key of SUBTITLE_LANGUAGES
+ * @param {Object} scenario - Scenario definition, for context and the mock provider
+ * @param {string} patientLanguageId - Language the patient speaks, defaults to the scenario's own
+ * @returns {Promise<string>} - Translated text
+ */
+export const translateText = async (text, language, scenario, patientLanguageId = scenario.language) => {
+  if (!SUBTITLE_LANGUAGES[language]) {
+    throw new Error(`Unknown subtitle language "${language}"`);
+  }
+
+  const cacheKey = `${language}-${text}`;
+  if (translationCache.has(cacheKey)) {
+    return translationCache.get(cacheKey);
+  }
+
+  try {
+    const content = await createChatCompletion({
+      task: 'translation',
+      scenario,
+      language: patientLanguageId,
+      subtitleLanguage: language,
+      messages: [{ role: 'user', content: text }]
+    });
+
+    const { translation } = JSON.parse(content);
+
+    if (translationCache.size >= MAX_CACHE_SIZE) {
+      translationCache.delete(translationCache.keys().next().value);
+    }
+    translationCache.set(cacheKey, translation);
+
+    return translation;
+  } catch (error) {
+    console.error('Error translating subtitle:', error);
+    throw new Error(`Failed to translate subtitle: ${error.message}`);
+  }
+};
@@ -0,0 +1,269 @@
+import { getJyutpingList } from './jyutpingService';
+
+// Generates viseme timings locally from the response text and its audio, for
+// when Azure returns none (plain TTS, other engines, cached audio). The text is
+// converted to Jyutping, each syllable's initial and final are mapped onto the
+// 22 Azure viseme ids, and the syllables are spread over the voiced parts of the audio.
+
+// Azure viseme ids used below: 0 silence, 1 ɐ/ə, 2 aa, 3 ɔ, 4 ɛ, 6 i/j, 7 u/w,
+// 8 o/œ, 9 au, 10 ɔi, 11 ai, 12 h, 14 l, 15 s/z/ts, 18 f, 19 t/d/n, 20 k/g/ŋ, 21 p/b/m
+const INITIAL_VISEMES = {
+  b: 21, p: 21, m: 21, f: 18,
+  d: 19, t: 19, n: 19, l: 14,
+  g: 20, k: 20, ng: 20, h: 12,
+  gw: 7, kw: 7, w: 7,
+  z: 15, c: 15, s: 15, j: 6
+};
+
+// Longest first, so "ng" and "gw" win over "n" and "g"
+const INITIALS = Object.keys(INITIAL_VISEMES).sort((a, b) => b.length - a.length);
+
+// Rimes with a single diphthong viseme
+const DIPHTHONG_VISEMES = { aai: 11, ai: 11, aau: 9, au: 9, oi: 10 };
+
+const NUCLEUS_VISEMES = { aa: 2, a: 1, e: 4, i: 6, o: 3, u: 7, oe: 8, eo: 8, yu: 7 };
+const NUCLEI = Object.keys(NUCLEUS_VISEMES).sort((a, b) => b.length - a.length);
+
+const CODA_VISEMES = { i: 6, u: 7, m: 21, p: 21, n: 19, t: 19, ng: 20, k: 20 };
+
+// Rough visemes for Latin letters and digits in mixed text ("OK", "3點")
+const LETTER_VISEMES = {
+  a: 11, b: 21, c: 15, d: 19, e: 6, f: 18, g: 20, h: 16, i: 11, j: 16, k: 20, l: 14, m: 21,
+  n: 19, o: 8, p: 21, q: 7, r: 2, s: 15, t: 19, u: 7, v: 18, w: 7, x: 15, y: 7, z: 15
+};
+
+// Share of a syllable's time taken by the initial and the coda
+const INITIAL_SHARE = 0.25;
+const CODA_SHARE = 0.25;
+
+// Envelope frames quieter than this fraction of the loudest frame count as silence
+const SILENCE_RATIO = 0.12;
+// Quiet stretches shorter than this are treated as part of the speech
+const MIN_PAUSE_MS = 120;
+const ENVELOPE_FRAME_MS = 10;
+
+/**
+ * Maps one Jyutping syllable onto visemes
+ * @param {string} syllable - Jyutping syllable, e.g. "saang1"
+ * @returns {Array<{visemeId: number, share: number}>} - Visemes with their share of the syllable
+ */
+const syllableToVisemes = (syllable) => {
+  let rest = syllable.replace(/[1-6]$/, '');
+
+  // Syllabic nasals (唔 m4, 吳 ng4)
+  if (rest === 'm' || rest === 'ng') {
+    return [{ visemeId: INITIAL_VISEMES[rest], share: 1 }];
+  }
+
+  const visemes = [];
+  const initial = INITIALS.find(candidate => rest.startsWith(candidate) && rest.length > candidate.length);
+  if (initial) {
+    visemes.push({ visemeId: INITIAL_VISEMES[initial], share: INITIAL_SHARE });
+    rest = rest.slice(initial.length);
+  }
+
+  if (DIPHTHONG_VISEMES[rest]) {
+    visemes.push({ visemeId: DIPHTHONG_VISEMES[rest], share: 1 - (initial ? INITIAL_SHARE : 0) });
+    return visemes;
+  }
+
+  const nucleus = NUCLEI.find(candidate => rest.startsWith(candidate));
+  const coda = nucleus ? rest.slice(nucleus.length) : '';
+  const codaViseme = CODA_VISEMES[coda];
+  const nucleusShare = 1 - (initial ? INITIAL_SHARE : 0) - (codaViseme ? CODA_SHARE : 0);
+
+  visemes.push({ visemeId: nucleus ? NUCLEUS_VISEMES[nucleus] : 1, share: nucleusShare });
+  if (codaViseme) {
+    visemes.push({ visemeId: codaViseme, share: CODA_SHARE });
+  }
+
+  return visemes;
+};
+
+/**
+ * Converts text into syllables of visemes
+ * @param {string} text - Cantonese text, may contain Latin letters and digits
+ * @returns {Promise<Array<Array<{visemeId: number, share: number}>>>} - One entry per syllable
+ */
+const textToSyllables = async (text) => {
+  const jyutpingList = await getJyutpingList(text);
+
+  return jyutpingList
+    .map(([character, jyutping]) => {
+      if (jyutping) {
+        return syllableToVisemes(jyutping);
+      }
+
+      const letter = character.toLowerCase();
+      if (LETTER_VISEMES[letter]) {
+        return [{ visemeId: LETTER_VISEMES[letter], share: 1 }];
+      }
+      if (/[0-9]/.test(character)) {
+        return [{ visemeId: 1, share: 1 }];
+      }
+      return null; // Punctuation and spaces, the pauses come from the audio
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Decodes an audio URL
+ * @param {string} audioUrl - Blob or http URL of the audio
+ * @returns {Promise<AudioBuffer>} - Decoded audio
+ */
+const decodeAudio = async (audioUrl) => {
+  const response = await fetch(audioUrl);
+  const data = await response.arrayBuffer();
+  // An offline context is enough for decoding and does not need a user gesture
+  const context = new OfflineAudioContext(1, 1, 44100);
+  return context.decodeAudioData(data);
+};
+
+/**
+ * Computes the RMS amplitude of the first channel in fixed frames
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} frameMs - Frame length in milliseconds
+ * @returns {Array<number>} - One amplitude per frame
+ */
+export const getAmplitudeEnvelope = (buffer, frameMs = ENVELOPE_FRAME_MS) => {
+  const samples = buffer.getChannelData(0);
+  const frameSize = Math.max(1, Math.round(buffer.sampleRate * frameMs / 1000));
+  const envelope = [];
+
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    envelope.push(Math.sqrt(sum / (end - start)));
+  }
+
+  return envelope;
+};
+
+/**
+ * Finds the voiced stretches of an amplitude envelope
+ * @param {Array<number>} envelope - Amplitude per frame
+ * @param {number} frameMs - Frame length in milliseconds
+ * @returns {Array<{start: number, end: number}>} - Voiced stretches in milliseconds
+ */
+const findVoicedRanges = (envelope, frameMs) => {
+  const peak = Math.max(...envelope, 0);
+  if (peak === 0) return [];
+
+  const threshold = peak * SILENCE_RATIO;
+  const ranges = [];
+  let current = null;
+
+  envelope.forEach((level, index) => {
+    const time = index * frameMs;
+    if (level >= threshold) {
+      if (current && time - current.end < MIN_PAUSE_MS) {
+        current.end = time + frameMs;
+      } else {
+        current = { start: time, end: time + frameMs };
+        ranges.push(current);
+      }
+    }
+  });
+
+  return ranges;
+};
+
+/**
+ * Generates viseme timings for a piece of text
+ * @param {string} text - The text that is spoken
+ * @param {Object} audio - What is known about the audio
+ * @param {number} audio.durationMs - Length of the audio
+ * @param {Array<number>} audio.envelope - Optional amplitude envelope, so pauses fall where the audio is quiet
+ * @param {number} audio.frameMs - Frame length of the envelope
+ * @returns {Promise<Array<{visemeId: number, audioOffset: number}>>} - Visemes in the same shape as Azure's, offsets in milliseconds
+ */
+export const generateVisemes = async (text, { durationMs, envelope = null, frameMs = ENVELOPE_FRAME_MS }) => {
+  const syllables = await textToSyllables(text);
+  if (syllables.length === 0 || !durationMs) return [];
+
+  // Without an envelope the whole audio is taken as speech
+  const voiced = envelope ? findVoicedRanges(envelope, frameMs) : [{ start: 0, end: durationMs }];
+  const voicedMs = voiced.reduce((sum, range) => sum + range.end - range.start, 0);
+  if (voicedMs === 0) return [];
+
+  // Maps a position in voiced time onto the audio timeline, skipping the pauses
+  const toAudioTime = (position) => {
+    for (const range of voiced) {
+      const length = range.end - range.start;
+      if (position < length) return range.start + position;
+      position -= length;
+    }
+    return voiced[voiced.length - 1].end;
+  };
+
+  const syllableMs = voicedMs / syllables.length;
+  // Mouth closed until the speech starts
+  const visemes = voiced[0].start > 0 ? [{ visemeId: 0, audioOffset: 0 }] : [];
+  let position = 0;
+
+  syllables.forEach(syllable => {
+    syllable.forEach(({ visemeId, share }) => {
+      visemes.push({ visemeId, audioOffset: Math.round(toAudioTime(position)) });
+      position += syllableMs * share;
+    });
+  });
+
+  // Close the mouth in each pause and at the end
+  voiced.forEach(range => visemes.push({ visemeId: 0, audioOffset: Math.round(range.end) }));
+  visemes.sort((a, b) => a.audioOffset - b.audioOffset);
+
+  return visemes;
+};
+
+/**
+ * Generates viseme timings for text from its synthesised audio, using the
+ * audio's length and amplitude envelope for the alignment
+ * @param {string} text - The text that is spoken
+ * @param {string} audioUrl - URL of the audio
+ * @returns {Promise<Array<{visemeId: number, audioOffset: number}>>} - Generated visemes, empty if the audio cannot be decoded
+ */
+export const generateVisemesFromAudio = async (text, audioUrl) => {
+  try {
+    const buffer = await decodeAudio(audioUrl);
+    const visemes = await generateVisemes(text, {
+      durationMs: buffer.duration * 1000,
+      envelope: getAmplitudeEnvelope(buffer)
+    });
+
+    console.log(`Generated ${visemes.length} visemes locally for [${text.slice(0, 30)}...]`);
+    return visemes;
+  } catch (error) {
+    console.error('Error generating visemes locally:', error);
+    return [];
+  }
+};
+
+/**
+ * Joins the viseme timings of speech segments whose audio is saved back to back
+ * as one clip, so the clip can drive the face again on replay
+ * @param {Array<{blob: Blob, visemeData: Array}>} segments - Segment audio and visemes, in order
+ * @returns {Promise<Array<{visemeId: number, audioOffset: number}>>} - Visemes with offsets from the start of the clip
+ */
+export const joinSegmentVisemes = async (segments) => {
+  const visemes = [];
+  let offsetMs = 0;
+
+  for (const [index, { blob, visemeData }] of segments.entries()) {
+    (visemeData || []).forEach(viseme => visemes.push({ ...viseme, audioOffset: viseme.audioOffset + offsetMs }));
+
+    // Each later segment starts where the audio before it ends
+    if (index < segments.length - 1) {
+      const url = URL.createObjectURL(blob);
+      try {
+        offsetMs += (await decodeAudio(url)).duration * 1000;
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+  }
+
+  return visemes;
+};
@@ -0,0 +1,74 @@
+import vadProcessorUrl from './worklets/vadProcessor.js?url';
+
+/**
+ * Voice activity detection for the hands-free conversation mode.
+ *
+ * Runs the energy-based detector in worklets/vadProcessor.js on a microphone
+ * stream and reports when the nurse starts and stops speaking.
+ */
+
+/**
+ * Starts voice activity detection on a microphone stream
+ * @param {MediaStream} mediaStream - Microphone stream
+ * @param {Object} options - Detector options
+ * @param {Function} options.onSpeechStart - Called when speech begins
+ * @param {Function} options.onSpeechEnd - Called with { durationMs, discarded } when speech ends; discarded is true for bursts too short to be speech
+ * @param {Function} options.onLevel - Called with (rms, speaking) about ten times a second
+ * @param {Object} options.config - Detector tuning, see the worklet for the fields
+ * @returns {Promise<{pause: Function, resume: Function, configure: Function, close: Function}>} - Detector controls
+ */
+export const startVoiceActivityDetection = async (mediaStream, {
+  onSpeechStart,
+  onSpeechEnd,
+  onLevel,
+  config = {}
+} = {}) => {
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+  if (!audioContext.audioWorklet) {
+    await audioContext.close();
+    throw new Error('AudioWorklet is not supported in this browser');
+  }
+
+  await audioContext.audioWorklet.addModule(vadProcessorUrl);
+
+  const source = audioContext.createMediaStreamSource(mediaStream);
+  // A worklet node without outputs keeps processing as long as its input is connected
+  const vadNode = new AudioWorkletNode(audioContext, 'vad-processor', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: config
+  });
+
+  vadNode.port.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'speechstart' && onSpeechStart) {
+      onSpeechStart();
+    } else if (message.type === 'speechend' && onSpeechEnd) {
+      onSpeechEnd({ durationMs: message.durationMs, discarded: Boolean(message.discarded) });
+    } else if (message.type === 'level' && onLevel) {
+      onLevel(message.rms, message.speaking);
+    }
+  };
+
+  source.connect(vadNode);
+
+  // Browsers may start the context suspended until a user gesture
+  if (audioContext.state === 'suspended') {
+    await audioContext.resume();
+  }
+
+  console.log('Started voice activity detection');
+
+  return {
+    pause: () => vadNode.port.postMessage({ type: 'pause' }),
+    resume: () => vadNode.port.postMessage({ type: 'resume' }),
+    configure: (options) => vadNode.port.postMessage({ type: 'config', ...options }),
+    close: async () => {
+      vadNode.port.onmessage = null;
+      source.disconnect();
+      await audioContext.close();
+    }
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Energy-based voice activity detector, run as an AudioWorklet.
+ *
+ * The input is cut into 20 ms frames. A frame counts as speech when its RMS
+ * level is well above an adaptive noise floor. Speech starts after a short run
+ * of speech frames and ends after a longer run of silence, which keeps
+ * breaths and short pauses inside one utterance.
+ *
+ * Messages posted to the main thread:
+ *   { type: 'speechstart' }
+ *   { type: 'speechend', durationMs, discarded }   discarded is true for bursts too short to be speech
+ *   { type: 'level', rms, speaking }   about ten times a second
+ *
+ * Messages accepted: { type: 'pause' }, { type: 'resume' }, { type: 'config', ...options }
+ *
+ * This file is loaded with audioWorklet.addModule() and cannot import modules.
+ */
+
+const FRAME_MS = 20;
+
+class VadProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const config = options.processorOptions || {};
+    this.startMs = config.startMs ?? 100; // Speech needed before speechstart
+    this.endMs = config.endMs ?? 900; // Silence needed before speechend
+    this.minSpeechMs = config.minSpeechMs ?? 300; // Shorter bursts are treated as noise
+    this.thresholdRatio = config.thresholdRatio ?? 3; // Speech level relative to the noise floor
+    this.minThreshold = config.minThreshold ?? 0.01; // Absolute RMS floor for speech
+
+    this.frameSize = Math.round(sampleRate * FRAME_MS / 1000);
+    this.frameSum = 0;
+    this.frameCount = 0;
+
+    this.noiseFloor = 0.005;
+    this.paused = false;
+    this.resetState();
+
+    this.levelFrames = 0;
+
+    this.port.onmessage = (event) => {
+      const { type, ...options } = event.data || {};
+
+      if (type === 'pause') {
+        this.paused = true;
+        this.resetState();
+      } else if (type === 'resume') {
+        this.paused = false;
+        this.resetState();
+      } else if (type === 'config') {
+        Object.assign(this, options);
+      }
+    };
+  }
+
+  resetState() {
+    this.speaking = false;
+    this.speechFrames = 0;
+    this.silenceFrames = 0;
+    this.utteranceFrames = 0;
+  }
+
+  handleFrame(rms) {
+    const threshold = Math.max(this.noiseFloor * this.thresholdRatio, this.minThreshold);
+    const isSpeech = rms > threshold;
+
+    // Track the background level only while nobody is speaking
+    if (!isSpeech && !this.speaking) {
+      this.noiseFloor = this.noiseFloor * 0.95 + rms * 0.05;
+    }
+
+    if (!this.speaking) {
+      this.speechFrames = isSpeech ? this.speechFrames + 1 : 0;
+
+      if (this.speechFrames * FRAME_MS >= this.startMs) {
+        this.speaking = true;
+        this.silenceFrames = 0;
+        this.utteranceFrames = this.speechFrames;
+        this.port.postMessage({ type: 'speechstart' });
+      }
+    } else {
+      this.utteranceFrames++;
+      this.silenceFrames = isSpeech ? 0 : this.silenceFrames + 1;
+
+      if (this.silenceFrames * FRAME_MS >= this.endMs) {
+        const durationMs = (this.utteranceFrames - this.silenceFrames) * FRAME_MS;
+        this.resetState();
+
+        this.port.postMessage({ type: 'speechend', durationMs, discarded: durationMs < this.minSpeechMs });
+      }
+    }
+
+    // Report the level for meters roughly every 100 ms
+    this.levelFrames++;
+    if (this.levelFrames >= 5) {
+      this.levelFrames = 0;
+      this.port.postMessage({ type: 'level', rms, speaking: this.speaking });
+    }
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+
+    if (!channel || this.paused) {
+      return true;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      this.frameSum += channel[i] * channel[i];
+      this.frameCount++;
+
+      if (this.frameCount >= this.frameSize) {
+        this.handleFrame(Math.sqrt(this.frameSum / this.frameCount));
+        this.frameSum = 0;
+        this.frameCount = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('vad-processor', VadProcessor);
@@ -0,0 +1,353 @@
+/**
+ * Mixdown of a conversation's recordings into one audio file
+ *
+ * The nurse's recordings (WebM/Opus) and the patient's speech (MP3) are decoded
+ * with Web Audio, which also resamples them to a common rate, and laid out on a
+ * timeline by their timestamps. The mix is encoded as a 16-bit PCM WAV and,
+ * where the browser has a WebCodecs Opus encoder, optionally as Ogg Opus.
+ */
+
+// Speech does not need more; keeps a 20-minute WAV around 55 MB
+const MIX_SAMPLE_RATE = 24000;
+// Opus always runs at 48 kHz
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_BITRATE = 32000;
+
+// Gaps between turns are kept as they happened, but long idle stretches are
+// shortened and overlapping clips are pushed apart
+const MIN_GAP_SECONDS = 0.3;
+const MAX_GAP_SECONDS = 5;
+
+/**
+ * Start time of a clip in milliseconds since the epoch
+ * @param {Object} clip - Audio entry ({ blob, role, timestamp, startedAt })
+ * @returns {number|null} - Start time, null if unknown
+ */
+const getClipStart = (clip) => {
+  const time = new Date(clip.startedAt || clip.timestamp).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Decodes a recording, resampled to the mix rate
+ * @param {Blob} blob - Recording
+ * @returns {Promise<AudioBuffer>} - Decoded audio
+ */
+const decodeClip = async (blob) => {
+  const data = await blob.arrayBuffer();
+  // decodeAudioData resamples to the context's rate
+  const context = new OfflineAudioContext(1, 1, MIX_SAMPLE_RATE);
+  return context.decodeAudioData(data);
+};
+
+/**
+ * Places decoded clips on a timeline
+ * @param {Array<{clip: Object, buffer: AudioBuffer}>} decoded - Clips in recording order
+ * @returns {Array<number>} - Offset of each clip in seconds
+ */
+const layOutClips = (decoded) => {
+  const offsets = [];
+  let end = 0; // End of the previous clip on the timeline
+  let previousStart = null; // Real start time of the previous clip
+  let previousDuration = 0;
+
+  decoded.forEach(({ clip, buffer }, index) => {
+    const start = getClipStart(clip);
+    let offset;
+
+    if (index === 0) {
+      offset = 0;
+    } else if (start === null || previousStart === null) {
+      offset = end + MIN_GAP_SECONDS;
+    } else {
+      const gap = (start - previousStart) / 1000 - previousDuration;
+      offset = end + Math.min(Math.max(gap, MIN_GAP_SECONDS), MAX_GAP_SECONDS);
+    }
+
+    offsets.push(offset);
+    end = offset + buffer.duration;
+    previousStart = start;
+    previousDuration = buffer.duration;
+  });
+
+  return offsets;
+};
+
+/**
+ * Renders a buffer at another sample rate
+ * @param {AudioBuffer} buffer - Audio to resample
+ * @param {number} sampleRate - Target rate
+ * @returns {Promise<AudioBuffer>} - Resampled audio
+ */
+const resample = (buffer, sampleRate) => {
+  const context = new OfflineAudioContext(1, Math.ceil(buffer.duration * sampleRate), sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start();
+  return context.startRendering();
+};
+
+/**
+ * Encodes mono audio as a 16-bit PCM WAV file
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @returns {Blob} - WAV file
+ */
+export const encodeWav = (buffer) => {
+  const samples = buffer.getChannelData(0);
+  const dataSize = samples.length * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+// CRC-32 as used by Ogg (polynomial 0x04c11db7, not reflected)
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+const oggCrc = (bytes) => {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+};
+
+/**
+ * Builds one Ogg page holding a single packet
+ * @param {Uint8Array} packet - Packet data, under 65025 bytes
+ * @param {Object} page - Page fields
+ * @returns {Uint8Array} - The page
+ */
+const oggPage = (packet, { granule, serial, sequence, first = false, last = false }) => {
+  const lacing = [];
+  for (let remaining = packet.length; remaining >= 0; remaining -= 255) {
+    lacing.push(Math.min(remaining, 255));
+    if (remaining < 255) break;
+  }
+
+  const page = new Uint8Array(27 + lacing.length + packet.length);
+  const view = new DataView(page.buffer);
+  page.set([0x4f, 0x67, 0x67, 0x53]); // OggS
+  page[5] = (first ? 0x02 : 0) | (last ? 0x04 : 0);
+  view.setBigUint64(6, BigInt(granule), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  page.set(packet, 27 + lacing.length);
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+};
+
+// OpusHead identification header (RFC 7845), for encoders that do not provide one
+const opusHead = (sampleRate) => {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'));
+  head[8] = 1; // version
+  head[9] = 1; // channels
+  view.setUint16(10, 312, true); // pre-skip of libopus
+  view.setUint32(12, sampleRate, true);
+  return head;
+};
+
+const opusTags = () => {
+  const vendor = new TextEncoder().encode('nurs');
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const view = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode('OpusTags'));
+  view.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  return tags; // No user comments
+};
+
+/**
+ * Checks whether this browser can encode Opus with WebCodecs
+ * @returns {Promise<boolean>}
+ */
+export const canEncodeOpus = async () => {
+  if (typeof AudioEncoder === 'undefined') return false;
+  try {
+    const { supported } = await AudioEncoder.isConfigSupported({
+      codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, bitrate: OPUS_BITRATE
+    });
+    return supported;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Encodes mono audio as an Ogg Opus file with WebCodecs
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @returns {Promise<Blob>} - Ogg Opus file
+ */
+export const encodeOggOpus = async (buffer) => {
+  const audio = buffer.sampleRate === OPUS_SAMPLE_RATE ? buffer : await resample(buffer, OPUS_SAMPLE_RATE);
+  const samples = audio.getChannelData(0);
+
+  const packets = [];
+  let description = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data, samples: Math.round(chunk.duration * OPUS_SAMPLE_RATE / 1e6) });
+      if (metadata?.decoderConfig?.description && !description) {
+        description = new Uint8Array(metadata.decoderConfig.description);
+      }
+    },
+    error: (error) => console.error('Opus encoding error:', error)
+  });
+  encoder.configure({ codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, bitrate: OPUS_BITRATE });
+
+  // Feed the encoder in one-second frames
+  for (let start = 0; start < samples.length; start += OPUS_SAMPLE_RATE) {
+    const frame = samples.subarray(start, Math.min(start + OPUS_SAMPLE_RATE, samples.length));
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate: OPUS_SAMPLE_RATE,
+      numberOfChannels: 1,
+      numberOfFrames: frame.length,
+      timestamp: Math.round(start * 1e6 / OPUS_SAMPLE_RATE),
+      data: frame.slice()
+    });
+    encoder.encode(data);
+    data.close();
+  }
+  await encoder.flush();
+  encoder.close();
+
+  // Browsers that provide a header put an OpusHead in the decoder description
+  const isOpusHead = description && new TextDecoder().decode(description.subarray(0, 8)) === 'OpusHead';
+  const head = isOpusHead ? description : opusHead(buffer.sampleRate);
+
+  const serial = Math.floor(Math.random() * 0xffffffff);
+  const pages = [
+    oggPage(head, { granule: 0, serial, sequence: 0, first: true }),
+    oggPage(opusTags(), { granule: 0, serial, sequence: 1 })
+  ];
+  let granule = 0;
+  packets.forEach((packet, index) => {
+    granule += packet.samples;
+    pages.push(oggPage(packet.data, {
+      granule,
+      serial,
+      sequence: index + 2,
+      last: index === packets.length - 1
+    }));
+  });
+
+  return new Blob(pages, { type: 'audio/ogg; codecs=opus' });
+};
+
+/**
+ * Mixes a conversation's recordings into one track and tells where each landed;
+ * the session replay plays the same track, so comment times match the saved mixdown
+ * @param {Array<Object>} clips - Audio entries ({ blob, role, timestamp, startedAt }) in recording order
+ * @returns {Promise<{mix: AudioBuffer, timeline: Array<{clip: Object, buffer: AudioBuffer, offset: number}>, duration: number}|null>} - The mix, each clip with its offset in seconds, and the length in seconds; null if nothing could be decoded
+ */
+export const mixClips = async (clips) => {
+  const decoded = [];
+
+  for (const clip of clips) {
+    try {
+      decoded.push({ clip, buffer: await decodeClip(clip.blob) });
+    } catch (error) {
+      // A clip the browser cannot decode is left out of the mix but still saved on its own
+      console.warn(`Could not decode ${clip.role || 'audio'} clip (${clip.blob.type}):`, error);
+    }
+  }
+
+  if (decoded.length === 0) {
+    return null;
+  }
+
+  // Recordings are captured in order, but sort by start in case a reply finished late
+  decoded.sort((a, b) => (getClipStart(a.clip) ?? 0) - (getClipStart(b.clip) ?? 0));
+
+  const offsets = layOutClips(decoded);
+  const last = decoded.length - 1;
+  const duration = offsets[last] + decoded[last].buffer.duration;
+
+  const context = new OfflineAudioContext(1, Math.ceil(duration * MIX_SAMPLE_RATE), MIX_SAMPLE_RATE);
+  decoded.forEach(({ buffer }, index) => {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start(offsets[index]);
+  });
+  const mix = await context.startRendering();
+  console.log(`Mixed ${decoded.length} of ${clips.length} clips into ${duration.toFixed(1)} s of audio`);
+
+  return {
+    mix,
+    timeline: decoded.map((item, index) => ({ ...item, offset: offsets[index] })),
+    duration
+  };
+};
+
+/**
+ * Mixes a conversation's recordings into one audio file
+ * @param {Array<Object>} clips - Audio entries ({ blob, role, timestamp, startedAt }) in recording order
+ * @param {Object} options - Output options
+ * @param {boolean} options.opus - Also encode the mix as Ogg Opus, when the browser can
+ * @returns {Promise<{wav: Blob, opus: Blob|null, duration: number}|null>} - Encoded mix and its length in seconds, null if nothing could be decoded
+ */
+export const mixdownClips = async (clips, { opus = false } = {}) => {
+  const result = await mixClips(clips);
+  if (!result) {
+    return null;
+  }
+
+  const { mix, duration } = result;
+  let opusBlob = null;
+  if (opus) {
+    if (await canEncodeOpus()) {
+      try {
+        opusBlob = await encodeOggOpus(mix);
+      } catch (error) {
+        console.warn('Opus encoding failed, saving WAV only:', error);
+      }
+    } else {
+      console.warn('This browser cannot encode Opus, saving WAV only');
+    }
+  }
+
+  return { wav: encodeWav(mix), opus: opusBlob, duration };
+};
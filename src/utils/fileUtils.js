@@ -4,62 +4,166 @@
 
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
+import { SUBTITLE_LANGUAGES } from '../services/translationService';
+import { mixdownClips } from './audioMixdown';
+import { buildSessionManifest, getClipFileName } from './sessionArchive';
+import { formatDuration } from './formatTime';
+
+// Also save the mixdown as Ogg Opus, where the browser can encode it
+const EXPORT_OPUS = import.meta.env.VITE_EXPORT_OPUS === 'true';
 
 /**
  * Saves a conversation history to a text file
  * @param {Array} conversations - Array of conversation entries
+ * @param {Object} scenario - Optional scenario definition used for the patient label
+ * @param {Array} comments - Optional tutor comments, listed under the turn they belong to
+ * @param {Object} student - Optional student who practised ({ username, displayName, className })
  * @returns {Blob} - A blob containing the text file
  */
-export const saveConversationToText = (conversations) => {
+export const saveConversationToText = (conversations, scenario, comments = [], student = null) => {
+  const patientName = scenario?.patient?.name?.en || 'Mr. Chan';
+
   let content = "Conversation History\n";
   content += "===================\n\n";
+  if (student) {
+    const name = student.displayName ? `${student.displayName} (${student.username})` : student.username;
+    content += `Student: ${name}${student.className ? `, ${student.className}` : ''}\n\n`;
+  }
   
   conversations.forEach((entry, index) => {
     const time = new Date(entry.timestamp).toLocaleString();
-    const role = entry.role === 'nurse' ? 'Nurse' : 'Patient (Mr. Chan)';
+    const role = entry.role === 'nurse' ? 'Nurse' : `Patient (${patientName})`;
     
     content += `[${time}] ${role}:\n`;
-    content += `${entry.text}\n\n`;
+    content += entry.interrupted
+      ? `${entry.text}…… [interrupted by the nurse]\n`
+      : `${entry.text}\n`;
+    if (entry.translation) {
+      const language = SUBTITLE_LANGUAGES[entry.translation.language]?.label.en || entry.translation.language;
+      content += `[${language}] ${entry.translation.text}\n`;
+    }
+    (entry.coaching || []).forEach(hint => {
+      content += `  [Coach] ${hint.text.zh} / ${hint.text.en}\n`;
+    });
+    comments.filter(comment => entry.id && comment.entryId === entry.id).forEach(comment => {
+      content += `  [Tutor ${formatDuration(comment.time * 1000)}${comment.author ? `, ${comment.author}` : ''}] ${comment.text}\n`;
+    });
+    content += '\n';
   });
   
   return new Blob([content], { type: 'text/plain;charset=utf-8' });
 };
 
 /**
- * Creates a zip file with conversation text and audio
+ * Formats an assessment report as a bilingual text file
+ * @param {Object} report - Assessment report from assessmentService
+ * @returns {Blob} - A blob containing the text file
+ */
+export const saveAssessmentToText = (report) => {
+  let content = "溝通評估報告 Communication Assessment Report\n";
+  content += "==========================================\n\n";
+  content += `${report.rubricName.zh} / ${report.rubricName.en} (v${report.rubricVersion})\n`;
+  content += `總分 Total: ${report.totalScore} / ${report.maxTotal} (${report.percentage}%)\n\n`;
+  content += `${report.summary.zh}\n${report.summary.en}\n\n`;
+
+  report.criteria.forEach(criterion => {
+    content += `## ${criterion.label.zh} / ${criterion.label.en}: ${criterion.score} / ${criterion.maxScore}`;
+    content += criterion.band ? ` (${criterion.band.zh} / ${criterion.band.en}, weight ${criterion.weight})\n` : '\n';
+
+    criterion.evidence.forEach(item => {
+      content += `  [Turn ${item.turn}] "${item.quote}"\n`;
+    });
+
+    content += `${criterion.feedback.zh}\n${criterion.feedback.en}\n`;
+
+    [...criterion.tips.zh, ...criterion.tips.en].forEach(tip => {
+      content += `  - ${tip}\n`;
+    });
+
+    content += '\n';
+  });
+
+  return new Blob([content], { type: 'text/plain;charset=utf-8' });
+};
+
+/**
+ * Turns audio blobs or recorded audio entries into audio entries
+ * @param {Array|Blob} audio - Blobs, or entries ({ blob, role, timestamp, startedAt, entryId })
+ * @returns {Array<Object>} - Entries with a valid blob
+ */
+const toAudioClips = (audio) => {
+  const items = Array.isArray(audio) ? audio : (audio ? [audio] : []);
+  return items
+    .map(item => (item instanceof Blob ? { blob: item } : item))
+    .filter(clip => clip && clip.blob instanceof Blob);
+};
+
+/**
+ * Creates a session archive: a zip with manifest.json, conversation text and audio
+ * (see sessionArchive.js for the format)
  * @param {Array} conversations - Array of conversation entries
- * @param {Array} audioBlobs - Array of audio blobs
+ * @param {Array} audio - Recorded audio entries ({ blob, role, timestamp, startedAt }) or plain audio blobs
+ * @param {Object} scenario - Optional scenario definition
+ * @param {Object} assessment - Optional assessment report
+ * @param {Object} options - Session details for the manifest
+ * @param {string} options.language - Patient language of the session
+ * @param {Array} options.comments - Tutor comments from the replay
+ * @param {Object} options.student - Student who practised, see sessionStore.createSession
  * @returns {Promise<Blob>} - A promise that resolves to a zip file blob
  */
-export const createConversationZip = async (conversations, audioBlobs) => {
+export const createConversationZip = async (conversations, audio, scenario, assessment, { language, comments, student } = {}) => {
   try {
     console.log('Creating zip with conversations and audio');
     const zip = new JSZip();
     
     // Add conversation text
     console.log('Adding text file to zip');
-    const textBlob = saveConversationToText(conversations);
+    const textBlob = saveConversationToText(conversations, scenario, comments, student);
     zip.file("conversation.txt", textBlob);
     
-    // Add conversation audio
-    if (audioBlobs && audioBlobs.length > 0) {
-      console.log('Adding audio file to zip');
+    // Add the assessment report if the session has been assessed
+    if (assessment) {
+      console.log('Adding assessment report to zip');
+      zip.file("assessment_report.txt", saveAssessmentToText(assessment));
+      zip.file("assessment.json", JSON.stringify(assessment, null, 2));
+    }
+    
+    // Add the conversation audio: each recording on its own, and a mixdown of all of them
+    const clips = toAudioClips(audio).map((clip, index) => ({ ...clip, file: getClipFileName(clip, index) }));
+    const files = { transcript: "conversation.txt" };
+    if (assessment) {
+      files.assessmentReport = "assessment_report.txt";
+      files.assessment = "assessment.json";
+    }
+
+    if (clips.length > 0) {
+      console.log('Adding', clips.length, 'audio clips to zip');
+      clips.forEach(clip => zip.file(clip.file, clip.blob));
+
       try {
-        // Combine all audio blobs into a single audio file
-        const combinedAudioBlob = await combineAudioBlobs(audioBlobs);
-        if (combinedAudioBlob) {
-          zip.file("conversation_audio.mp3", combinedAudioBlob);
-          console.log('Audio added to zip successfully');
+        const mix = await mixdownClips(clips, { opus: EXPORT_OPUS });
+        if (mix) {
+          zip.file("conversation_audio.wav", mix.wav);
+          files.mixdown = "conversation_audio.wav";
+          if (mix.opus) {
+            zip.file("conversation_audio.opus", mix.opus);
+            files.mixdownOpus = "conversation_audio.opus";
+          }
+          console.log('Audio mixdown added to zip successfully');
         } else {
-          console.error('Failed to combine audio blobs');
+          console.error('None of the audio clips could be decoded for the mixdown');
         }
       } catch (audioError) {
-        console.error('Error combining audio:', audioError);
-        // Continue without audio
+        console.error('Error mixing audio:', audioError);
+        // Continue with the separate clips only
       }
     } else {
-      console.log('No audio blobs to add to zip');
+      console.log('No audio clips to add to zip');
     }
+
+    // The manifest is what makes the archive importable again
+    const manifest = buildSessionManifest({ conversations, clips, scenario, assessment, language, comments, student, files });
+    zip.file("manifest.json", JSON.stringify(manifest, null, 2));
     
     // Generate the zip file
     console.log('Generating zip file...');
@@ -75,9 +179,12 @@ export const createConversationZip = async (conversations, audioBlobs) => {
 /**
  * Downloads a zip file containing conversation data
  * @param {Array} conversations - Array of conversation entries
- * @param {Array} audioBlobs - Array of audio blobs
+ * @param {Array} audio - Recorded audio entries or plain audio blobs
+ * @param {Object} scenario - Optional scenario definition
+ * @param {Object} assessment - Optional assessment report
+ * @param {Object} options - Session details for the manifest, see createConversationZip
  */
-export const downloadConversationZip = async (conversations, audioBlobs) => {
+export const downloadConversationZip = async (conversations, audio, scenario, assessment, options = {}) => {
   try {
     console.log('Starting download process');
     
@@ -91,20 +198,11 @@ export const downloadConversationZip = async (conversations, audioBlobs) => {
       console.warn('No conversations to save');
     }
     
-    // Handle audio blobs validation
-    let validAudioBlobs = [];
-    if (audioBlobs) {
-      if (Array.isArray(audioBlobs)) {
-        // Filter out any null or undefined values
-        validAudioBlobs = audioBlobs.filter(blob => blob instanceof Blob);
-        console.log('Validated audio blobs:', validAudioBlobs.length);
-      } else if (audioBlobs instanceof Blob) {
-        validAudioBlobs = [audioBlobs];
-        console.log('Single audio blob provided');
-      }
-    }
+    // Drop anything that is not a recording
+    const clips = toAudioClips(audio);
+    console.log('Validated audio clips:', clips.length);
     
-    const zipBlob = await createConversationZip(conversations, validAudioBlobs);
+    const zipBlob = await createConversationZip(conversations, clips, scenario, assessment, options);
     
     // Generate a filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -122,47 +220,3 @@ export const downloadConversationZip = async (conversations, audioBlobs) => {
     return false;
   }
 };
-
-/**
- * Combines multiple audio blobs into a single audio file
- * @param {Array} audioBlobs - Array of audio blobs
- * @returns {Promise<Blob>} - A promise that resolves to a combined audio blob
- */
-export const combineAudioBlobs = async (audioBlobs) => {
-  console.log('Combining audio blobs, count:', audioBlobs.length);
-  
-  // Validate input
-  if (!audioBlobs || !Array.isArray(audioBlobs) || audioBlobs.length === 0) {
-    console.error('Invalid audio blobs provided:', audioBlobs);
-    return null;
-  }
-  
-  // Make sure all blobs are valid
-  const validBlobs = audioBlobs.filter(blob => blob instanceof Blob);
-  console.log('Valid blobs:', validBlobs.length, 'of', audioBlobs.length);
-  
-  if (validBlobs.length === 0) {
-    console.error('No valid audio blobs found');
-    return null;
-  }
-  
-  // If there's only one blob, return it
-  if (validBlobs.length === 1) {
-    console.log('Only one blob, returning it directly');
-    return validBlobs[0];
-  }
-  
-  try {
-    // Create a new blob that concatenates all the audio blobs
-    // This is a simple concatenation and might not produce a properly
-    // playable audio file in all cases, but it's a start
-    console.log('Creating concatenated blob');
-    const concatenatedBlob = new Blob(validBlobs, { type: 'audio/mp3' });
-    console.log('Concatenated blob created, size:', concatenatedBlob.size, 'bytes');
-    return concatenatedBlob;
-  } catch (error) {
-    console.error('Error concatenating blobs:', error);
-    // If concatenation fails, return the first blob as fallback
-    return validBlobs[0];
-  }
-}; 
\ No newline at end of file
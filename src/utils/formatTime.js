@@ -0,0 +1,12 @@
+/**
+ * Formats a duration as m:ss or h:mm:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
@@ -0,0 +1,293 @@
+/**
+ * Session archive format
+ *
+ * A saved session is a zip with a manifest.json describing it (format
+ * "nurs-session", see ARCHIVE_VERSION), the recordings it refers to, and
+ * human-readable extras (conversation.txt, assessment report, audio mixdown).
+ * The format is documented in README.md in this folder.
+ *
+ * Archives can be imported back, as can the older conversations/<timestamp>/
+ * folders (conversation.json with numbered audio_N.webm files).
+ */
+
+import JSZip from 'jszip';
+import { DEFAULT_SCENARIO_ID } from '../scenarios';
+import { getPatientLanguage, getPatientVoice } from '../services/patientLanguages';
+import { PATIENT_MODEL_SETTINGS } from '../services/gpt4Service';
+import { getActiveProvider } from '../services/llm';
+
+export const ARCHIVE_FORMAT = 'nurs-session';
+// Bump when the manifest changes in a way older readers cannot follow
+export const ARCHIVE_VERSION = 1;
+
+// File extensions of the recording formats in use
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp3': 'mp3',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/mp4': 'm4a'
+};
+
+// Fields of a conversation entry that are kept in the manifest
+const TURN_FIELDS = ['id', 'role', 'text', 'timestamp', 'language', 'emotion', 'interrupted', 'fullText', 'translation'];
+
+/**
+ * File name of a single recording in the archive
+ * @param {Object} clip - Audio entry ({ blob, role })
+ * @param {number} index - Position in the conversation
+ * @returns {string} - e.g. clips/03_nurse.webm
+ */
+export const getClipFileName = (clip, index) => {
+  const type = clip.blob.type.split(';')[0];
+  const extension = AUDIO_EXTENSIONS[type] || 'bin';
+  return `clips/${String(index + 1).padStart(2, '0')}_${clip.role || 'audio'}.${extension}`;
+};
+
+/**
+ * Builds the manifest of a session archive
+ * @param {Object} session - What to describe
+ * @param {Array} session.conversations - Conversation entries
+ * @param {Array} session.clips - Audio entries with the `file` they are saved as
+ * @param {Object} session.scenario - Scenario definition
+ * @param {Object} session.assessment - Assessment report, if any
+ * @param {string} session.language - Patient language of the session
+ * @param {Array} session.comments - Tutor comments from the replay
+ * @param {Object} session.student - Student who practised ({ userId, username, displayName, className }), if signed in
+ * @param {Object} session.files - Names of the other files in the archive
+ * @returns {Object} - The manifest
+ */
+export const buildSessionManifest = ({ conversations, clips, scenario, assessment, language, comments = [], student = null, files = {} }) => {
+  const languageId = language || conversations.find(entry => entry.language)?.language || scenario?.language;
+  const patientLanguage = getPatientLanguage(languageId);
+  const gender = scenario?.patient?.gender || 'male';
+
+  // Recordings stored under a conversation entry's id
+  const clipFiles = new Map(clips.filter(clip => clip.entryId).map(clip => [clip.entryId, clip.file]));
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    scenario: scenario ? {
+      id: scenario.id,
+      version: scenario.version || 1,
+      title: scenario.title
+    } : null,
+    session: {
+      startedAt: conversations[0]?.timestamp || null,
+      endedAt: conversations[conversations.length - 1]?.timestamp || null,
+      patientLanguage: languageId || null,
+      student: student ? {
+        username: student.username,
+        displayName: student.displayName || null,
+        className: student.className || null
+      } : null
+    },
+    settings: {
+      model: {
+        provider: getActiveProvider().id,
+        ...PATIENT_MODEL_SETTINGS
+      },
+      voice: {
+        name: getPatientVoice(languageId, gender),
+        locale: patientLanguage.locale,
+        gender
+      }
+    },
+    turns: conversations.map((entry, index) => {
+      const turn = { index: index + 1 };
+      TURN_FIELDS.forEach(field => {
+        if (entry[field] !== undefined) turn[field] = entry[field];
+      });
+      turn.audio = (entry.id && clipFiles.get(entry.id)) || null;
+      return turn;
+    }),
+    audio: clips.map(clip => ({
+      file: clip.file,
+      role: clip.role || null,
+      entryId: clip.entryId || null,
+      type: clip.blob.type.split(';')[0] || null,
+      startedAt: clip.startedAt || null,
+      timestamp: clip.timestamp || null,
+      visemeData: clip.visemeData || null
+    })),
+    files,
+    assessment: assessment || null,
+    comments
+  };
+};
+
+/**
+ * Works out the audio type from a file's first bytes; the old folders store MP3 as .webm
+ * @param {Blob} blob - Audio file
+ * @returns {Promise<string>} - MIME type, the blob's own type if unknown
+ */
+const sniffAudioType = async (blob) => {
+  const bytes = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+  const text = String.fromCharCode(...bytes);
+
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'audio/webm';
+  if (text.startsWith('ID3') || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (text === 'RIFF') return 'audio/wav';
+  if (text === 'OggS') return 'audio/ogg';
+  return blob.type;
+};
+
+/**
+ * Reads a session from a manifest
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {Function} readFile - Resolves a path in the archive to a Blob, or null
+ * @returns {Promise<Object>} - Imported session
+ */
+const readManifestSession = async (manifest, readFile) => {
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('manifest.json is not a session archive');
+  }
+  if (!(manifest.version <= ARCHIVE_VERSION)) {
+    throw new Error(`Session archive version ${manifest.version} is newer than this app supports (${ARCHIVE_VERSION})`);
+  }
+
+  const clips = [];
+  for (const audio of manifest.audio || []) {
+    const file = await readFile(audio.file);
+    if (!file) {
+      console.warn(`Session archive is missing ${audio.file}`);
+      continue;
+    }
+    clips.push({
+      role: audio.role,
+      entryId: audio.entryId,
+      blob: new Blob([file], { type: audio.type || await sniffAudioType(file) }),
+      startedAt: audio.startedAt,
+      visemeData: audio.visemeData || null,
+      timestamp: audio.timestamp
+    });
+  }
+
+  return {
+    scenarioId: manifest.scenario?.id || DEFAULT_SCENARIO_ID,
+    language: manifest.session?.patientLanguage || null,
+    student: manifest.session?.student || null,
+    startedAt: manifest.session?.startedAt || manifest.createdAt,
+    endedAt: manifest.session?.endedAt || manifest.createdAt,
+    entries: (manifest.turns || []).map(({ index, audio, ...entry }) => ({ ...entry, id: entry.id || crypto.randomUUID() })),
+    clips,
+    assessment: manifest.assessment || null,
+    rubricId: manifest.assessment?.rubricId || null,
+    comments: manifest.comments || []
+  };
+};
+
+/**
+ * Reads a session from the older folder layout: conversation.json and audio_N
+ * files, where audio_N is the recording of the Nth entry
+ * @param {Array} conversation - Parsed conversation.json
+ * @param {Map<string, Blob>} audioFiles - audio_N files by name
+ * @returns {Promise<Object>} - Imported session
+ */
+const readLegacySession = async (conversation, audioFiles) => {
+  if (!Array.isArray(conversation)) {
+    throw new Error('conversation.json must contain a list of entries');
+  }
+
+  const entries = conversation.map(entry => ({
+    id: crypto.randomUUID(),
+    role: entry.role,
+    text: entry.text,
+    timestamp: entry.timestamp
+  }));
+
+  const numbered = Array.from(audioFiles.entries())
+    .map(([name, file]) => ({ number: Number(name.match(/audio_(\d+)/)[1]), file }))
+    .sort((a, b) => a.number - b.number);
+
+  const clips = [];
+  for (const { number, file } of numbered) {
+    const entry = entries[number - 1];
+    clips.push({
+      role: entry?.role || null,
+      entryId: entry?.id || null,
+      blob: new Blob([file], { type: await sniffAudioType(file) }),
+      startedAt: null,
+      timestamp: entry?.timestamp || null
+    });
+  }
+
+  return {
+    scenarioId: DEFAULT_SCENARIO_ID,
+    language: null,
+    startedAt: entries[0]?.timestamp || new Date().toISOString(),
+    endedAt: entries[entries.length - 1]?.timestamp || null,
+    entries,
+    clips,
+    assessment: null,
+    rubricId: null,
+    comments: []
+  };
+};
+
+/**
+ * Reads a session from named files, from a zip or a folder
+ * @param {Map<string, Function>} files - Readers returning a Blob, by path relative to the session root
+ * @returns {Promise<Object>} - Imported session
+ */
+const readSessionFiles = async (files) => {
+  const readFile = async (path) => (files.has(path) ? files.get(path)() : null);
+
+  if (files.has('manifest.json')) {
+    const manifest = JSON.parse(await (await readFile('manifest.json')).text());
+    return readManifestSession(manifest, readFile);
+  }
+
+  if (files.has('conversation.json')) {
+    const conversation = JSON.parse(await (await readFile('conversation.json')).text());
+    const audioFiles = new Map();
+    for (const path of files.keys()) {
+      if (/^audio_\d+\.\w+$/.test(path)) {
+        audioFiles.set(path, await readFile(path));
+      }
+    }
+    return readLegacySession(conversation, audioFiles);
+  }
+
+  throw new Error('No manifest.json or conversation.json found');
+};
+
+// Paths are taken relative to the folder holding the session files
+const toSessionPaths = (paths) => {
+  const marker = paths.find(path => /(^|\/)(manifest|conversation)\.json$/.test(path));
+  const root = marker ? marker.slice(0, marker.lastIndexOf('/') + 1) : '';
+  return (path) => (path.startsWith(root) ? path.slice(root.length) : null);
+};
+
+/**
+ * Imports a session from a session archive zip, or from the files of a session folder
+ * @param {FileList|Array<File>} fileList - One .zip file, or the files of a folder (webkitdirectory)
+ * @returns {Promise<Object>} - { scenarioId, language, startedAt, endedAt, entries, clips, assessment, rubricId, comments }
+ */
+export const importSessionFiles = async (fileList) => {
+  const selected = Array.from(fileList);
+  const files = new Map();
+
+  if (selected.length === 1 && /\.zip$/i.test(selected[0].name)) {
+    const zip = await JSZip.loadAsync(selected[0]);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+    const relative = toSessionPaths(entries.map(entry => entry.name));
+    entries.forEach(entry => {
+      const path = relative(entry.name);
+      if (path) files.set(path, () => entry.async('blob'));
+    });
+  } else {
+    const relative = toSessionPaths(selected.map(file => file.webkitRelativePath || file.name));
+    selected.forEach(file => {
+      const path = relative(file.webkitRelativePath || file.name);
+      if (path) files.set(path, async () => file);
+    });
+  }
+
+  const session = await readSessionFiles(files);
+  console.log(`Imported session with ${session.entries.length} turns and ${session.clips.length} recordings`);
+  return session;
+};
@@ -6,7 +6,11 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 3002,
-    open: true
+    open: true,
+    // API calls go to the local API server (npm run server)
+    proxy: {
+      '/api': `http://localhost:${process.env.API_PORT || 3001}`
+    }
   },
   // Ensure environment variables are properly loaded
   envPrefix: 'VITE_'